@@ -17,7 +17,9 @@ const browserGlobals = {
   sessionStorage: 'readonly',
   FormData: 'readonly',
   URL: 'readonly',
-  URLSearchParams: 'readonly'
+  URLSearchParams: 'readonly',
+  EventSource: 'readonly',
+  Intl: 'readonly'
 };
 
 const nodeGlobals = {
@@ -28,7 +30,12 @@ const nodeGlobals = {
   __filename: 'readonly',
   Buffer: 'readonly',
   global: 'readonly',
-  console: 'readonly'
+  console: 'readonly',
+  setTimeout: 'readonly',
+  clearTimeout: 'readonly',
+  setInterval: 'readonly',
+  clearInterval: 'readonly',
+  Intl: 'readonly'
 };
 
 const jestGlobals = {
@@ -59,6 +59,12 @@ describe('Shared Utilities', () => {
       expect(formatCurrency(0, 'USD')).toBe('$0.00');
       expect(formatCurrency(-500, 'USD')).toBe('-$500.00');
     });
+
+    it('should format amounts in the currency they are given in', () => {
+      expect(formatCurrency(1234.5, 'EUR')).toBe('€1,234.50');
+      expect(formatCurrency(1500, 'JPY')).toBe('¥1,500');
+      expect(formatCurrency(1500, 'dollars')).toBe('1500.00 dollars');
+    });
   });
 
   describe('formatRelativeTime', () => {
@@ -0,0 +1,59 @@
+import { buildAwardNotices, renderTemplate } from '../utils/awardNotices.js';
+
+describe('award notices', () => {
+  const rfx = {
+    id: 'rfx-1',
+    title: 'Fleet maintenance',
+    lots: [
+      { id: 'lot-a', name: 'Light vehicles' },
+      { id: 'lot-b', name: 'Heavy vehicles' },
+    ],
+  };
+  const award = {
+    id: 'award-1',
+    awarded_at: '2026-03-02T15:00:00.000Z',
+    justification: 'Best value',
+    total_amount: 1500,
+    winners: [
+      { response_id: 'r1', responder_id: 'v1', lot_id: 'lot-a', amount: 1000 },
+      { response_id: 'r1', responder_id: 'v1', lot_id: 'lot-b', amount: 500 },
+    ],
+  };
+  const responses = [
+    { id: 'r1', responder_id: 'v1' },
+    { id: 'r2', responder_id: 'v2' },
+  ];
+
+  test('renders placeholders and blanks unknown ones', () => {
+    expect(renderTemplate('Hi {{ vendor_name }}{{missing}}!', { vendor_name: 'Acme' })).toBe('Hi Acme!');
+  });
+
+  test('sends an award notice to winners and an unsuccessful notice to everyone else', () => {
+    const notices = buildAwardNotices({
+      rfx,
+      award,
+      responses,
+      vendorNames: { v1: 'Acme Fleet', v2: 'Beta Motors' },
+      debriefDeadline: '2026-03-05T15:00:00.000Z',
+    });
+
+    expect(notices.map((notice) => [notice.vendor_id, notice.type])).toEqual([
+      ['v1', 'award'],
+      ['v2', 'unsuccessful'],
+    ]);
+    expect(notices[0].body).toContain('Light vehicles (1,000.00); Heavy vehicles (500.00)');
+    expect(notices[1].body).toContain('Awarded to: Acme Fleet');
+    expect(notices[1].body).toContain('until 2026-03-05');
+  });
+
+  test('lets the buyer override a template', () => {
+    const [, unsuccessful] = buildAwardNotices({
+      rfx,
+      award,
+      responses,
+      templates: { unsuccessful: { subject: 'Result for {{rfx_title}}' } },
+    });
+    expect(unsuccessful.subject).toBe('Result for Fleet maintenance');
+    expect(unsuccessful.body).toContain('Dear Offeror');
+  });
+});
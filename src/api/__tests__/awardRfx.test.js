@@ -0,0 +1,104 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { awardRfxHandler } from '../rfx/awardRfx.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+const owner = { id: 'owner-1' };
+
+const seed = (rfx = {}) =>
+  createSupabaseMock({
+    rfx_opportunities: [
+      {
+        id: 'rfx-1',
+        title: 'Fleet maintenance',
+        created_by: owner.id,
+        status: 'evaluating',
+        award_id: null,
+        budget_currency: 'USD',
+        ...rfx,
+      },
+    ],
+    rfx_responses: [
+      { id: 'resp-1', rfx_id: 'rfx-1', responder_id: 'vendor-1', status: 'submitted', bid_amount: 90000 },
+      { id: 'resp-2', rfx_id: 'rfx-1', responder_id: 'vendor-2', status: 'revised', bid_amount: 95000 },
+    ],
+    profiles: [
+      { id: 'vendor-1', company_name: 'Acme Fleet' },
+      { id: 'vendor-2', company_name: 'Beta Motors' },
+    ],
+  });
+
+const award = async (body = {}) => {
+  const res = createMockResponse();
+  await awardRfxHandler(
+    {
+      params: { rfxId: 'rfx-1' },
+      user: owner,
+      body: { awards: [{ response_id: 'resp-1' }], justification: 'Lowest price, technically acceptable', ...body },
+    },
+    res,
+  );
+  return res;
+};
+
+const statuses = () => Object.fromEntries(mockSupabase.tables.rfx_responses.map((row) => [row.id, row.status]));
+
+describe('awardRfxHandler', () => {
+  beforeEach(() => {
+    mockSupabase = seed();
+  });
+
+  test('records the award, marks responses and links the award to the RFx', async () => {
+    const res = await award();
+
+    expect(res.statusCode).toBe(201);
+    const [rfx] = mockSupabase.tables.rfx_opportunities;
+    expect(rfx).toMatchObject({ status: 'awarded', award_id: res.body.award.id });
+    expect(res.body.award).toMatchObject({ total_amount: 90000, currency: 'USD' });
+    expect(statuses()).toEqual({ 'resp-1': 'awarded', 'resp-2': 'not_selected' });
+    expect(res.body.notices).toHaveLength(2);
+  });
+
+  test('lets only one of two concurrent awards through', async () => {
+    const [first, second] = await Promise.all([award(), award({ awards: [{ response_id: 'resp-2' }] })]);
+
+    expect([first.statusCode, second.statusCode].sort()).toEqual([201, 409]);
+    expect(mockSupabase.tables.rfx_awards).toHaveLength(1);
+    expect(mockSupabase.tables.rfx_opportunities[0].award_id).toBe(mockSupabase.tables.rfx_awards[0].id);
+  });
+
+  test('refuses an RFx that is no longer being evaluated', async () => {
+    mockSupabase = seed({ status: 'awarded', award_id: 'award-0' });
+
+    const res = await award();
+
+    expect(res.statusCode).toBe(409);
+    expect(mockSupabase.tables.rfx_awards).toBeUndefined();
+  });
+
+  test('rolls everything back when marking the responses fails', async () => {
+    mockSupabase.failNext('rfx_responses', 'update');
+
+    const res = await award();
+
+    expect(res.statusCode).toBe(400);
+    expect(mockSupabase.tables.rfx_opportunities[0]).toMatchObject({ status: 'evaluating', award_id: null });
+    expect(mockSupabase.tables.rfx_awards).toEqual([]);
+    expect(statuses()).toEqual({ 'resp-1': 'submitted', 'resp-2': 'revised' });
+    expect(mockSupabase.tables.rfx_award_notices).toBeUndefined();
+  });
+
+  test('releases the RFx when the award row cannot be written', async () => {
+    mockSupabase.failNext('rfx_awards', 'insert');
+
+    const res = await award();
+
+    expect(res.statusCode).toBe(400);
+    expect(mockSupabase.tables.rfx_opportunities[0].status).toBe('evaluating');
+    expect(statuses()).toEqual({ 'resp-1': 'submitted', 'resp-2': 'revised' });
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  buildComplianceMatrix,
+  extractRequirements,
+  isMatrixStale,
+  mapResponseToMatrix,
+  numberRequirements,
+} from '../utils/complianceMatrix.js';
+
+const REQUIREMENTS = `Scope of work
+3.1 The contractor shall provide janitorial services
+for all office floors. Background information follows.
+3.2 All staff must pass a background check.
+- Invoices will be submitted monthly; payment terms are net 30.
+- The contractor shall provide janitorial services for all office floors.`;
+
+describe('compliance matrix', () => {
+  test('extracts numbered requirement statements with their source references', () => {
+    const requirements = extractRequirements(REQUIREMENTS);
+
+    expect(requirements).toEqual([
+      {
+        id: 'REQ-001',
+        number: 1,
+        reference: '3.1',
+        text: 'The contractor shall provide janitorial services for all office floors.',
+        keyword: 'shall',
+      },
+      {
+        id: 'REQ-002',
+        number: 2,
+        reference: '3.2',
+        text: 'All staff must pass a background check.',
+        keyword: 'must',
+      },
+      {
+        id: 'REQ-003',
+        number: 3,
+        reference: null,
+        text: 'Invoices will be submitted monthly; payment terms are net 30.',
+        keyword: 'will',
+      },
+    ]);
+    expect(extractRequirements('No obligations here.')).toEqual([]);
+    expect(extractRequirements(null)).toEqual([]);
+  });
+
+  test('renumbers edited statements and rejects empty ones', () => {
+    expect(numberRequirements([{ text: 'Vendor must be insured.' }, { text: 'Reports are due weekly.' }])).toEqual([
+      { id: 'REQ-001', number: 1, reference: null, text: 'Vendor must be insured.', keyword: 'must' },
+      { id: 'REQ-002', number: 2, reference: null, text: 'Reports are due weekly.', keyword: null },
+    ]);
+    expect(numberRequirements([{ text: '  ' }])).toBeNull();
+  });
+
+  test('flags a matrix generated from older requirements text', () => {
+    const matrix = buildComplianceMatrix('The vendor shall deliver.', []);
+    expect(isMatrixStale({ requirements: 'The vendor shall deliver.', compliance_matrix: matrix })).toBe(false);
+    expect(isMatrixStale({ requirements: 'The vendor shall deliver twice.', compliance_matrix: matrix })).toBe(true);
+    expect(isMatrixStale({ requirements: 'Anything' })).toBe(false);
+  });
+
+  test('maps a response onto the matrix by citation and term coverage', () => {
+    const requirements = extractRequirements(REQUIREMENTS);
+    const { requirements: rows, summary } = mapResponseToMatrix(
+      requirements,
+      'Our crews provide janitorial services on every office floor. See 3.2 for our screening policy.',
+    );
+
+    expect(rows.map((row) => [row.requirement_id, row.status])).toEqual([
+      ['REQ-001', 'addressed'],
+      ['REQ-002', 'addressed'],
+      ['REQ-003', 'not_addressed'],
+    ]);
+    expect(rows[1].cited).toBe(true);
+    expect(rows[2].missing_terms).toEqual(expect.arrayContaining(['invoic', 'monthly']));
+    expect(summary).toEqual({ addressed: 2, partial: 0, not_addressed: 1, total: 3, coverage: 0.67 });
+  });
+
+  test('does not treat a longer section number as a citation', () => {
+    const [requirement] = numberRequirements([{ reference: '3.1', text: 'Staff shall wear badges.' }]);
+    expect(mapResponseToMatrix([requirement], 'Covered in section 3.12 and 13.1.').requirements[0].cited).toBe(false);
+  });
+});
@@ -0,0 +1,263 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import {
+  buildBurnDown,
+  buildContractsFromAward,
+  checkInvoice,
+  checkMilestoneAcceptance,
+  describeInvoiceTransition,
+  normalizeDeliverables,
+  normalizeMilestones,
+} from '../utils/contracts.js';
+import { reviewInvoiceHandler, submitInvoiceHandler } from '../contracts/invoices.js';
+import { reviewDeliverableHandler, submitDeliverableHandler } from '../contracts/deliverables.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+const rfx = { id: 'rfx-1', title: 'Grounds maintenance', created_by: 'buyer-1' };
+
+const contract = {
+  id: 'contract-1',
+  status: 'active',
+  award_amount: 1000,
+  milestones: [
+    { id: 'm1', name: 'Mobilisation', due_date: '2026-01-31', amount: 400, status: 'accepted' },
+    { id: 'm2', name: 'Handover', due_date: '2026-03-31', amount: 600, status: 'pending' },
+  ],
+  deliverables: [
+    { id: 'd1', name: 'Site plan', milestone_id: 'm2', due_date: '2026-03-01', status: 'accepted' },
+    { id: 'd2', name: 'Final report', milestone_id: 'm2', due_date: '2026-03-31', status: 'submitted' },
+  ],
+};
+
+describe('contract management', () => {
+  test('creates one contract per winning vendor', () => {
+    const award = {
+      id: 'award-1',
+      winners: [
+        { response_id: 'r1', responder_id: 'v1', lot_id: 'lot-a', amount: 300 },
+        { response_id: 'r1', responder_id: 'v1', lot_id: 'lot-b', amount: 200.5 },
+        { response_id: 'r2', responder_id: 'v2', lot_id: 'lot-c', amount: 100 },
+      ],
+    };
+
+    const contracts = buildContractsFromAward(rfx, award);
+
+    expect(contracts).toHaveLength(2);
+    expect(contracts[0]).toMatchObject({
+      rfx_id: 'rfx-1',
+      award_id: 'award-1',
+      vendor_id: 'v1',
+      buyer_id: 'buyer-1',
+      lot_ids: ['lot-a', 'lot-b'],
+      award_amount: 500.5,
+      status: 'active',
+    });
+    expect(contracts[1].award_amount).toBe(100);
+  });
+
+  test('keeps milestone statuses and protects accepted milestones', () => {
+    const { milestones, error } = normalizeMilestones(
+      [
+        { id: 'm1', name: 'Mobilisation', due_date: '2026-01-31', amount: 400, status: 'pending' },
+        { name: 'Extra visit', due_date: '2026-02-15', amount: 100, status: 'accepted' },
+      ],
+      { existing: contract.milestones, awardAmount: 1000 },
+    );
+
+    expect(error).toBeNull();
+    expect(milestones[0]).toMatchObject({ id: 'm1', status: 'accepted' });
+    expect(milestones[1].id).toEqual(expect.any(String));
+    expect(milestones[1].status).toBe('pending');
+
+    expect(
+      normalizeMilestones([{ id: 'm1', name: 'Mobilisation', due_date: '2026-01-31', amount: 450 }], {
+        existing: contract.milestones,
+        awardAmount: 1000,
+      }).error,
+    ).toMatch(/accepted; its amount can no longer change/);
+    expect(normalizeMilestones([], { existing: contract.milestones, awardAmount: 1000 }).error).toBe(
+      'Milestone "Mobilisation" has been accepted and cannot be removed',
+    );
+    expect(
+      normalizeMilestones([{ name: 'All', due_date: '2026-01-31', amount: 1200 }], { awardAmount: 1000 }).error,
+    ).toBe('Milestones total 1200, more than the award amount of 1000');
+    expect(normalizeMilestones([{ name: 'All', due_date: 'soon', amount: 1 }], { awardAmount: 1000 }).error).toBe(
+      'milestones[0].due_date must be a valid date',
+    );
+  });
+
+  test('ties deliverables to known milestones', () => {
+    const { deliverables, error } = normalizeDeliverables(
+      [{ id: 'd1', name: 'Site plan', milestone_id: 'm2', due_date: '2026-03-01' }],
+      { existing: contract.deliverables.slice(0, 1), milestones: contract.milestones },
+    );
+
+    expect(error).toBeNull();
+    expect(deliverables[0].status).toBe('accepted');
+    expect(
+      normalizeDeliverables([{ name: 'Report', milestone_id: 'm9', due_date: '2026-03-01' }], {
+        milestones: contract.milestones,
+      }).error,
+    ).toBe('deliverables[0].milestone_id does not match a milestone');
+  });
+
+  test('accepts a milestone only once its deliverables are accepted', () => {
+    expect(checkMilestoneAcceptance(contract, 'm2')).toEqual({
+      status: 409,
+      error: 'Accept its deliverables first: Final report',
+    });
+    expect(checkMilestoneAcceptance(contract, 'm1').error).toBe('This milestone has already been accepted');
+    expect(checkMilestoneAcceptance(contract, 'm9').status).toBe(404);
+
+    const delivered = {
+      ...contract,
+      deliverables: contract.deliverables.map((deliverable) => ({ ...deliverable, status: 'accepted' })),
+    };
+    expect(checkMilestoneAcceptance(delivered, 'm2')).toEqual({ error: null });
+  });
+
+  test('limits invoices to what is left on an accepted milestone', () => {
+    const invoices = [
+      { milestone_id: 'm1', amount: 150, status: 'approved' },
+      { milestone_id: 'm1', amount: 250, status: 'rejected' },
+    ];
+
+    expect(checkInvoice(contract, invoices, { milestone_id: 'm1', amount: 250 })).toEqual({ error: null });
+    expect(checkInvoice(contract, invoices, { milestone_id: 'm1', amount: 260 }).error).toBe(
+      'Only 250 is left to invoice on milestone "Mobilisation"',
+    );
+    expect(checkInvoice(contract, invoices, { milestone_id: 'm2', amount: 100 }).status).toBe(409);
+    expect(checkInvoice(contract, invoices, { milestone_id: 'm1', amount: 0 }).status).toBe(400);
+    expect(checkInvoice({ ...contract, status: 'terminated' }, invoices, { milestone_id: 'm1', amount: 10 })).toEqual({
+      status: 409,
+      error: 'This contract is terminated',
+    });
+  });
+
+  test('moves invoices through review', () => {
+    expect(describeInvoiceTransition({ status: 'submitted' }, 'approved')).toBeNull();
+    expect(describeInvoiceTransition({ status: 'approved' }, 'paid')).toBeNull();
+    expect(describeInvoiceTransition({ status: 'submitted' }, 'paid')).toBe(
+      'A submitted invoice cannot be marked paid',
+    );
+    expect(describeInvoiceTransition({ status: 'rejected' }, 'approved')).toMatch(/rejected invoice/);
+  });
+
+  test('burns down approved spend against the award amount', () => {
+    const burnDown = buildBurnDown(contract, [
+      { milestone_id: 'm1', amount: 150, status: 'paid', approved_at: '2026-02-01T09:00:00Z' },
+      { milestone_id: 'm1', amount: 100, status: 'approved', approved_at: '2026-02-01T15:00:00Z' },
+      { milestone_id: 'm1', amount: 50, status: 'submitted' },
+      { milestone_id: 'm1', amount: 80, status: 'rejected' },
+    ]);
+
+    expect(burnDown).toMatchObject({
+      award_amount: 1000,
+      invoiced: 300,
+      approved: 250,
+      paid: 150,
+      remaining: 750,
+      available_to_invoice: 700,
+      percent_spent: 25,
+    });
+    expect(burnDown.series).toEqual([{ date: '2026-02-01', spent: 250, remaining: 750 }]);
+    expect(burnDown.planned).toEqual([
+      { date: '2026-01-31', milestone_id: 'm1', remaining: 600 },
+      { date: '2026-03-31', milestone_id: 'm2', remaining: 0 },
+    ]);
+  });
+
+  test('lets only one of two concurrent reviews of an invoice through', async () => {
+    mockSupabase = createSupabaseMock({
+      contracts: [{ ...contract, buyer_id: 'buyer-1', vendor_id: 'vendor-1' }],
+      contract_invoices: [
+        {
+          id: 'inv-1',
+          contract_id: 'contract-1',
+          milestone_id: 'm1',
+          amount: 100,
+          status: 'submitted',
+          created_at: '1',
+        },
+      ],
+    });
+    const review = async (body, user = { id: 'buyer-1' }) => {
+      const res = createMockResponse();
+      await reviewInvoiceHandler({ params: { contractId: 'contract-1', invoiceId: 'inv-1' }, user, body }, res);
+      return res;
+    };
+
+    const [approved, rejected] = await Promise.all([
+      review({ decision: 'approved' }),
+      review({ decision: 'rejected', comments: 'Missing timesheets' }),
+    ]);
+
+    expect([approved.statusCode, rejected.statusCode]).toEqual([200, 409]);
+    expect(approved.body.burn_down.approved).toBe(100);
+    expect(mockSupabase.tables.contract_invoices[0]).toMatchObject({ status: 'approved', review_comments: null });
+    expect((await review({ decision: 'paid' }, { id: 'vendor-1' })).statusCode).toBe(403);
+  });
+
+  test('keeps two concurrent invoices from together over-billing a milestone', async () => {
+    mockSupabase = createSupabaseMock({
+      contracts: [{ ...contract, buyer_id: 'buyer-1', vendor_id: 'vendor-1' }],
+      contract_invoices: [],
+    });
+    const submit = async (amount) => {
+      const res = createMockResponse();
+      await submitInvoiceHandler(
+        { params: { contractId: 'contract-1' }, user: { id: 'vendor-1' }, body: { milestone_id: 'm1', amount } },
+        res,
+      );
+      return res;
+    };
+
+    const [first, second] = await Promise.all([submit(300), submit(250)]);
+
+    expect([first.statusCode, second.statusCode]).toEqual([201, 409]);
+    expect(second.body.error).toBe('Only 100 is left to invoice on milestone "Mobilisation"');
+    expect(mockSupabase.tables.contract_invoices).toEqual([expect.objectContaining({ amount: 300 })]);
+    expect(first.body.burn_down.invoiced).toBe(300);
+  });
+
+  test('refuses a deliverable change made against a contract someone else just saved', async () => {
+    mockSupabase = createSupabaseMock({
+      contracts: [
+        {
+          ...contract,
+          buyer_id: 'buyer-1',
+          vendor_id: 'vendor-1',
+          updated_at: '2026-02-01T00:00:00.000Z',
+          deliverables: [
+            { id: 'd1', name: 'Site plan', milestone_id: 'm2', due_date: '2099-03-01', status: 'pending' },
+            contract.deliverables[1],
+          ],
+        },
+      ],
+    });
+    const call = async (handler, user, deliverableId, body) => {
+      const res = createMockResponse();
+      await handler({ params: { contractId: 'contract-1', deliverableId }, user, body }, res);
+      return res;
+    };
+
+    const [submitted, reviewed] = await Promise.all([
+      call(submitDeliverableHandler, { id: 'vendor-1' }, 'd1', { notes: 'Attached' }),
+      call(reviewDeliverableHandler, { id: 'buyer-1' }, 'd2', { decision: 'accepted' }),
+    ]);
+
+    expect([submitted.statusCode, reviewed.statusCode]).toEqual([200, 409]);
+    expect(mockSupabase.tables.contracts[0].deliverables.map((entry) => entry.status)).toEqual([
+      'submitted',
+      'submitted',
+    ]);
+
+    const retried = await call(reviewDeliverableHandler, { id: 'buyer-1' }, 'd2', { decision: 'accepted' });
+    expect(retried.statusCode).toBe(200);
+    expect(retried.body.contract.deliverables.map((entry) => entry.status)).toEqual(['submitted', 'accepted']);
+  });
+});
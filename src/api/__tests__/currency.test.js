@@ -0,0 +1,100 @@
+import {
+  applyBidCurrency,
+  convertAmount,
+  formatBudgetRange,
+  normalizeBudget,
+  parseBudgetRange,
+} from '../utils/currency.js';
+import { extractBudgetBounds, parseSearchParams, searchRfx } from '../utils/rfxSearch.js';
+
+const rates = { USD: 1, EUR: 1.1, GBP: 1.25 };
+
+describe('budgets and currencies', () => {
+  test('parses free-text budgets into structured bounds', () => {
+    expect(parseBudgetRange('$50k-$100k')).toEqual({ budget_min: 50000, budget_max: 100000, budget_currency: 'USD' });
+    expect(parseBudgetRange('EUR 1.2M', { rates })).toEqual({
+      budget_min: 1200000,
+      budget_max: 1200000,
+      budget_currency: 'EUR',
+    });
+    expect(parseBudgetRange('Up to £250,000', { rates })).toEqual({
+      budget_min: null,
+      budget_max: 250000,
+      budget_currency: 'GBP',
+    });
+    expect(parseBudgetRange('$75k+').budget_max).toBeNull();
+    expect(parseBudgetRange('TBD', { currency: 'EUR', rates })).toEqual({
+      budget_min: null,
+      budget_max: null,
+      budget_currency: 'EUR',
+    });
+  });
+
+  test('prefers structured bounds and labels them', () => {
+    expect(normalizeBudget({ budget_min: 1000, budget_max: 5000, budget_currency: 'eur' }, { rates })).toEqual({
+      value: { budget_min: 1000, budget_max: 5000, budget_currency: 'EUR', budget_range: 'EUR 1,000 – 5,000' },
+      error: null,
+    });
+    expect(normalizeBudget({ budget_range: '€10k-€20k' }, { rates }).value).toMatchObject({
+      budget_min: 10000,
+      budget_max: 20000,
+      budget_currency: 'EUR',
+      budget_range: '€10k-€20k',
+    });
+    expect(normalizeBudget({ budget_min: 10, budget_max: 5 }, { rates }).error).toBe(
+      'budget_min cannot exceed budget_max',
+    );
+    expect(normalizeBudget({ budget_currency: 'XYZ' }, { rates }).error).toBe(
+      'budget_currency must be one of: USD, EUR, GBP',
+    );
+    expect(formatBudgetRange({ budget_min: null, budget_max: 900, budget_currency: 'USD' })).toBe('Up to USD 900');
+  });
+
+  test('replaces parsed bounds when an update sends new text', () => {
+    const current = { budget_range: '$50k-$100k', budget_min: 50000, budget_max: 100000, budget_currency: 'USD' };
+
+    expect(normalizeBudget({ budget_range: '£5k' }, { current, rates }).value).toMatchObject({
+      budget_min: 5000,
+      budget_max: 5000,
+      budget_currency: 'GBP',
+    });
+    expect(normalizeBudget({ budget_max: 120000 }, { current, rates }).value).toEqual({
+      budget_min: 50000,
+      budget_max: 120000,
+      budget_currency: 'USD',
+      budget_range: 'USD 50,000 – 120,000',
+    });
+  });
+
+  test('converts bids into the RFx currency and keeps the quote', () => {
+    const rfx = { budget_currency: 'EUR' };
+
+    expect(convertAmount(100, 'GBP', 'USD', rates)).toBe(125);
+    expect(convertAmount(100, 'GBP', 'JPY', rates)).toBeNull();
+    expect(applyBidCurrency(rfx, { bid_amount: 1100, bid_currency: 'usd' }, rates)).toEqual({
+      error: null,
+      fields: { bid_amount: 1000, bid_currency: 'USD', quoted_amount: 1100, exchange_rate: 1 / 1.1 },
+    });
+    expect(applyBidCurrency(rfx, { bid_amount: 500 }, rates).fields).toMatchObject({
+      bid_amount: 500,
+      bid_currency: 'EUR',
+      exchange_rate: 1,
+    });
+    expect(applyBidCurrency(rfx, { bid_amount: 5, line_item_prices: [], bid_currency: 'USD' }, rates).error).toBe(
+      'Line items must be priced in the RFX currency (EUR)',
+    );
+  });
+
+  test('searches budgets across currencies', () => {
+    const rows = [
+      { id: 'usd', budget_min: 80000, budget_max: 90000, budget_currency: 'USD', created_at: '2026-01-01' },
+      { id: 'eur', budget_min: 100000, budget_max: 100000, budget_currency: 'EUR', created_at: '2026-01-02' },
+    ];
+
+    expect(extractBudgetBounds(rows[1], { currency: 'USD', rates })).toEqual({ min: 110000, max: 110000 });
+    expect(searchRfx(rows, parseSearchParams({ budget_min: '95000' })).items.map((rfx) => rfx.id)).toEqual(['eur']);
+    expect(
+      searchRfx(rows, parseSearchParams({ budget_max: '85000', currency: 'eur' })).items.map((rfx) => rfx.id),
+    ).toEqual(['usd']);
+  });
+});
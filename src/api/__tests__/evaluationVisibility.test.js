@@ -0,0 +1,96 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { evaluateResponsesHandler, getEvaluationSummaryHandler } from '../rfx/evaluateResponses.js';
+import { compareResponsesHandler } from '../rfx/compareResponses.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+const owner = { id: 'owner-1' };
+const evaluatorA = { id: 'eval-a' };
+
+const criteria = [{ id: 'tech', name: 'Technical', weight: 100, max_score: 10 }];
+
+const sheet = (evaluatorId, score) => ({
+  id: `sheet-${evaluatorId}`,
+  rfx_id: 'rfx-1',
+  response_id: 'resp-1',
+  evaluator_id: evaluatorId,
+  scores: [{ criterion_id: 'tech', score, rationale: 'Meets the requirement' }],
+  submitted_at: '2026-06-01T00:00:00Z',
+});
+
+const seed = (status) =>
+  createSupabaseMock({
+    rfx_opportunities: [
+      { id: 'rfx-1', created_by: owner.id, status, visibility: 'public', evaluation_criteria: criteria },
+    ],
+    rfx_responses: [{ id: 'resp-1', rfx_id: 'rfx-1', responder_id: 'vendor-1', status: 'submitted' }],
+    rfx_evaluators: ['eval-a', 'eval-b'].map((id) => ({
+      id: `assignment-${id}`,
+      rfx_id: 'rfx-1',
+      evaluator_id: id,
+      coi_declared_at: '2026-05-30T00:00:00Z',
+      coi_vendor_ids: ['vendor-1'],
+    })),
+    rfx_evaluation_scores: [sheet('eval-a', 8), sheet('eval-b', 4)],
+  });
+
+const call = async (handler, user) => {
+  const res = createMockResponse();
+  await handler({ params: { rfxId: 'rfx-1' }, user, query: {} }, res);
+  return res;
+};
+
+describe('evaluation visibility', () => {
+  test('an evaluator only sees their own scores while the RFx is evaluating', async () => {
+    mockSupabase = seed('evaluating');
+
+    const res = await call(getEvaluationSummaryHandler, evaluatorA);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.scores_scope).toBe('own');
+    const [evaluation] = res.body.responses.map((response) => response.evaluation);
+    expect(evaluation).toMatchObject({ evaluator_count: 1, consensus_score: 80, spread: 0 });
+    expect(evaluation.evaluators.map((entry) => entry.evaluator_id)).toEqual(['eval-a']);
+  });
+
+  test('the comparison criteria cells are limited the same way', async () => {
+    mockSupabase = seed('evaluating');
+
+    const res = await call(compareResponsesHandler, evaluatorA);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.scores_scope).toBe('own');
+    expect(res.body.criteria[0].cells).toEqual([{ mean_score: 8, spread: 0, missing: false }]);
+  });
+
+  test('the owner sees every evaluator, and evaluators do once evaluation is over', async () => {
+    mockSupabase = seed('evaluating');
+    const ownerView = await call(getEvaluationSummaryHandler, owner);
+    expect(ownerView.body.scores_scope).toBe('all');
+    expect(ownerView.body.responses[0].evaluation).toMatchObject({ evaluator_count: 2, consensus_score: 60 });
+
+    mockSupabase = seed('awarded');
+    const evaluatorView = await call(getEvaluationSummaryHandler, evaluatorA);
+    expect(evaluatorView.body.scores_scope).toBe('all');
+    expect(evaluatorView.body.responses[0].evaluation.evaluator_count).toBe(2);
+  });
+
+  test('consolidation reports a failed score or finalize write instead of claiming scoring is final', async () => {
+    mockSupabase = seed('evaluating');
+    mockSupabase.failNext('rfx_responses', 'update');
+    const scoreFailure = await call(evaluateResponsesHandler, owner);
+    expect(scoreFailure.statusCode).toBe(400);
+    expect(mockSupabase.tables.rfx_opportunities[0].evaluation_finalized_at).toBeUndefined();
+
+    mockSupabase = seed('evaluating');
+    mockSupabase.failNext('rfx_opportunities', 'update');
+    const finalizeFailure = await call(evaluateResponsesHandler, owner);
+    expect(finalizeFailure.statusCode).toBe(400);
+    expect(finalizeFailure.body.error).toBe('Failed to finalize evaluation');
+    expect(mockSupabase.tables.rfx_opportunities[0].evaluation_finalized_at).toBeUndefined();
+  });
+});
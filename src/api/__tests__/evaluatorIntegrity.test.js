@@ -0,0 +1,75 @@
+import { describeCoiStatus, excludeRecusedResponses, normalizeCoiDeclaration } from '../utils/conflictOfInterest.js';
+import { blindEvaluationSummary, blindProfile, isBlindFor, offerorLabel } from '../utils/blindEvaluation.js';
+
+describe('evaluator integrity', () => {
+  test('validates conflict-of-interest declarations against the responding vendors', () => {
+    const { declaration } = normalizeCoiDeclaration(
+      { attest: true, signature: ' Pat Lee ', conflicts: [{ vendor_id: 'v2', description: ' Former employer ' }] },
+      ['v1', 'v2'],
+    );
+    expect(declaration).toMatchObject({
+      coi_signature: 'Pat Lee',
+      coi_conflicts: [{ vendor_id: 'v2', description: 'Former employer' }],
+      coi_vendor_ids: ['v1', 'v2'],
+    });
+
+    expect(normalizeCoiDeclaration({ signature: 'Pat' }, []).error).toMatch(/attest/);
+    expect(
+      normalizeCoiDeclaration({ attest: true, signature: 'Pat', conflicts: [{ vendor_id: 'v9' }] }, ['v1']).error,
+    ).toMatch(/responding vendors/);
+  });
+
+  test('requires a new declaration once another vendor responds', () => {
+    const evaluator = {
+      coi_declared_at: '2030-01-01T00:00:00Z',
+      coi_vendor_ids: ['v1', 'v2'],
+      coi_conflicts: [{ vendor_id: 'v2' }],
+    };
+    expect(describeCoiStatus(evaluator, ['v1', 'v2'])).toMatchObject({ declared: true, conflicted_vendor_ids: ['v2'] });
+    expect(describeCoiStatus(evaluator, ['v1', 'v2', 'v3'])).toMatchObject({
+      declared: false,
+      missing_vendor_ids: ['v3'],
+    });
+    expect(describeCoiStatus(null, [])).toMatchObject({ declared: false });
+  });
+
+  test('removes recused vendors and masks offerors until scoring is finalized', () => {
+    const summary = {
+      responses: [
+        { id: 'r1', responder_id: 'v1', evaluation: { responder_id: 'v1' } },
+        { id: 'r2', responder_id: 'v2' },
+      ],
+      lots: [
+        {
+          lot_id: 'lot-1',
+          bid_count: 2,
+          bids: [
+            { response_id: 'r1', responder_id: 'v1' },
+            { response_id: 'r2', responder_id: 'v2' },
+          ],
+        },
+      ],
+    };
+
+    const visible = excludeRecusedResponses(summary, new Set(['v2']));
+    expect(visible.responses.map((response) => response.id)).toEqual(['r1']);
+    expect(visible.lots[0]).toMatchObject({ bid_count: 1 });
+
+    const blinded = blindEvaluationSummary(visible);
+    expect(blinded.responses[0]).toMatchObject({
+      responder_id: null,
+      offeror_label: offerorLabel('r1'),
+      evaluation: { responder_id: null },
+    });
+    expect(blinded.lots[0].bids[0]).toMatchObject({ responder_id: null, offeror_label: offerorLabel('r1') });
+    expect(offerorLabel('r1')).toMatch(/^Offeror [0-9A-F]{6}$/);
+    expect(blindProfile({ company_name: 'Acme', uei_number: 'X1', naics_codes: ['561720'] })).toEqual({
+      naics_codes: ['561720'],
+    });
+
+    const rfx = { created_by: 'owner', blind_evaluation: true };
+    expect(isBlindFor(rfx, { id: 'evaluator' })).toBe(true);
+    expect(isBlindFor(rfx, { id: 'owner' })).toBe(false);
+    expect(isBlindFor({ ...rfx, evaluation_finalized_at: '2030-02-01T00:00:00Z' }, { id: 'evaluator' })).toBe(false);
+  });
+});
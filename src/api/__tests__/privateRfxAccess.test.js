@@ -0,0 +1,85 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { getRfxAmendmentsHandler, getRfxAmendmentDiffHandler } from '../rfx/getRfxAmendments.js';
+import { getRfxAwardHandler } from '../rfx/awardRfx.js';
+import { getComplianceMatrixHandler } from '../rfx/complianceMatrix.js';
+import { requestDeadlineExceptionHandler } from '../rfx/deadlineExceptions.js';
+import { requestDebriefHandler } from '../rfx/debriefs.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+jest.mock('../utils/openaiClient.js', () => ({
+  getOpenAiClient: () => null,
+}));
+
+const owner = { id: 'owner-1' };
+const invitee = { id: 'vendor-1', email: 'vendor@example.com' };
+const outsider = { id: 'vendor-2', email: 'other@example.com' };
+
+const seed = () =>
+  createSupabaseMock({
+    rfx_opportunities: [
+      {
+        id: 'rfx-1',
+        title: 'Private survey work',
+        visibility: 'private',
+        created_by: owner.id,
+        status: 'published',
+        version: 1,
+        award_id: 'award-1',
+        compliance_matrix: { requirements: [] },
+      },
+    ],
+    rfx_invitations: [{ id: 'inv-1', rfx_id: 'rfx-1', vendor_id: invitee.id, status: 'sent' }],
+    rfx_amendments: [{ id: 'amend-1', rfx_id: 'rfx-1', version: 1, snapshot: { title: 'Survey work' } }],
+    rfx_awards: [{ id: 'award-1', rfx_id: 'rfx-1', justification: 'Best value', awarded_at: '2026-05-01T00:00:00Z' }],
+  });
+
+const call = async (handler, user, { body = {}, query = {} } = {}) => {
+  const res = createMockResponse();
+  await handler({ params: { rfxId: 'rfx-1' }, user, body, query }, res);
+  return res;
+};
+
+describe('private RFx access', () => {
+  beforeEach(() => {
+    mockSupabase = seed();
+  });
+
+  test.each([
+    ['amendments', getRfxAmendmentsHandler],
+    ['amendment diff', getRfxAmendmentDiffHandler],
+    ['award', getRfxAwardHandler],
+    ['compliance matrix', getComplianceMatrixHandler],
+  ])('hides the %s from vendors who were not invited', async (_label, handler) => {
+    const res = await call(handler, outsider);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ error: 'RFX not found' });
+  });
+
+  test('refuses deadline exceptions and debriefs from vendors who were not invited', async () => {
+    const exception = await call(requestDeadlineExceptionHandler, outsider, { body: { reason: 'Courier delay' } });
+    const debrief = await call(requestDebriefHandler, outsider, { body: { questions: 'Why?' } });
+
+    expect(exception.statusCode).toBe(404);
+    expect(debrief.statusCode).toBe(404);
+    expect(mockSupabase.tables.rfx_deadline_exceptions).toBeUndefined();
+  });
+
+  test('lets invited vendors and the owner in', async () => {
+    const amendments = await call(getRfxAmendmentsHandler, invitee);
+    expect(amendments.statusCode).toBe(200);
+    expect(amendments.body.amendments).toHaveLength(1);
+
+    const exception = await call(requestDeadlineExceptionHandler, invitee, { body: { reason: 'Courier delay' } });
+    expect(exception.statusCode).toBe(201);
+
+    const award = await call(getRfxAwardHandler, owner);
+    expect(award.statusCode).toBe(200);
+    expect(award.body.award.justification).toBe('Best value');
+  });
+});
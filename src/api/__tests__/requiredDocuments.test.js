@@ -0,0 +1,67 @@
+import {
+  buildCompletenessReport,
+  normalizeRequiredDocuments,
+  normalizeResponseAttachments,
+} from '../utils/requiredDocuments.js';
+import { checkRequiredDocuments } from '../utils/responseSubmission.js';
+
+const { documents } = normalizeRequiredDocuments([
+  { id: 'w9', name: 'W-9', allowed_file_types: ['.PDF'] },
+  { id: 'bond', name: 'Bid bond', mandatory: false },
+  { id: 'approach', name: 'Technical approach', type: 'section' },
+]);
+
+describe('required documents', () => {
+  test('normalizes document types and allowed file types', () => {
+    expect(documents[0]).toEqual({
+      id: 'w9',
+      name: 'W-9',
+      description: null,
+      type: 'file',
+      mandatory: true,
+      allowed_file_types: ['pdf'],
+    });
+    expect(documents[2].allowed_file_types).toEqual([]);
+    expect(normalizeRequiredDocuments([{ name: 'Form', type: 'video' }]).error).toMatch(/type must be one of/);
+    expect(normalizeRequiredDocuments([{ name: 'Form', allowed_file_types: 'pdf' }]).error).toMatch(
+      /allowed_file_types/,
+    );
+  });
+
+  test('checks attachments against the document they fulfil', () => {
+    expect(
+      normalizeResponseAttachments([{ name: 'w9.docx', path: 'v/w9.docx', document_id: 'w9' }], documents).error,
+    ).toBe('attachments[0] must be a pdf file for "W-9"');
+    expect(
+      normalizeResponseAttachments([{ name: 'a.pdf', path: 'v/a.pdf', document_id: 'approach' }], documents).error,
+    ).toMatch(/does not match a required document/);
+    expect(normalizeResponseAttachments([{ name: 'w9.pdf' }], documents).error).toMatch(/path or a url/);
+    expect(normalizeResponseAttachments(undefined, documents)).toEqual({ attachments: [], error: null });
+  });
+
+  test('reports missing files and sections', () => {
+    const attachments = [{ name: 'W9.pdf', path: 'v/W9.pdf', document_id: 'w9' }];
+    const report = buildCompletenessReport(documents, {
+      content: '## Technical approach\n\nWe will staff two crews.\n\n## Pricing\n\nSee lots.',
+      attachments,
+    });
+
+    expect(report).toMatchObject({ complete: true, missing_mandatory: [], provided: 2, total: 3 });
+    expect(report.items[0]).toMatchObject({ status: 'provided', files: ['W9.pdf'] });
+    expect(report.items[1]).toMatchObject({ status: 'missing', mandatory: false });
+
+    const empty = buildCompletenessReport(documents, { content: '1. Technical approach\n2. Pricing\nSee lots.' });
+    expect(empty.complete).toBe(false);
+    expect(empty.missing_mandatory).toEqual(['W-9', 'Technical approach']);
+    expect(empty.items[2].detail).toBe('Section is empty');
+  });
+
+  test('refuses a submission missing a mandatory document', () => {
+    const result = checkRequiredDocuments({ required_documents: documents }, { content: 'Technical approach\nYes.' });
+
+    expect(result.status).toBe(400);
+    expect(result.error).toBe('Missing required documents: W-9');
+    expect(result.completeness.items[2].status).toBe('provided');
+    expect(checkRequiredDocuments({}, { content: 'Anything' })).toMatchObject({ error: null, attachments: [] });
+  });
+});
@@ -0,0 +1,89 @@
+import { buildComparison, median } from '../utils/responseComparison.js';
+
+const rfx = {
+  compliance_matrix: {
+    requirements: [{ id: 'REQ-001', reference: null, text: 'The contractor shall provide weekly reports.' }],
+  },
+  lots: [
+    {
+      id: 'lot-1',
+      name: 'North depot',
+      line_items: [{ id: 'item-1', clin: '0001', description: 'Diesel', quantity: 100, unit: 'gal' }],
+    },
+    {
+      id: 'lot-2',
+      name: 'South depot',
+      line_items: [{ id: 'item-2', description: 'Diesel', quantity: 50, unit: 'gal' }],
+    },
+  ],
+  evaluation_criteria: [{ id: 'price', name: 'Price', weight: 100, max_score: 10 }],
+};
+
+describe('response comparison', () => {
+  test('takes the median of the numeric values', () => {
+    expect(median([3, null, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+    expect(median([undefined])).toBeNull();
+  });
+
+  test('builds rows per requirement, price line and criterion with deltas and missing items', () => {
+    const comparison = buildComparison({
+      rfx,
+      responses: [
+        {
+          id: 'resp-1',
+          responder_id: 'vendor-1',
+          content: 'REQ-001: we send reports every Friday.',
+          bid_amount: 400,
+          lot_totals: [
+            { lot_id: 'lot-1', total: 200 },
+            { lot_id: 'lot-2', total: 200 },
+          ],
+          line_item_prices: [
+            { line_item_id: 'item-1', unit_price: 2 },
+            { line_item_id: 'item-2', unit_price: 4 },
+          ],
+        },
+        {
+          id: 'resp-2',
+          responder_id: 'vendor-2',
+          content: 'Fuel only.',
+          bid_amount: 300,
+          lot_totals: [{ lot_id: 'lot-1', total: 300 }],
+          line_item_prices: [{ line_item_id: 'item-1', unit_price: 3 }],
+        },
+      ],
+      evaluations: [
+        { response_id: 'resp-1', consensus_score: 80, criteria: [{ criterion_id: 'price', mean_score: 8, spread: 1 }] },
+      ],
+      profiles: new Map([['vendor-1', { company_name: 'Acme Fuel', business_type: 'small', password_hash: 'x' }]]),
+    });
+
+    expect(comparison.vendors[0]).toMatchObject({
+      response_id: 'resp-1',
+      evaluation_score: 80,
+      profile: { company_name: 'Acme Fuel', business_type: 'small' },
+    });
+    expect(comparison.vendors[0].profile).not.toHaveProperty('password_hash');
+    expect(comparison.vendors[1].profile).toBeNull();
+
+    expect(comparison.requirements[0].cells.map((cell) => cell.status)).toEqual(['addressed', 'not_addressed']);
+
+    const [bid, north] = comparison.pricing;
+    expect(bid).toMatchObject({ id: 'bid_amount', type: 'total', median: 350 });
+    expect(bid.cells[0]).toEqual({ value: 400, missing: false, delta: 50, delta_percent: 14.3 });
+    expect(north.cells[1]).toEqual({ value: 300, missing: false, delta: 50, delta_percent: 20 });
+    expect(comparison.pricing.map((row) => row.label)).toEqual([
+      'Bid amount',
+      'North depot',
+      '0001 Diesel',
+      'South depot',
+      'Diesel',
+    ]);
+
+    expect(comparison.missing).toEqual([
+      { response_id: 'resp-1', requirements: [], price_lines: [], criteria: [] },
+      { response_id: 'resp-2', requirements: ['REQ-001'], price_lines: ['lot-2', 'item-2'], criteria: ['price'] },
+    ]);
+  });
+});
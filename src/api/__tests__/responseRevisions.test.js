@@ -0,0 +1,135 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import {
+  getResponseRevisionsHandler,
+  reviseResponseHandler,
+  withdrawResponseHandler,
+} from '../rfx/responseRevisions.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+const owner = { id: 'buyer-1' };
+const vendor = { id: 'vendor-1' };
+const otherVendor = { id: 'vendor-2' };
+
+const rfx = {
+  id: 'rfx-1',
+  created_by: owner.id,
+  status: 'published',
+  visibility: 'public',
+  budget_currency: 'USD',
+  submission_deadline: '2099-07-01T17:00:00Z',
+};
+
+// Quoted in euros; the stored bid_amount is the USD figure at the rate in force when it was submitted.
+const response = {
+  id: 'resp-1',
+  rfx_id: 'rfx-1',
+  responder_id: vendor.id,
+  status: 'submitted',
+  content: 'We will clean the building daily.',
+  bid_currency: 'EUR',
+  quoted_amount: 1000,
+  bid_amount: 1050,
+  revision_count: 1,
+};
+
+const seed = (responseOverrides = {}, revisions = []) =>
+  createSupabaseMock({
+    rfx_opportunities: [rfx],
+    rfx_responses: [{ ...response, ...responseOverrides }],
+    rfx_response_revisions: revisions,
+  });
+
+const call = async (handler, user, body = {}) => {
+  const res = createMockResponse();
+  await handler({ params: { rfxId: 'rfx-1', responseId: 'resp-1' }, user, body, query: {} }, res);
+  return res;
+};
+
+describe('response revisions', () => {
+  test('only the responding vendor can revise or withdraw', async () => {
+    mockSupabase = seed();
+
+    const revised = await call(reviseResponseHandler, otherVendor, { content: 'Replaced' });
+    const withdrawn = await call(withdrawResponseHandler, owner, { reason: 'Not needed' });
+
+    expect([revised.statusCode, withdrawn.statusCode]).toEqual([403, 403]);
+    expect(mockSupabase.tables.rfx_responses[0]).toMatchObject({ status: 'submitted', content: response.content });
+    expect(mockSupabase.tables.rfx_response_revisions).toEqual([]);
+  });
+
+  test('an unchanged bid is re-priced from what the vendor quoted, not the converted amount', async () => {
+    mockSupabase = seed();
+
+    const res = await call(reviseResponseHandler, vendor, { content: 'We will clean the building twice a day.' });
+
+    expect(res.statusCode).toBe(200);
+    expect(mockSupabase.tables.rfx_responses[0]).toMatchObject({
+      content: 'We will clean the building twice a day.',
+      bid_currency: 'EUR',
+      quoted_amount: 1000,
+      bid_amount: 1080,
+    });
+  });
+
+  test('each revision bumps revision_count and is recorded as revised', async () => {
+    mockSupabase = seed();
+
+    await call(reviseResponseHandler, vendor, { content: 'Second draft' });
+    await call(reviseResponseHandler, vendor, { bid_amount: 900 });
+
+    expect(mockSupabase.tables.rfx_responses[0].revision_count).toBe(3);
+    expect(mockSupabase.tables.rfx_response_revisions.map((entry) => [entry.revision, entry.action])).toEqual([
+      [2, 'revised'],
+      [3, 'revised'],
+    ]);
+  });
+
+  test('revising a withdrawn response resubmits it', async () => {
+    mockSupabase = seed();
+
+    const withdrawn = await call(withdrawResponseHandler, vendor, { reason: 'Pricing error' });
+    expect(withdrawn.statusCode).toBe(200);
+    const resubmitted = await call(reviseResponseHandler, vendor, { bid_amount: 950 });
+
+    expect(resubmitted.statusCode).toBe(200);
+    expect(mockSupabase.tables.rfx_responses[0]).toMatchObject({ status: 'submitted', withdrawn_at: null });
+    expect(mockSupabase.tables.rfx_response_revisions.map((entry) => entry.action)).toEqual([
+      'withdrawn',
+      'resubmitted',
+    ]);
+  });
+
+  test('the buyer sees the audit trail but not the earlier content', async () => {
+    mockSupabase = seed({ revision_count: 2 }, [
+      {
+        id: 'rev-1',
+        response_id: 'resp-1',
+        rfx_id: 'rfx-1',
+        responder_id: vendor.id,
+        revision: 2,
+        action: 'revised',
+        rfx_version: 0,
+        content: 'First draft',
+        bid_amount: 1200,
+        created_at: '2026-06-01T00:00:00Z',
+      },
+    ]);
+
+    const buyerView = await call(getResponseRevisionsHandler, owner);
+    const vendorView = await call(getResponseRevisionsHandler, vendor);
+    const outsiderView = await call(getResponseRevisionsHandler, otherVendor);
+
+    expect(buyerView.body).toEqual({
+      response_id: 'resp-1',
+      revision_count: 2,
+      revisions: [{ revision: 2, action: 'revised', rfx_version: 0, created_at: '2026-06-01T00:00:00Z' }],
+    });
+    expect(vendorView.body.revisions[0]).toMatchObject({ content: 'First draft', bid_amount: 1200 });
+    expect(outsiderView.statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,143 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { buildAuctionView, getExtendedClose, validateAuctionBid, validateAuctionRfx } from '../utils/reverseAuction.js';
+import { placeAuctionBidHandler } from '../rfx/reverseAuction.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+describe('reverse auctions', () => {
+  const rfx = {
+    id: 'rfx-1',
+    rfx_type: 'reverse_auction',
+    status: 'published',
+    submission_deadline: '2026-05-01T15:00:00Z',
+    timezone: 'UTC',
+    grace_period_minutes: 0,
+    auction: {
+      starts_at: '2026-05-01T14:00:00.000Z',
+      extension_window_minutes: 2,
+      extension_minutes: 3,
+      min_decrement: 50,
+      starting_price: 10000,
+      invited_vendor_ids: ['v1', 'v2'],
+    },
+  };
+
+  test('rejects sealed auctions and a start after the close', () => {
+    expect(validateAuctionRfx(rfx).error).toBeNull();
+    expect(validateAuctionRfx({ ...rfx, sealed: true }).error).toMatch(/sealed/);
+    expect(validateAuctionRfx({ ...rfx, auction: { ...rfx.auction, starts_at: '2026-05-02' } }).error).toMatch(
+      /before submission_deadline/,
+    );
+  });
+
+  test('requires bids under the ceiling and below the previous bid by the decrement', () => {
+    expect(validateAuctionBid(rfx, undefined, 12000)).toMatch(/starting price/);
+    expect(validateAuctionBid(rfx, undefined, 9000)).toBeNull();
+    expect(validateAuctionBid(rfx, 9000, 8980)).toMatch(/at most 8950/);
+    expect(validateAuctionBid(rfx, 9000, 8950)).toBeNull();
+  });
+
+  test('extends the close for bids in the final minutes only', () => {
+    expect(getExtendedClose(rfx, new Date('2026-05-01T14:50:00Z'))).toBeNull();
+    expect(getExtendedClose(rfx, new Date('2026-05-01T14:59:00Z')).toISOString()).toBe('2026-05-01T15:02:00.000Z');
+  });
+
+  test('hides competitor identities from vendors', () => {
+    const responses = [
+      { id: 'r1', responder_id: 'v1', bid_amount: 9000, last_bid_at: '2026-05-01T14:10:00Z', created_at: '1' },
+      { id: 'r2', responder_id: 'v2', bid_amount: 9000, last_bid_at: '2026-05-01T14:05:00Z', created_at: '2' },
+    ];
+    const now = new Date('2026-05-01T14:30:00Z');
+
+    const vendorView = buildAuctionView(rfx, responses, { id: 'v1' }, { now });
+    expect(vendorView.phase).toBe('open');
+    expect(vendorView.your_rank).toBe(2);
+    expect(vendorView.standings).toEqual([
+      expect.objectContaining({ rank: 1, alias: 'Bidder 2', is_you: false }),
+      expect.objectContaining({ rank: 2, alias: 'Bidder 1', is_you: true }),
+    ]);
+    expect(JSON.stringify(vendorView)).not.toContain('v2');
+
+    const ownerView = buildAuctionView(rfx, responses, { id: 'owner' }, { isOwner: true, now });
+    expect(ownerView.standings[0].responder_id).toBe('v2');
+  });
+
+  describe('placing bids', () => {
+    const hour = 60 * 60 * 1000;
+    const vendor = { id: 'v1' };
+
+    const seed = (overrides = {}) =>
+      createSupabaseMock({
+        rfx_opportunities: [
+          {
+            ...rfx,
+            created_by: 'owner',
+            submission_deadline: new Date(Date.now() + hour).toISOString(),
+            auction: { ...rfx.auction, starts_at: new Date(Date.now() - hour).toISOString() },
+            ...overrides,
+          },
+        ],
+        rfx_responses: [
+          {
+            id: 'resp-1',
+            rfx_id: 'rfx-1',
+            responder_id: 'v1',
+            status: 'submitted',
+            bid_amount: 9000,
+            auction_bid_count: 1,
+          },
+        ],
+      });
+
+    const bid = async (amount, user = vendor) => {
+      const res = createMockResponse();
+      await placeAuctionBidHandler({ params: { rfxId: 'rfx-1' }, user, body: { amount } }, res);
+      return res;
+    };
+
+    test('records the bid on the response and in the ledger', async () => {
+      mockSupabase = seed();
+
+      const res = await bid(8900);
+
+      expect(res.statusCode).toBe(201);
+      expect(mockSupabase.tables.rfx_responses[0]).toMatchObject({ bid_amount: 8900, auction_bid_count: 2 });
+      expect(mockSupabase.tables.rfx_auction_bids).toEqual([
+        expect.objectContaining({ amount: 8900, vendor_id: 'v1' }),
+      ]);
+    });
+
+    test('accepts only one of two concurrent bids against the same previous bid', async () => {
+      mockSupabase = seed();
+
+      const results = await Promise.all([bid(8900), bid(8800)]);
+
+      expect(results.map((res) => res.statusCode).sort()).toEqual([201, 409]);
+      expect(mockSupabase.tables.rfx_auction_bids).toHaveLength(1);
+      expect(mockSupabase.tables.rfx_responses[0].bid_amount).toBe(mockSupabase.tables.rfx_auction_bids[0].amount);
+    });
+
+    test('restores the previous bid when the ledger entry cannot be written', async () => {
+      mockSupabase = seed();
+      mockSupabase.failNext('rfx_auction_bids', 'insert');
+
+      const res = await bid(8900);
+
+      expect(res.statusCode).toBe(400);
+      expect(mockSupabase.tables.rfx_responses[0]).toMatchObject({ bid_amount: 9000, auction_bid_count: 1 });
+    });
+
+    test('hides a private auction from vendors who were not invited', async () => {
+      mockSupabase = seed({ visibility: 'private' });
+
+      const res = await bid(8900, { id: 'v3' });
+
+      expect(res.statusCode).toBe(404);
+      expect(mockSupabase.tables.rfx_auction_bids).toBeUndefined();
+    });
+  });
+});
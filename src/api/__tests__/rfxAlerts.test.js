@@ -0,0 +1,93 @@
+import {
+  buildSearchMatchNotifications,
+  describeAmendment,
+  matchesSavedSearch,
+  normalizeSavedSearch,
+} from '../utils/rfxAlerts.js';
+
+const rfx = {
+  id: 'rfx-1',
+  title: 'Janitorial services for county offices',
+  description: 'Nightly cleaning of three buildings',
+  status: 'published',
+  naics_codes: ['561720'],
+  location: 'Austin, TX',
+  budget_range: '$80k-$120k',
+  created_by: 'buyer-1',
+};
+
+describe('saved searches and watchlist alerts', () => {
+  test('normalizes saved-search filters', () => {
+    expect(
+      normalizeSavedSearch({
+        name: ' Cleaning ',
+        filters: { q: ' janitorial ', naics: '5617, 5612', budget_min: '50000' },
+      }),
+    ).toEqual({
+      search: {
+        name: 'Cleaning',
+        filters: { q: 'janitorial', naics: ['5617', '5612'], budget_min: 50000 },
+        alerts_enabled: true,
+      },
+      error: null,
+    });
+    expect(normalizeSavedSearch({ name: 'Empty', filters: { q: ' ' } }).error).toBe(
+      'A saved search needs at least one filter',
+    );
+    expect(normalizeSavedSearch({ name: 'Bad', filters: { status: 'published' } }).error).toBe(
+      'Unknown filters: status',
+    );
+    expect(normalizeSavedSearch({ alerts_enabled: false }, { partial: true }).search).toEqual({
+      alerts_enabled: false,
+    });
+  });
+
+  test('matches RFx with the list search rules', () => {
+    expect(matchesSavedSearch(rfx, { filters: { q: 'janitor', naics: ['5617'], location: 'austin' } })).toBe(true);
+    expect(matchesSavedSearch(rfx, { filters: { budget_min: 150000 } })).toBe(false);
+    expect(matchesSavedSearch(rfx, { filters: { q: 'paving' } })).toBe(false);
+  });
+
+  test('alerts each user once, never the owner', () => {
+    const notifications = buildSearchMatchNotifications(rfx, [
+      { id: 's1', user_id: 'vendor-1', name: 'Cleaning', filters: { q: 'cleaning' } },
+      { id: 's2', user_id: 'vendor-1', name: 'Texas', filters: { location: 'TX' } },
+      { id: 's3', user_id: 'vendor-2', name: 'Paving', filters: { q: 'paving' } },
+      { id: 's4', user_id: 'buyer-1', name: 'Mine', filters: { q: 'janitorial' } },
+      { id: 's5', user_id: 'vendor-3', name: 'Muted', filters: { q: 'janitorial' }, alerts_enabled: false },
+    ]);
+
+    expect(notifications).toEqual([
+      {
+        user_id: 'vendor-1',
+        rfx_id: 'rfx-1',
+        type: 'saved_search_match',
+        title: 'New RFX matches "Cleaning", "Texas"',
+        body: rfx.title,
+        data: { saved_search_ids: ['s1', 's2'] },
+      },
+    ]);
+  });
+
+  test('describes amendments for watchers', () => {
+    expect(
+      describeAmendment(rfx, {
+        id: 'a1',
+        version: 2,
+        reason: 'Extended',
+        changes: { submission_deadline: { from: '2026-05-01', to: '2026-05-15' }, description: {} },
+      }),
+    ).toMatchObject({
+      type: 'deadline_changed',
+      body: 'submission deadline: 2026-05-15',
+      data: { version: 2, changed_fields: ['submission_deadline', 'description'] },
+    });
+    expect(
+      describeAmendment(rfx, { version: 3, reason: 'Added a site visit', changes: { description: {} } }),
+    ).toMatchObject({
+      type: 'rfx_amended',
+      title: `Amendment 3 to "${rfx.title}"`,
+      body: 'Added a site visit',
+    });
+  });
+});
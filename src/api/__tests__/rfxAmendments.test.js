@@ -0,0 +1,110 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { diffFields, diffUpdates, flagOutdatedResponses, resolveVersionSnapshot } from '../utils/rfxAmendments.js';
+import { updateRfxHandler } from '../rfx/updateRfx.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+const rfx = {
+  title: 'Janitorial services',
+  description: 'Nightly cleaning',
+  submission_deadline: '2025-03-01T17:00:00Z',
+  requirements: 'The contractor shall clean.',
+  naics_codes: ['561720'],
+  current_version: 2,
+};
+
+const amendments = [
+  {
+    version: 1,
+    changes: { submission_deadline: { from: '2025-02-01T17:00:00Z', to: '2025-03-01T17:00:00Z' } },
+    snapshot: { ...rfx, title: 'Janitorial', submission_deadline: '2025-03-01T17:00:00Z' },
+  },
+  {
+    version: 2,
+    changes: { title: { from: 'Janitorial', to: 'Janitorial services' } },
+    snapshot: rfx,
+  },
+];
+
+describe('RFX amendments', () => {
+  test('diffUpdates only reports fields that were sent and changed', () => {
+    const changes = diffUpdates(rfx, { title: 'Janitorial services', naics_codes: ['561720', '561790'] });
+    expect(changes).toEqual({ naics_codes: { from: ['561720'], to: ['561720', '561790'] } });
+  });
+
+  test('rebuilds the original version from the first amendment', () => {
+    const original = resolveVersionSnapshot(rfx, amendments, 0);
+    expect(original.title).toBe('Janitorial');
+    expect(original.submission_deadline).toBe('2025-02-01T17:00:00Z');
+  });
+
+  test('diffs any two versions field by field', () => {
+    const before = resolveVersionSnapshot(rfx, amendments, 0);
+    const after = resolveVersionSnapshot(rfx, amendments, 2);
+    expect(diffFields(before, after)).toEqual({
+      title: { from: 'Janitorial', to: 'Janitorial services' },
+      submission_deadline: { from: '2025-02-01T17:00:00Z', to: '2025-03-01T17:00:00Z' },
+    });
+  });
+
+  test('flags responses submitted against an earlier version', () => {
+    const [stale, fresh] = flagOutdatedResponses(
+      [
+        { id: 'a', rfx_version: 1 },
+        { id: 'b', rfx_version: 2 },
+      ],
+      rfx,
+    );
+    expect(stale.is_outdated).toBe(true);
+    expect(fresh.is_outdated).toBe(false);
+  });
+
+  test('drops the recorded amendment when the RFx update fails', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_opportunities: [{ ...rfx, id: 'rfx-1', status: 'published', created_by: 'buyer-1' }],
+    });
+    mockSupabase.failNext('rfx_opportunities', 'update');
+    const res = createMockResponse();
+
+    await updateRfxHandler(
+      {
+        params: { rfxId: 'rfx-1' },
+        user: { id: 'buyer-1' },
+        body: { title: 'Janitorial and porter services', amendment_reason: 'Scope clarified' },
+      },
+      res,
+    );
+
+    expect(res.statusCode).toBe(400);
+    expect(mockSupabase.tables.rfx_amendments).toEqual([]);
+    expect(mockSupabase.tables.rfx_opportunities[0]).toMatchObject({ title: rfx.title, current_version: 2 });
+  });
+
+  test('lets only one of two concurrent amendments take the next version', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_opportunities: [{ ...rfx, id: 'rfx-1', status: 'published', created_by: 'buyer-1' }],
+    });
+    const amend = async (body) => {
+      const res = createMockResponse();
+      await updateRfxHandler({ params: { rfxId: 'rfx-1' }, user: { id: 'buyer-1' }, body }, res);
+      return res;
+    };
+
+    const [first, second] = await Promise.all([
+      amend({ title: 'Janitorial and porter services', amendment_reason: 'Scope clarified' }),
+      amend({ requirements: 'The contractor shall clean daily.', amendment_reason: 'Frequency' }),
+    ]);
+
+    expect([first.statusCode, second.statusCode]).toEqual([200, 409]);
+    expect(mockSupabase.tables.rfx_amendments).toEqual([expect.objectContaining({ version: 3 })]);
+    expect(mockSupabase.tables.rfx_opportunities[0]).toMatchObject({
+      title: 'Janitorial and porter services',
+      requirements: rfx.requirements,
+      current_version: 3,
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { getSubmissionBlocker, resolveDeadline } from '../utils/rfxDeadlines.js';
+import { closeExpiredRfx } from '../jobs/closeExpiredRfx.js';
+import { decideDeadlineExceptionHandler } from '../rfx/deadlineExceptions.js';
+import { updateRfxHandler } from '../rfx/updateRfx.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+describe('RFX deadlines', () => {
+  test('keeps explicit offsets as-is', () => {
+    expect(resolveDeadline('2025-03-01T17:00:00Z', 'America/New_York').toISOString()).toBe('2025-03-01T17:00:00.000Z');
+  });
+
+  test('reads local deadlines in the buyer timezone, across DST', () => {
+    expect(resolveDeadline('2025-01-15T17:00', 'America/New_York').toISOString()).toBe('2025-01-15T22:00:00.000Z');
+    expect(resolveDeadline('2025-07-15T17:00', 'America/New_York').toISOString()).toBe('2025-07-15T21:00:00.000Z');
+  });
+
+  test('treats a bare date as the end of that day', () => {
+    expect(resolveDeadline('2025-07-15', 'America/Los_Angeles').toISOString()).toBe('2025-07-16T06:59:59.000Z');
+  });
+
+  describe('getSubmissionBlocker', () => {
+    const rfx = { status: 'published', submission_deadline: '2025-07-15T17:00', timezone: 'America/New_York' };
+
+    test('accepts submissions before the deadline', () => {
+      expect(getSubmissionBlocker(rfx, { now: new Date('2025-07-15T20:59:00Z') })).toBeNull();
+    });
+
+    test('rejects late submissions unless within the grace window', () => {
+      const now = new Date('2025-07-15T21:05:00Z');
+      expect(getSubmissionBlocker(rfx, { now })).toMatch('deadline');
+      expect(getSubmissionBlocker({ ...rfx, grace_period_minutes: 10 }, { now })).toBeNull();
+    });
+
+    test('rejects RFx that are not published', () => {
+      expect(getSubmissionBlocker({ ...rfx, status: 'draft' })).toMatch('not accepting submissions');
+    });
+
+    test('honours an approved exception after closing', () => {
+      const now = new Date('2025-07-16T12:00:00Z');
+      const exception = { status: 'approved', extended_until: '2025-07-17T00:00:00Z' };
+      expect(getSubmissionBlocker({ ...rfx, status: 'closed' }, { now, exception })).toBeNull();
+      expect(
+        getSubmissionBlocker({ ...rfx, status: 'closed' }, { now, exception: { ...exception, status: 'pending' } }),
+      ).toMatch('closed');
+    });
+  });
+
+  test('the closing job keeps RFx with an open-ended approved exception out of evaluation', async () => {
+    const now = new Date('2025-07-16T12:00:00Z');
+    const supabase = createSupabaseMock({
+      rfx_opportunities: ['rfx-1', 'rfx-2'].map((id) => ({
+        id,
+        status: 'published',
+        submission_deadline: '2025-07-15T17:00:00Z',
+        timezone: 'UTC',
+      })),
+      rfx_deadline_exceptions: [{ id: 'exc-1', rfx_id: 'rfx-1', status: 'approved', extended_until: null }],
+    });
+
+    const result = await closeExpiredRfx({ supabase, now, autoEvaluate: true });
+
+    expect(result).toEqual({ closed: ['rfx-1', 'rfx-2'], evaluating: ['rfx-2'] });
+  });
+
+  test('a deadline exception can only be decided while it is pending', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_deadline_exceptions: [{ id: 'exc-1', rfx_id: 'rfx-1', vendor_id: 'vendor-1', status: 'pending' }],
+    });
+    const decide = async (body, exceptionId = 'exc-1') => {
+      const res = createMockResponse();
+      await decideDeadlineExceptionHandler(
+        { params: { rfxId: 'rfx-1', exceptionId }, user: { id: 'admin-1' }, body },
+        res,
+      );
+      return res;
+    };
+
+    const [first, second] = await Promise.all([
+      decide({ decision: 'approved', extended_until: '2025-07-17T00:00:00Z' }),
+      decide({ decision: 'denied' }),
+    ]);
+
+    expect([first.statusCode, second.statusCode]).toEqual([200, 409]);
+    expect(second.body.error).toBe('This deadline exception was already approved');
+    expect(mockSupabase.tables.rfx_deadline_exceptions[0]).toMatchObject({ status: 'approved', decided_by: 'admin-1' });
+    expect((await decide({ decision: 'denied' }, 'exc-missing')).statusCode).toBe(404);
+  });
+
+  test('an update cannot store a deadline that does not resolve or a Q&A cutoff after it', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_opportunities: [
+        {
+          id: 'rfx-1',
+          created_by: 'buyer-1',
+          status: 'draft',
+          submission_deadline: '2025-07-15T17:00',
+          qa_cutoff_date: '2025-07-10',
+          timezone: 'America/New_York',
+        },
+      ],
+    });
+    const update = async (body) => {
+      const res = createMockResponse();
+      await updateRfxHandler({ params: { rfxId: 'rfx-1' }, user: { id: 'buyer-1' }, body }, res);
+      return res;
+    };
+
+    expect((await update({ submission_deadline: 'next Friday' })).body).toEqual({
+      error: 'submission_deadline must be a valid date',
+    });
+    expect((await update({ submission_deadline: '2025-07-08T17:00' })).body).toEqual({
+      error: 'qa_cutoff_date must be on or before submission_deadline',
+    });
+    expect((await update({ timezone: 'Mars/Olympus' })).statusCode).toBe(400);
+    expect(mockSupabase.tables.rfx_opportunities[0].submission_deadline).toBe('2025-07-15T17:00');
+
+    const moved = await update({ submission_deadline: '2025-07-20T17:00', qa_cutoff_date: '2025-07-18' });
+    expect(moved.statusCode).toBe(200);
+    expect(moved.body.rfx.submission_deadline).toBe('2025-07-20T17:00');
+  });
+});
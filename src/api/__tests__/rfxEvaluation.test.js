@@ -0,0 +1,59 @@
+import {
+  computeWeightedTotal,
+  normalizeCriteria,
+  summarizeEvaluations,
+  validateScoreSheet,
+} from '../utils/rfxEvaluation.js';
+
+describe('rfx evaluation', () => {
+  const criteria = [
+    { id: 'tech', name: 'Technical', weight: 50, max_score: 10 },
+    { id: 'price', name: 'Price', weight: 30, max_score: 10 },
+    { id: 'past', name: 'Past performance', weight: 20, max_score: 5 },
+  ];
+
+  const sheet = (evaluatorId, responseId, tech, price, past) => ({
+    evaluator_id: evaluatorId,
+    response_id: responseId,
+    scores: [
+      { criterion_id: 'tech', score: tech, rationale: 'ok' },
+      { criterion_id: 'price', score: price, rationale: 'ok' },
+      { criterion_id: 'past', score: past, rationale: 'ok' },
+    ],
+  });
+
+  test('requires weights to add up to 100', () => {
+    expect(normalizeCriteria(criteria).error).toBeNull();
+    expect(normalizeCriteria([{ name: 'Technical', weight: 60 }]).error).toMatch(/add up to 100/);
+  });
+
+  test('requires a score and rationale for every criterion', () => {
+    expect(validateScoreSheet(criteria, sheet('e1', 'r1', 8, 6, 4).scores).error).toBeNull();
+    expect(validateScoreSheet(criteria, [{ criterion_id: 'tech', score: 8, rationale: 'ok' }]).error).toMatch(/Price/);
+    expect(validateScoreSheet(criteria, [{ ...sheet('e1', 'r1', 8, 6, 4).scores[0], rationale: ' ' }]).error).toMatch(
+      /rationale/,
+    );
+    expect(validateScoreSheet(criteria, sheet('e1', 'r1', 11, 6, 4).scores).error).toMatch(/between 0 and 10/);
+  });
+
+  test('weights each score by its criterion', () => {
+    expect(computeWeightedTotal(criteria, sheet('e1', 'r1', 10, 10, 5).scores)).toBe(100);
+    expect(computeWeightedTotal(criteria, sheet('e1', 'r1', 8, 5, 4).scores)).toBe(71);
+  });
+
+  test('reports consensus and spread across evaluators', () => {
+    const [summary, unscored] = summarizeEvaluations(
+      criteria,
+      [
+        { id: 'r1', responder_id: 'v1' },
+        { id: 'r2', responder_id: 'v2' },
+      ],
+      [sheet('e1', 'r1', 8, 5, 4), sheet('e2', 'r1', 6, 5, 4)],
+    );
+    expect(summary.evaluator_count).toBe(2);
+    expect(summary.consensus_score).toBe(66);
+    expect(summary.spread).toBe(10);
+    expect(summary.criteria[0]).toMatchObject({ criterion_id: 'tech', mean_score: 7, spread: 2 });
+    expect(unscored.consensus_score).toBeNull();
+  });
+});
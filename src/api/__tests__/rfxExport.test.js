@@ -0,0 +1,138 @@
+import zlib from 'zlib';
+import { crc32, createZip } from '../utils/zipArchive.js';
+import { renderPdf } from '../utils/pdfDocument.js';
+import { columnName, renderXlsx } from '../utils/officeDocuments.js';
+import { buildExportFileName, buildResponseSheets, buildSolicitationBlocks } from '../utils/rfxExport.js';
+import { normalizeRfxAttachments } from '../utils/requiredDocuments.js';
+
+// Reads back the entries of an archive written by createZip through its central directory.
+const readZip = (buffer) => {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = {};
+  for (let index = 0; index < count; index += 1) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const stored = buffer.subarray(dataStart, dataStart + size);
+    entries[name] = (method === 8 ? zlib.inflateRawSync(stored) : stored).toString('utf8');
+    offset += 46 + nameLength;
+  }
+  return entries;
+};
+
+describe('rfx export', () => {
+  test('writes ZIP archives that round-trip through inflate', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+
+    const archive = createZip([
+      { name: 'notes.txt', data: 'short' },
+      { name: 'résumé/big.txt', data: 'repeat '.repeat(200) },
+    ]);
+    expect(readZip(archive)).toEqual({ 'notes.txt': 'short', 'résumé/big.txt': 'repeat '.repeat(200) });
+  });
+
+  test('renders a PDF with a valid cross-reference table and page numbers', () => {
+    const blocks = [
+      { type: 'title', text: 'Janitorial (Phase 2)' },
+      ...Array.from({ length: 80 }, (_, index) => ({ type: 'bullet', text: `Requirement ${index + 1}` })),
+    ];
+    const pdf = renderPdf(blocks, { title: 'Janitorial' }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('(Janitorial \\(Phase 2\\)) Tj');
+    const pageCount = Number(pdf.match(/\/Count (\d+)/)[1]);
+    expect(pageCount).toBeGreaterThan(1);
+    expect(pdf).toContain(`(Page ${pageCount} of ${pageCount}) Tj`);
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const firstObject = Number(pdf.slice(xrefOffset).split('\n')[3].slice(0, 10));
+    expect(pdf.slice(firstObject, firstObject + 7)).toBe('1 0 obj');
+  });
+
+  test('names spreadsheet columns and writes escaped inline cells', () => {
+    expect([0, 25, 26, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+
+    const entries = readZip(
+      renderXlsx([
+        { name: 'Bids: final', columns: [{ header: 'Vendor' }, { header: 'Amount' }], rows: [['A&B <Co>', 1200]] },
+      ]),
+    );
+    expect(Object.keys(entries)).toEqual(
+      expect.arrayContaining(['[Content_Types].xml', 'xl/workbook.xml', 'xl/styles.xml', 'xl/worksheets/sheet1.xml']),
+    );
+    expect(entries['xl/workbook.xml']).toContain('<sheet name="Bids  final"');
+    expect(entries['xl/worksheets/sheet1.xml']).toContain('<t xml:space="preserve">A&amp;B &lt;Co&gt;</t>');
+    expect(entries['xl/worksheets/sheet1.xml']).toContain('<c r="B2"><v>1200</v></c>');
+  });
+
+  test('builds the solicitation from published answers and the response sheets from score sheets', () => {
+    const rfx = {
+      id: 'rfx-1',
+      title: 'Fuel delivery',
+      solicitation_number: 'W912-24-R-0001',
+      description: 'Diesel to three depots',
+      submission_deadline: '2030-01-15T17:00:00Z',
+      timezone: 'America/New_York',
+      evaluation_criteria: [{ id: 'price', name: 'Price', weight: 60, max_score: 10 }],
+      attachments: [{ name: 'SOW.pdf', path: 'rfx-1/sow.pdf' }],
+    };
+    const blocks = buildSolicitationBlocks({
+      rfx,
+      questions: [
+        { question: 'Weekends?', answer: 'No', visibility: 'public' },
+        { question: 'Private?', answer: 'Yes', visibility: 'private' },
+      ],
+    });
+
+    expect(blocks).toContainEqual({
+      type: 'field',
+      label: 'Submission deadline',
+      text: 'Jan 15, 2030, 12:00 PM (America/New_York)',
+    });
+    expect(blocks).toContainEqual({ type: 'field', label: 'Q1', text: 'Weekends?' });
+    expect(blocks.some((block) => block.text === 'Private?')).toBe(false);
+    expect(blocks).toContainEqual({ type: 'bullet', text: 'SOW.pdf' });
+    expect(buildExportFileName(rfx, 'package', 'zip')).toBe('w912-24-r-0001_fuel-delivery_package.zip');
+
+    const [responses, scores] = buildResponseSheets({
+      rfx,
+      responses: [
+        { id: 'resp-1', responder_id: 'vendor-1', status: 'submitted', bid_amount: 900, evaluation_score: 8 },
+      ],
+      sheets: [
+        {
+          response_id: 'resp-1',
+          evaluator_id: 'eval-1',
+          weighted_total: 8,
+          scores: [{ criterion_id: 'price', score: 8, rationale: 'Lowest' }],
+        },
+        { response_id: 'withdrawn', evaluator_id: 'eval-1', scores: [{ criterion_id: 'price', score: 2 }] },
+      ],
+      vendors: new Map([['vendor-1', { company_name: 'Acme Fuel' }]]),
+      evaluators: new Map([['eval-1', { email: 'eval@agency.gov' }]]),
+    });
+
+    expect(responses.rows[0].slice(0, 7)).toEqual(['Acme Fuel', 'vendor-1', 'submitted', undefined, false, 1, 900]);
+    expect(scores.rows).toEqual([['Acme Fuel', 'eval@agency.gov', 'Price', 60, 8, 10, 'Lowest', 8]]);
+  });
+
+  test('validates RFx attachments', () => {
+    expect(
+      normalizeRfxAttachments([{ path: '/rfx-1/sow.pdf' }, { name: 'Map', url: 'https://example.com/map' }]),
+    ).toEqual({
+      attachments: [
+        { name: 'sow.pdf', path: 'rfx-1/sow.pdf', url: null, content_type: null },
+        { name: 'Map', path: null, url: 'https://example.com/map', content_type: null },
+      ],
+      error: null,
+    });
+    expect(normalizeRfxAttachments([{ path: '../secrets' }]).error).toMatch(/\.\./);
+    expect(normalizeRfxAttachments([{ url: 'file:///etc/passwd' }]).error).toMatch(/http/);
+  });
+});
@@ -0,0 +1,90 @@
+import { findDuplicates, mapImportRecord, mapSamOpportunity, parseCsv, parseImportData } from '../utils/rfxImport.js';
+
+const FIELDS = ['title', 'description', 'submission_deadline', 'naics_codes', 'sealed', 'solicitation_number'];
+
+describe('rfx import', () => {
+  test('parses quoted CSV fields with commas, quotes and line breaks', () => {
+    const csv = 'Title,Description,Due Date\r\n"Fuel, diesel","Deliver ""weekly""\nto depot",2030-01-01\n\n';
+    expect(parseCsv(csv)).toEqual({
+      rows: [{ Title: 'Fuel, diesel', Description: 'Deliver "weekly"\nto depot', 'Due Date': '2030-01-01' }],
+      error: null,
+    });
+    expect(parseCsv('Title\n"unterminated').error).toMatch(/unterminated/);
+  });
+
+  test('maps columns by explicit mapping, field name and common aliases', () => {
+    const { values, errors } = mapImportRecord(
+      {
+        'Opportunity Title': 'Janitorial',
+        Summary: 'Cleaning',
+        Deadline: '2030-01-01',
+        NAICS: '561720; 561790',
+        Sealed: 'yes',
+        'Sol #': 'W912-24-R-0001',
+      },
+      FIELDS,
+      { solicitation_number: 'Sol #' },
+    );
+
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      title: 'Janitorial',
+      description: 'Cleaning',
+      submission_deadline: '2030-01-01',
+      naics_codes: ['561720', '561790'],
+      sealed: true,
+      solicitation_number: 'W912-24-R-0001',
+    });
+    expect(mapImportRecord({ grace_period_minutes: 'soon' }, ['grace_period_minutes']).errors).toEqual([
+      'grace_period_minutes must be a number',
+    ]);
+  });
+
+  test('reads SAM.gov opportunity exports', () => {
+    const { records } = parseImportData('sam_gov', {
+      totalRecords: 1,
+      opportunitiesData: [
+        {
+          noticeId: 'abc123',
+          title: 'Runway repairs',
+          solicitationNumber: 'FA4600-24-R-0007',
+          responseDeadLine: '2030-03-01T17:00:00-05:00',
+          naicsCode: '237310',
+          description: 'https://api.sam.gov/prod/opportunities/v1/noticedesc?noticeid=abc123',
+          uiLink: 'https://sam.gov/opp/abc123/view',
+          placeOfPerformance: { city: { name: 'Omaha' }, state: { code: 'NE' }, country: { code: 'USA' } },
+        },
+      ],
+    });
+
+    expect(mapSamOpportunity(records[0])).toEqual({
+      title: 'Runway repairs',
+      solicitation_number: 'FA4600-24-R-0007',
+      description: 'Imported from SAM.gov notice abc123: https://sam.gov/opp/abc123/view',
+      submission_deadline: '2030-03-01T17:00:00-05:00',
+      naics_codes: ['237310'],
+      location: 'Omaha, NE, USA',
+    });
+    expect(parseImportData('json', '{"not":"an array"}').error).toMatch(/array of objects/);
+    expect(parseImportData('sam_gov', {}).error).toMatch(/opportunitiesData/);
+  });
+
+  test('detects duplicate solicitation numbers within the file and against existing RFx', () => {
+    const duplicates = findDuplicates(
+      [
+        { solicitation_number: 'abc-1' },
+        { solicitation_number: 'ABC-1 ' },
+        { solicitation_number: 'xyz-9' },
+        { solicitation_number: null },
+      ],
+      new Map([['XYZ-9', 'rfx-9']]),
+    );
+
+    expect(duplicates).toEqual([
+      null,
+      { reason: 'Solicitation ABC-1 repeats row 1', rfx_id: null },
+      { reason: 'Solicitation xyz-9 already exists', rfx_id: 'rfx-9' },
+      null,
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import {
+  advanceInvitation,
+  buildInvitationUrl,
+  checkRfxVisibility,
+  createInvitationToken,
+  hashInvitationToken,
+} from '../utils/rfxInvitations.js';
+import { claimInvitationHandler } from '../rfx/invitations.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+describe('rfx invitations', () => {
+  test('stores only a hash of the invitation token', () => {
+    const { token, tokenHash } = createInvitationToken();
+    expect(tokenHash).toBe(hashInvitationToken(token));
+    expect(tokenHash).not.toContain(token);
+    expect(buildInvitationUrl(token)).toMatch(new RegExp(`/invitations/${token}$`));
+  });
+
+  test('lets anyone see public RFx and owners see their private ones', async () => {
+    await expect(checkRfxVisibility(null, { id: 'rfx-1', visibility: 'public' }, { id: 'v1' })).resolves.toEqual({
+      allowed: true,
+      invitation: null,
+    });
+    await expect(
+      checkRfxVisibility(null, { id: 'rfx-1', visibility: 'private', created_by: 'buyer' }, { id: 'buyer' }),
+    ).resolves.toMatchObject({ allowed: true });
+  });
+
+  test('never moves an invitation backwards', async () => {
+    const responded = { id: 'inv-1', status: 'responded' };
+    await expect(advanceInvitation(null, responded, 'viewed')).resolves.toBe(responded);
+    await expect(advanceInvitation(null, null, 'viewed')).resolves.toBeNull();
+  });
+
+  test('lets only one of two accounts claim the same invitation link', async () => {
+    const { token, tokenHash } = createInvitationToken();
+    mockSupabase = createSupabaseMock({
+      rfx_invitations: [
+        {
+          id: 'inv-1',
+          rfx_id: 'rfx-1',
+          email: 'bids@example.com',
+          vendor_id: null,
+          token_hash: tokenHash,
+          status: 'sent',
+        },
+      ],
+    });
+    const claim = async (user) => {
+      const res = createMockResponse();
+      await claimInvitationHandler({ params: { token }, user }, res);
+      return res;
+    };
+
+    const [first, second] = await Promise.all([claim({ id: 'v1' }), claim({ id: 'v2' })]);
+
+    expect([first.statusCode, second.statusCode]).toEqual([200, 409]);
+    expect(first.body.invitation).not.toHaveProperty('token_hash');
+    expect(mockSupabase.tables.rfx_invitations[0]).toMatchObject({ vendor_id: 'v1', token_hash: null });
+  });
+});
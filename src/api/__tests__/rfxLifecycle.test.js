@@ -0,0 +1,35 @@
+import { canTransition, describeTransitionError, RFX_STATUSES } from '../utils/rfxLifecycle.js';
+
+describe('RFX lifecycle', () => {
+  test('allows the forward path through to award', () => {
+    expect(canTransition('draft', 'published')).toBe(true);
+    expect(canTransition('published', 'closed')).toBe(true);
+    expect(canTransition('closed', 'evaluating')).toBe(true);
+    expect(canTransition('evaluating', 'awarded')).toBe(true);
+  });
+
+  test('allows cancelling before award', () => {
+    ['draft', 'published', 'closed', 'evaluating'].forEach((status) => {
+      expect(canTransition(status, 'cancelled')).toBe(true);
+    });
+  });
+
+  test('rejects skipped and backwards transitions', () => {
+    expect(canTransition('draft', 'awarded')).toBe(false);
+    expect(canTransition('closed', 'published')).toBe(false);
+    expect(describeTransitionError('draft', 'closed')).toMatch('Allowed next states: published, cancelled');
+  });
+
+  test('treats awarded and cancelled as terminal', () => {
+    RFX_STATUSES.forEach((status) => {
+      expect(canTransition('awarded', status)).toBe(false);
+      expect(canTransition('cancelled', status)).toBe(false);
+    });
+    expect(describeTransitionError('awarded', 'cancelled')).toBe('RFX is awarded and can no longer change status');
+  });
+
+  test('reports unknown statuses', () => {
+    expect(describeTransitionError('draft', 'open')).toMatch('Unknown RFX status "open"');
+    expect(describeTransitionError('draft', 'published')).toBeNull();
+  });
+});
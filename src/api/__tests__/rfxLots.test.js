@@ -0,0 +1,71 @@
+import { normalizeLots, priceLineItems, rankResponsesByLot } from '../utils/rfxLots.js';
+
+describe('rfx lots', () => {
+  const lots = [
+    {
+      id: 'lot-a',
+      name: 'Hardware',
+      line_items: [
+        { id: 'a-1', description: 'Laptops', quantity: 10, unit: 'each' },
+        { id: 'a-2', description: 'Docks', quantity: 10, unit: 'each' },
+      ],
+    },
+    {
+      id: 'lot-b',
+      name: 'Support',
+      line_items: [{ id: 'b-1', description: 'Helpdesk', quantity: 12, unit: 'month' }],
+    },
+  ];
+
+  test('keeps existing ids and assigns new ones', () => {
+    const { lots: normalized, error } = normalizeLots([
+      ...lots,
+      { name: 'Training', line_items: [{ description: 'Onsite course', quantity: 1, unit: 'day' }] },
+    ]);
+    expect(error).toBeNull();
+    expect(normalized[0].id).toBe('lot-a');
+    expect(normalized[2].id).toEqual(expect.any(String));
+    expect(normalized[2].line_items[0].id).toEqual(expect.any(String));
+  });
+
+  test('rejects line items without a positive quantity', () => {
+    const { error } = normalizeLots([
+      { name: 'Hardware', line_items: [{ description: 'x', quantity: 0, unit: 'each' }] },
+    ]);
+    expect(error).toMatch(/quantity/);
+  });
+
+  test('totals the lots a vendor bids on', () => {
+    const pricing = priceLineItems(lots, [
+      { line_item_id: 'a-1', unit_price: 999.99 },
+      { line_item_id: 'a-2', unit_price: 150 },
+    ]);
+    expect(pricing.error).toBeNull();
+    expect(pricing.lot_totals).toEqual([{ lot_id: 'lot-a', total: 11499.9 }]);
+    expect(pricing.bid_amount).toBe(11499.9);
+  });
+
+  test('requires a lot to be priced in full', () => {
+    expect(priceLineItems(lots, [{ line_item_id: 'a-1', unit_price: 10 }]).error).toMatch(/Hardware/);
+    expect(priceLineItems(lots, [{ line_item_id: 'zzz', unit_price: 10 }]).error).toMatch(/Unknown/);
+  });
+
+  test('ranks bids per lot by total', () => {
+    const ranked = rankResponsesByLot(lots, [
+      { id: 'r1', responder_id: 'v1', lot_totals: [{ lot_id: 'lot-a', total: 500 }] },
+      {
+        id: 'r2',
+        responder_id: 'v2',
+        lot_totals: [
+          { lot_id: 'lot-a', total: 300 },
+          { lot_id: 'lot-b', total: 90 },
+        ],
+      },
+    ]);
+    expect(ranked[0].bids.map((bid) => [bid.response_id, bid.price_rank])).toEqual([
+      ['r2', 1],
+      ['r1', 2],
+    ]);
+    expect(ranked[1].bid_count).toBe(1);
+  });
+});
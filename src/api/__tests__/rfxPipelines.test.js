@@ -0,0 +1,156 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { buildNextStageBody, buildPipelineView, checkAdvance, stageTitle } from '../utils/rfxPipelines.js';
+import { advanceStageHandler } from '../rfx/pipelines.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+const rfi = {
+  id: 'rfx-1',
+  title: 'Fleet telematics',
+  description: 'Market research',
+  requirements: 'The system shall report vehicle location.',
+  status: 'closed',
+  visibility: 'public',
+  pipeline_id: 'pipe-1',
+  pipeline_stage: 1,
+  stage_type: 'rfi',
+  created_by: 'buyer-1',
+};
+
+describe('solicitation pipelines', () => {
+  test('only advances a closed stage to respondents', () => {
+    const request = { stageType: 'rfp', vendorIds: ['v1'], respondentIds: ['v1', 'v2'] };
+
+    expect(checkAdvance(rfi, request)).toEqual({ error: null });
+    expect(checkAdvance({ ...rfi, pipeline_id: null }, request).status).toBe(409);
+    expect(checkAdvance({ ...rfi, status: 'published' }, request)).toEqual({
+      status: 409,
+      error: 'Close this stage before advancing; it is published',
+    });
+    expect(checkAdvance(rfi, { ...request, stageType: 'rfi' }).error).toBe(
+      'An RFI can only be the first stage of a pipeline',
+    );
+    expect(checkAdvance(rfi, { ...request, vendorIds: ['v3'] }).error).toMatch(
+      /responded to this stage can be carried over: v3/,
+    );
+  });
+
+  test('builds the next stage as a private copy of the requirements', () => {
+    expect(stageTitle('Fleet telematics – RFP', 'bafo')).toBe('Fleet telematics – BAFO');
+
+    const body = buildNextStageBody(rfi, 'rfp', { submission_deadline: '2026-09-01' });
+    expect(body).toMatchObject({
+      title: 'Fleet telematics – RFP',
+      requirements: rfi.requirements,
+      visibility: 'private',
+      status: 'draft',
+      submission_deadline: '2026-09-01',
+    });
+    expect(body.pipeline_id).toBeUndefined();
+  });
+
+  test('shows how far each vendor got', () => {
+    const rfp = {
+      id: 'rfx-2',
+      title: 'Fleet telematics – RFP',
+      status: 'awarded',
+      pipeline_stage: 2,
+      stage_type: 'rfp',
+      previous_stage_id: 'rfx-1',
+      carried_vendor_ids: ['v1'],
+      award_id: 'award-1',
+    };
+
+    const view = buildPipelineView({
+      pipeline: { id: 'pipe-1', name: 'Telematics' },
+      stages: [rfp, rfi],
+      invitations: [{ rfx_id: 'rfx-2', vendor_id: 'v1', status: 'responded' }],
+      responses: [
+        { rfx_id: 'rfx-1', responder_id: 'v1', status: 'submitted', evaluation_score: null },
+        { rfx_id: 'rfx-1', responder_id: 'v2', status: 'submitted', evaluation_score: null },
+        { rfx_id: 'rfx-2', responder_id: 'v1', status: 'submitted', evaluation_score: 88.5 },
+      ],
+      awards: [{ id: 'award-1', winners: [{ responder_id: 'v1', amount: 1000 }], total_amount: 1000 }],
+      questions: [{ rfx_id: 'rfx-1', question: 'Which vehicles?', answer: 'Light duty', published_at: '2026-06-01' }],
+    });
+
+    expect(view.current_stage).toEqual({ stage: 2, stage_type: 'rfp', rfx_id: 'rfx-2' });
+    expect(view.stages[0].vendors.map((vendor) => [vendor.vendor_id, vendor.advanced])).toEqual([
+      ['v1', true],
+      ['v2', false],
+    ]);
+    expect(view.stages[0].history.questions).toHaveLength(1);
+    expect(view.stages[1].vendors).toEqual([
+      {
+        vendor_id: 'v1',
+        invitation_status: 'responded',
+        response_status: 'submitted',
+        evaluation_score: 88.5,
+        advanced: false,
+        awarded: true,
+      },
+    ]);
+  });
+
+  test('removes the new stage when the carried-over vendors cannot be invited, so it can be retried', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_opportunities: [{ ...rfi, submission_deadline: '2026-07-01T17:00:00Z' }],
+      rfx_responses: [{ id: 'resp-1', rfx_id: 'rfx-1', responder_id: 'v1', status: 'submitted' }],
+    });
+    const advance = async () => {
+      const res = createMockResponse();
+      await advanceStageHandler(
+        {
+          params: { rfxId: 'rfx-1' },
+          user: { id: 'buyer-1' },
+          body: { stage_type: 'rfp', vendor_ids: ['v1'], submission_deadline: '2026-09-01T17:00:00Z' },
+        },
+        res,
+      );
+      return res;
+    };
+
+    mockSupabase.failNext('rfx_invitations', 'insert');
+    const failed = await advance();
+    expect(failed.statusCode).toBe(400);
+    expect(mockSupabase.tables.rfx_opportunities.map((rfx) => rfx.id)).toEqual(['rfx-1']);
+
+    const retried = await advance();
+    expect(retried.statusCode).toBe(201);
+    expect(mockSupabase.tables.rfx_invitations).toEqual([
+      expect.objectContaining({ rfx_id: retried.body.rfx.id, vendor_id: 'v1' }),
+    ]);
+  });
+
+  test('creates only one next stage when the same stage is advanced twice at once', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_opportunities: [{ ...rfi, submission_deadline: '2026-07-01T17:00:00Z' }],
+      rfx_responses: [{ id: 'resp-1', rfx_id: 'rfx-1', responder_id: 'v1', status: 'submitted' }],
+    });
+    const advance = async () => {
+      const res = createMockResponse();
+      await advanceStageHandler(
+        {
+          params: { rfxId: 'rfx-1' },
+          user: { id: 'buyer-1' },
+          body: { stage_type: 'rfp', vendor_ids: ['v1'], submission_deadline: '2026-09-01T17:00:00Z' },
+        },
+        res,
+      );
+      return res;
+    };
+
+    const results = await Promise.all([advance(), advance()]);
+
+    expect(results.map((res) => res.statusCode).sort()).toEqual([201, 409]);
+    expect(mockSupabase.tables.rfx_opportunities.filter((rfx) => rfx.previous_stage_id === 'rfx-1')).toHaveLength(1);
+    expect(mockSupabase.tables.rfx_invitations).toHaveLength(1);
+
+    const later = await advance();
+    expect(later.statusCode).toBe(409);
+  });
+});
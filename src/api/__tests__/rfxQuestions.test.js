@@ -0,0 +1,126 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { answerRfxQuestionHandler, askRfxQuestionHandler, listRfxQuestionsHandler } from '../rfx/rfxQuestions.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+const owner = { id: 'buyer-1' };
+const vendorA = { id: 'vendor-a' };
+const vendorB = { id: 'vendor-b' };
+
+const rfx = {
+  id: 'rfx-1',
+  created_by: owner.id,
+  status: 'published',
+  visibility: 'public',
+  timezone: 'America/New_York',
+  submission_deadline: '2099-07-01T17:00:00Z',
+  qa_cutoff_date: '2099-06-15T17:00:00Z',
+};
+
+const question = (id, askedBy, extra = {}) => ({
+  id,
+  rfx_id: 'rfx-1',
+  asked_by: askedBy,
+  question: `Question ${id}`,
+  status: 'open',
+  visibility: 'private',
+  created_at: `2026-06-0${id.slice(-1)}T00:00:00Z`,
+  ...extra,
+});
+
+const seed = (overrides = {}, questions = []) =>
+  createSupabaseMock({
+    rfx_opportunities: [{ ...rfx, ...overrides }],
+    rfx_questions: questions,
+  });
+
+const call = async (handler, user, { params = {}, body = {} } = {}) => {
+  const res = createMockResponse();
+  await handler({ params: { rfxId: 'rfx-1', ...params }, user, body, query: {} }, res);
+  return res;
+};
+
+describe('rfx questions', () => {
+  test('a vendor can ask while the RFx is published and before the cutoff', async () => {
+    mockSupabase = seed();
+
+    const res = await call(askRfxQuestionHandler, vendorA, { body: { question: '  Is parking provided?  ' } });
+
+    expect(res.statusCode).toBe(201);
+    expect(mockSupabase.tables.rfx_questions).toEqual([
+      expect.objectContaining({ asked_by: 'vendor-a', question: 'Is parking provided?', visibility: 'private' }),
+    ]);
+  });
+
+  test('questions are refused after the Q&A cutoff, falling back to the submission deadline', async () => {
+    mockSupabase = seed({ qa_cutoff_date: '2020-06-15T17:00:00Z' });
+    const afterCutoff = await call(askRfxQuestionHandler, vendorA, { body: { question: 'Too late?' } });
+    expect(afterCutoff.statusCode).toBe(409);
+
+    mockSupabase = seed({ qa_cutoff_date: null, submission_deadline: '2020-07-01' });
+    const afterDeadline = await call(askRfxQuestionHandler, vendorA, { body: { question: 'Too late?' } });
+    expect(afterDeadline.statusCode).toBe(409);
+    expect(mockSupabase.tables.rfx_questions).toEqual([]);
+  });
+
+  test('questions are refused unless the RFx is published', async () => {
+    for (const status of ['draft', 'closed', 'evaluating']) {
+      mockSupabase = seed({ status });
+      const res = await call(askRfxQuestionHandler, vendorA, { body: { question: 'Still open?' } });
+      expect(res.statusCode).toBe(409);
+    }
+    expect(mockSupabase.tables.rfx_questions).toEqual([]);
+  });
+
+  test('only the owner can answer', async () => {
+    mockSupabase = seed({}, [question('q-1', vendorA.id)]);
+
+    const byVendor = await call(answerRfxQuestionHandler, vendorB, {
+      params: { questionId: 'q-1' },
+      body: { answer: 'Yes' },
+    });
+    expect(byVendor.statusCode).toBe(403);
+    expect(mockSupabase.tables.rfx_questions[0].answer).toBeUndefined();
+
+    const byOwner = await call(answerRfxQuestionHandler, owner, {
+      params: { questionId: 'q-1' },
+      body: { answer: 'Yes, on site.', publish: true },
+    });
+    expect(byOwner.statusCode).toBe(200);
+    expect(mockSupabase.tables.rfx_questions[0]).toMatchObject({
+      answer: 'Yes, on site.',
+      answered_by: owner.id,
+      status: 'answered',
+      visibility: 'public',
+    });
+  });
+
+  test('vendors see their own questions and published answers, without other askers', async () => {
+    mockSupabase = seed({}, [
+      question('q-1', vendorA.id),
+      question('q-2', vendorB.id),
+      question('q-3', vendorB.id, { answer: 'Daily', visibility: 'public', published_at: '2026-06-04T00:00:00Z' }),
+    ]);
+
+    const res = await call(listRfxQuestionsHandler, vendorA);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.is_open).toBe(true);
+    expect(res.body.questions.map((entry) => [entry.id, entry.asked_by, entry.is_mine])).toEqual([
+      ['q-1', 'vendor-a', true],
+      ['q-3', null, false],
+    ]);
+  });
+
+  test('the owner sees every question and who asked it', async () => {
+    mockSupabase = seed({}, [question('q-1', vendorA.id), question('q-2', vendorB.id)]);
+
+    const res = await call(listRfxQuestionsHandler, owner);
+
+    expect(res.body.questions.map((entry) => entry.asked_by)).toEqual(['vendor-a', 'vendor-b']);
+  });
+});
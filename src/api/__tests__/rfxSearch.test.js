@@ -0,0 +1,150 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { applyDatabaseFilters, extractBudgetBounds, parseSearchParams, searchRfx } from '../utils/rfxSearch.js';
+import { getRfxListHandler } from '../rfx/getRfxList.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+const rfxRows = [
+  {
+    id: 'a',
+    title: 'Network security assessment',
+    description: 'Penetration testing for the county network',
+    requirements: 'The contractor shall perform security testing.',
+    naics_codes: ['541512'],
+    budget_range: '$50k-$100k',
+    location: 'Richmond, VA',
+    status: 'published',
+    category: 'IT',
+    submission_deadline: '2025-05-01T17:00:00Z',
+    created_at: '2025-01-03T00:00:00Z',
+  },
+  {
+    id: 'b',
+    title: 'Janitorial services',
+    description: 'Nightly cleaning with security escort',
+    requirements: 'Vendor must provide supplies.',
+    naics_codes: ['561720'],
+    budget_range: '$250,000',
+    location: 'Norfolk, VA',
+    status: 'published',
+    category: 'Facilities',
+    submission_deadline: '2025-04-01T17:00:00Z',
+    created_at: '2025-01-02T00:00:00Z',
+  },
+  {
+    id: 'c',
+    title: 'Cloud migration',
+    description: 'Move workloads to cloud',
+    requirements: 'TBD',
+    naics_codes: ['541519'],
+    budget_range: 'TBD',
+    location: 'Austin, TX',
+    status: 'draft',
+    category: 'IT',
+    submission_deadline: '2025-06-01T17:00:00Z',
+    created_at: '2025-01-01T00:00:00Z',
+  },
+];
+
+const search = (query) => searchRfx(rfxRows, parseSearchParams(query, { id: 'user-1' }));
+
+const list = async (query, user = { id: 'user-1' }) => {
+  const res = createMockResponse();
+  await getRfxListHandler({ query, user }, res);
+  return res;
+};
+
+describe('RFX search', () => {
+  test('reads budget bounds from free text', () => {
+    expect(extractBudgetBounds({ budget_range: '$50k-$100k' })).toEqual({ min: 50000, max: 100000 });
+    expect(extractBudgetBounds({ budget_range: 'TBD' })).toEqual({ min: null, max: null });
+  });
+
+  test('ranks full-text matches by relevance with title hits first', () => {
+    const { items, total } = search({ q: 'security' });
+    expect(total).toBe(2);
+    expect(items.map((rfx) => rfx.id)).toEqual(['a', 'b']);
+  });
+
+  test('filters by NAICS prefix, budget range and location', () => {
+    expect(search({ naics: '5415' }).items.map((rfx) => rfx.id)).toEqual(['a', 'c']);
+    expect(search({ budget_min: '200000' }).items.map((rfx) => rfx.id)).toEqual(['b']);
+    expect(search({ location: 'va', sort: 'deadline' }).items.map((rfx) => rfx.id)).toEqual(['b', 'a']);
+  });
+
+  test('returns facet counts over the matched set', () => {
+    const { facets } = search({ category: 'IT' });
+    expect(facets.status).toEqual({ published: 1, draft: 1 });
+    expect(facets.naics_sector).toEqual({ 54: 2 });
+  });
+
+  test('pages with a cursor', () => {
+    const first = search({ limit: '2', sort: '-budget' });
+    expect(first.items.map((rfx) => rfx.id)).toEqual(['b', 'a']);
+    const second = search({ limit: '2', sort: '-budget', cursor: first.next_cursor });
+    expect(second.items.map((rfx) => rfx.id)).toEqual(['c']);
+    expect(second.next_cursor).toBeNull();
+  });
+
+  test('the database pre-filter keeps every row the in-memory search matches', async () => {
+    mockSupabase = createSupabaseMock({ rfx_opportunities: rfxRows });
+    const queries = [
+      { q: 'secur' },
+      { naics: '541512,561720' },
+      { naics: '5415' },
+      { location: 'VA', status: 'published' },
+      { deadline_from: '2025-04-15', deadline_to: '2025-06-30' },
+    ];
+
+    for (const query of queries) {
+      const params = parseSearchParams(query, { id: 'user-1' });
+      const { data } = await applyDatabaseFilters(mockSupabase.from('rfx_opportunities').select('*'), params);
+      expect(data.map((rfx) => rfx.id)).toEqual(expect.arrayContaining(search(query).items.map((rfx) => rfx.id)));
+    }
+  });
+
+  test('sorts and pages across more RFx than one database batch', async () => {
+    const newer = Array.from({ length: 1100 }, (_, index) => ({
+      ...rfxRows[2],
+      id: `newer-${String(index).padStart(4, '0')}`,
+      submission_deadline: '2025-09-01T17:00:00Z',
+      created_at: `2025-02-${String((index % 28) + 1).padStart(2, '0')}T00:00:00Z`,
+    }));
+    mockSupabase = createSupabaseMock({ rfx_opportunities: [...newer, ...rfxRows] });
+
+    const byDeadline = await list({ sort: 'deadline', limit: '2' });
+    expect(byDeadline.statusCode).toBe(200);
+    expect(byDeadline.body).toMatchObject({ total: 1103, facets: { status: { published: 2, draft: 1101 } } });
+    expect(byDeadline.body.items.map((rfx) => rfx.id)).toEqual(['b', 'a']);
+    expect((await list({ q: 'security' })).body.total).toBe(2);
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = await list({ limit: '100', ...(cursor ? { cursor } : {}) });
+      seen.push(...page.body.items.map((rfx) => rfx.id));
+      cursor = page.body.next_cursor;
+    } while (cursor);
+    expect(new Set(seen).size).toBe(1103);
+  });
+
+  test('lists private RFx only for their owner and invited vendors', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_opportunities: [
+        ...rfxRows,
+        { ...rfxRows[0], id: 'private-1', visibility: 'private', created_by: 'owner-1' },
+        { ...rfxRows[0], id: 'private-2', visibility: 'private', created_by: 'owner-1' },
+      ],
+      rfx_invitations: [{ id: 'inv-1', rfx_id: 'private-2', vendor_id: 'vendor-1', status: 'sent' }],
+    });
+    const ids = (res) => res.body.items.map((rfx) => rfx.id).sort();
+
+    expect(ids(await list({}, { id: 'outsider' }))).toEqual(['a', 'b', 'c']);
+    expect(ids(await list({}, { id: 'vendor-1' }))).toEqual(['a', 'b', 'c', 'private-2']);
+    expect(ids(await list({}, { id: 'owner-1' }))).toEqual(['a', 'b', 'c', 'private-1', 'private-2']);
+  });
+});
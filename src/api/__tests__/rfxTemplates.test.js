@@ -0,0 +1,96 @@
+import {
+  buildDraftFromRfx,
+  buildDraftFromTemplate,
+  canManageTemplate,
+  canViewTemplate,
+  normalizeTemplate,
+  snapshotTemplate,
+} from '../utils/rfxTemplates.js';
+
+const criteria = [
+  { id: 'price', name: 'Price', weight: 60 },
+  { id: 'technical', name: 'Technical', weight: 40 },
+];
+
+describe('rfx templates', () => {
+  test('defaults new templates to personal scope and validates their content', () => {
+    const { template, error } = normalizeTemplate({
+      name: ' Janitorial services ',
+      requirements: 'The contractor shall clean weekly.',
+      evaluation_criteria: criteria,
+      required_documents: [{ name: 'W-9' }],
+      created_by: 'ignored',
+    });
+
+    expect(error).toBeNull();
+    expect(template).toMatchObject({ name: 'Janitorial services', scope: 'personal', naics_codes: [] });
+    expect(template.required_documents[0]).toMatchObject({ name: 'W-9', mandatory: true });
+    expect(template).not.toHaveProperty('created_by');
+
+    expect(normalizeTemplate({ name: 'x', scope: 'team' }).error).toMatch(/scope/);
+    expect(normalizeTemplate({ name: 'x', evaluation_criteria: [{ name: 'Price', weight: 50 }] }).error).toMatch(
+      /add up to 100/,
+    );
+    expect(normalizeTemplate({}).error).toBe('name is required');
+  });
+
+  test('only checks the fields sent in a partial update', () => {
+    expect(normalizeTemplate({ requirements: 'Updated' }, { partial: true })).toEqual({
+      template: { requirements: 'Updated' },
+      error: null,
+    });
+  });
+
+  test('shares organization templates with everyone but lets only admins manage them', () => {
+    const shared = { scope: 'organization', owner_id: 'admin-1' };
+    const personal = { scope: 'personal', owner_id: 'buyer-1' };
+    const admin = { id: 'admin-2', role: 'admin' };
+
+    expect(canViewTemplate(shared, { id: 'buyer-2' })).toBe(true);
+    expect(canManageTemplate(shared, { id: 'buyer-2' })).toBe(false);
+    expect(canManageTemplate(shared, admin)).toBe(true);
+
+    expect(canViewTemplate(personal, { id: 'buyer-2' })).toBe(false);
+    expect(canManageTemplate(personal, { id: 'buyer-1' })).toBe(true);
+    expect(canManageTemplate(personal, admin)).toBe(false);
+  });
+
+  test('builds drafts from a template with overrides taking precedence', () => {
+    const template = { id: 't1', name: 'Janitorial', version: 3, description: 'Cleaning', naics_codes: ['561720'] };
+    expect(buildDraftFromTemplate(template, { submission_deadline: '2030-01-01', status: 'published' })).toEqual({
+      title: 'Janitorial',
+      description: 'Cleaning',
+      naics_codes: ['561720'],
+      submission_deadline: '2030-01-01',
+      status: 'draft',
+    });
+    expect(Object.keys(snapshotTemplate(template))).toEqual([
+      'name',
+      'description',
+      'requirements',
+      'category',
+      'naics_codes',
+      'evaluation_criteria',
+      'required_documents',
+    ]);
+  });
+
+  test('clones an RFx without its schedule, status or auction start', () => {
+    const rfx = {
+      id: 'rfx-1',
+      title: 'Fuel supply',
+      description: 'Diesel',
+      requirements: 'Deliver weekly',
+      submission_deadline: '2024-01-01',
+      status: 'awarded',
+      award_id: 'a1',
+      rfx_type: 'reverse_auction',
+      auction: { starts_at: '2023-12-31T00:00:00Z', min_decrement: 100, invited_vendor_ids: ['v1'] },
+    };
+
+    const draft = buildDraftFromRfx(rfx, { submission_deadline: '2030-01-01' });
+    expect(draft).toMatchObject({ title: 'Fuel supply (copy)', status: 'draft', submission_deadline: '2030-01-01' });
+    expect(draft).not.toHaveProperty('award_id');
+    expect(draft.auction).toEqual({ min_decrement: 100, invited_vendor_ids: ['v1'] });
+  });
+});
@@ -0,0 +1,126 @@
+import { createMockResponse, createSupabaseMock } from '../../test-utils/supabaseMock.js';
+import { presentResponse, sealResponseFields, unsealResponse } from '../utils/sealedBids.js';
+import { openBidsHandler } from '../rfx/openBids.js';
+import { respondToRfxHandler } from '../rfx/respondToRfx.js';
+
+let mockSupabase;
+
+jest.mock('../utils/supabaseClient.js', () => ({
+  getSupabaseClient: () => mockSupabase,
+}));
+
+describe('sealed bids', () => {
+  const originalKey = process.env.SEALED_BID_KEY;
+
+  beforeAll(() => {
+    process.env.SEALED_BID_KEY = 'test-secret';
+  });
+
+  afterAll(() => {
+    process.env.SEALED_BID_KEY = originalKey;
+  });
+
+  const response = {
+    id: 'resp-1',
+    responder_id: 'vendor-1',
+    content: 'Our technical approach',
+    bid_amount: 125000,
+    attachments: [{ name: 'pricing.pdf' }],
+  };
+
+  test('encrypts bid fields at rest and restores them on opening', () => {
+    const sealed = sealResponseFields(response);
+    expect(sealed.content).toBeNull();
+    expect(sealed.bid_amount).toBeNull();
+    expect(JSON.stringify(sealed.sealed_payload)).not.toContain('technical');
+    expect(unsealResponse(sealed)).toMatchObject(response);
+  });
+
+  test('hides sealed bids from the buyer but not from the bidder', () => {
+    const sealed = sealResponseFields(response);
+    const rfx = { sealed: true, bid_opened_at: null };
+    expect(presentResponse(sealed, rfx, { id: 'buyer-1' })).toMatchObject({
+      content: null,
+      bid_amount: null,
+      sealed: true,
+    });
+    expect(presentResponse(sealed, rfx, { id: 'vendor-1' }).bid_amount).toBe(125000);
+  });
+
+  test('rejects tampered payloads', () => {
+    const sealed = sealResponseFields(response);
+    const tampered = {
+      ...sealed,
+      sealed_payload: { ...sealed.sealed_payload, ciphertext: Buffer.from('x').toString('base64') },
+    };
+    expect(() => unsealResponse(tampered)).toThrow();
+  });
+
+  test('an opening that fails before the RFx is stamped can be retried', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_opportunities: [
+        {
+          id: 'rfx-1',
+          created_by: 'owner-1',
+          status: 'closed',
+          sealed: true,
+          bid_opened_at: null,
+          submission_deadline: '2026-01-01T17:00:00Z',
+          timezone: 'UTC',
+        },
+      ],
+      rfx_responses: [{ ...sealResponseFields(response), rfx_id: 'rfx-1', status: 'submitted' }],
+    });
+    const open = async () => {
+      const res = createMockResponse();
+      await openBidsHandler({ params: { rfxId: 'rfx-1' }, user: { id: 'owner-1' } }, res);
+      return res;
+    };
+
+    mockSupabase.failNext('rfx_opportunities', 'update');
+    const failed = await open();
+    expect(failed.statusCode).toBe(400);
+    expect(mockSupabase.tables.rfx_opportunities[0].bid_opened_at).toBeNull();
+    expect(mockSupabase.tables.rfx_bid_openings).toEqual([]);
+
+    const retried = await open();
+    expect(retried.statusCode).toBe(200);
+    expect(mockSupabase.tables.rfx_bid_openings).toHaveLength(1);
+    expect(mockSupabase.tables.rfx_bid_openings[0].bids[0].bid_amount).toBe(125000);
+    expect(mockSupabase.tables.rfx_opportunities[0].bid_opened_at).toEqual(expect.any(String));
+  });
+
+  test('a late bid under a deadline exception after the opening is stored open', async () => {
+    mockSupabase = createSupabaseMock({
+      rfx_opportunities: [
+        {
+          id: 'rfx-1',
+          created_by: 'owner-1',
+          status: 'closed',
+          sealed: true,
+          bid_opened_at: '2026-01-02T09:00:00Z',
+          submission_deadline: '2026-01-01T17:00:00Z',
+          timezone: 'UTC',
+        },
+      ],
+      rfx_deadline_exceptions: [
+        { id: 'exc-1', rfx_id: 'rfx-1', vendor_id: 'vendor-2', status: 'approved', extended_until: null },
+      ],
+    });
+    const res = createMockResponse();
+
+    await respondToRfxHandler(
+      { params: { rfxId: 'rfx-1' }, user: { id: 'vendor-2' }, body: { content: 'Late approach', bid_amount: 99000 } },
+      res,
+    );
+
+    expect(res.statusCode).toBe(201);
+    expect(mockSupabase.tables.rfx_responses[0]).toMatchObject({
+      content: 'Late approach',
+      bid_amount: 99000,
+      is_late: true,
+      deadline_exception_id: 'exc-1',
+    });
+    expect(mockSupabase.tables.rfx_responses[0].sealed_payload ?? null).toBeNull();
+  });
+});
@@ -13,6 +13,8 @@ jest.mock('../middleware/authGuard.js', () => ({
     next();
   },
   optionalAuth: (_req, _res, next) => next(),
+  requireAdmin: (_req, _res, next) => next(),
+  isAdminUser: () => false,
 }));
 
 jest.mock('../middleware/validateRequest.js', () => ({
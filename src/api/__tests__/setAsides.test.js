@@ -0,0 +1,55 @@
+import { checkSetAsideEligibility, normalizeSetAside, parseAmount, resolveSizeStandard } from '../utils/setAsides.js';
+import { mapSamOpportunity } from '../utils/rfxImport.js';
+
+describe('set-asides', () => {
+  test('normalizes set-aside types, SAM.gov codes and size standards', () => {
+    expect(normalizeSetAside({ set_aside: '8(a)' }).value).toEqual({ set_aside: '8a', size_standard: null });
+    expect(normalizeSetAside({ set_aside: 'SDVOSBC' }).value.set_aside).toBe('sdvosb');
+    expect(normalizeSetAside({ set_aside: 'none' }).value.set_aside).toBeNull();
+    expect(normalizeSetAside({ set_aside: 'tribal' }).error).toMatch(/set_aside must be one of/);
+    expect(normalizeSetAside({ size_standard: { metric: 'employees', limit: -1 } }).error).toMatch(/size_standard/);
+    expect(mapSamOpportunity({ title: 'Paving', typeOfSetAside: 'SBA' }).set_aside).toBe('small_business');
+  });
+
+  test('reads revenue figures and resolves the size standard', () => {
+    expect(parseAmount('$12.5M')).toBe(12500000);
+    expect(parseAmount('850k')).toBe(850000);
+    expect(parseAmount('about ten million')).toBeNull();
+    expect(resolveSizeStandard({ naics_codes: ['561720'] })).toEqual({
+      metric: 'annual_revenue',
+      limit: 22000000,
+      naics_code: '561720',
+      source: 'sba',
+    });
+    expect(resolveSizeStandard({ naics_codes: ['999999'] })).toBeNull();
+  });
+
+  test('explains why a vendor is not eligible', () => {
+    const rfx = { set_aside: 'hubzone', naics_codes: ['561720'] };
+
+    expect(
+      checkSetAsideEligibility(rfx, {
+        business_type: 'Small Business',
+        annual_revenue: '$4M',
+        certifications: ['HUBZone'],
+      }),
+    ).toEqual({ eligible: true, reasons: [] });
+
+    expect(checkSetAsideEligibility(rfx, { annual_revenue: 30000000, certifications: [] }).reasons).toEqual([
+      'Your annual_revenue of $30,000,000 exceeds the $22,000,000 size standard for NAICS 561720',
+      'This RFX is set aside for HUBZone small businesses; add hubzone to your profile certifications',
+    ]);
+
+    expect(
+      checkSetAsideEligibility({ set_aside: 'small_business', size_standard: { metric: 'employees', limit: 500 } }, {})
+        .reasons,
+    ).toEqual(['Add employee_count to your profile to show you meet the 500 employees size standard']);
+    expect(
+      checkSetAsideEligibility({ set_aside: 'wosb' }, { business_type: 'small', certifications: ['EDWOSB'] }).eligible,
+    ).toBe(true);
+    expect(
+      checkSetAsideEligibility({ set_aside: 'small_business' }, { business_type: 'Other than small' }).eligible,
+    ).toBe(false);
+    expect(checkSetAsideEligibility({}, null)).toEqual({ eligible: true, reasons: [] });
+  });
+});
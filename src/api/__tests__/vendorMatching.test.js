@@ -0,0 +1,157 @@
+import { createHashedTfidfEmbedder, createOpenAiEmbedder, getEmbedder, tokenizeText } from '../utils/embeddings.js';
+import { cosineSimilarity, createVectorIndex } from '../utils/vectorIndex.js';
+import { buildRfxQuery, buildVendorDocument, buildVendorIndex, rankVendors } from '../utils/vendorMatching.js';
+
+const vendors = [
+  {
+    id: 'v-roads',
+    company_name: 'Roadworks LLC',
+    capabilities: ['asphalt paving', 'highway resurfacing', 'traffic control'],
+    past_performance: [{ title: 'Interstate resurfacing', agency: 'State DOT' }],
+    naics_codes: ['237310'],
+    business_type: 'small',
+  },
+  {
+    id: 'v-cloud',
+    company_name: 'Nimbus Systems',
+    capabilities: ['cloud migration', 'cybersecurity', 'managed hosting'],
+    past_performance: ['FedRAMP cloud hosting for a federal agency'],
+    naics_codes: ['541512', '518210'],
+    business_type: 'large',
+  },
+  {
+    id: 'v-grounds',
+    company_name: 'Greenway Grounds',
+    capabilities: ['landscaping', 'grounds maintenance', 'snow removal'],
+    naics_codes: ['561730'],
+    business_type: 'small',
+  },
+  { id: 'v-empty', company_name: 'Placeholder Inc' },
+];
+
+const rfx = {
+  title: 'Cloud hosting migration',
+  requirements: 'Migrate legacy applications to managed cloud hosting with continuous cybersecurity monitoring.',
+  naics_codes: ['541512'],
+};
+
+// Answers the queries buildVendorIndex makes and records the embeddings it saves.
+const createSupabase = ({ profiles, stored = [] }) => {
+  const saved = [];
+  const supabase = {
+    saved,
+    from: (table) => ({
+      select: () => {
+        const result = Promise.resolve({ data: table === 'profiles' ? profiles : stored, error: null });
+        result.eq = () => result;
+        return result;
+      },
+      upsert: async (rows) => {
+        saved.push(...rows);
+        return { error: null };
+      },
+    }),
+  };
+  return supabase;
+};
+
+const buildLocalIndex = async () => {
+  const embedder = createHashedTfidfEmbedder();
+  const { index } = await buildVendorIndex(createSupabase({ profiles: vendors }), embedder);
+  return { index, embedder };
+};
+
+describe('vendor matching', () => {
+  test('tokenizes text without stop words or single characters', () => {
+    expect(tokenizeText('The Cloud-hosting of a 24/7 SOC')).toEqual(['cloud', 'hosting', '24', 'soc']);
+  });
+
+  test('the local embedder places related text closer than unrelated text', async () => {
+    const embedder = createHashedTfidfEmbedder({ dimensions: 256 });
+    const texts = ['cloud hosting migration', 'managed cloud hosting services', 'asphalt paving and resurfacing'];
+    embedder.fit(texts);
+    const [query, related, unrelated] = await embedder.embed(texts);
+
+    expect(query).toHaveLength(256);
+    expect(cosineSimilarity(query, query)).toBeCloseTo(1);
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+
+  test('the vector index searches by cosine similarity after filtering', () => {
+    const index = createVectorIndex();
+    index.upsert('a', [1, 0], { eligible: true });
+    index.upsert('b', [0.8, 0.6], { eligible: false });
+    index.upsert('c', [0.6, 0.8], { eligible: true });
+    index.upsert('d', [0, 1], { eligible: true });
+
+    expect(index.search([1, 0], { limit: 2 }).map((result) => result.id)).toEqual(['a', 'b']);
+    expect(index.search([1, 0], { filter: (metadata) => metadata.eligible }).map((result) => result.id)).toEqual([
+      'a',
+      'c',
+    ]);
+    expect(index.search([0, 0])).toEqual([]);
+  });
+
+  test('builds documents from capabilities, past performance and NAICS codes', () => {
+    expect(buildVendorDocument(vendors[0])).toBe(
+      'Capabilities: asphalt paving; highway resurfacing; traffic control\n' +
+        'Past performance: Interstate resurfacing State DOT\n' +
+        'NAICS: 237310',
+    );
+    expect(buildVendorDocument(vendors[3])).toBe('');
+    expect(buildRfxQuery(rfx)).toContain('NAICS: 541512');
+  });
+
+  test('ranks the whole vendor base against an RFx with the local embedder', async () => {
+    const { index, embedder } = await buildLocalIndex();
+    expect(index.size).toBe(3);
+
+    const matches = await rankVendors({ index, embedder, rfx, limit: 3 });
+    expect(matches[0]).toMatchObject({
+      vendor_id: 'v-cloud',
+      vendor_name: 'Nimbus Systems',
+      naics_overlap: ['541512'],
+      matched_terms: ['cloud', 'migration', 'cybersecurity', 'managed', 'hosting'],
+    });
+    expect(matches[0].score).toBeGreaterThan(matches[1]?.score ?? 0);
+
+    const smallOnly = await rankVendors({ index, embedder, rfx, filter: (vendor) => vendor.business_type === 'small' });
+    expect(smallOnly.map((match) => match.vendor_id)).not.toContain('v-cloud');
+  });
+
+  test('reuses stored embeddings and only embeds changed profiles', async () => {
+    const embed = jest.fn(async (texts) => texts.map(() => [0.5, 0.5]));
+    const embedder = { name: 'test-model', persistent: true, embed };
+    const first = createSupabase({ profiles: vendors });
+    await buildVendorIndex(first, embedder);
+    expect(first.saved).toHaveLength(3);
+
+    const changed = vendors.map((vendor) =>
+      vendor.id === 'v-grounds' ? { ...vendor, capabilities: [...vendor.capabilities, 'tree care'] } : vendor,
+    );
+    const second = createSupabase({ profiles: changed, stored: first.saved });
+    const result = await buildVendorIndex(second, embedder);
+
+    expect(result).toMatchObject({ embedded: 1, reused: 2, saveError: null });
+    expect(second.saved.map((row) => row.vendor_id)).toEqual(['v-grounds']);
+    expect(embed).toHaveBeenLastCalledWith([buildVendorDocument(changed[2])]);
+  });
+
+  test('batches OpenAI embedding requests and keeps their order', async () => {
+    const create = jest.fn(async ({ input }) => ({
+      data: input.map((text, index) => ({ index, embedding: [text.length] })).reverse(),
+    }));
+    const embedder = createOpenAiEmbedder({ client: { embeddings: { create } }, batchSize: 2 });
+
+    await expect(embedder.embed(['a', 'bb', 'ccc'])).resolves.toEqual([[1], [2], [3]]);
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create).toHaveBeenCalledWith({ model: 'text-embedding-3-small', input: ['a', 'bb'] });
+  });
+
+  test('falls back to the local embedder without an OpenAI client or when configured', () => {
+    const client = { embeddings: { create: jest.fn() } };
+    expect(getEmbedder(null).persistent).toBe(false);
+    expect(getEmbedder(client, { provider: 'local' }).name).toBe('hashed-tfidf-1024');
+    expect(getEmbedder(client)).toMatchObject({ name: 'text-embedding-3-small', persistent: true });
+  });
+});
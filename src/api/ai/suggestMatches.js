@@ -1,22 +1,24 @@
 import { getSupabaseClient } from '../utils/supabaseClient.js';
 import { getOpenAiClient } from '../utils/openaiClient.js';
+import { checkSetAsideEligibility } from '../utils/setAsides.js';
+import { matchVendors } from '../utils/vendorMatching.js';
 
-const baselineRank = (vendors, rfx) =>
-  vendors
-    .map((vendor) => ({
-      vendor,
-      score:
-        (Array.isArray(vendor.naics_codes)
-          ? vendor.naics_codes.filter((code) => rfx.naics_codes?.includes(code)).length * 0.4
-          : 0) + (vendor.capabilities ? vendor.capabilities.length * 0.1 : 0),
-    }))
-    .sort((a, b) => b.score - a.score)
-    .map((entry) => ({
-      vendor_id: entry.vendor.id,
-      vendor_name: entry.vendor.company_name,
-      match_score: Number((entry.score * 10).toFixed(2)),
-      reasoning: 'Ranked using NAICS overlap and capability depth',
-    }));
+// The chat model re-ranks this many of the closest vendors by embedding similarity.
+const SHORTLIST_SIZE = 50;
+
+const describeMatch = (match) => {
+  const reasons = [`Profile similarity ${Math.round(match.similarity * 100)}%`];
+  if (match.naics_overlap.length) reasons.push(`shared NAICS ${match.naics_overlap.join(', ')}`);
+  if (match.matched_terms.length) reasons.push(`capabilities mention ${match.matched_terms.slice(0, 5).join(', ')}`);
+  return reasons.join('; ');
+};
+
+const toSuggestion = (match) => ({
+  vendor_id: match.vendor_id,
+  vendor_name: match.vendor_name,
+  match_score: match.score,
+  reasoning: describeMatch(match),
+});
 
 export const suggestMatchesHandler = async (req, res) => {
   const supabase = getSupabaseClient();
@@ -27,20 +29,49 @@ export const suggestMatchesHandler = async (req, res) => {
   }
 
   try {
-    const [{ data: rfx, error: rfxError }, { data: vendors, error: vendorError }] = await Promise.all([
-      supabase.from('rfx_opportunities').select('*').eq('id', rfxId).single(),
-      supabase.from('profiles').select('*').neq('id', req.user.id).limit(50),
-    ]);
-
-    if (rfxError || vendorError || !rfx || !vendors) {
+    const { data: rfx, error: rfxError } = await supabase
+      .from('rfx_opportunities')
+      .select('*')
+      .eq('id', rfxId)
+      .single();
+    if (rfxError || !rfx) {
       return res.status(400).json({ error: 'Unable to load RFX or vendor data' });
     }
 
     const openai = getOpenAiClient();
-    if (!openai) {
-      return res.status(200).json({ matches: baselineRank(vendors, rfx).slice(0, limit), provider: 'fallback' });
+    const {
+      matches: shortlist,
+      profiles,
+      model,
+      embeddingError,
+      saveError,
+      error: vendorError,
+    } = await matchVendors(supabase, rfx, {
+      client: openai,
+      limit: SHORTLIST_SIZE,
+      filter: (vendor) => vendor.id !== req.user.id && checkSetAsideEligibility(rfx, vendor).eligible,
+    });
+
+    if (vendorError) {
+      return res.status(400).json({ error: 'Unable to load RFX or vendor data' });
     }
 
+    if (embeddingError) {
+      console.error('Vendor embedding error:', embeddingError);
+    }
+
+    if (saveError) {
+      console.error('Unable to store vendor embeddings:', saveError.message);
+    }
+
+    const semanticMatches = shortlist.slice(0, limit).map(toSuggestion);
+    if (!openai || !shortlist.length) {
+      return res.status(200).json({ matches: semanticMatches, provider: 'embeddings', embedding_model: model });
+    }
+
+    const profilesById = new Map(profiles.map((vendor) => [vendor.id, vendor]));
+    const vendors = shortlist.map((match) => ({ ...profilesById.get(match.vendor_id), similarity: match.similarity }));
+
     const completion = await openai.chat.completions.create({
       model: 'gpt-4o-mini',
       temperature: 0.2,
@@ -57,6 +88,7 @@ export const suggestMatchesHandler = async (req, res) => {
               name: vendor.company_name,
               capabilities: vendor.capabilities,
               pastPerformance: vendor.past_performance,
+              similarity: vendor.similarity,
             })),
           )}\nReturn an array named matches with vendorId, matchScore (0-1), and reasoning. Limit to ${limit}.`,
         },
@@ -66,15 +98,18 @@ export const suggestMatchesHandler = async (req, res) => {
 
     const raw = completion.choices?.[0]?.message?.content;
     const parsed = JSON.parse(raw || '{}');
+    const eligibleIds = new Set(vendors.map((vendor) => vendor.id));
     const matches = Array.isArray(parsed.matches)
-      ? parsed.matches.map((match) => ({
-          vendor_id: match.vendorId,
-          match_score: Number((match.matchScore * 100).toFixed(2)),
-          reasoning: match.reasoning,
-        }))
-      : baselineRank(vendors, rfx).slice(0, limit);
-
-    return res.status(200).json({ matches, provider: 'openai' });
+      ? parsed.matches
+          .filter((match) => eligibleIds.has(match.vendorId))
+          .map((match) => ({
+            vendor_id: match.vendorId,
+            match_score: Number((match.matchScore * 100).toFixed(2)),
+            reasoning: match.reasoning,
+          }))
+      : semanticMatches;
+
+    return res.status(200).json({ matches, provider: 'openai', embedding_model: model });
   } catch (error) {
     console.error('Suggest matches error:', error);
     return res.status(500).json({ error: 'Unable to suggest matches' });
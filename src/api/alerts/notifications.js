@@ -0,0 +1,76 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * The caller's notifications, newest first. `?unread=true` limits them to unread ones; `unread_count` is always
+ * the total unread.
+ */
+export const listNotificationsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const limit = Math.min(Math.max(Number(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  try {
+    let query = supabase
+      .from('notifications')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    if (req.query.unread === 'true') {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load notifications', details: error.message });
+    }
+
+    const { data: unread } = await supabase
+      .from('notifications')
+      .select('id')
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+
+    return res.status(200).json({ notifications: data || [], unread_count: (unread || []).length });
+  } catch (error) {
+    console.error('List notifications error:', error);
+    return res.status(500).json({ error: 'Unable to fetch notifications' });
+  }
+};
+
+/**
+ * Marks the notifications in `ids` as read, or every unread notification when `ids` is omitted.
+ */
+export const markNotificationsReadHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { ids } = req.body || {};
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: 'ids must be a non-empty array' });
+  }
+
+  try {
+    let query = supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+    if (ids) {
+      query = query.in('id', ids);
+    }
+
+    const { data, error } = await query.select('id');
+    if (error) {
+      return res.status(400).json({ error: 'Failed to mark notifications as read', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Notifications marked as read', updated: (data || []).length });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    return res.status(500).json({ error: 'Unable to update notifications' });
+  }
+};
+
+export default listNotificationsHandler;
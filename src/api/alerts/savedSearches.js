@@ -0,0 +1,130 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { MAX_SAVED_SEARCHES, normalizeSavedSearch } from '../utils/rfxAlerts.js';
+
+const loadOwnSearch = async (supabase, searchId, user) => {
+  const { data, error } = await supabase.from('saved_searches').select('*').eq('id', searchId).maybeSingle();
+  if (error || !data) {
+    return { status: 404, error: 'Saved search not found' };
+  }
+  if (data.user_id !== user.id) {
+    return { status: 403, error: 'You can only manage your own saved searches' };
+  }
+  return { search: data, error: null };
+};
+
+export const listSavedSearchesHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load saved searches', details: error.message });
+    }
+
+    return res.status(200).json({ searches: data || [] });
+  } catch (error) {
+    console.error('List saved searches error:', error);
+    return res.status(500).json({ error: 'Unable to fetch saved searches' });
+  }
+};
+
+/**
+ * Saves a search with the GET /rfx filters. Its owner is alerted whenever a newly published (or amended) RFx
+ * matches it, until `alerts_enabled` is turned off.
+ */
+export const createSavedSearchHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { search, error: searchError } = normalizeSavedSearch(req.body);
+
+  if (searchError) {
+    return res.status(400).json({ error: searchError });
+  }
+
+  try {
+    const { data: existing } = await supabase.from('saved_searches').select('id').eq('user_id', req.user.id);
+    if ((existing || []).length >= MAX_SAVED_SEARCHES) {
+      return res.status(409).json({ error: `You can keep up to ${MAX_SAVED_SEARCHES} saved searches` });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .insert([{ ...search, user_id: req.user.id, created_at: now, updated_at: now }])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to save search', details: error.message });
+    }
+
+    return res.status(201).json({ message: 'Search saved', search: data });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    return res.status(500).json({ error: 'Unable to save search' });
+  }
+};
+
+export const updateSavedSearchHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { searchId } = req.params;
+  const { search: updates, error: searchError } = normalizeSavedSearch(req.body, { partial: true });
+
+  if (searchError) {
+    return res.status(400).json({ error: searchError });
+  }
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No valid fields provided' });
+  }
+
+  try {
+    const { error: accessError, status } = await loadOwnSearch(supabase, searchId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', searchId)
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to update saved search', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Saved search updated', search: data });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    return res.status(500).json({ error: 'Unable to update saved search' });
+  }
+};
+
+export const deleteSavedSearchHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { searchId } = req.params;
+
+  try {
+    const { error: accessError, status } = await loadOwnSearch(supabase, searchId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { error } = await supabase.from('saved_searches').delete().eq('id', searchId);
+    if (error) {
+      return res.status(400).json({ error: 'Failed to delete saved search', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Saved search deleted' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    return res.status(500).json({ error: 'Unable to delete saved search' });
+  }
+};
+
+export default listSavedSearchesHandler;
@@ -0,0 +1,94 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+
+const WATCHED_RFX_COLUMNS = 'id, title, status, submission_deadline, timezone, current_version';
+
+export const getWatchlistHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data: watches, error } = await supabase
+      .from('rfx_watchlist')
+      .select('*')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load watchlist', details: error.message });
+    }
+
+    const rfxIds = (watches || []).map((watch) => watch.rfx_id);
+    const { data: rfxRows } = rfxIds.length
+      ? await supabase.from('rfx_opportunities').select(WATCHED_RFX_COLUMNS).in('id', rfxIds)
+      : { data: [] };
+    const rfxById = new Map((rfxRows || []).map((rfx) => [rfx.id, rfx]));
+
+    return res.status(200).json({
+      watchlist: (watches || []).map((watch) => ({ ...watch, rfx: rfxById.get(watch.rfx_id) || null })),
+    });
+  } catch (error) {
+    console.error('Get watchlist error:', error);
+    return res.status(500).json({ error: 'Unable to fetch watchlist' });
+  }
+};
+
+/**
+ * Watches an RFx for amendments, deadline changes and published Q&A answers. Watching twice is a no-op.
+ */
+export const watchRfxHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const { data: existing } = await supabase
+      .from('rfx_watchlist')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(200).json({ message: 'Already watching this RFX', watch: existing });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_watchlist')
+      .insert([{ rfx_id: rfxId, user_id: req.user.id, created_at: new Date().toISOString() }])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to watch RFX', details: error.message });
+    }
+
+    return res.status(201).json({ message: 'Watching RFX', watch: data });
+  } catch (error) {
+    console.error('Watch RFX error:', error);
+    return res.status(500).json({ error: 'Unable to watch RFX' });
+  }
+};
+
+export const unwatchRfxHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { error } = await supabase.from('rfx_watchlist').delete().eq('rfx_id', rfxId).eq('user_id', req.user.id);
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to unwatch RFX', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'No longer watching RFX' });
+  } catch (error) {
+    console.error('Unwatch RFX error:', error);
+    return res.status(500).json({ error: 'Unable to unwatch RFX' });
+  }
+};
+
+export default getWatchlistHandler;
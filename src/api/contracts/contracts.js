@@ -0,0 +1,218 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadRfx, isRfxOwner } from '../utils/rfxAccess.js';
+import {
+  CONTRACT_CHANGED_ERROR,
+  CONTRACT_STATUSES,
+  buildBurnDown,
+  createAwardContracts,
+  loadContract,
+  loadContractInvoices,
+  normalizeDeliverables,
+  normalizeMilestones,
+  saveContract,
+} from '../utils/contracts.js';
+
+const CONTRACT_RFX_COLUMNS = 'id, title, status, award_id, awarded_at';
+
+/**
+ * The caller's contracts as buyer or vendor, newest first, optionally for a single RFx.
+ */
+export const listContractsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+
+  try {
+    let query = supabase
+      .from('contracts')
+      .select('*')
+      .or(`buyer_id.eq.${req.user.id},vendor_id.eq.${req.user.id}`)
+      .order('created_at', { ascending: false });
+    if (req.query.rfx_id) {
+      query = query.eq('rfx_id', req.query.rfx_id);
+    }
+    if (req.query.status) {
+      query = query.eq('status', req.query.status);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load contracts', details: error.message });
+    }
+
+    return res.status(200).json({ contracts: data || [] });
+  } catch (error) {
+    console.error('List contracts error:', error);
+    return res.status(500).json({ error: 'Unable to fetch contracts' });
+  }
+};
+
+/**
+ * Creates the contracts for an awarded RFx. Awarding creates them already; this covers RFx awarded before
+ * contracts existed, or an award whose contracts failed to save. Vendors that already have one are skipped.
+ */
+export const createContractsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfx_id: rfxId } = req.body;
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can create its contracts' });
+    }
+
+    if (!rfx.award_id) {
+      return res.status(409).json({ error: 'Award this RFX before creating contracts' });
+    }
+
+    const { data: award } = await supabase.from('rfx_awards').select('*').eq('id', rfx.award_id).maybeSingle();
+    if (!award) {
+      return res.status(404).json({ error: 'Award not found' });
+    }
+
+    const { contracts, error } = await createAwardContracts(supabase, rfx, award);
+    if (error) {
+      return res.status(400).json({ error: 'Failed to create contracts', details: error.message });
+    }
+
+    return res.status(contracts.length ? 201 : 200).json({
+      message: contracts.length ? 'Contracts created' : 'Every winning vendor already has a contract',
+      contracts,
+    });
+  } catch (error) {
+    console.error('Create contracts error:', error);
+    return res.status(500).json({ error: 'Unable to create contracts' });
+  }
+};
+
+export const getContractHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId } = req.params;
+
+  try {
+    const { contract, role, status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const [{ data: invoices }, { data: rfx }] = await Promise.all([
+      loadContractInvoices(supabase, contractId),
+      supabase.from('rfx_opportunities').select(CONTRACT_RFX_COLUMNS).eq('id', contract.rfx_id).maybeSingle(),
+    ]);
+
+    return res.status(200).json({
+      contract,
+      role,
+      rfx: rfx || null,
+      invoices: invoices || [],
+      burn_down: buildBurnDown(contract, invoices || []),
+    });
+  } catch (error) {
+    console.error('Get contract error:', error);
+    return res.status(500).json({ error: 'Unable to fetch contract' });
+  }
+};
+
+/**
+ * Buyer-side edits: the dates, the milestone and deliverable plan, and closing the contract. Review statuses
+ * only change through the review endpoints, so a plan update never accepts anything.
+ */
+export const updateContractHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId } = req.params;
+
+  try {
+    const { contract, role, status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (role !== 'buyer') {
+      return res.status(403).json({ error: 'Only the buyer can edit this contract' });
+    }
+
+    if (contract.status !== 'active') {
+      return res.status(409).json({ error: `This contract is ${contract.status}` });
+    }
+
+    const updates = ['title', 'start_date', 'end_date'].reduce((acc, field) => {
+      if (req.body[field] !== undefined) {
+        acc[field] = req.body[field];
+      }
+      return acc;
+    }, {});
+
+    if (req.body.status !== undefined) {
+      if (!CONTRACT_STATUSES.includes(req.body.status)) {
+        return res.status(400).json({ error: `status must be one of: ${CONTRACT_STATUSES.join(', ')}` });
+      }
+      updates.status = req.body.status;
+    }
+
+    let milestones = contract.milestones || [];
+    if (req.body.milestones !== undefined) {
+      const normalized = normalizeMilestones(req.body.milestones, {
+        existing: milestones,
+        awardAmount: contract.award_amount,
+      });
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+
+      milestones = normalized.milestones;
+      updates.milestones = milestones;
+    }
+
+    if (req.body.deliverables !== undefined || updates.milestones) {
+      const normalized = normalizeDeliverables(req.body.deliverables ?? contract.deliverables ?? [], {
+        existing: contract.deliverables || [],
+        milestones,
+      });
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      updates.deliverables = normalized.deliverables;
+    }
+
+    const { data, conflict, error } = await saveContract(supabase, contract, updates);
+
+    if (conflict) {
+      return res.status(409).json({ error: CONTRACT_CHANGED_ERROR });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to update contract', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Contract updated', contract: data });
+  } catch (error) {
+    console.error('Update contract error:', error);
+    return res.status(500).json({ error: 'Unable to update contract' });
+  }
+};
+
+export const getBurnDownHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId } = req.params;
+
+  try {
+    const { contract, status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data: invoices, error } = await loadContractInvoices(supabase, contractId);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load invoices', details: error.message });
+    }
+
+    return res.status(200).json({ contract_id: contractId, burn_down: buildBurnDown(contract, invoices || []) });
+  } catch (error) {
+    console.error('Get contract burn-down error:', error);
+    return res.status(500).json({ error: 'Unable to fetch burn-down' });
+  }
+};
+
+export default listContractsHandler;
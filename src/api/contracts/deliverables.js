@@ -0,0 +1,170 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { checkMilestoneAcceptance, CONTRACT_CHANGED_ERROR, loadContract, saveContract } from '../utils/contracts.js';
+
+/**
+ * The vendor hands in a deliverable for the buyer's review. A rejected deliverable can be submitted again.
+ */
+export const submitDeliverableHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId, deliverableId } = req.params;
+
+  try {
+    const { contract, role, status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (role !== 'vendor') {
+      return res.status(403).json({ error: 'Only the vendor can submit deliverables' });
+    }
+
+    if (contract.status !== 'active') {
+      return res.status(409).json({ error: `This contract is ${contract.status}` });
+    }
+
+    const deliverable = (contract.deliverables || []).find((entry) => entry.id === deliverableId);
+    if (!deliverable) {
+      return res.status(404).json({ error: 'Deliverable not found' });
+    }
+
+    if (!['pending', 'rejected'].includes(deliverable.status)) {
+      return res.status(409).json({ error: `This deliverable is already ${deliverable.status}` });
+    }
+
+    const submittedAt = new Date().toISOString();
+    const deliverables = contract.deliverables.map((entry) =>
+      entry.id === deliverableId
+        ? {
+            ...entry,
+            status: 'submitted',
+            submission: {
+              notes: req.body.notes || null,
+              attachments: req.body.attachments || [],
+              submitted_by: req.user.id,
+              submitted_at: submittedAt,
+              late: submittedAt.slice(0, 10) > entry.due_date.slice(0, 10),
+            },
+          }
+        : entry,
+    );
+
+    const { data, conflict, error } = await saveContract(supabase, contract, { deliverables });
+    if (conflict) {
+      return res.status(409).json({ error: CONTRACT_CHANGED_ERROR });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to submit deliverable', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Deliverable submitted', contract: data });
+  } catch (error) {
+    console.error('Submit deliverable error:', error);
+    return res.status(500).json({ error: 'Unable to submit deliverable' });
+  }
+};
+
+export const reviewDeliverableHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId, deliverableId } = req.params;
+  const { decision, comments } = req.body;
+
+  try {
+    const { contract, role, status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (role !== 'buyer') {
+      return res.status(403).json({ error: 'Only the buyer can review deliverables' });
+    }
+
+    const deliverable = (contract.deliverables || []).find((entry) => entry.id === deliverableId);
+    if (!deliverable) {
+      return res.status(404).json({ error: 'Deliverable not found' });
+    }
+
+    if (deliverable.status !== 'submitted') {
+      return res
+        .status(409)
+        .json({ error: `Only a submitted deliverable can be reviewed; this one is ${deliverable.status}` });
+    }
+
+    if (decision === 'rejected' && !comments?.trim()) {
+      return res.status(400).json({ error: 'Explain the rejection in comments' });
+    }
+
+    const deliverables = contract.deliverables.map((entry) =>
+      entry.id === deliverableId
+        ? {
+            ...entry,
+            status: decision,
+            review: {
+              comments: comments?.trim() || null,
+              reviewed_by: req.user.id,
+              reviewed_at: new Date().toISOString(),
+            },
+          }
+        : entry,
+    );
+
+    const { data, conflict, error } = await saveContract(supabase, contract, { deliverables });
+    if (conflict) {
+      return res.status(409).json({ error: CONTRACT_CHANGED_ERROR });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to review deliverable', details: error.message });
+    }
+
+    return res.status(200).json({ message: `Deliverable ${decision}`, contract: data });
+  } catch (error) {
+    console.error('Review deliverable error:', error);
+    return res.status(500).json({ error: 'Unable to review deliverable' });
+  }
+};
+
+/**
+ * Accepts a milestone once its deliverables are accepted, which opens it for invoicing.
+ */
+export const acceptMilestoneHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId, milestoneId } = req.params;
+
+  try {
+    const { contract, role, status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (role !== 'buyer') {
+      return res.status(403).json({ error: 'Only the buyer can accept milestones' });
+    }
+
+    const acceptance = checkMilestoneAcceptance(contract, milestoneId);
+    if (acceptance.error) {
+      return res.status(acceptance.status).json({ error: acceptance.error });
+    }
+
+    const acceptedAt = new Date().toISOString();
+    const milestones = contract.milestones.map((entry) =>
+      entry.id === milestoneId ? { ...entry, status: 'accepted', accepted_at: acceptedAt } : entry,
+    );
+
+    const { data, conflict, error } = await saveContract(supabase, contract, { milestones });
+    if (conflict) {
+      return res.status(409).json({ error: CONTRACT_CHANGED_ERROR });
+    }
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to accept milestone', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Milestone accepted', contract: data });
+  } catch (error) {
+    console.error('Accept milestone error:', error);
+    return res.status(500).json({ error: 'Unable to accept milestone' });
+  }
+};
+
+export default submitDeliverableHandler;
@@ -0,0 +1,195 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import {
+  buildBurnDown,
+  checkInvoice,
+  describeInvoiceTransition,
+  loadContract,
+  loadContractInvoices,
+} from '../utils/contracts.js';
+
+// Invoices compete for what is left on a milestone in the order they were written.
+const isBilledBefore = (invoice, other) =>
+  invoice.created_at === other.created_at
+    ? String(invoice.id) < String(other.id)
+    : new Date(invoice.created_at) < new Date(other.created_at);
+
+export const listInvoicesHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId } = req.params;
+
+  try {
+    const { status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data, error } = await loadContractInvoices(supabase, contractId);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load invoices', details: error.message });
+    }
+
+    return res.status(200).json({ invoices: data || [] });
+  } catch (error) {
+    console.error('List invoices error:', error);
+    return res.status(500).json({ error: 'Unable to fetch invoices' });
+  }
+};
+
+/**
+ * The vendor invoices an accepted milestone. Rejected invoices do not count against the milestone, so the
+ * vendor can invoice it again.
+ */
+export const submitInvoiceHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId } = req.params;
+  const { milestone_id: milestoneId, amount } = req.body;
+
+  try {
+    const { contract, role, status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (role !== 'vendor') {
+      return res.status(403).json({ error: 'Only the vendor can submit invoices' });
+    }
+
+    const { data: invoices, error: invoicesError } = await loadContractInvoices(supabase, contractId);
+    if (invoicesError) {
+      return res.status(400).json({ error: 'Unable to load invoices', details: invoicesError.message });
+    }
+
+    const check = checkInvoice(contract, invoices || [], { milestone_id: milestoneId, amount });
+    if (check.error) {
+      return res.status(check.status).json({ error: check.error });
+    }
+
+    const now = new Date().toISOString();
+    const { data: invoice, error } = await supabase
+      .from('contract_invoices')
+      .insert([
+        {
+          contract_id: contractId,
+          milestone_id: milestoneId,
+          vendor_id: req.user.id,
+          invoice_number: req.body.invoice_number || null,
+          amount,
+          notes: req.body.notes || null,
+          status: 'submitted',
+          created_at: now,
+          updated_at: now,
+        },
+      ])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to submit invoice', details: error.message });
+    }
+
+    // The check above used invoices read before the insert. Checking again against every invoice written
+    // before this one means that of two concurrent invoices that together over-bill, the later one is removed.
+    const { data: current, error: recheckError } = await loadContractInvoices(supabase, contractId);
+    const billedBefore = (current || []).filter((entry) => entry.id !== invoice.id && isBilledBefore(entry, invoice));
+    const recheck = recheckError
+      ? { status: 400, error: 'Unable to confirm the invoice', details: recheckError.message }
+      : checkInvoice(contract, billedBefore, { milestone_id: milestoneId, amount });
+
+    if (recheck.error) {
+      const { error: cleanupError } = await supabase.from('contract_invoices').delete().eq('id', invoice.id);
+      if (cleanupError) {
+        console.error(`Unable to remove over-billing invoice ${invoice.id}:`, cleanupError.message);
+      }
+      return recheckError
+        ? res.status(400).json({ error: recheck.error, details: recheck.details })
+        : res.status(409).json({ error: recheck.error });
+    }
+
+    return res.status(201).json({
+      message: 'Invoice submitted',
+      invoice,
+      burn_down: buildBurnDown(contract, [...billedBefore, invoice]),
+    });
+  } catch (error) {
+    console.error('Submit invoice error:', error);
+    return res.status(500).json({ error: 'Unable to submit invoice' });
+  }
+};
+
+/**
+ * The buyer approves or rejects a submitted invoice, then marks approved invoices paid.
+ */
+export const reviewInvoiceHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { contractId, invoiceId } = req.params;
+  const { decision, comments } = req.body;
+
+  try {
+    const { contract, role, status, error: accessError } = await loadContract(supabase, contractId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (role !== 'buyer') {
+      return res.status(403).json({ error: 'Only the buyer can review invoices' });
+    }
+
+    const { data: invoices, error: invoicesError } = await loadContractInvoices(supabase, contractId);
+    if (invoicesError) {
+      return res.status(400).json({ error: 'Unable to load invoices', details: invoicesError.message });
+    }
+
+    const invoice = (invoices || []).find((entry) => entry.id === invoiceId);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const transitionError = describeInvoiceTransition(invoice, decision);
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError });
+    }
+
+    if (decision === 'rejected' && !comments?.trim()) {
+      return res.status(400).json({ error: 'Explain the rejection in comments' });
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('contract_invoices')
+      .update({
+        status: decision,
+        review_comments: comments?.trim() || invoice.review_comments || null,
+        reviewed_by: req.user.id,
+        [`${decision}_at`]: now,
+        updated_at: now,
+      })
+      .eq('id', invoiceId)
+      .eq('status', invoice.status)
+      .select('*');
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to review invoice', details: error.message });
+    }
+
+    // The transition was checked against the status read above; a concurrent review got there first.
+    if (!data?.length) {
+      return res.status(409).json({ error: 'This invoice was reviewed in the meantime; reload it and try again' });
+    }
+
+    const [updated] = data;
+
+    return res.status(200).json({
+      message: `Invoice ${decision}`,
+      invoice: updated,
+      burn_down: buildBurnDown(
+        contract,
+        invoices.map((entry) => (entry.id === invoiceId ? updated : entry)),
+      ),
+    });
+  } catch (error) {
+    console.error('Review invoice error:', error);
+    return res.status(500).json({ error: 'Unable to review invoice' });
+  }
+};
+
+export default listInvoicesHandler;
@@ -6,6 +6,9 @@ import profileRoutes from './routes/profileRoutes.js';
 import rfxRoutes from './routes/rfxRoutes.js';
 import aiRoutes from './routes/aiRoutes.js';
 import mapRoutes from './routes/mapRoutes.js';
+import alertRoutes from './routes/alertRoutes.js';
+import contractRoutes from './routes/contractRoutes.js';
+import { scheduleRfxClosing } from './jobs/closeExpiredRfx.js';
 import { cors } from './middleware/cors.js';
 import { cookieParser } from './middleware/cookieParser.js';
 import { rateLimit } from './middleware/rateLimit.js';
@@ -45,6 +48,8 @@ app.use('/api/profiles', profileRoutes);
 app.use('/api/rfx', rfxRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/map', mapRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/contracts', contractRoutes);
 
 app.use(notFoundHandler);
 app.use(errorHandler);
@@ -53,6 +58,7 @@ if (process.env.NODE_ENV !== 'test') {
   app.listen(PORT, () => {
     console.log(`AccelProcure API listening on port ${PORT}`);
   });
+  scheduleRfxClosing();
 }
 
 export default app;
@@ -0,0 +1,56 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { normalizeBudget } from '../utils/currency.js';
+
+/**
+ * Converts the free-text `budget_range` of RFx created before budgets were structured into `budget_min`,
+ * `budget_max` and `budget_currency`. The text is kept as the label. RFx whose text holds no amount ("TBD")
+ * are reported as `unparsed` and only get a currency, so running the job again is harmless.
+ */
+export const backfillBudgets = async ({ supabase = getSupabaseClient() } = {}) => {
+  const { data, error } = await supabase
+    .from('rfx_opportunities')
+    .select('id, budget_range, budget_min, budget_max, budget_currency')
+    .is('budget_currency', null)
+    .not('budget_range', 'is', null);
+
+  if (error) {
+    throw error;
+  }
+
+  const updated = [];
+  const unparsed = [];
+
+  for (const rfx of data || []) {
+    const { value: budget, error: budgetError } = normalizeBudget(rfx);
+    if (budgetError) {
+      console.error(`Unable to backfill the budget of RFX ${rfx.id}:`, budgetError);
+      unparsed.push(rfx.id);
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('rfx_opportunities')
+      .update({ budget_min: budget.budget_min, budget_max: budget.budget_max, budget_currency: budget.budget_currency })
+      .eq('id', rfx.id);
+
+    if (updateError) {
+      console.error(`Unable to backfill the budget of RFX ${rfx.id}:`, updateError.message);
+      continue;
+    }
+    (budget.budget_min === null && budget.budget_max === null ? unparsed : updated).push(rfx.id);
+  }
+
+  return { updated, unparsed };
+};
+
+export const backfillBudgetsHandler = async (_req, res) => {
+  try {
+    const result = await backfillBudgets();
+    return res.status(200).json({ message: 'RFX budgets backfilled', ...result });
+  } catch (error) {
+    console.error('Backfill budgets error:', error);
+    return res.status(500).json({ error: 'Unable to backfill RFX budgets' });
+  }
+};
+
+export default backfillBudgets;
@@ -0,0 +1,98 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isActiveException, isPastSubmissionWindow } from '../utils/rfxDeadlines.js';
+import { isSealedAndUnopened } from '../utils/sealedBids.js';
+import { isReverseAuction } from '../utils/reverseAuction.js';
+import { publishAuctionUpdate } from '../utils/auctionHub.js';
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+
+const hasOpenExceptions = async (supabase, rfxId, now) => {
+  const { data } = await supabase
+    .from('rfx_deadline_exceptions')
+    .select('id, status, extended_until')
+    .eq('rfx_id', rfxId)
+    .eq('status', 'approved');
+  return (data || []).some((exception) => isActiveException(exception, now));
+};
+
+/**
+ * Moves published RFx whose deadline (plus grace window) has passed to `closed`. With `autoEvaluate`,
+ * RFx that have no outstanding late-submission exceptions continue straight to `evaluating`, where the
+ * assigned evaluators can start scoring.
+ */
+export const closeExpiredRfx = async ({
+  supabase = getSupabaseClient(),
+  now = new Date(),
+  autoEvaluate = process.env.RFX_AUTO_EVALUATE === 'true',
+} = {}) => {
+  const { data, error } = await supabase.from('rfx_opportunities').select('*').eq('status', 'published');
+
+  if (error) {
+    throw error;
+  }
+
+  const closed = [];
+  const evaluating = [];
+
+  for (const rfx of (data || []).filter((entry) => isPastSubmissionWindow(entry, now))) {
+    const { error: closeError } = await supabase
+      .from('rfx_opportunities')
+      .update({ status: 'closed', closed_at: now.toISOString(), updated_at: now.toISOString() })
+      .eq('id', rfx.id)
+      .eq('status', 'published');
+
+    if (closeError) {
+      console.error(`Unable to close RFX ${rfx.id}:`, closeError.message);
+      continue;
+    }
+    closed.push(rfx.id);
+
+    if (isReverseAuction(rfx)) {
+      const { data: responses } = await supabase
+        .from('rfx_responses')
+        .select('id, responder_id, bid_amount, last_bid_at, auction_bid_count, created_at')
+        .eq('rfx_id', rfx.id)
+        .neq('status', 'withdrawn');
+      publishAuctionUpdate(rfx.id, { type: 'closed', rfx: { ...rfx, status: 'closed' }, responses: responses || [] });
+    }
+
+    // Sealed bids wait for the owner's recorded bid opening before anything is scored.
+    if (!autoEvaluate || isSealedAndUnopened(rfx) || (await hasOpenExceptions(supabase, rfx.id, now))) {
+      continue;
+    }
+
+    const { error: evaluateError } = await supabase
+      .from('rfx_opportunities')
+      .update({ status: 'evaluating', updated_at: now.toISOString() })
+      .eq('id', rfx.id)
+      .eq('status', 'closed');
+
+    if (!evaluateError) {
+      evaluating.push(rfx.id);
+    }
+  }
+
+  return { closed, evaluating };
+};
+
+export const scheduleRfxClosing = ({
+  intervalMs = Number(process.env.RFX_CLOSE_INTERVAL_MS) || DEFAULT_INTERVAL_MS,
+} = {}) => {
+  const timer = setInterval(() => {
+    closeExpiredRfx().catch((error) => console.error('RFX closing job failed:', error));
+  }, intervalMs);
+  timer.unref?.();
+  return timer;
+};
+
+export const closeExpiredRfxHandler = async (_req, res) => {
+  try {
+    const result = await closeExpiredRfx();
+    return res.status(200).json({ message: 'Expired RFX closed', ...result });
+  } catch (error) {
+    console.error('Close expired RFX error:', error);
+    return res.status(500).json({ error: 'Unable to close expired RFX' });
+  }
+};
+
+export default closeExpiredRfx;
@@ -0,0 +1,37 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { getOpenAiClient } from '../utils/openaiClient.js';
+import { getEmbedder } from '../utils/embeddings.js';
+import { getVendorIndex } from '../utils/vendorMatching.js';
+
+/**
+ * Rebuilds the vendor index used for matching, embedding new and changed profiles. Matching rebuilds a stale
+ * index by itself; running this after a bulk profile import keeps the first match request fast.
+ */
+export const indexVendorEmbeddings = async ({
+  supabase = getSupabaseClient(),
+  embedder = getEmbedder(getOpenAiClient()),
+} = {}) => {
+  const { index, embedded, reused, saveError, error } = await getVendorIndex(supabase, embedder, { refresh: true });
+
+  if (error) {
+    throw error;
+  }
+
+  if (saveError) {
+    console.error('Unable to store vendor embeddings:', saveError.message);
+  }
+
+  return { model: embedder.name, indexed: index.size, embedded, reused };
+};
+
+export const indexVendorEmbeddingsHandler = async (_req, res) => {
+  try {
+    const result = await indexVendorEmbeddings();
+    return res.status(200).json({ message: 'Vendor index rebuilt', ...result });
+  } catch (error) {
+    console.error('Index vendor embeddings error:', error);
+    return res.status(500).json({ error: 'Unable to rebuild the vendor index' });
+  }
+};
+
+export default indexVendorEmbeddings;
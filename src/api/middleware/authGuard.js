@@ -100,4 +100,13 @@ export const optionalAuth = async (req, _res, next) => {
   }
 };
 
+export const isAdminUser = (user) => user?.role === 'admin' || user?.app_metadata?.role === 'admin';
+
+export const requireAdmin = (req, res, next) => {
+  if (!isAdminUser(req.user)) {
+    return res.status(403).json({ error: 'Administrator access required' });
+  }
+  return next();
+};
+
 export default requireAuth;
@@ -1,4 +1,5 @@
 import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { invalidateVendorIndex } from '../utils/vendorMatching.js';
 
 const ALLOWED_FIELDS = new Set([
   'company_name',
@@ -15,6 +16,7 @@ const ALLOWED_FIELDS = new Set([
   'annual_revenue',
   'employee_count',
   'capabilities',
+  'certifications',
   'past_performance',
   'duns_number',
   'uei_number',
@@ -45,6 +47,10 @@ export const updateProfileHandler = async (req, res) => {
       return res.status(400).json({ error: 'Failed to update profile', details: error.message });
     }
 
+    // Drops every cached vendor index, so the next match request rebuilds the whole index. Stored OpenAI
+    // embeddings are reused for unchanged profiles; the local embedder is refitted and re-embeds every vendor.
+    invalidateVendorIndex();
+
     return res.status(200).json({ message: 'Profile updated', profile: data });
   } catch (error) {
     console.error('Update profile error:', error);
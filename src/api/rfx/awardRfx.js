@@ -0,0 +1,281 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { describeTransitionError } from '../utils/rfxLifecycle.js';
+import { hasLots } from '../utils/rfxLots.js';
+import { buildAwardNotices } from '../utils/awardNotices.js';
+import { createAwardContracts } from '../utils/contracts.js';
+import { BASE_CURRENCY } from '../utils/currency.js';
+
+const DEFAULT_DEBRIEF_REQUEST_DAYS = 3;
+
+export const getDebriefDeadline = (awardedAt) => {
+  const days = Number(process.env.RFX_DEBRIEF_REQUEST_DAYS) || DEFAULT_DEBRIEF_REQUEST_DAYS;
+  return new Date(new Date(awardedAt).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Checks the requested winners against the submitted responses. With lots, every winner names the lot it
+ * wins and each lot goes to at most one response; the amount defaults to that response's price.
+ */
+const resolveWinners = (rfx, responses, requested = []) => {
+  const byId = new Map(responses.map((response) => [response.id, response]));
+  const claimed = new Set();
+  const winners = [];
+
+  for (const entry of requested) {
+    const response = byId.get(entry?.response_id);
+    if (!response) {
+      return { error: `Response "${entry?.response_id}" is not an active response to this RFX` };
+    }
+
+    let amount = entry.amount;
+    let key = response.id;
+
+    if (hasLots(rfx)) {
+      const lotTotal = (response.lot_totals || []).find((lot) => lot.lot_id === entry.lot_id);
+      if (!entry.lot_id || !lotTotal) {
+        return { error: `Response "${response.id}" did not bid on lot "${entry.lot_id || ''}"` };
+      }
+      amount = amount ?? lotTotal.total;
+      key = entry.lot_id;
+    } else {
+      amount = amount ?? response.bid_amount;
+    }
+
+    if (claimed.has(key)) {
+      return { error: hasLots(rfx) ? `Lot "${key}" is awarded more than once` : `Response "${key}" is listed twice` };
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+      return { error: `An award amount is required for response "${response.id}"` };
+    }
+
+    claimed.add(key);
+    winners.push({
+      response_id: response.id,
+      responder_id: response.responder_id,
+      lot_id: entry.lot_id || null,
+      amount,
+    });
+  }
+
+  return { winners, error: null };
+};
+
+/**
+ * Undoes a partly recorded award so the owner can try again: responses get their previous status back, the
+ * award row is removed and the RFx returns to `evaluating`.
+ */
+const rollBackAward = async (supabase, rfxId, { award = null, responses = [] } = {}) => {
+  const byStatus = responses.reduce((acc, response) => {
+    acc[response.status] = [...(acc[response.status] || []), response.id];
+    return acc;
+  }, {});
+
+  const results = await Promise.all([
+    ...Object.entries(byStatus).map(([status, ids]) => supabase.from('rfx_responses').update({ status }).in('id', ids)),
+    award ? supabase.from('rfx_awards').delete().eq('id', award.id) : { error: null },
+  ]);
+  results.push(
+    await supabase
+      .from('rfx_opportunities')
+      .update({ status: 'evaluating', award_id: null, awarded_at: null })
+      .eq('id', rfxId)
+      .eq('status', 'awarded'),
+  );
+
+  results
+    .filter((result) => result.error)
+    .forEach((result) => console.error(`Unable to roll back the award of RFX ${rfxId}:`, result.error.message));
+};
+
+export const awardRfxHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const { awards, notice_templates: templates = {} } = req.body;
+  const justification = req.body.justification?.trim();
+
+  if (!Array.isArray(awards) || awards.length === 0) {
+    return res.status(400).json({ error: 'At least one winning response is required' });
+  }
+
+  if (!justification) {
+    return res.status(400).json({ error: 'An award justification is required' });
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can award it' });
+    }
+
+    if (rfx.award_id) {
+      return res.status(409).json({ error: 'This RFX has already been awarded' });
+    }
+
+    const transitionError = describeTransitionError(rfx.status, 'awarded');
+    if (transitionError) {
+      return res.status(409).json({ error: transitionError });
+    }
+
+    const { data: responses, error: responsesError } = await supabase
+      .from('rfx_responses')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .neq('status', 'withdrawn');
+
+    if (responsesError) {
+      return res.status(400).json({ error: 'Unable to load responses', details: responsesError.message });
+    }
+
+    const { winners, error: winnersError } = resolveWinners(rfx, responses || [], awards);
+    if (winnersError) {
+      return res.status(400).json({ error: winnersError });
+    }
+
+    // Claiming the RFx first means only one of two concurrent awards gets to record anything.
+    const awardedAt = new Date().toISOString();
+    const { data: claimed, error: claimError } = await supabase
+      .from('rfx_opportunities')
+      .update({ status: 'awarded', awarded_at: awardedAt, updated_at: awardedAt })
+      .eq('id', rfxId)
+      .eq('status', 'evaluating')
+      .is('award_id', null)
+      .select('id');
+
+    if (claimError) {
+      return res.status(400).json({ error: 'Failed to award RFX', details: claimError.message });
+    }
+
+    if (!claimed?.length) {
+      return res.status(409).json({ error: 'This RFX has already been awarded or is no longer being evaluated' });
+    }
+
+    const { data: award, error: awardError } = await supabase
+      .from('rfx_awards')
+      .insert([
+        {
+          rfx_id: rfxId,
+          winners,
+          total_amount: winners.reduce((sum, winner) => sum + winner.amount, 0),
+          currency: rfx.budget_currency || BASE_CURRENCY,
+          justification,
+          awarded_by: req.user.id,
+          awarded_at: awardedAt,
+        },
+      ])
+      .select('*')
+      .single();
+
+    if (awardError) {
+      await rollBackAward(supabase, rfxId);
+      return res.status(400).json({ error: 'Failed to record award', details: awardError.message });
+    }
+
+    const winningIds = new Set(winners.map((winner) => winner.response_id));
+    const outcomes = [
+      ['awarded', (responses || []).filter((response) => winningIds.has(response.id))],
+      ['not_selected', (responses || []).filter((response) => !winningIds.has(response.id))],
+    ].filter(([, group]) => group.length);
+
+    for (const [status, group] of outcomes) {
+      const { error: responseError } = await supabase
+        .from('rfx_responses')
+        .update({ status, updated_at: awardedAt })
+        .in(
+          'id',
+          group.map((response) => response.id),
+        );
+
+      if (responseError) {
+        await rollBackAward(supabase, rfxId, { award, responses: responses || [] });
+        return res.status(400).json({ error: 'Failed to record award', details: responseError.message });
+      }
+    }
+
+    const { error: linkError } = await supabase
+      .from('rfx_opportunities')
+      .update({ award_id: award.id })
+      .eq('id', rfxId)
+      .eq('status', 'awarded');
+
+    if (linkError) {
+      await rollBackAward(supabase, rfxId, { award, responses: responses || [] });
+      return res.status(400).json({ error: 'Failed to record award', details: linkError.message });
+    }
+
+    const vendorIds = [...new Set((responses || []).map((response) => response.responder_id))];
+    const { data: profiles } = await supabase.from('profiles').select('id, company_name').in('id', vendorIds);
+    const vendorNames = (profiles || []).reduce((acc, profile) => {
+      acc[profile.id] = profile.company_name;
+      return acc;
+    }, {});
+
+    const notices = buildAwardNotices({
+      rfx,
+      award,
+      responses: responses || [],
+      vendorNames,
+      templates,
+      debriefDeadline: getDebriefDeadline(awardedAt),
+    }).map((notice) => ({ ...notice, created_at: awardedAt }));
+
+    const { data: savedNotices, error: noticesError } = notices.length
+      ? await supabase.from('rfx_award_notices').insert(notices).select('*')
+      : { data: [], error: null };
+
+    if (noticesError) {
+      console.error('Award notice error:', noticesError);
+    }
+
+    const { contracts, error: contractsError } = await createAwardContracts(supabase, rfx, award);
+    if (contractsError) {
+      console.error('Contract creation error:', contractsError);
+    }
+
+    return res.status(201).json({ message: 'RFX awarded', award, notices: savedNotices || [], contracts });
+  } catch (error) {
+    console.error('Award RFX error:', error);
+    return res.status(500).json({ error: 'Unable to award RFX' });
+  }
+};
+
+export const getRfxAwardHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!rfx.award_id) {
+      return res.status(404).json({ error: 'This RFX has not been awarded' });
+    }
+
+    const { data: award, error } = await supabase.from('rfx_awards').select('*').eq('id', rfx.award_id).single();
+    if (error || !award) {
+      return res.status(404).json({ error: 'Award not found' });
+    }
+
+    let noticesQuery = supabase.from('rfx_award_notices').select('*').eq('award_id', award.id);
+    if (!isRfxOwner(rfx, req.user)) {
+      noticesQuery = noticesQuery.eq('vendor_id', req.user.id);
+    }
+    const { data: notices } = await noticesQuery;
+
+    return res
+      .status(200)
+      .json({ award, notices: notices || [], debrief_deadline: getDebriefDeadline(award.awarded_at) });
+  } catch (error) {
+    console.error('Get RFX award error:', error);
+    return res.status(500).json({ error: 'Unable to fetch award' });
+  }
+};
+
+export default awardRfxHandler;
@@ -0,0 +1,87 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isAdminUser } from '../middleware/authGuard.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { isSealedAndUnopened } from '../utils/sealedBids.js';
+import { isMatrixStale } from '../utils/complianceMatrix.js';
+import { buildComparison } from '../utils/responseComparison.js';
+import { checkScoringAccess, excludeRecusedResponses } from '../utils/conflictOfInterest.js';
+import { blindProfile, isBlindFor, offerorLabel } from '../utils/blindEvaluation.js';
+import { buildEvaluationSummary, ownScoresOnlyFor } from './evaluateResponses.js';
+
+/**
+ * Side-by-side comparison of the active responses to an RFx, best consensus score first. `response_ids`
+ * narrows the columns to a comma-separated shortlist. Evaluators need a signed conflict-of-interest
+ * declaration, do not see vendors they are recused from and, on a blind RFx, see aliases instead of names.
+ * While the RFx is `evaluating`, an evaluator's criteria cells only reflect their own scores.
+ */
+export const compareResponsesHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    let conflictedVendorIds = new Set();
+    if (!isRfxOwner(rfx, req.user) && !isAdminUser(req.user)) {
+      const access = await checkScoringAccess(supabase, rfx, req.user);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+      conflictedVendorIds = access.conflictedVendorIds;
+    }
+
+    if (isSealedAndUnopened(rfx)) {
+      return res.status(409).json({ error: 'Sealed bids must be opened before responses can be compared' });
+    }
+
+    const evaluatorId = ownScoresOnlyFor(rfx, req.user, { allowAdmins: true });
+    const { summary: fullSummary, error } = await buildEvaluationSummary(supabase, rfx, { evaluatorId });
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load responses', details: error.message });
+    }
+
+    const summary = excludeRecusedResponses(fullSummary, conflictedVendorIds);
+    const shortlist = req.query.response_ids ? new Set(req.query.response_ids.split(',').map((id) => id.trim())) : null;
+    const responses = shortlist
+      ? summary.responses.filter((response) => shortlist.has(response.id))
+      : summary.responses;
+
+    const vendorIds = [...new Set(responses.map((response) => response.responder_id))];
+    const { data: profiles } = vendorIds.length
+      ? await supabase.from('profiles').select('*').in('id', vendorIds)
+      : { data: [] };
+
+    const comparison = buildComparison({
+      rfx,
+      responses,
+      evaluations: responses.map((response) => response.evaluation).filter(Boolean),
+      profiles: new Map((profiles || []).map((profile) => [profile.id, profile])),
+    });
+
+    if (isBlindFor(rfx, req.user)) {
+      comparison.vendors = comparison.vendors.map((vendor) => ({
+        ...vendor,
+        responder_id: null,
+        offeror_label: offerorLabel(vendor.response_id),
+        profile: blindProfile(vendor.profile),
+      }));
+    }
+
+    return res.status(200).json({
+      rfx_id: rfx.id,
+      compliance_matrix_stale: isMatrixStale(rfx),
+      blind: isBlindFor(rfx, req.user),
+      scores_scope: evaluatorId ? 'own' : 'all',
+      ...comparison,
+    });
+  } catch (error) {
+    console.error('Compare responses error:', error);
+    return res.status(500).json({ error: 'Unable to compare responses' });
+  }
+};
+
+export default compareResponsesHandler;
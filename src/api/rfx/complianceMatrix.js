@@ -0,0 +1,192 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { getOpenAiClient } from '../utils/openaiClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { presentResponse } from '../utils/sealedBids.js';
+import {
+  buildComplianceMatrix,
+  extractRequirements,
+  isMatrixStale,
+  mapResponseToMatrix,
+  numberRequirements,
+} from '../utils/complianceMatrix.js';
+
+/**
+ * Asks the AI provider to clean up the deterministic extraction: merge statements split mid-requirement and
+ * split compound ones. Returns null when no provider is configured or the reply is unusable, in which case
+ * the deterministic matrix is kept.
+ */
+const refineRequirements = async (requirementsText, requirements) => {
+  const openai = getOpenAiClient();
+  if (!openai) {
+    return null;
+  }
+
+  try {
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-4o-mini',
+      temperature: 0,
+      messages: [
+        {
+          role: 'system',
+          content: 'You build compliance matrices for government solicitations and must return JSON.',
+        },
+        {
+          role: 'user',
+          content:
+            `Requirements text:\n${requirementsText}\n\nDraft matrix:\n${JSON.stringify(
+              requirements.map(({ reference, text }) => ({ reference, text })),
+            )}\nReturn an object with an array named requirements of { reference, text }. Keep the source wording, ` +
+            'give each binding obligation its own entry and drop statements that are not obligations.',
+        },
+      ],
+      response_format: { type: 'json_object' },
+    });
+
+    const parsed = JSON.parse(completion.choices?.[0]?.message?.content || '{}');
+    const refined = numberRequirements(parsed.requirements);
+    return refined?.length ? refined : null;
+  } catch (error) {
+    console.error('Refine compliance matrix error:', error);
+    return null;
+  }
+};
+
+const loadOwnedRfx = async (supabase, rfxId, user) => {
+  const { rfx, error } = await loadVisibleRfx(supabase, rfxId, user);
+  if (error || !rfx) {
+    return { status: 404, error: 'RFX not found' };
+  }
+  if (!isRfxOwner(rfx, user)) {
+    return { status: 403, error: 'Only the RFX owner can manage its compliance matrix' };
+  }
+  return { rfx, error: null };
+};
+
+const saveMatrix = (supabase, rfxId, matrix) =>
+  supabase
+    .from('rfx_opportunities')
+    .update({ compliance_matrix: matrix, updated_at: new Date().toISOString() })
+    .eq('id', rfxId)
+    .select('compliance_matrix')
+    .single();
+
+/**
+ * The matrix with each response mapped onto it. The owner sees every active response; a vendor sees only
+ * their own, so they can check their coverage before the deadline. Sealed bids are mapped once opened.
+ */
+export const getComplianceMatrixHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const matrix = rfx.compliance_matrix || null;
+    if (!matrix) {
+      return res.status(200).json({ matrix: null, stale: false, responses: [] });
+    }
+
+    let query = supabase.from('rfx_responses').select('*').eq('rfx_id', rfxId).neq('status', 'withdrawn');
+    if (!isRfxOwner(rfx, req.user)) {
+      query = query.eq('responder_id', req.user.id);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load responses', details: error.message });
+    }
+
+    const responses = (data || []).map((row) => {
+      const response = presentResponse(row, rfx, req.user);
+      if (response.sealed) {
+        return { response_id: response.id, responder_id: response.responder_id, sealed: true };
+      }
+      return {
+        response_id: response.id,
+        responder_id: response.responder_id,
+        ...mapResponseToMatrix(matrix.requirements, response.content),
+      };
+    });
+
+    return res.status(200).json({ matrix, stale: isMatrixStale(rfx), responses });
+  } catch (error) {
+    console.error('Get compliance matrix error:', error);
+    return res.status(500).json({ error: 'Unable to fetch compliance matrix' });
+  }
+};
+
+/**
+ * (Re)builds the matrix from the current `requirements` text, replacing any earlier matrix. With
+ * `refine: true` the AI provider may tidy the extracted statements.
+ */
+export const generateComplianceMatrixHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, status, error: accessError } = await loadOwnedRfx(supabase, rfxId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const extracted = extractRequirements(rfx.requirements);
+    if (extracted.length === 0) {
+      return res
+        .status(400)
+        .json({ error: 'No requirement statements ("shall", "must" or "will") were found in the requirements' });
+    }
+
+    const refined = req.body?.refine === true ? await refineRequirements(rfx.requirements, extracted) : null;
+    const matrix = buildComplianceMatrix(rfx.requirements, refined || extracted, refined ? 'openai' : 'deterministic');
+
+    const { data, error } = await saveMatrix(supabase, rfxId, matrix);
+    if (error) {
+      return res.status(400).json({ error: 'Failed to save compliance matrix', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Compliance matrix generated', matrix: data.compliance_matrix });
+  } catch (error) {
+    console.error('Generate compliance matrix error:', error);
+    return res.status(500).json({ error: 'Unable to generate compliance matrix' });
+  }
+};
+
+/**
+ * Replaces the matrix with a hand-edited list of `{ text, reference }` statements, renumbered in order.
+ */
+export const updateComplianceMatrixHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  const requirements = numberRequirements(req.body.requirements);
+  if (!requirements || requirements.length === 0) {
+    return res.status(400).json({ error: 'requirements must be a non-empty list of statements with text' });
+  }
+
+  try {
+    const { rfx, status, error: accessError } = await loadOwnedRfx(supabase, rfxId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { data, error } = await saveMatrix(
+      supabase,
+      rfxId,
+      buildComplianceMatrix(rfx.requirements, requirements, 'manual'),
+    );
+    if (error) {
+      return res.status(400).json({ error: 'Failed to save compliance matrix', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Compliance matrix updated', matrix: data.compliance_matrix });
+  } catch (error) {
+    console.error('Update compliance matrix error:', error);
+    return res.status(500).json({ error: 'Unable to update compliance matrix' });
+  }
+};
+
+export default getComplianceMatrixHandler;
@@ -0,0 +1,147 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { describeCoiStatus, loadRespondingVendorIds, normalizeCoiDeclaration } from '../utils/conflictOfInterest.js';
+
+const loadVendorNames = async (supabase, vendorIds) => {
+  if (vendorIds.length === 0) {
+    return [];
+  }
+  const { data } = await supabase.from('profiles').select('id, company_name').in('id', vendorIds);
+  const names = new Map((data || []).map((profile) => [profile.id, profile.company_name]));
+  return vendorIds.map((vendorId) => ({ vendor_id: vendorId, company_name: names.get(vendorId) || null }));
+};
+
+/**
+ * The owner sees every evaluator's declaration status. An evaluator sees their own declaration and the
+ * responding vendors it must cover; the vendors are named even on a blind RFx, since a conflict cannot be
+ * declared against an alias.
+ */
+export const getCoiDeclarationsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const isOwner = isRfxOwner(rfx, req.user);
+    let query = supabase.from('rfx_evaluators').select('*').eq('rfx_id', rfxId);
+    if (!isOwner) {
+      query = query.eq('evaluator_id', req.user.id);
+    }
+
+    const { data: evaluators, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load evaluators', details: error.message });
+    }
+    if (!isOwner && !evaluators?.length) {
+      return res.status(403).json({ error: 'Only the RFX owner and its evaluators can view declarations' });
+    }
+
+    const { vendorIds, error: vendorError } = await loadRespondingVendorIds(supabase, rfxId);
+    if (vendorError) {
+      return res.status(400).json({ error: 'Unable to load responding vendors', details: vendorError.message });
+    }
+
+    const declarations = (evaluators || []).map((evaluator) => ({
+      evaluator_id: evaluator.evaluator_id,
+      signature: evaluator.coi_signature || null,
+      conflicts: evaluator.coi_conflicts || [],
+      ...describeCoiStatus(evaluator, vendorIds),
+    }));
+
+    return res.status(200).json({ vendors: await loadVendorNames(supabase, vendorIds), declarations });
+  } catch (error) {
+    console.error('Get COI declarations error:', error);
+    return res.status(500).json({ error: 'Unable to fetch conflict-of-interest declarations' });
+  }
+};
+
+/**
+ * Signs (or re-signs, after new responses arrive) the evaluator's declaration. Evaluators are recused from
+ * the vendors they declare a conflict with, so a conflict cannot be declared against a vendor already scored.
+ */
+export const declareCoiHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const { data: evaluator } = await supabase
+      .from('rfx_evaluators')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .eq('evaluator_id', req.user.id)
+      .maybeSingle();
+
+    if (!evaluator) {
+      return res.status(403).json({ error: 'Only assigned evaluators can sign a declaration' });
+    }
+
+    const { vendorIds, error: vendorError } = await loadRespondingVendorIds(supabase, rfxId);
+    if (vendorError) {
+      return res.status(400).json({ error: 'Unable to load responding vendors', details: vendorError.message });
+    }
+
+    const { declaration, error: declarationError } = normalizeCoiDeclaration(req.body, vendorIds);
+    if (declarationError) {
+      return res.status(400).json({ error: declarationError });
+    }
+
+    const conflicted = declaration.coi_conflicts.map((conflict) => conflict.vendor_id);
+    if (conflicted.length) {
+      const { data: conflictedResponses } = await supabase
+        .from('rfx_responses')
+        .select('id')
+        .eq('rfx_id', rfxId)
+        .in('responder_id', conflicted);
+      const { data: scored } = await supabase
+        .from('rfx_evaluation_scores')
+        .select('id')
+        .eq('evaluator_id', req.user.id)
+        .in(
+          'response_id',
+          (conflictedResponses || []).map((response) => response.id),
+        );
+
+      if (scored?.length) {
+        return res.status(409).json({
+          error: 'You have already scored a vendor you now declare a conflict with; ask the RFX owner to review',
+        });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_evaluators')
+      .update(declaration)
+      .eq('id', evaluator.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to save declaration', details: error.message });
+    }
+
+    return res.status(200).json({
+      message: 'Declaration signed',
+      declaration: {
+        evaluator_id: data.evaluator_id,
+        signature: data.coi_signature,
+        conflicts: data.coi_conflicts,
+        ...describeCoiStatus(data, vendorIds),
+      },
+    });
+  } catch (error) {
+    console.error('Declare COI error:', error);
+    return res.status(500).json({ error: 'Unable to save conflict-of-interest declaration' });
+  }
+};
+
+export default getCoiDeclarationsHandler;
@@ -1,22 +1,147 @@
 import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { INITIAL_RFX_STATUSES } from '../utils/rfxLifecycle.js';
+import { describeDeadlineError } from '../utils/rfxDeadlines.js';
+import { normalizeLots } from '../utils/rfxLots.js';
+import { normalizeCriteria } from '../utils/rfxEvaluation.js';
+import { RFX_TYPES, validateAuctionRfx } from '../utils/reverseAuction.js';
+import { RFX_VISIBILITIES } from '../utils/rfxInvitations.js';
+import { normalizeRequiredDocuments, normalizeRfxAttachments } from '../utils/requiredDocuments.js';
+import { normalizeSetAside } from '../utils/setAsides.js';
+import { dispatchRfxAlerts } from '../utils/rfxAlerts.js';
+import { normalizeBudget } from '../utils/currency.js';
 
-export const createRfxHandler = async (req, res) => {
-  const supabase = getSupabaseClient();
+// Request body fields a new RFx is built from.
+export const RFX_CREATE_FIELDS = [
+  'title',
+  'description',
+  'solicitation_number',
+  'submission_deadline',
+  'qa_cutoff_date',
+  'timezone',
+  'grace_period_minutes',
+  'budget_range',
+  'budget_min',
+  'budget_max',
+  'budget_currency',
+  'requirements',
+  'category',
+  'location',
+  'naics_codes',
+  'set_aside',
+  'size_standard',
+  'lots',
+  'evaluation_criteria',
+  'required_documents',
+  'attachments',
+  'sealed',
+  'blind_evaluation',
+  'rfx_type',
+  'auction',
+  'visibility',
+  'status',
+];
+
+/**
+ * Builds and validates the row for a new RFx from a request body. Shared by every path that creates an RFx,
+ * so drafts made from templates or clones obey the same rules as ones typed in by hand.
+ */
+export const prepareRfxPayload = (body, user) => {
   const payload = {
-    title: req.body.title,
-    description: req.body.description,
-    submission_deadline: req.body.submission_deadline,
-    budget_range: req.body.budget_range,
-    requirements: req.body.requirements,
-    category: req.body.category,
-    location: req.body.location,
-    naics_codes: req.body.naics_codes || [],
-    status: req.body.status || 'draft',
-    created_by: req.user.id,
+    title: body.title,
+    description: body.description,
+    solicitation_number: body.solicitation_number?.trim() || null,
+    submission_deadline: body.submission_deadline,
+    qa_cutoff_date: body.qa_cutoff_date || null,
+    timezone: body.timezone || 'UTC',
+    grace_period_minutes: body.grace_period_minutes ?? null,
+    requirements: body.requirements,
+    category: body.category,
+    location: body.location,
+    naics_codes: body.naics_codes || [],
+    sealed: body.sealed === true,
+    blind_evaluation: body.blind_evaluation === true,
+    rfx_type: body.rfx_type || 'standard',
+    visibility: body.visibility || 'public',
+    status: body.status || 'draft',
+    created_by: user.id,
   };
 
   if (!payload.title || !payload.description || !payload.submission_deadline) {
-    return res.status(400).json({ error: 'Title, description, and submission_deadline are required' });
+    return { payload: null, error: 'Title, description, and submission_deadline are required' };
+  }
+
+  const deadlineError = describeDeadlineError(payload);
+  if (deadlineError) {
+    return { payload: null, error: deadlineError };
+  }
+
+  const { value: budget, error: budgetError } = normalizeBudget(body);
+  if (budgetError) {
+    return { payload: null, error: budgetError };
+  }
+  Object.assign(payload, budget);
+
+  const { lots, error: lotsError } = normalizeLots(body.lots);
+  if (lotsError) {
+    return { payload: null, error: lotsError };
+  }
+  payload.lots = lots;
+
+  const { criteria, error: criteriaError } = normalizeCriteria(body.evaluation_criteria);
+  if (criteriaError) {
+    return { payload: null, error: criteriaError };
+  }
+  payload.evaluation_criteria = criteria;
+
+  const { documents, error: documentsError } = normalizeRequiredDocuments(body.required_documents);
+  if (documentsError) {
+    return { payload: null, error: documentsError };
+  }
+  payload.required_documents = documents;
+
+  const { attachments, error: attachmentsError } = normalizeRfxAttachments(body.attachments);
+  if (attachmentsError) {
+    return { payload: null, error: attachmentsError };
+  }
+  payload.attachments = attachments;
+
+  const { value: setAside, error: setAsideError } = normalizeSetAside(body);
+  if (setAsideError) {
+    return { payload: null, error: setAsideError };
+  }
+  Object.assign(payload, setAside);
+
+  if (!RFX_VISIBILITIES.includes(payload.visibility)) {
+    return { payload: null, error: `visibility must be one of: ${RFX_VISIBILITIES.join(', ')}` };
+  }
+
+  if (!RFX_TYPES.includes(payload.rfx_type)) {
+    return { payload: null, error: `rfx_type must be one of: ${RFX_TYPES.join(', ')}` };
+  }
+
+  if (payload.rfx_type === 'reverse_auction') {
+    const { auction, error: auctionError } = validateAuctionRfx({ ...payload, auction: body.auction });
+    if (auctionError) {
+      return { payload: null, error: auctionError };
+    }
+    // The auction closes exactly at its deadline; late bids only ever come from anti-sniping extensions.
+    payload.auction = auction;
+    payload.grace_period_minutes = 0;
+  }
+
+  if (!INITIAL_RFX_STATUSES.includes(payload.status)) {
+    return { payload: null, error: `New RFX must start as one of: ${INITIAL_RFX_STATUSES.join(', ')}` };
+  }
+
+  return { payload, error: null };
+};
+
+export const createRfxHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { payload, error: payloadError } = prepareRfxPayload(req.body, req.user);
+
+  if (payloadError) {
+    return res.status(400).json({ error: payloadError });
   }
 
   try {
@@ -30,6 +155,11 @@ export const createRfxHandler = async (req, res) => {
       return res.status(400).json({ error: 'Failed to create RFX', details: error.message });
     }
 
+    const { error: alertError } = await dispatchRfxAlerts(supabase, data);
+    if (alertError) {
+      console.error('RFX alert error:', alertError);
+    }
+
     return res.status(201).json({ message: 'RFX created', rfx: data });
   } catch (error) {
     console.error('Create RFX error:', error);
@@ -0,0 +1,66 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { buildDraftFromRfx, buildDraftFromTemplate, canViewTemplate } from '../utils/rfxTemplates.js';
+import { prepareRfxPayload } from './createRfx.js';
+
+/**
+ * Creates a draft RFx from a template (`template_id`) or as a copy of an existing RFx (`source_rfx_id`).
+ * Every other body field overrides what is copied; `submission_deadline` always has to be given because
+ * schedules are never carried over.
+ */
+export const createRfxDraftHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { template_id: templateId, source_rfx_id: sourceRfxId, ...overrides } = req.body;
+
+  if (Boolean(templateId) === Boolean(sourceRfxId)) {
+    return res.status(400).json({ error: 'Provide exactly one of template_id or source_rfx_id' });
+  }
+
+  try {
+    let body;
+    let origin;
+
+    if (templateId) {
+      const { data: template } = await supabase.from('rfx_templates').select('*').eq('id', templateId).maybeSingle();
+      if (!template || template.archived_at || !canViewTemplate(template, req.user)) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      body = buildDraftFromTemplate(template, overrides);
+      origin = { template_id: template.id, template_version: template.version };
+    } else {
+      const { rfx, error: rfxError } = await loadVisibleRfx(supabase, sourceRfxId, req.user);
+      if (rfxError || !rfx) {
+        return res.status(404).json({ error: 'RFX not found' });
+      }
+      body = buildDraftFromRfx(rfx, overrides);
+      // A clone keeps the template lineage of its source so template usage stays complete.
+      origin = {
+        cloned_from: rfx.id,
+        template_id: rfx.template_id || null,
+        template_version: rfx.template_version || null,
+      };
+    }
+
+    const { payload, error: payloadError } = prepareRfxPayload(body, req.user);
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_opportunities')
+      .insert([{ ...payload, ...origin, created_at: new Date().toISOString() }])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to create draft RFX', details: error.message });
+    }
+
+    return res.status(201).json({ message: 'Draft RFX created', rfx: data });
+  } catch (error) {
+    console.error('Create RFX draft error:', error);
+    return res.status(500).json({ error: 'Unable to create draft RFX' });
+  }
+};
+
+export default createRfxDraftHandler;
@@ -0,0 +1,131 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { isAdminUser } from '../middleware/authGuard.js';
+
+export const listDeadlineExceptionsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    let query = supabase
+      .from('rfx_deadline_exceptions')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .order('created_at', { ascending: false });
+
+    if (!isRfxOwner(rfx, req.user) && !isAdminUser(req.user)) {
+      query = query.eq('vendor_id', req.user.id);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load deadline exceptions', details: error.message });
+    }
+
+    return res.status(200).json({ exceptions: data || [] });
+  } catch (error) {
+    console.error('List deadline exceptions error:', error);
+    return res.status(500).json({ error: 'Unable to fetch deadline exceptions' });
+  }
+};
+
+export const requestDeadlineExceptionHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const reason = req.body.reason?.trim();
+
+  if (!reason) {
+    return res.status(400).json({ error: 'A reason is required to request a late submission' });
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!['published', 'closed'].includes(rfx.status)) {
+      return res.status(409).json({ error: `Late submissions cannot be requested for a ${rfx.status} RFX` });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_deadline_exceptions')
+      .insert([
+        {
+          rfx_id: rfxId,
+          vendor_id: req.user.id,
+          reason,
+          status: 'pending',
+          created_at: new Date().toISOString(),
+        },
+      ])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to request deadline exception', details: error.message });
+    }
+
+    return res.status(201).json({ message: 'Deadline exception requested', exception: data });
+  } catch (error) {
+    console.error('Request deadline exception error:', error);
+    return res.status(500).json({ error: 'Unable to request deadline exception' });
+  }
+};
+
+export const decideDeadlineExceptionHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, exceptionId } = req.params;
+  const { decision, extended_until: extendedUntil, note } = req.body;
+
+  if (decision === 'approved' && (!extendedUntil || Number.isNaN(new Date(extendedUntil).getTime()))) {
+    return res.status(400).json({ error: 'extended_until must be a valid date when approving an exception' });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('rfx_deadline_exceptions')
+      .update({
+        status: decision,
+        extended_until: decision === 'approved' ? new Date(extendedUntil).toISOString() : null,
+        decision_note: note || null,
+        decided_by: req.user.id,
+        decided_at: now,
+      })
+      .eq('id', exceptionId)
+      .eq('rfx_id', rfxId)
+      .eq('status', 'pending')
+      .select('*');
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to decide deadline exception', details: error.message });
+    }
+
+    // Only a pending request can be decided, so a concurrent second decision cannot overwrite the first.
+    if (!data?.length) {
+      const { data: existing } = await supabase
+        .from('rfx_deadline_exceptions')
+        .select('id, status')
+        .eq('id', exceptionId)
+        .eq('rfx_id', rfxId)
+        .maybeSingle();
+      return existing
+        ? res.status(409).json({ error: `This deadline exception was already ${existing.status}` })
+        : res.status(404).json({ error: 'Deadline exception not found' });
+    }
+
+    return res.status(200).json({ message: `Deadline exception ${decision}`, exception: data[0] });
+  } catch (error) {
+    console.error('Decide deadline exception error:', error);
+    return res.status(500).json({ error: 'Unable to update deadline exception' });
+  }
+};
+
+export default listDeadlineExceptionsHandler;
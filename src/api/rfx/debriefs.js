@@ -0,0 +1,156 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { getDebriefDeadline } from './awardRfx.js';
+
+export const listDebriefsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    let query = supabase
+      .from('rfx_debriefs')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .order('requested_at', { ascending: true });
+
+    if (!isRfxOwner(rfx, req.user)) {
+      query = query.eq('vendor_id', req.user.id);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load debriefs', details: error.message });
+    }
+
+    return res.status(200).json({ debriefs: data || [] });
+  } catch (error) {
+    console.error('List debriefs error:', error);
+    return res.status(500).json({ error: 'Unable to fetch debriefs' });
+  }
+};
+
+export const requestDebriefHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!rfx.award_id) {
+      return res.status(409).json({ error: 'Debriefs can only be requested once the RFX has been awarded' });
+    }
+
+    const deadline = getDebriefDeadline(rfx.awarded_at);
+    if (new Date() > new Date(deadline)) {
+      return res.status(409).json({ error: `Debrief requests closed at ${deadline}` });
+    }
+
+    const { data: response } = await supabase
+      .from('rfx_responses')
+      .select('id, status')
+      .eq('rfx_id', rfxId)
+      .eq('responder_id', req.user.id)
+      .neq('status', 'withdrawn')
+      .maybeSingle();
+
+    if (!response) {
+      return res.status(403).json({ error: 'Only vendors who responded to this RFX can request a debrief' });
+    }
+
+    const { data: existing } = await supabase
+      .from('rfx_debriefs')
+      .select('id')
+      .eq('rfx_id', rfxId)
+      .eq('vendor_id', req.user.id)
+      .maybeSingle();
+
+    if (existing) {
+      return res.status(409).json({ error: 'You have already requested a debrief', debrief_id: existing.id });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_debriefs')
+      .insert([
+        {
+          rfx_id: rfxId,
+          award_id: rfx.award_id,
+          response_id: response.id,
+          vendor_id: req.user.id,
+          questions: req.body.questions?.trim() || null,
+          status: 'requested',
+          requested_at: new Date().toISOString(),
+        },
+      ])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to request debrief', details: error.message });
+    }
+
+    return res.status(201).json({ message: 'Debrief requested', debrief: data });
+  } catch (error) {
+    console.error('Request debrief error:', error);
+    return res.status(500).json({ error: 'Unable to request debrief' });
+  }
+};
+
+export const respondToDebriefHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, debriefId } = req.params;
+  const summary = req.body.summary?.trim();
+  const { scheduled_at: scheduledAt } = req.body;
+
+  if (!summary && !scheduledAt) {
+    return res.status(400).json({ error: 'Provide a debrief summary or a scheduled_at time' });
+  }
+
+  if (scheduledAt && Number.isNaN(new Date(scheduledAt).getTime())) {
+    return res.status(400).json({ error: 'scheduled_at must be a valid date' });
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can respond to debrief requests' });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_debriefs')
+      .update({
+        status: summary ? 'completed' : 'scheduled',
+        summary: summary || null,
+        scheduled_at: scheduledAt || null,
+        responded_by: req.user.id,
+        responded_at: new Date().toISOString(),
+      })
+      .eq('id', debriefId)
+      .eq('rfx_id', rfxId)
+      .select('*')
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Debrief request not found' });
+    }
+
+    return res.status(200).json({ message: 'Debrief updated', debrief: data });
+  } catch (error) {
+    console.error('Respond to debrief error:', error);
+    return res.status(500).json({ error: 'Unable to update debrief' });
+  }
+};
+
+export default listDebriefsHandler;
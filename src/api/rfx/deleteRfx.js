@@ -0,0 +1,36 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadRfx, isRfxOwner } from '../utils/rfxAccess.js';
+
+export const deleteRfxHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: loadError } = await loadRfx(supabase, rfxId);
+    if (loadError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can delete it' });
+    }
+
+    // Anything past draft has been visible to vendors, so it must be cancelled instead.
+    if (rfx.status !== 'draft') {
+      return res.status(409).json({ error: `Only draft RFX can be deleted; cancel this ${rfx.status} RFX instead` });
+    }
+
+    const { error } = await supabase.from('rfx_opportunities').delete().eq('id', rfxId);
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to delete RFX', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'RFX deleted', id: rfxId });
+  } catch (error) {
+    console.error('Delete RFX error:', error);
+    return res.status(500).json({ error: 'Unable to delete RFX' });
+  }
+};
+
+export default deleteRfxHandler;
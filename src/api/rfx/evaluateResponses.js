@@ -1,46 +1,160 @@
 import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isAdminUser } from '../middleware/authGuard.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { flagOutdatedResponses } from '../utils/rfxAmendments.js';
+import { isSealedAndUnopened } from '../utils/sealedBids.js';
+import { hasLots, rankResponsesByLot } from '../utils/rfxLots.js';
+import { summarizeEvaluations } from '../utils/rfxEvaluation.js';
+import { checkScoringAccess, excludeRecusedResponses } from '../utils/conflictOfInterest.js';
+import { blindEvaluationSummary, isBlindFor } from '../utils/blindEvaluation.js';
 
-const calculateScore = (response) => {
-  let score = 0;
-  if (response.bid_amount) {
-    score += 30 / Math.max(response.bid_amount, 1);
+/**
+ * Loads the non-withdrawn responses and every evaluator score sheet for an RFx and consolidates them. With
+ * `evaluatorId`, only that evaluator's sheets are consolidated.
+ */
+export const buildEvaluationSummary = async (supabase, rfx, { evaluatorId = null } = {}) => {
+  const { data: responses, error } = await supabase
+    .from('rfx_responses')
+    .select('*')
+    .eq('rfx_id', rfx.id)
+    .neq('status', 'withdrawn');
+
+  if (error) {
+    return { summary: null, error };
   }
-  if (response.content) {
-    score += Math.min(response.content.length / 100, 40);
+
+  let sheetsQuery = supabase.from('rfx_evaluation_scores').select('*').eq('rfx_id', rfx.id);
+  if (evaluatorId) {
+    sheetsQuery = sheetsQuery.eq('evaluator_id', evaluatorId);
   }
-  if (response.availability === 'immediate') {
-    score += 15;
+  const { data: sheets, error: sheetsError } = await sheetsQuery;
+
+  if (sheetsError) {
+    return { summary: null, error: sheetsError };
   }
-  return Number(score.toFixed(2));
+
+  const criteria = rfx.evaluation_criteria || [];
+  const evaluations = summarizeEvaluations(criteria, responses || [], sheets || []);
+  const byResponse = new Map(evaluations.map((evaluation) => [evaluation.response_id, evaluation]));
+
+  const scored = flagOutdatedResponses(responses || [], rfx)
+    .map((response) => ({
+      ...response,
+      evaluation_score: byResponse.get(response.id)?.consensus_score ?? null,
+      evaluation: byResponse.get(response.id),
+    }))
+    .sort((a, b) => (b.evaluation_score ?? -1) - (a.evaluation_score ?? -1));
+
+  // Each lot is competed separately; bids on a lot are ranked by price and carry the response's consensus score.
+  const lots = hasLots(rfx) ? rankResponsesByLot(rfx.lots, scored, (response) => response.evaluation_score) : undefined;
+
+  return { summary: { criteria, responses: scored, lots }, error: null };
 };
 
+/**
+ * Evaluators score independently: until the RFx leaves `evaluating`, anyone but the owner (and, where
+ * `allowAdmins` is set, an admin) only sees a summary of their own scores. Returns the evaluator to limit to.
+ */
+export const ownScoresOnlyFor = (rfx, user, { allowAdmins = false } = {}) =>
+  rfx.status === 'evaluating' && !isRfxOwner(rfx, user) && !(allowAdmins && isAdminUser(user)) ? user.id : null;
+
+export const getEvaluationSummaryHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    let conflictedVendorIds = new Set();
+    if (!isRfxOwner(rfx, req.user)) {
+      const access = await checkScoringAccess(supabase, rfx, req.user);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+      conflictedVendorIds = access.conflictedVendorIds;
+    }
+
+    if (isSealedAndUnopened(rfx)) {
+      return res.status(409).json({ error: 'Sealed bids must be opened before responses can be evaluated' });
+    }
+
+    const evaluatorId = ownScoresOnlyFor(rfx, req.user);
+    const { summary, error } = await buildEvaluationSummary(supabase, rfx, { evaluatorId });
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load evaluation', details: error.message });
+    }
+
+    const visible = {
+      ...excludeRecusedResponses(summary, conflictedVendorIds),
+      scores_scope: evaluatorId ? 'own' : 'all',
+    };
+    return res.status(200).json(isBlindFor(rfx, req.user) ? blindEvaluationSummary(visible) : visible);
+  } catch (error) {
+    console.error('Get evaluation summary error:', error);
+    return res.status(500).json({ error: 'Unable to fetch evaluation' });
+  }
+};
+
+/**
+ * Consolidates the evaluators' score sheets and records each response's consensus score and evaluator spread.
+ */
 export const evaluateResponsesHandler = async (req, res) => {
   const supabase = getSupabaseClient();
   const { rfxId } = req.params;
 
   try {
-    const { data: responses, error } = await supabase
-      .from('rfx_responses')
-      .select('*')
-      .eq('rfx_id', rfxId);
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can consolidate the evaluation' });
+    }
+
+    if (isSealedAndUnopened(rfx)) {
+      return res.status(409).json({ error: 'Sealed bids must be opened before responses can be evaluated' });
+    }
+
+    if (!rfx.evaluation_criteria?.length) {
+      return res.status(409).json({ error: 'Define evaluation_criteria on the RFX before consolidating scores' });
+    }
 
+    const { summary, error } = await buildEvaluationSummary(supabase, rfx);
     if (error) {
       return res.status(400).json({ error: 'Unable to load responses', details: error.message });
     }
 
-    const scored = (responses || []).map((response) => ({
-      ...response,
-      evaluation_score: calculateScore(response),
-    }));
-
-    for (const response of scored) {
-      await supabase
+    const evaluatedAt = new Date().toISOString();
+    for (const response of summary.responses) {
+      const { error: scoreError } = await supabase
         .from('rfx_responses')
-        .update({ evaluation_score: response.evaluation_score })
+        .update({
+          evaluation_score: response.evaluation_score,
+          evaluation_spread: response.evaluation?.spread ?? null,
+          evaluator_count: response.evaluation?.evaluator_count ?? 0,
+          evaluated_at: evaluatedAt,
+        })
         .eq('id', response.id);
+      if (scoreError) {
+        return res.status(400).json({ error: 'Failed to record evaluation scores', details: scoreError.message });
+      }
+    }
+
+    // Consolidating finalizes scoring, which unmasks offerors on a blind evaluation.
+    const { error: finalizeError } = await supabase
+      .from('rfx_opportunities')
+      .update({ evaluation_finalized_at: evaluatedAt, updated_at: evaluatedAt })
+      .eq('id', rfxId);
+    if (finalizeError) {
+      return res.status(400).json({ error: 'Failed to finalize evaluation', details: finalizeError.message });
     }
 
-    return res.status(200).json({ responses: scored });
+    return res.status(200).json(summary);
   } catch (error) {
     console.error('Evaluate responses error:', error);
     return res.status(500).json({ error: 'Unable to evaluate responses' });
@@ -0,0 +1,142 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { checkScoringAccess } from '../utils/conflictOfInterest.js';
+import { computeWeightedTotal, validateScoreSheet } from '../utils/rfxEvaluation.js';
+
+export const submitScoreSheetHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, responseId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const access = await checkScoringAccess(supabase, rfx, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    if (rfx.status !== 'evaluating') {
+      return res
+        .status(409)
+        .json({ error: `Responses can only be scored while the RFX is evaluating (it is ${rfx.status})` });
+    }
+
+    // Offerors were unmasked when scoring was finalized, so later changes would no longer be blind.
+    if (rfx.blind_evaluation && rfx.evaluation_finalized_at) {
+      return res.status(409).json({ error: 'Scoring was finalized for this blind evaluation' });
+    }
+
+    const criteria = rfx.evaluation_criteria || [];
+    if (criteria.length === 0) {
+      return res.status(409).json({ error: 'The RFX owner has not defined evaluation criteria yet' });
+    }
+
+    const { data: response, error: responseError } = await supabase
+      .from('rfx_responses')
+      .select('id, status, responder_id')
+      .eq('id', responseId)
+      .eq('rfx_id', rfxId)
+      .single();
+
+    if (responseError || !response) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+
+    if (response.status === 'withdrawn') {
+      return res.status(409).json({ error: 'Withdrawn responses are not evaluated' });
+    }
+
+    if (access.conflictedVendorIds.has(response.responder_id)) {
+      return res.status(403).json({ error: 'You declared a conflict of interest with this vendor' });
+    }
+
+    const { scores, error: sheetError } = validateScoreSheet(criteria, req.body.scores);
+    if (sheetError) {
+      return res.status(400).json({ error: sheetError });
+    }
+
+    const now = new Date().toISOString();
+    const sheet = {
+      scores,
+      weighted_total: computeWeightedTotal(criteria, scores),
+      updated_at: now,
+    };
+
+    const { data: existing } = await supabase
+      .from('rfx_evaluation_scores')
+      .select('id')
+      .eq('response_id', responseId)
+      .eq('evaluator_id', req.user.id)
+      .maybeSingle();
+
+    const query = existing
+      ? supabase.from('rfx_evaluation_scores').update(sheet).eq('id', existing.id)
+      : supabase.from('rfx_evaluation_scores').insert([
+          {
+            ...sheet,
+            rfx_id: rfxId,
+            response_id: responseId,
+            evaluator_id: req.user.id,
+            submitted_at: now,
+          },
+        ]);
+
+    const { data, error } = await query.select('*').single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to save scores', details: error.message });
+    }
+
+    return res.status(existing ? 200 : 201).json({ message: 'Scores saved', score_sheet: data });
+  } catch (error) {
+    console.error('Submit score sheet error:', error);
+    return res.status(500).json({ error: 'Unable to save scores' });
+  }
+};
+
+export const listScoreSheetsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const isOwner = isRfxOwner(rfx, req.user);
+    if (!isOwner) {
+      const access = await checkScoringAccess(supabase, rfx, req.user);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+    }
+
+    let query = supabase
+      .from('rfx_evaluation_scores')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .order('submitted_at', { ascending: true });
+
+    // Evaluators score independently and only see their own sheets.
+    if (!isOwner) {
+      query = query.eq('evaluator_id', req.user.id);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load score sheets', details: error.message });
+    }
+
+    return res.status(200).json({ criteria: rfx.evaluation_criteria || [], score_sheets: data || [] });
+  } catch (error) {
+    console.error('List score sheets error:', error);
+    return res.status(500).json({ error: 'Unable to fetch score sheets' });
+  }
+};
+
+export default submitScoreSheetHandler;
@@ -0,0 +1,125 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadRfx, isRfxOwner, isRfxEvaluator } from '../utils/rfxAccess.js';
+
+export const listEvaluatorsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user) && !(await isRfxEvaluator(supabase, rfxId, req.user))) {
+      return res.status(403).json({ error: 'Only the RFX owner and its evaluators can view the evaluation panel' });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_evaluators')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .order('assigned_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load evaluators', details: error.message });
+    }
+
+    return res.status(200).json({ evaluators: data || [] });
+  } catch (error) {
+    console.error('List evaluators error:', error);
+    return res.status(500).json({ error: 'Unable to fetch evaluators' });
+  }
+};
+
+export const assignEvaluatorHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const { evaluator_id: evaluatorId } = req.body;
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can assign evaluators' });
+    }
+
+    if (['awarded', 'cancelled'].includes(rfx.status)) {
+      return res.status(409).json({ error: `Evaluators cannot be assigned to a ${rfx.status} RFX` });
+    }
+
+    if (await isRfxEvaluator(supabase, rfxId, { id: evaluatorId })) {
+      return res.status(409).json({ error: 'This user is already an evaluator on the RFX' });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_evaluators')
+      .insert([
+        {
+          rfx_id: rfxId,
+          evaluator_id: evaluatorId,
+          assigned_by: req.user.id,
+          assigned_at: new Date().toISOString(),
+        },
+      ])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to assign evaluator', details: error.message });
+    }
+
+    return res.status(201).json({ message: 'Evaluator assigned', evaluator: data });
+  } catch (error) {
+    console.error('Assign evaluator error:', error);
+    return res.status(500).json({ error: 'Unable to assign evaluator' });
+  }
+};
+
+export const removeEvaluatorHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, evaluatorId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can remove evaluators' });
+    }
+
+    const { data: submitted } = await supabase
+      .from('rfx_evaluation_scores')
+      .select('id')
+      .eq('rfx_id', rfxId)
+      .eq('evaluator_id', evaluatorId)
+      .limit(1);
+
+    // Removing an evaluator after they scored would silently change every consensus score.
+    if (submitted?.length) {
+      return res.status(409).json({ error: 'Evaluators who have already scored responses cannot be removed' });
+    }
+
+    const { error } = await supabase
+      .from('rfx_evaluators')
+      .delete()
+      .eq('rfx_id', rfxId)
+      .eq('evaluator_id', evaluatorId);
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to remove evaluator', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Evaluator removed' });
+  } catch (error) {
+    console.error('Remove evaluator error:', error);
+    return res.status(500).json({ error: 'Unable to remove evaluator' });
+  }
+};
+
+export default listEvaluatorsHandler;
@@ -0,0 +1,213 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { isSealedAndUnopened } from '../utils/sealedBids.js';
+import { renderPdf } from '../utils/pdfDocument.js';
+import { renderDocx, renderXlsx } from '../utils/officeDocuments.js';
+import { createZip } from '../utils/zipArchive.js';
+import {
+  buildExportFileName,
+  buildResponseSheets,
+  buildSolicitationBlocks,
+  EXPORT_CONTENT_TYPES,
+  RESPONSE_EXPORT_STATUSES,
+  SOLICITATION_FORMATS,
+} from '../utils/rfxExport.js';
+import { buildEvaluationSummary } from './evaluateResponses.js';
+
+const ATTACHMENTS_BUCKET = process.env.RFX_ATTACHMENTS_BUCKET || 'rfx-attachments';
+
+const sendFile = (res, buffer, fileName, format) => {
+  res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+  res.setHeader('Content-Length', buffer.length);
+  return res.status(200).send(buffer);
+};
+
+/**
+ * Loads everything the solicitation document shows. Only answered questions published to all vendors are
+ * included, whoever is exporting.
+ */
+const loadSolicitation = async (supabase, rfx) => {
+  const [amendments, questions] = await Promise.all([
+    supabase.from('rfx_amendments').select('*').eq('rfx_id', rfx.id).order('version', { ascending: true }),
+    supabase
+      .from('rfx_questions')
+      .select('question, answer, answered_at, visibility')
+      .eq('rfx_id', rfx.id)
+      .eq('visibility', 'public')
+      .order('answered_at', { ascending: true }),
+  ]);
+
+  const error = amendments.error || questions.error;
+  if (error) {
+    return { blocks: null, error };
+  }
+
+  return {
+    blocks: buildSolicitationBlocks({ rfx, amendments: amendments.data || [], questions: questions.data || [] }),
+    error: null,
+  };
+};
+
+const renderSolicitation = (blocks, rfx, format) =>
+  format === 'docx' ? renderDocx(blocks, { title: rfx.title }) : renderPdf(blocks, { title: rfx.title });
+
+export const exportSolicitationHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const format = req.query.format || 'pdf';
+
+  if (!SOLICITATION_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${SOLICITATION_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const { blocks, error } = await loadSolicitation(supabase, rfx);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load solicitation', details: error.message });
+    }
+
+    return sendFile(res, renderSolicitation(blocks, rfx, format), buildExportFileName(rfx, null, format), format);
+  } catch (error) {
+    console.error('Export solicitation error:', error);
+    return res.status(500).json({ error: 'Unable to export solicitation' });
+  }
+};
+
+/**
+ * The solicitation as PDF and DOCX plus every stored attachment, in one ZIP. Attachments that are only
+ * linked, or that could not be read from storage, are listed in `attachments/README.txt` instead.
+ */
+export const exportPackageHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const { blocks, error } = await loadSolicitation(supabase, rfx);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load solicitation', details: error.message });
+    }
+
+    const entries = SOLICITATION_FORMATS.map((format) => ({
+      name: buildExportFileName(rfx, null, format),
+      data: renderSolicitation(blocks, rfx, format),
+    }));
+
+    const notes = [];
+    const usedNames = new Set();
+    for (const attachment of rfx.attachments || []) {
+      if (!attachment.path) {
+        notes.push(`${attachment.name}: ${attachment.url}`);
+        continue;
+      }
+
+      const { data, error: downloadError } = await supabase.storage.from(ATTACHMENTS_BUCKET).download(attachment.path);
+      if (downloadError || !data) {
+        notes.push(`${attachment.name}: unavailable (${downloadError?.message || 'not found'})`);
+        continue;
+      }
+
+      let name = attachment.name.replace(/[\\/]/g, '_');
+      for (let copy = 2; usedNames.has(name); copy += 1) {
+        name = `${copy}_${attachment.name.replace(/[\\/]/g, '_')}`;
+      }
+      usedNames.add(name);
+      entries.push({ name: `attachments/${name}`, data: Buffer.from(await data.arrayBuffer()) });
+    }
+
+    if (notes.length) {
+      entries.push({
+        name: 'attachments/README.txt',
+        data: `Attachments not included in this package:\r\n\r\n${notes.join('\r\n')}\r\n`,
+      });
+    }
+
+    return sendFile(res, createZip(entries), buildExportFileName(rfx, 'package', 'zip'), 'zip');
+  } catch (error) {
+    console.error('Export solicitation package error:', error);
+    return res.status(500).json({ error: 'Unable to export solicitation package' });
+  }
+};
+
+/**
+ * Every active response with its pricing, consensus score and the evaluators' scores and comments. Only the
+ * owner can export, once bidding has closed and any sealed bids have been opened.
+ */
+export const exportResponsesHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can export responses' });
+    }
+
+    if (!RESPONSE_EXPORT_STATUSES.includes(rfx.status)) {
+      return res
+        .status(409)
+        .json({ error: `Responses can be exported once the RFX is ${RESPONSE_EXPORT_STATUSES.join(', ')}` });
+    }
+
+    if (isSealedAndUnopened(rfx)) {
+      return res.status(409).json({ error: 'Sealed bids must be opened before responses can be exported' });
+    }
+
+    const { summary, error } = await buildEvaluationSummary(supabase, rfx);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load responses', details: error.message });
+    }
+
+    const { data: sheets, error: sheetsError } = await supabase
+      .from('rfx_evaluation_scores')
+      .select('*')
+      .eq('rfx_id', rfxId);
+    if (sheetsError) {
+      return res.status(400).json({ error: 'Unable to load evaluation scores', details: sheetsError.message });
+    }
+
+    const userIds = [
+      ...new Set([
+        ...summary.responses.map((response) => response.responder_id),
+        ...(sheets || []).map((sheet) => sheet.evaluator_id),
+      ]),
+    ];
+    const { data: profiles } = userIds.length
+      ? await supabase.from('profiles').select('id, company_name, email').in('id', userIds)
+      : { data: [] };
+    const profileMap = new Map((profiles || []).map((profile) => [profile.id, profile]));
+
+    const workbook = renderXlsx(
+      buildResponseSheets({
+        rfx,
+        responses: summary.responses,
+        sheets: sheets || [],
+        vendors: profileMap,
+        evaluators: profileMap,
+      }),
+      { title: `${rfx.title} responses` },
+    );
+
+    return sendFile(res, workbook, buildExportFileName(rfx, 'responses', 'xlsx'), 'xlsx');
+  } catch (error) {
+    console.error('Export responses error:', error);
+    return res.status(500).json({ error: 'Unable to export responses' });
+  }
+};
+
+export default exportSolicitationHandler;
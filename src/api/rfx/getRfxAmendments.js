@@ -0,0 +1,67 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { diffFields, getCurrentVersion, resolveVersionSnapshot } from '../utils/rfxAmendments.js';
+
+const fetchAmendments = (supabase, rfxId) =>
+  supabase.from('rfx_amendments').select('*').eq('rfx_id', rfxId).order('version', { ascending: true });
+
+export const getRfxAmendmentsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const { data, error } = await fetchAmendments(supabase, rfxId);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load amendments', details: error.message });
+    }
+
+    return res.status(200).json({ current_version: getCurrentVersion(rfx), amendments: data || [] });
+  } catch (error) {
+    console.error('Get RFX amendments error:', error);
+    return res.status(500).json({ error: 'Unable to fetch amendments' });
+  }
+};
+
+export const getRfxAmendmentDiffHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const currentVersion = getCurrentVersion(rfx);
+    const from = req.query.from !== undefined ? Number(req.query.from) : Math.max(currentVersion - 1, 0);
+    const to = req.query.to !== undefined ? Number(req.query.to) : currentVersion;
+
+    const outOfRange = [from, to].find((value) => !Number.isInteger(value) || value < 0 || value > currentVersion);
+    if (outOfRange !== undefined) {
+      return res.status(400).json({ error: `Versions must be integers between 0 and ${currentVersion}` });
+    }
+
+    const { data: amendments, error } = await fetchAmendments(supabase, rfxId);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load amendments', details: error.message });
+    }
+
+    const before = resolveVersionSnapshot(rfx, amendments || [], from);
+    const after = resolveVersionSnapshot(rfx, amendments || [], to);
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Amendment history is incomplete for the requested versions' });
+    }
+
+    return res.status(200).json({ from, to, changes: diffFields(before, after) });
+  } catch (error) {
+    console.error('Get RFX amendment diff error:', error);
+    return res.status(500).json({ error: 'Unable to diff amendments' });
+  }
+};
+
+export default getRfxAmendmentsHandler;
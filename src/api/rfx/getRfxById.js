@@ -1,21 +1,54 @@
 import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { advanceInvitation, loadVisibleRfx } from '../utils/rfxInvitations.js';
+
+const describeSealedBids = async (supabase, rfx, user) => {
+  if (!rfx.sealed) {
+    return null;
+  }
+
+  const summary = { status: rfx.bid_opened_at ? 'opened' : 'sealed', opened_at: rfx.bid_opened_at || null };
+  if (isRfxOwner(rfx, user)) {
+    const { count } = await supabase
+      .from('rfx_responses')
+      .select('id', { count: 'exact', head: true })
+      .eq('rfx_id', rfx.id);
+    summary.received = count ?? 0;
+  }
+  return summary;
+};
+
+const loadAward = async (supabase, rfx) => {
+  if (!rfx.award_id) {
+    return null;
+  }
+  const { data } = await supabase
+    .from('rfx_awards')
+    .select('id, winners, total_amount, justification, awarded_at')
+    .eq('id', rfx.award_id)
+    .single();
+  return data || null;
+};
 
 export const getRfxByIdHandler = async (req, res) => {
   const supabase = getSupabaseClient();
   const { rfxId } = req.params;
 
   try {
-    const { data, error } = await supabase
-      .from('rfx_opportunities')
-      .select('*')
-      .eq('id', rfxId)
-      .single();
+    const { rfx: data, invitation, error } = await loadVisibleRfx(supabase, rfxId, req.user);
 
     if (error || !data) {
       return res.status(404).json({ error: 'RFX not found' });
     }
 
-    return res.status(200).json({ rfx: data });
+    const viewedInvitation = await advanceInvitation(supabase, invitation, 'viewed');
+
+    return res.status(200).json({
+      rfx: data,
+      invitation: viewedInvitation ? { id: viewedInvitation.id, status: viewedInvitation.status } : undefined,
+      sealed_bids: await describeSealedBids(supabase, data, req.user),
+      award: await loadAward(supabase, data),
+    });
   } catch (error) {
     console.error('Get RFX error:', error);
     return res.status(500).json({ error: 'Unable to fetch RFX' });
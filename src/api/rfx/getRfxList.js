@@ -1,27 +1,74 @@
 import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { applyDatabaseFilters, parseSearchParams, searchRfx } from '../utils/rfxSearch.js';
+import { findUserInvitations } from '../utils/rfxInvitations.js';
+import { isAdminUser } from '../middleware/authGuard.js';
 
-export const getRfxListHandler = async (req, res) => {
-  const supabase = getSupabaseClient();
-  const { status, category, limit = 25, offset = 0 } = req.query;
+const CANDIDATE_BATCH_SIZE = 1000;
 
-  try {
-    let query = supabase.from('rfx_opportunities').select('*').order('created_at', { ascending: false });
+/**
+ * Every RFx matching the database filters, read in id order one batch at a time. The deadline, budget and
+ * relevance sorts are computed per RFx, so sorting, cursor paging, totals and facets all need the whole set.
+ */
+const loadCandidates = async (supabase, params, visibleFilter) => {
+  const candidates = [];
+  let lastId = null;
+
+  for (;;) {
+    let query = applyDatabaseFilters(supabase.from('rfx_opportunities').select('*'), params)
+      .order('id', { ascending: true })
+      .limit(CANDIDATE_BATCH_SIZE);
+    if (visibleFilter) {
+      query = query.or(visibleFilter);
+    }
+    if (lastId !== null) {
+      query = query.gt('id', lastId);
+    }
 
-    if (status) {
-      query = query.eq('status', status);
+    const { data, error } = await query;
+    if (error) {
+      return { candidates: null, error };
     }
 
-    if (category) {
-      query = query.eq('category', category);
+    candidates.push(...(data || []));
+    if (!data || data.length < CANDIDATE_BATCH_SIZE) {
+      return { candidates, error: null };
+    }
+    lastId = data[data.length - 1].id;
+  }
+};
+
+export const getRfxListHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const params = parseSearchParams(req.query, req.user);
+
+  try {
+    // Private RFx are listed only for their owner, admins and the vendors on their invitation list.
+    let visibleFilter = null;
+    if (!isAdminUser(req.user)) {
+      const invitedRfxIds = (await findUserInvitations(supabase, req.user)).map((invitation) => invitation.rfx_id);
+      const visible = ['visibility.is.null', 'visibility.neq.private'];
+      if (req.user?.id) {
+        visible.push(`created_by.eq.${req.user.id}`);
+      }
+      if (invitedRfxIds.length) {
+        visible.push(`id.in.(${invitedRfxIds.join(',')})`);
+      }
+      visibleFilter = visible.join(',');
     }
 
-    const { data, error } = await query.range(Number(offset), Number(offset) + Number(limit) - 1);
+    // The database narrows the candidates with every filter it can express; rfxSearch then applies the exact
+    // timezone-aware, prefix and budget checks, sorts and pages.
+    const { candidates, error } = await loadCandidates(supabase, params, visibleFilter);
 
     if (error) {
       return res.status(400).json({ error: 'Failed to fetch RFX list', details: error.message });
     }
 
-    return res.status(200).json({ items: data });
+    return res.status(200).json({
+      ...searchRfx(candidates, params),
+      limit: params.limit,
+      sort: `${params.descending ? '-' : ''}${params.sort}`,
+    });
   } catch (error) {
     console.error('Get RFX list error:', error);
     return res.status(500).json({ error: 'Unable to fetch RFX list' });
@@ -0,0 +1,52 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { flagOutdatedResponses } from '../utils/rfxAmendments.js';
+import { isSealedAndUnopened, presentResponse } from '../utils/sealedBids.js';
+
+// Withdrawn responses stay listed for the audit record, but only their author can still read them.
+const maskWithdrawn = (response, viewer) =>
+  response.status === 'withdrawn' && response.responder_id !== viewer?.id
+    ? {
+        ...response,
+        content: null,
+        bid_amount: null,
+        quoted_amount: null,
+        attachments: [],
+        line_item_prices: null,
+        lot_totals: null,
+      }
+    : response;
+
+export const getRfxResponsesHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    let query = supabase.from('rfx_responses').select('*').eq('rfx_id', rfxId).order('created_at', { ascending: true });
+    if (!isRfxOwner(rfx, req.user)) {
+      query = query.eq('responder_id', req.user.id);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load responses', details: error.message });
+    }
+
+    const responses = flagOutdatedResponses(data || [], rfx).map((response) =>
+      maskWithdrawn(presentResponse(response, rfx, req.user), req.user),
+    );
+
+    return res.status(200).json({ responses, sealed: isSealedAndUnopened(rfx) });
+  } catch (error) {
+    console.error('Get RFX responses error:', error);
+    return res.status(500).json({ error: 'Unable to fetch responses' });
+  }
+};
+
+export default getRfxResponsesHandler;
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import {
+  describeSamSource,
+  findDuplicates,
+  mapImportRecord,
+  mapSamOpportunity,
+  MAX_IMPORT_ROWS,
+  normalizeSolicitationNumber,
+  parseImportData,
+} from '../utils/rfxImport.js';
+import { prepareRfxPayload, RFX_CREATE_FIELDS } from './createRfx.js';
+
+// Imports always land as drafts, auctions need an invited vendor list no legacy export carries, and
+// attachments have to be uploaded to storage first.
+const IMPORTABLE_FIELDS = RFX_CREATE_FIELDS.filter(
+  (field) => !['status', 'rfx_type', 'auction', 'attachments'].includes(field),
+);
+
+const loadExistingSolicitations = async (supabase, user) => {
+  const { data } = await supabase
+    .from('rfx_opportunities')
+    .select('id, solicitation_number')
+    .eq('created_by', user.id)
+    .not('solicitation_number', 'is', null);
+  return new Map((data || []).map((rfx) => [normalizeSolicitationNumber(rfx.solicitation_number), rfx.id]));
+};
+
+/**
+ * Creates draft RFx in bulk from a CSV file, a JSON array or a SAM.gov opportunities export. Each row is
+ * validated exactly like `POST /rfx`; invalid and duplicate rows are reported and skipped while the rest
+ * are created. With `dry_run` nothing is written and the response previews what would be created.
+ */
+export const importRfxHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { format, data, mapping = {}, defaults = {}, dry_run: dryRun = false } = req.body;
+
+  const { records, error: parseError } = parseImportData(format, data);
+  if (parseError) {
+    return res.status(400).json({ error: parseError });
+  }
+
+  if (records.length === 0) {
+    return res.status(400).json({ error: 'The import contains no rows' });
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} rows; split the file` });
+  }
+
+  try {
+    const batchId = crypto.randomUUID();
+    const sharedValues = Object.fromEntries(
+      Object.entries(defaults).filter(([field]) => IMPORTABLE_FIELDS.includes(field)),
+    );
+    const rows = records.map((record, index) => {
+      const { values, errors } =
+        format === 'sam_gov'
+          ? { values: mapSamOpportunity(record), errors: [] }
+          : mapImportRecord(record, IMPORTABLE_FIELDS, mapping);
+      const { payload, error } = prepareRfxPayload({ ...sharedValues, ...values, status: 'draft' }, req.user);
+
+      return {
+        row: index + 1,
+        title: values.title || null,
+        solicitation_number: values.solicitation_number || null,
+        errors: error ? [...errors, error] : errors,
+        payload: payload && {
+          ...payload,
+          import_batch_id: batchId,
+          import_source: format === 'sam_gov' ? describeSamSource(record) : { system: format, row: index + 1 },
+        },
+      };
+    });
+
+    const duplicates = findDuplicates(rows, await loadExistingSolicitations(supabase, req.user));
+    rows.forEach((row, index) => {
+      row.duplicate = duplicates[index];
+      if (row.errors.length) {
+        row.status = 'invalid';
+      } else if (row.duplicate) {
+        row.status = 'duplicate';
+      } else {
+        row.status = dryRun ? 'valid' : 'pending';
+      }
+    });
+
+    const toCreate = rows.filter((row) => row.status === 'pending');
+    if (toCreate.length) {
+      const createdAt = new Date().toISOString();
+      const { data: created, error } = await supabase
+        .from('rfx_opportunities')
+        .insert(toCreate.map((row) => ({ ...row.payload, created_at: createdAt })))
+        .select('id');
+
+      if (error) {
+        return res.status(400).json({ error: 'Failed to import RFX', details: error.message });
+      }
+
+      toCreate.forEach((row, index) => {
+        row.status = 'created';
+        row.rfx_id = created?.[index]?.id ?? null;
+      });
+    }
+
+    const summary = ['valid', 'created', 'invalid', 'duplicate'].reduce(
+      (acc, status) => {
+        acc[status] = rows.filter((row) => row.status === status).length;
+        return acc;
+      },
+      { total: rows.length },
+    );
+
+    return res.status(dryRun ? 200 : 201).json({
+      message: dryRun ? 'Import preview' : `${summary.created} RFX imported as drafts`,
+      dry_run: dryRun,
+      import_batch_id: dryRun ? null : batchId,
+      summary,
+      rows: rows.map(({ payload, ...row }) => {
+        if (!dryRun || !payload) {
+          return row;
+        }
+        const { import_batch_id: _batchId, ...preview } = payload;
+        return { ...row, preview };
+      }),
+    });
+  } catch (error) {
+    console.error('Import RFX error:', error);
+    return res.status(500).json({ error: 'Unable to import RFX' });
+  }
+};
+
+export default importRfxHandler;
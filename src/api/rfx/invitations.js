@@ -0,0 +1,281 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadRfx, isRfxOwner } from '../utils/rfxAccess.js';
+import {
+  advanceInvitation,
+  buildInvitationUrl,
+  createInvitationToken,
+  findUserInvitations,
+  hashInvitationToken,
+  normalizeEmail,
+} from '../utils/rfxInvitations.js';
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const loadInvitationByToken = async (supabase, token) => {
+  const { data } = await supabase
+    .from('rfx_invitations')
+    .select('*')
+    .eq('token_hash', hashInvitationToken(token))
+    .maybeSingle();
+  return data || null;
+};
+
+export const listInvitationsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can view its invitation list' });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_invitations')
+      .select('id, rfx_id, vendor_id, email, status, invited_by, sent_at, viewed_at, declined_at, responded_at')
+      .eq('rfx_id', rfxId)
+      .order('sent_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load invitations', details: error.message });
+    }
+
+    return res.status(200).json({ invitations: data || [] });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    return res.status(500).json({ error: 'Unable to fetch invitations' });
+  }
+};
+
+/**
+ * Invites vendors by profile id or email address. Emails that do not belong to an existing profile get a
+ * tokenized link, returned once in `invite_url` for delivery to the vendor.
+ */
+export const inviteVendorsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const { invitees } = req.body;
+
+  for (const invitee of invitees) {
+    if (!invitee?.vendor_id && !EMAIL_REGEX.test(invitee?.email || '')) {
+      return res.status(400).json({ error: 'Each invitee needs a vendor_id or a valid email' });
+    }
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can invite vendors' });
+    }
+
+    if (['closed', 'evaluating', 'awarded', 'cancelled'].includes(rfx.status)) {
+      return res.status(409).json({ error: `Vendors cannot be invited to a ${rfx.status} RFX` });
+    }
+
+    const { data: existing } = await supabase.from('rfx_invitations').select('vendor_id, email').eq('rfx_id', rfxId);
+    const invitedVendors = new Set((existing || []).map((row) => row.vendor_id).filter(Boolean));
+    const invitedEmails = new Set((existing || []).map((row) => row.email).filter(Boolean));
+
+    const emails = invitees.filter((invitee) => !invitee.vendor_id).map((invitee) => normalizeEmail(invitee.email));
+    const { data: profiles } = emails.length
+      ? await supabase.from('profiles').select('id, email').in('email', emails)
+      : { data: [] };
+    const profileByEmail = new Map((profiles || []).map((profile) => [normalizeEmail(profile.email), profile.id]));
+
+    const now = new Date().toISOString();
+    const rows = [];
+    const links = new Map();
+    const skipped = [];
+
+    for (const invitee of invitees) {
+      const email = invitee.vendor_id ? null : normalizeEmail(invitee.email);
+      const vendorId = invitee.vendor_id || profileByEmail.get(email) || null;
+
+      if ((vendorId && invitedVendors.has(vendorId)) || (email && invitedEmails.has(email))) {
+        skipped.push(invitee.vendor_id || email);
+        continue;
+      }
+      if (vendorId) invitedVendors.add(vendorId);
+      if (email) invitedEmails.add(email);
+
+      const row = { rfx_id: rfxId, vendor_id: vendorId, email, status: 'sent', invited_by: req.user.id, sent_at: now };
+      if (!vendorId) {
+        const { token, tokenHash } = createInvitationToken();
+        row.token_hash = tokenHash;
+        links.set(email, buildInvitationUrl(token));
+      }
+      rows.push(row);
+    }
+
+    const { data, error } = rows.length
+      ? await supabase.from('rfx_invitations').insert(rows).select('*')
+      : { data: [], error: null };
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to create invitations', details: error.message });
+    }
+
+    const invitations = (data || []).map(({ token_hash: _tokenHash, ...invitation }) => ({
+      ...invitation,
+      invite_url: invitation.email && links.has(invitation.email) ? links.get(invitation.email) : undefined,
+    }));
+
+    return res.status(201).json({ message: 'Invitations sent', invitations, skipped });
+  } catch (error) {
+    console.error('Invite vendors error:', error);
+    return res.status(500).json({ error: 'Unable to invite vendors' });
+  }
+};
+
+export const revokeInvitationHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, invitationId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can revoke invitations' });
+    }
+
+    const { data: invitation } = await supabase
+      .from('rfx_invitations')
+      .select('id, status')
+      .eq('id', invitationId)
+      .eq('rfx_id', rfxId)
+      .maybeSingle();
+
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    if (invitation.status === 'responded') {
+      return res
+        .status(409)
+        .json({ error: 'This vendor has already responded, so the invitation can no longer be revoked' });
+    }
+
+    const { error } = await supabase.from('rfx_invitations').delete().eq('id', invitationId);
+    if (error) {
+      return res.status(400).json({ error: 'Failed to revoke invitation', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    return res.status(500).json({ error: 'Unable to revoke invitation' });
+  }
+};
+
+export const declineInvitationHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const [invitation] = await findUserInvitations(supabase, req.user, rfxId);
+    if (!invitation) {
+      return res.status(404).json({ error: 'You have not been invited to this RFX' });
+    }
+
+    if (invitation.status === 'responded') {
+      return res.status(409).json({ error: 'You have already responded; withdraw the response instead' });
+    }
+
+    const updated = await advanceInvitation(supabase, invitation, 'declined', {
+      decline_reason: req.body.reason?.trim() || null,
+    });
+
+    return res.status(200).json({ message: 'Invitation declined', invitation: updated });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    return res.status(500).json({ error: 'Unable to decline invitation' });
+  }
+};
+
+/**
+ * Public preview behind a tokenized link, for vendors who may not have an account yet. Opening it counts
+ * as viewing the invitation.
+ */
+export const previewInvitationHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { token } = req.params;
+
+  try {
+    const invitation = await loadInvitationByToken(supabase, token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation link is invalid or has been revoked' });
+    }
+
+    const { rfx, error: rfxError } = await loadRfx(
+      supabase,
+      invitation.rfx_id,
+      'id, title, category, location, submission_deadline, timezone, status',
+    );
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const updated = await advanceInvitation(supabase, invitation, 'viewed');
+
+    return res.status(200).json({ rfx, invitation: { email: updated.email, status: updated.status } });
+  } catch (error) {
+    console.error('Preview invitation error:', error);
+    return res.status(500).json({ error: 'Unable to open invitation' });
+  }
+};
+
+/**
+ * Binds a tokenized invitation to the signed-in account. The token is single use.
+ */
+export const claimInvitationHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { token } = req.params;
+
+  try {
+    const invitation = await loadInvitationByToken(supabase, token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'This invitation link is invalid or has been revoked' });
+    }
+
+    if (invitation.vendor_id && invitation.vendor_id !== req.user.id) {
+      return res.status(409).json({ error: 'This invitation has already been claimed by another account' });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_invitations')
+      .update({ vendor_id: req.user.id, token_hash: null, claimed_at: new Date().toISOString() })
+      .eq('id', invitation.id)
+      .eq('token_hash', invitation.token_hash)
+      .select('*');
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to claim invitation', details: error.message });
+    }
+
+    // Claiming clears the token, so when two accounts redeem it at once only the first update matches.
+    if (!data?.length) {
+      return res.status(409).json({ error: 'This invitation has already been claimed by another account' });
+    }
+
+    const updated = await advanceInvitation(supabase, data[0], 'viewed');
+    const { token_hash: _tokenHash, ...visible } = updated;
+
+    return res.status(200).json({ message: 'Invitation claimed', invitation: visible, rfx_id: invitation.rfx_id });
+  } catch (error) {
+    console.error('Claim invitation error:', error);
+    return res.status(500).json({ error: 'Unable to claim invitation' });
+  }
+};
+
+export default listInvitationsHandler;
@@ -1,25 +1,7 @@
 import { getSupabaseClient } from '../utils/supabaseClient.js';
-
-const calculateMatchScore = (vendor, rfx) => {
-  let score = 0;
-  if (Array.isArray(vendor.naics_codes) && Array.isArray(rfx.naics_codes)) {
-    const overlap = vendor.naics_codes.filter((code) => rfx.naics_codes.includes(code));
-    score += overlap.length * 10;
-  }
-
-  if (vendor.capabilities && rfx.requirements) {
-    const capabilityScore = vendor.capabilities.filter((capability) =>
-      rfx.requirements.toLowerCase().includes(capability.toLowerCase()),
-    ).length;
-    score += capabilityScore * 5;
-  }
-
-  if (vendor.past_performance) {
-    score += Math.min(vendor.past_performance.length * 2, 20);
-  }
-
-  return Number(score.toFixed(2));
-};
+import { getOpenAiClient } from '../utils/openaiClient.js';
+import { checkSetAsideEligibility } from '../utils/setAsides.js';
+import { matchVendors } from '../utils/vendorMatching.js';
 
 export const matchRespondersHandler = async (req, res) => {
   const supabase = getSupabaseClient();
@@ -36,22 +18,32 @@ export const matchRespondersHandler = async (req, res) => {
       return res.status(404).json({ error: 'RFX not found' });
     }
 
-    const { data: vendors, error: vendorError } = await supabase.from('profiles').select('*').neq('id', req.user.id);
+    // Vendors outside the set-aside could not respond, so they are not suggested.
+    const isCandidate = (vendor) => vendor.id !== req.user.id && checkSetAsideEligibility(rfx, vendor).eligible;
+    const { matches, profiles, model, embeddingError, saveError, error } = await matchVendors(supabase, rfx, {
+      client: getOpenAiClient(),
+      limit: Number(req.query.limit) || 5,
+      filter: isCandidate,
+    });
 
-    if (vendorError) {
-      return res.status(400).json({ error: 'Failed to load vendor profiles', details: vendorError.message });
+    if (error) {
+      return res.status(400).json({ error: 'Failed to load vendor profiles', details: error.message });
     }
 
-    const matches = (vendors || [])
-      .map((vendor) => ({
-        vendor_id: vendor.id,
-        vendor_name: vendor.company_name,
-        score: calculateMatchScore(vendor, rfx),
-      }))
-      .sort((a, b) => b.score - a.score)
-      .slice(0, Number(req.query.limit) || 5);
+    if (embeddingError) {
+      console.error('Vendor embedding error:', embeddingError);
+    }
+
+    if (saveError) {
+      console.error('Unable to store vendor embeddings:', saveError.message);
+    }
 
-    return res.status(200).json({ matches });
+    const vendors = profiles.filter((vendor) => vendor.id !== req.user.id);
+    return res.status(200).json({
+      matches,
+      model,
+      excluded_ineligible: vendors.filter((vendor) => !isCandidate(vendor)).length,
+    });
   } catch (error) {
     console.error('Match responders error:', error);
     return res.status(500).json({ error: 'Unable to match responders' });
@@ -0,0 +1,119 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadRfx, isRfxOwner } from '../utils/rfxAccess.js';
+import { getSubmissionWindow, isPastSubmissionWindow } from '../utils/rfxDeadlines.js';
+import { unsealResponse } from '../utils/sealedBids.js';
+
+export const openBidsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can open bids' });
+    }
+
+    if (!rfx.sealed) {
+      return res.status(400).json({ error: 'This RFX does not use sealed bidding' });
+    }
+
+    if (rfx.bid_opened_at) {
+      return res.status(409).json({ error: `Bids were already opened at ${rfx.bid_opened_at}` });
+    }
+
+    if (!isPastSubmissionWindow(rfx)) {
+      const { closesAt } = getSubmissionWindow(rfx);
+      return res
+        .status(409)
+        .json({ error: `Bids cannot be opened before ${closesAt?.toISOString() || 'the deadline'}` });
+    }
+
+    const { data: responses, error: responsesError } = await supabase
+      .from('rfx_responses')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .neq('status', 'withdrawn');
+
+    if (responsesError) {
+      return res.status(400).json({ error: 'Unable to load responses', details: responsesError.message });
+    }
+
+    const openedAt = new Date().toISOString();
+    const opened = (responses || []).map((response) => ({ ...unsealResponse(response), sealed_payload: null }));
+
+    // Every bid is decrypted before anything is written, so a bad payload leaves every bid sealed. A write that
+    // fails part-way leaves `bid_opened_at` unset and the opening can be retried: responses already written
+    // have no `sealed_payload` and pass through unsealResponse unchanged.
+    for (const response of opened) {
+      const { error } = await supabase
+        .from('rfx_responses')
+        .update({
+          content: response.content,
+          bid_amount: response.bid_amount,
+          quoted_amount: response.quoted_amount ?? null,
+          attachments: response.attachments || [],
+          line_item_prices: response.line_item_prices ?? null,
+          lot_totals: response.lot_totals ?? null,
+          sealed_payload: null,
+        })
+        .eq('id', response.id);
+
+      if (error) {
+        return res.status(400).json({ error: 'Failed to open bid', details: error.message, response_id: response.id });
+      }
+    }
+
+    const { data: openingEvent, error: eventError } = await supabase
+      .from('rfx_bid_openings')
+      .insert([
+        {
+          rfx_id: rfxId,
+          opened_by: req.user.id,
+          opened_at: openedAt,
+          response_count: opened.length,
+          bids: opened.map((response) => ({
+            response_id: response.id,
+            responder_id: response.responder_id,
+            bid_amount: response.bid_amount ?? null,
+            lot_totals: response.lot_totals ?? null,
+            submitted_at: response.created_at,
+          })),
+        },
+      ])
+      .select('*')
+      .single();
+
+    if (eventError) {
+      return res.status(400).json({ error: 'Failed to record bid opening', details: eventError.message });
+    }
+
+    // Stamping the RFx is what makes the opening final; only one of two concurrent openings gets to do it.
+    const { data: stamped, error: stampError } = await supabase
+      .from('rfx_opportunities')
+      .update({ bid_opened_at: openedAt, updated_at: openedAt })
+      .eq('id', rfxId)
+      .is('bid_opened_at', null)
+      .select('id');
+
+    if (stampError || !stamped?.length) {
+      const { error: cleanupError } = await supabase.from('rfx_bid_openings').delete().eq('id', openingEvent.id);
+      if (cleanupError) {
+        console.error(`Unable to remove bid opening ${openingEvent.id}:`, cleanupError.message);
+      }
+      return stampError
+        ? res.status(400).json({ error: 'Failed to record bid opening', details: stampError.message })
+        : res.status(409).json({ error: 'Bids were already opened' });
+    }
+
+    return res.status(200).json({ message: 'Bids opened', opening: openingEvent, responses: opened });
+  } catch (error) {
+    console.error('Open bids error:', error);
+    return res.status(500).json({ error: 'Unable to open bids' });
+  }
+};
+
+export default openBidsHandler;
@@ -0,0 +1,314 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadRfx, isRfxOwner } from '../utils/rfxAccess.js';
+import { isAdminUser } from '../middleware/authGuard.js';
+import {
+  PIPELINE_STAGE_TYPES,
+  STAGE_LABELS,
+  buildNextStageBody,
+  buildPipelineView,
+  checkAdvance,
+} from '../utils/rfxPipelines.js';
+import { RFX_CREATE_FIELDS, prepareRfxPayload } from './createRfx.js';
+
+// Body fields that may override what the next stage copies from the current one.
+const STAGE_OVERRIDE_FIELDS = RFX_CREATE_FIELDS.filter((field) => !['status', 'visibility'].includes(field));
+
+const canViewPipeline = (pipeline, user) => pipeline.created_by === user?.id || isAdminUser(user);
+
+// Gives the source stage back when its next stage could not be created, so the advance can be retried.
+const releaseAdvance = async (supabase, rfxId) => {
+  const { error } = await supabase.from('rfx_opportunities').update({ advanced_at: null }).eq('id', rfxId);
+  if (error) {
+    console.error(`Unable to release the advance of stage ${rfxId}:`, error.message);
+  }
+};
+
+export const listPipelinesHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+
+  try {
+    const { data, error } = await supabase
+      .from('rfx_pipelines')
+      .select('*')
+      .eq('created_by', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load pipelines', details: error.message });
+    }
+
+    return res.status(200).json({ pipelines: data || [] });
+  } catch (error) {
+    console.error('List pipelines error:', error);
+    return res.status(500).json({ error: 'Unable to fetch pipelines' });
+  }
+};
+
+/**
+ * Starts a pipeline with an existing RFx as its first stage.
+ */
+export const createPipelineHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfx_id: rfxId, stage_type: stageType } = req.body;
+
+  if (!PIPELINE_STAGE_TYPES.includes(stageType)) {
+    return res.status(400).json({ error: `stage_type must be one of: ${PIPELINE_STAGE_TYPES.join(', ')}` });
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can start a pipeline from it' });
+    }
+
+    if (rfx.pipeline_id) {
+      return res.status(409).json({ error: 'This RFX is already part of a pipeline', pipeline_id: rfx.pipeline_id });
+    }
+
+    const now = new Date().toISOString();
+    const { data: pipeline, error } = await supabase
+      .from('rfx_pipelines')
+      .insert([{ name: req.body.name?.trim() || rfx.title, created_by: req.user.id, created_at: now, updated_at: now }])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to create pipeline', details: error.message });
+    }
+
+    const { data: stage, error: stageError } = await supabase
+      .from('rfx_opportunities')
+      .update({ pipeline_id: pipeline.id, pipeline_stage: 1, stage_type: stageType, updated_at: now })
+      .eq('id', rfxId)
+      .select('*')
+      .single();
+
+    if (stageError) {
+      return res.status(400).json({ error: 'Failed to add RFX to pipeline', details: stageError.message });
+    }
+
+    return res.status(201).json({ message: 'Pipeline created', pipeline, rfx: stage });
+  } catch (error) {
+    console.error('Create pipeline error:', error);
+    return res.status(500).json({ error: 'Unable to create pipeline' });
+  }
+};
+
+export const getPipelineHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { pipelineId } = req.params;
+
+  try {
+    const { data: pipeline } = await supabase.from('rfx_pipelines').select('*').eq('id', pipelineId).maybeSingle();
+    if (!pipeline) {
+      return res.status(404).json({ error: 'Pipeline not found' });
+    }
+
+    if (!canViewPipeline(pipeline, req.user)) {
+      return res.status(403).json({ error: 'Only the pipeline owner can view it' });
+    }
+
+    const { data: stages, error } = await supabase
+      .from('rfx_opportunities')
+      .select('*')
+      .eq('pipeline_id', pipelineId)
+      .order('pipeline_stage', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load pipeline stages', details: error.message });
+    }
+
+    const stageIds = (stages || []).map((stage) => stage.id);
+    const awardIds = (stages || []).map((stage) => stage.award_id).filter(Boolean);
+    const [invitations, responses, awards, amendments, questions] = await Promise.all([
+      supabase.from('rfx_invitations').select('rfx_id, vendor_id, status').in('rfx_id', stageIds),
+      supabase.from('rfx_responses').select('rfx_id, responder_id, status, evaluation_score').in('rfx_id', stageIds),
+      awardIds.length
+        ? supabase.from('rfx_awards').select('id, winners, total_amount, awarded_at').in('id', awardIds)
+        : { data: [] },
+      supabase.from('rfx_amendments').select('rfx_id, version, reason, created_at').in('rfx_id', stageIds),
+      supabase
+        .from('rfx_questions')
+        .select('rfx_id, question, answer, published_at')
+        .in('rfx_id', stageIds)
+        .eq('visibility', 'public'),
+    ]);
+
+    return res.status(200).json({
+      pipeline: buildPipelineView({
+        pipeline,
+        stages: stages || [],
+        invitations: invitations.data || [],
+        responses: responses.data || [],
+        awards: awards.data || [],
+        amendments: amendments.data || [],
+        questions: questions.data || [],
+      }),
+    });
+  } catch (error) {
+    console.error('Get pipeline error:', error);
+    return res.status(500).json({ error: 'Unable to fetch pipeline' });
+  }
+};
+
+/**
+ * Advances a closed stage: creates the next stage as a private draft with the same requirements, invites the
+ * selected respondents and carries over the published Q&A answers. Each stage keeps its own responses and
+ * evaluation; nothing submitted to the earlier stage is copied.
+ */
+export const advanceStageHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const { stage_type: stageType, vendor_ids: vendorIds } = req.body;
+
+  try {
+    const { rfx: source, error: rfxError } = await loadRfx(supabase, rfxId);
+    if (rfxError || !source) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(source, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can advance it' });
+    }
+
+    const { data: nextStage } = await supabase
+      .from('rfx_opportunities')
+      .select('id')
+      .eq('previous_stage_id', rfxId)
+      .maybeSingle();
+
+    if (nextStage) {
+      return res.status(409).json({ error: 'This stage has already been advanced', rfx_id: nextStage.id });
+    }
+
+    const { data: responses } = await supabase
+      .from('rfx_responses')
+      .select('responder_id')
+      .eq('rfx_id', rfxId)
+      .neq('status', 'withdrawn');
+
+    const advance = checkAdvance(source, {
+      stageType,
+      vendorIds,
+      respondentIds: (responses || []).map((response) => response.responder_id),
+    });
+    if (advance.error) {
+      return res.status(advance.status).json({ error: advance.error });
+    }
+
+    const overrides = STAGE_OVERRIDE_FIELDS.reduce((acc, field) => {
+      if (req.body[field] !== undefined) {
+        acc[field] = req.body[field];
+      }
+      return acc;
+    }, {});
+
+    const { payload, error: payloadError } = prepareRfxPayload(
+      buildNextStageBody(source, stageType, overrides),
+      req.user,
+    );
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
+    }
+
+    // Claiming the source stage first means only one of two concurrent advances gets to create a stage.
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimError } = await supabase
+      .from('rfx_opportunities')
+      .update({ advanced_at: now })
+      .eq('id', rfxId)
+      .is('advanced_at', null)
+      .select('id');
+
+    if (claimError) {
+      return res.status(400).json({ error: 'Failed to create the next stage', details: claimError.message });
+    }
+
+    if (!claimed?.length) {
+      return res.status(409).json({ error: 'This stage has already been advanced' });
+    }
+
+    const carriedVendorIds = [...new Set(vendorIds)];
+    const { data: stage, error } = await supabase
+      .from('rfx_opportunities')
+      .insert([
+        {
+          ...payload,
+          pipeline_id: source.pipeline_id,
+          pipeline_stage: (source.pipeline_stage || 1) + 1,
+          stage_type: stageType,
+          previous_stage_id: source.id,
+          carried_vendor_ids: carriedVendorIds,
+          template_id: source.template_id || null,
+          template_version: source.template_version || null,
+          created_at: now,
+        },
+      ])
+      .select('*')
+      .single();
+
+    if (error) {
+      await releaseAdvance(supabase, rfxId);
+      return res.status(400).json({ error: 'Failed to create the next stage', details: error.message });
+    }
+
+    const { data: invitations, error: invitationError } = await supabase
+      .from('rfx_invitations')
+      .insert(
+        carriedVendorIds.map((vendorId) => ({
+          rfx_id: stage.id,
+          vendor_id: vendorId,
+          email: null,
+          status: 'sent',
+          invited_by: req.user.id,
+          sent_at: now,
+        })),
+      )
+      .select('*');
+
+    if (invitationError) {
+      // A stage nobody is invited to would block the pipeline (it counts as already advanced), so remove it.
+      const { error: cleanupError } = await supabase.from('rfx_opportunities').delete().eq('id', stage.id);
+      if (cleanupError) {
+        console.error(`Unable to remove stage ${stage.id} after its invitations failed:`, cleanupError.message);
+      } else {
+        await releaseAdvance(supabase, rfxId);
+      }
+      return res.status(400).json({ error: 'Failed to invite carried-over vendors', details: invitationError.message });
+    }
+
+    const { data: answered } = await supabase
+      .from('rfx_questions')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .eq('visibility', 'public');
+
+    if (answered?.length) {
+      await supabase.from('rfx_questions').insert(
+        answered.map(({ id, rfx_id: _rfxId, ...question }) => ({
+          ...question,
+          rfx_id: stage.id,
+          carried_from_question_id: id,
+        })),
+      );
+    }
+
+    await supabase.from('rfx_pipelines').update({ updated_at: now }).eq('id', source.pipeline_id);
+
+    return res.status(201).json({
+      message: `Advanced to ${STAGE_LABELS[stageType]}`,
+      rfx: stage,
+      invitations: invitations || [],
+      carried_questions: answered?.length || 0,
+    });
+  } catch (error) {
+    console.error('Advance pipeline stage error:', error);
+    return res.status(500).json({ error: 'Unable to advance pipeline stage' });
+  }
+};
+
+export default listPipelinesHandler;
@@ -1,40 +1,89 @@
 import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { advanceInvitation, isPrivateRfx, loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { getCurrentVersion } from '../utils/rfxAmendments.js';
+import { isSealedAndUnopened, presentResponse, sealResponseFields } from '../utils/sealedBids.js';
+import {
+  applyLotPricing,
+  checkSubmissionWindow,
+  checkRequiredDocuments,
+  checkVendorEligibility,
+  recordRevision,
+} from '../utils/responseSubmission.js';
 
 export const respondToRfxHandler = async (req, res) => {
   const supabase = getSupabaseClient();
   const { rfxId } = req.params;
-  const { content, attachments = [], bid_amount, availability } = req.body;
+  const { content, attachments, bid_amount, bid_currency, availability, line_item_prices } = req.body;
 
   if (!content) {
     return res.status(400).json({ error: 'Response content is required' });
   }
 
   try {
+    const { rfx, invitation, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (isPrivateRfx(rfx) && !invitation) {
+      return res.status(403).json({ error: 'This RFX is invite-only and you are not on its invitation list' });
+    }
+
+    const now = new Date();
+    const submissionWindow = await checkSubmissionWindow(supabase, rfx, req.user.id, now);
+    if (submissionWindow.error) {
+      return res.status(submissionWindow.status).json({ error: submissionWindow.error });
+    }
+
+    const eligibility = await checkVendorEligibility(supabase, rfx, req.user.id);
+    if (eligibility.error) {
+      return res.status(eligibility.status).json({ error: eligibility.error, reasons: eligibility.reasons });
+    }
+
+    const documents = checkRequiredDocuments(rfx, { content, attachments });
+    if (documents.error) {
+      return res.status(documents.status).json({ error: documents.error, completeness: documents.completeness });
+    }
+
+    const pricing = applyLotPricing(rfx, { bid_amount, bid_currency, line_item_prices });
+    if (pricing.error) {
+      return res.status(400).json({ error: pricing.error });
+    }
+
     const responsePayload = {
       rfx_id: rfxId,
       responder_id: req.user.id,
       content,
-      attachments,
-      bid_amount,
+      attachments: documents.attachments,
       availability,
-      created_at: new Date().toISOString(),
+      ...pricing.fields,
+      rfx_version: getCurrentVersion(rfx),
+      is_late: submissionWindow.isLate,
+      deadline_exception_id: submissionWindow.exceptionId,
+      created_at: now.toISOString(),
       status: 'submitted',
+      revision_count: 1,
     };
 
     const existingResponse = await supabase
       .from('rfx_responses')
-      .select('id')
+      .select('id, status')
       .eq('rfx_id', rfxId)
       .eq('responder_id', req.user.id)
       .maybeSingle();
 
     if (existingResponse.data) {
-      return res.status(400).json({ error: 'You have already responded to this RFX' });
+      const action = existingResponse.data.status === 'withdrawn' ? 'resubmit' : 'revise';
+      return res.status(409).json({
+        error: `You have already responded to this RFX; ${action} it with PUT /rfx/${rfxId}/responses/${existingResponse.data.id}`,
+        response_id: existingResponse.data.id,
+      });
     }
 
+    // A late bid under a deadline exception can arrive after the opening; it is stored open like the rest.
     const { data, error } = await supabase
       .from('rfx_responses')
-      .insert([responsePayload])
+      .insert([isSealedAndUnopened(rfx) ? sealResponseFields(responsePayload) : responsePayload])
       .select('*')
       .single();
 
@@ -42,7 +91,15 @@ export const respondToRfxHandler = async (req, res) => {
       return res.status(400).json({ error: 'Failed to submit response', details: error.message });
     }
 
-    return res.status(201).json({ message: 'Response submitted', response: data });
+    await recordRevision(supabase, data, 'submitted');
+    await advanceInvitation(supabase, invitation, 'responded');
+
+    return res.status(201).json({
+      message: 'Response submitted',
+      response: presentResponse(data, rfx, req.user),
+      rfx_version: responsePayload.rfx_version,
+      completeness: documents.completeness,
+    });
   } catch (error) {
     console.error('Respond to RFX error:', error);
     return res.status(500).json({ error: 'Unable to submit response' });
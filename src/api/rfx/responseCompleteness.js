@@ -0,0 +1,88 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { buildCompletenessReport, normalizeResponseAttachments } from '../utils/requiredDocuments.js';
+
+/**
+ * Lets a vendor check a draft against the required documents before submitting it. Nothing is stored; the
+ * report is the one a submission would be judged on.
+ */
+export const checkResponseCompletenessHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const { content, attachments } = req.body || {};
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const normalized = normalizeResponseAttachments(attachments, rfx.required_documents);
+    if (normalized.error) {
+      return res.status(400).json({ error: normalized.error });
+    }
+
+    return res.status(200).json({
+      rfx_id: rfxId,
+      required_documents: rfx.required_documents || [],
+      completeness: buildCompletenessReport(rfx.required_documents, {
+        content,
+        attachments: normalized.attachments,
+      }),
+    });
+  } catch (error) {
+    console.error('Check response completeness error:', error);
+    return res.status(500).json({ error: 'Unable to check response completeness' });
+  }
+};
+
+/**
+ * The owner's view of how complete each response is. A sealed bid cannot be checked until it is opened.
+ */
+export const getResponsesCompletenessHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can review response completeness' });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_responses')
+      .select('id, responder_id, status, content, attachments, sealed_payload')
+      .eq('rfx_id', rfxId)
+      .neq('status', 'withdrawn')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load responses', details: error.message });
+    }
+
+    const responses = (data || []).map((response) => ({
+      response_id: response.id,
+      responder_id: response.responder_id,
+      status: response.status,
+      sealed: Boolean(response.sealed_payload),
+      completeness: response.sealed_payload ? null : buildCompletenessReport(rfx.required_documents, response),
+    }));
+
+    return res.status(200).json({
+      rfx_id: rfxId,
+      required_documents: rfx.required_documents || [],
+      responses,
+      incomplete: responses.filter((response) => response.completeness?.complete === false).length,
+    });
+  } catch (error) {
+    console.error('Get responses completeness error:', error);
+    return res.status(500).json({ error: 'Unable to fetch response completeness' });
+  }
+};
+
+export default getResponsesCompletenessHandler;
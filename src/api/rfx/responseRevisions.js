@@ -0,0 +1,231 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { getCurrentVersion } from '../utils/rfxAmendments.js';
+import { isSealedAndUnopened, presentResponse, sealResponseFields, unsealResponse } from '../utils/sealedBids.js';
+import {
+  applyLotPricing,
+  checkSubmissionWindow,
+  checkRequiredDocuments,
+  checkVendorEligibility,
+  recordRevision,
+} from '../utils/responseSubmission.js';
+
+const EDITABLE_FIELDS = ['content', 'attachments', 'bid_amount', 'bid_currency', 'availability', 'line_item_prices'];
+
+const loadResponse = async (supabase, rfxId, responseId) => {
+  const { data, error } = await supabase
+    .from('rfx_responses')
+    .select('*')
+    .eq('id', responseId)
+    .eq('rfx_id', rfxId)
+    .single();
+  return { response: data || null, error };
+};
+
+export const reviseResponseHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, responseId } = req.params;
+
+  const updates = EDITABLE_FIELDS.reduce((acc, field) => {
+    if (req.body?.[field] !== undefined) {
+      acc[field] = req.body[field];
+    }
+    return acc;
+  }, {});
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No valid fields provided' });
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const { response, error: responseError } = await loadResponse(supabase, rfxId, responseId);
+    if (responseError || !response) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+
+    if (response.responder_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the responding vendor can revise this response' });
+    }
+
+    const now = new Date();
+    const submissionWindow = await checkSubmissionWindow(supabase, rfx, req.user.id, now);
+    if (submissionWindow.error) {
+      return res.status(submissionWindow.status).json({ error: submissionWindow.error });
+    }
+
+    const eligibility = await checkVendorEligibility(supabase, rfx, req.user.id);
+    if (eligibility.error) {
+      return res.status(eligibility.status).json({ error: eligibility.error, reasons: eligibility.reasons });
+    }
+
+    const current = unsealResponse(response);
+    const merged = EDITABLE_FIELDS.reduce((acc, field) => {
+      acc[field] = updates[field] !== undefined ? updates[field] : current[field];
+      return acc;
+    }, {});
+    // The stored bid_amount is already converted; an unchanged bid is re-priced from what the vendor quoted.
+    if (updates.bid_amount === undefined && current.quoted_amount != null) {
+      merged.bid_amount = current.quoted_amount;
+    }
+
+    if (!merged.content) {
+      return res.status(400).json({ error: 'Response content is required' });
+    }
+
+    const documents = checkRequiredDocuments(rfx, merged);
+    if (documents.error) {
+      return res.status(documents.status).json({ error: documents.error, completeness: documents.completeness });
+    }
+
+    // Totals are recomputed on every revision so they follow any amendment to the lot quantities.
+    const pricing = applyLotPricing(rfx, merged);
+    if (pricing.error) {
+      return res.status(400).json({ error: pricing.error });
+    }
+
+    const revisedPayload = {
+      ...pricing.fields,
+      attachments: documents.attachments,
+      status: 'submitted',
+      rfx_version: getCurrentVersion(rfx),
+      is_late: submissionWindow.isLate,
+      deadline_exception_id: submissionWindow.exceptionId,
+      revision_count: (response.revision_count || 1) + 1,
+      last_revised_at: now.toISOString(),
+      withdrawn_at: null,
+    };
+
+    const { data, error } = await supabase
+      .from('rfx_responses')
+      .update(
+        isSealedAndUnopened(rfx) ? sealResponseFields(revisedPayload) : { ...revisedPayload, sealed_payload: null },
+      )
+      .eq('id', responseId)
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to revise response', details: error.message });
+    }
+
+    await recordRevision(supabase, data, response.status === 'withdrawn' ? 'resubmitted' : 'revised');
+
+    return res.status(200).json({
+      message: 'Response revised',
+      response: presentResponse(data, rfx, req.user),
+      completeness: documents.completeness,
+    });
+  } catch (error) {
+    console.error('Revise response error:', error);
+    return res.status(500).json({ error: 'Unable to revise response' });
+  }
+};
+
+export const withdrawResponseHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, responseId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const { response, error: responseError } = await loadResponse(supabase, rfxId, responseId);
+    if (responseError || !response) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+
+    if (response.responder_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the responding vendor can withdraw this response' });
+    }
+
+    if (response.status === 'withdrawn') {
+      return res.status(409).json({ error: 'This response has already been withdrawn' });
+    }
+
+    const submissionWindow = await checkSubmissionWindow(supabase, rfx, req.user.id);
+    if (submissionWindow.error) {
+      return res.status(submissionWindow.status).json({ error: submissionWindow.error });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_responses')
+      .update({
+        status: 'withdrawn',
+        withdrawn_at: new Date().toISOString(),
+        withdrawal_reason: req.body?.reason || null,
+      })
+      .eq('id', responseId)
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to withdraw response', details: error.message });
+    }
+
+    await recordRevision(supabase, data, 'withdrawn');
+
+    return res.status(200).json({ message: 'Response withdrawn', response: presentResponse(data, rfx, req.user) });
+  } catch (error) {
+    console.error('Withdraw response error:', error);
+    return res.status(500).json({ error: 'Unable to withdraw response' });
+  }
+};
+
+export const getResponseRevisionsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, responseId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const { response, error: responseError } = await loadResponse(supabase, rfxId, responseId);
+    if (responseError || !response) {
+      return res.status(404).json({ error: 'Response not found' });
+    }
+
+    const isResponder = response.responder_id === req.user.id;
+    if (!isResponder && !isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'You do not have access to this response history' });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_response_revisions')
+      .select('*')
+      .eq('response_id', responseId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load revisions', details: error.message });
+    }
+
+    // Buyers get the audit trail only; evaluation works from the latest version in rfx_responses.
+    const revisions = (data || []).map((revision) =>
+      isResponder
+        ? unsealResponse(revision)
+        : {
+            revision: revision.revision,
+            action: revision.action,
+            rfx_version: revision.rfx_version,
+            created_at: revision.created_at,
+          },
+    );
+
+    return res.status(200).json({ response_id: responseId, revision_count: response.revision_count || 1, revisions });
+  } catch (error) {
+    console.error('Get response revisions error:', error);
+    return res.status(500).json({ error: 'Unable to fetch response revisions' });
+  }
+};
+
+export default reviseResponseHandler;
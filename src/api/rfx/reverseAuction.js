@@ -0,0 +1,260 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { getCurrentVersion } from '../utils/rfxAmendments.js';
+import {
+  buildAuctionView,
+  getAuctionPhase,
+  getExtendedClose,
+  isInvitedToAuction,
+  isReverseAuction,
+  validateAuctionBid,
+} from '../utils/reverseAuction.js';
+import { publishAuctionUpdate, subscribeToAuction } from '../utils/auctionHub.js';
+
+const HEARTBEAT_MS = 25 * 1000;
+const BID_CHANGED_ERROR = 'Your bid changed while this one was being placed; reload the auction and bid again';
+
+const loadAuctionResponses = async (supabase, rfxId) => {
+  const { data, error } = await supabase
+    .from('rfx_responses')
+    .select('id, responder_id, bid_amount, last_bid_at, auction_bid_count, created_at')
+    .eq('rfx_id', rfxId)
+    .neq('status', 'withdrawn');
+  return { responses: data || [], error };
+};
+
+// Writes the vendor's new current bid only if it is still the one the bid was validated against, so two
+// concurrent bids cannot both undercut the same previous amount. Returns `conflict` when the other one won.
+const saveCurrentBid = async (supabase, rfxId, user, existing, fields) => {
+  if (!existing) {
+    const { data, error } = await supabase
+      .from('rfx_responses')
+      .insert([
+        {
+          ...fields,
+          rfx_id: rfxId,
+          responder_id: user.id,
+          content: null,
+          attachments: [],
+          status: 'submitted',
+          revision_count: 1,
+          is_late: false,
+          created_at: fields.last_bid_at,
+        },
+      ])
+      .select('*')
+      .single();
+    // A concurrent first bid already created the vendor's response (unique per RFx and responder).
+    return { response: data, conflict: error?.code === '23505', error };
+  }
+
+  let update = supabase.from('rfx_responses').update(fields).eq('id', existing.id);
+  update =
+    existing.bid_amount === null || existing.bid_amount === undefined
+      ? update.is('bid_amount', null)
+      : update.eq('bid_amount', existing.bid_amount);
+  const { data, error } = await update.select('*');
+  return { response: data?.[0] || null, conflict: !error && !data?.length, error };
+};
+
+// Puts the vendor's response back the way it was before a bid whose ledger entry could not be written.
+const revertCurrentBid = async (supabase, existing, response) => {
+  const { error } = existing
+    ? await supabase
+        .from('rfx_responses')
+        .update({
+          bid_amount: existing.bid_amount ?? null,
+          last_bid_at: existing.last_bid_at ?? null,
+          auction_bid_count: existing.auction_bid_count ?? 0,
+          rfx_version: existing.rfx_version ?? null,
+        })
+        .eq('id', response.id)
+        .eq('bid_amount', response.bid_amount)
+    : await supabase.from('rfx_responses').delete().eq('id', response.id);
+  if (error) {
+    console.error(`Unable to revert the auction bid on response ${response.id}:`, error.message);
+  }
+};
+
+const loadAuction = async (supabase, rfxId, user) => {
+  const { rfx, error } = await loadVisibleRfx(supabase, rfxId, user);
+  if (error || !rfx) {
+    return { status: 404, error: 'RFX not found' };
+  }
+  if (!isReverseAuction(rfx)) {
+    return { status: 400, error: 'This RFX is not a reverse auction' };
+  }
+  if (!isRfxOwner(rfx, user) && !isInvitedToAuction(rfx, user)) {
+    return { status: 403, error: 'Only the RFX owner and invited vendors can access this auction' };
+  }
+  return { rfx, error: null };
+};
+
+export const getAuctionStateHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, status, error: accessError } = await loadAuction(supabase, rfxId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { responses, error } = await loadAuctionResponses(supabase, rfxId);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load bids', details: error.message });
+    }
+
+    return res.status(200).json(buildAuctionView(rfx, responses, req.user, { isOwner: isRfxOwner(rfx, req.user) }));
+  } catch (error) {
+    console.error('Get auction state error:', error);
+    return res.status(500).json({ error: 'Unable to fetch auction' });
+  }
+};
+
+export const placeAuctionBidHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const { amount } = req.body;
+
+  try {
+    const { rfx, status, error: accessError } = await loadAuction(supabase, rfxId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    if (isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'The RFX owner cannot bid in its own auction' });
+    }
+
+    const now = new Date();
+    const phase = getAuctionPhase(rfx, now);
+    if (phase !== 'open') {
+      return res.status(409).json({ error: `Bidding is ${phase === 'upcoming' ? 'not open yet' : 'closed'}` });
+    }
+
+    const { data: existing } = await supabase
+      .from('rfx_responses')
+      .select('*')
+      .eq('rfx_id', rfxId)
+      .eq('responder_id', req.user.id)
+      .maybeSingle();
+
+    if (existing?.status === 'withdrawn') {
+      return res.status(409).json({ error: 'Your participation in this auction was withdrawn' });
+    }
+
+    const bidError = validateAuctionBid(rfx, existing?.bid_amount, amount);
+    if (bidError) {
+      return res.status(400).json({ error: bidError });
+    }
+
+    const placedAt = now.toISOString();
+    const bidFields = {
+      bid_amount: amount,
+      last_bid_at: placedAt,
+      auction_bid_count: (existing?.auction_bid_count || 0) + 1,
+      rfx_version: getCurrentVersion(rfx),
+    };
+
+    const {
+      response,
+      conflict,
+      error: responseError,
+    } = await saveCurrentBid(supabase, rfxId, req.user, existing, bidFields);
+
+    if (conflict) {
+      return res.status(409).json({ error: BID_CHANGED_ERROR });
+    }
+
+    if (responseError) {
+      return res.status(400).json({ error: 'Failed to place bid', details: responseError.message });
+    }
+
+    const { error: ledgerError } = await supabase
+      .from('rfx_auction_bids')
+      .insert([{ rfx_id: rfxId, response_id: response.id, vendor_id: req.user.id, amount, placed_at: placedAt }]);
+
+    if (ledgerError) {
+      await revertCurrentBid(supabase, existing, response);
+      return res.status(400).json({ error: 'Failed to place bid', details: ledgerError.message });
+    }
+
+    let auctionRfx = rfx;
+    const extendedClose = getExtendedClose(rfx, now);
+    if (extendedClose) {
+      const { data: extended } = await supabase
+        .from('rfx_opportunities')
+        .update({
+          submission_deadline: extendedClose.toISOString(),
+          auction_extensions: (rfx.auction_extensions || 0) + 1,
+          updated_at: placedAt,
+        })
+        .eq('id', rfxId)
+        .select('*')
+        .single();
+      auctionRfx = extended || { ...rfx, submission_deadline: extendedClose.toISOString() };
+    }
+
+    const { responses } = await loadAuctionResponses(supabase, rfxId);
+    publishAuctionUpdate(rfxId, { type: extendedClose ? 'extended' : 'bid', rfx: auctionRfx, responses });
+
+    return res.status(201).json({
+      message: extendedClose ? 'Bid placed; the auction close was extended' : 'Bid placed',
+      auction: buildAuctionView(auctionRfx, responses, req.user),
+    });
+  } catch (error) {
+    console.error('Place auction bid error:', error);
+    return res.status(500).json({ error: 'Unable to place bid' });
+  }
+};
+
+/**
+ * Server-sent events stream of auction updates. Each connection receives its own view, so vendors only
+ * ever see their rank and anonymised competitors. EventSource clients authenticate with the session
+ * cookie or `?access_token=`.
+ */
+export const streamAuctionHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, status, error: accessError } = await loadAuction(supabase, rfxId, req.user);
+    if (accessError) {
+      return res.status(status).json({ error: accessError });
+    }
+
+    const { responses, error } = await loadAuctionResponses(supabase, rfxId);
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load bids', details: error.message });
+    }
+
+    const isOwner = isRfxOwner(rfx, req.user);
+    res.status(200);
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.flushHeaders?.();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    send('state', buildAuctionView(rfx, responses, req.user, { isOwner }));
+
+    const unsubscribe = subscribeToAuction(rfxId, (update) => {
+      send(update.type, buildAuctionView(update.rfx, update.responses, req.user, { isOwner }));
+    });
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    return res;
+  } catch (error) {
+    console.error('Stream auction error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Unable to stream auction' });
+    }
+    return res.end();
+  }
+};
+
+export default getAuctionStateHandler;
@@ -0,0 +1,160 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isRfxOwner } from '../utils/rfxAccess.js';
+import { loadVisibleRfx } from '../utils/rfxInvitations.js';
+import { resolveDeadline } from '../utils/rfxDeadlines.js';
+import { dispatchRfxAlerts } from '../utils/rfxAlerts.js';
+
+const isPastCutoff = (rfx, now = new Date()) => {
+  const cutoff = resolveDeadline(rfx.qa_cutoff_date || rfx.submission_deadline, rfx.timezone);
+  return Boolean(cutoff) && cutoff.getTime() < now.getTime();
+};
+
+// Published answers are shared with every vendor, so the asker is only revealed to themselves and the owner.
+const presentQuestion = (question, { viewerId, isOwner }) => {
+  if (isOwner || question.asked_by === viewerId) {
+    return { ...question, is_mine: question.asked_by === viewerId };
+  }
+  return { ...question, asked_by: null, is_mine: false };
+};
+
+export const listRfxQuestionsHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    const isOwner = isRfxOwner(rfx, req.user);
+    let query = supabase.from('rfx_questions').select('*').eq('rfx_id', rfxId).order('created_at', { ascending: true });
+    if (!isOwner) {
+      query = query.or(`asked_by.eq.${req.user.id},visibility.eq.public`);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load questions', details: error.message });
+    }
+
+    return res.status(200).json({
+      qa_cutoff_date: rfx.qa_cutoff_date || null,
+      is_open: !isPastCutoff(rfx),
+      questions: (data || []).map((question) => presentQuestion(question, { viewerId: req.user.id, isOwner })),
+    });
+  } catch (error) {
+    console.error('List RFX questions error:', error);
+    return res.status(500).json({ error: 'Unable to fetch questions' });
+  }
+};
+
+export const askRfxQuestionHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const question = req.body.question?.trim();
+
+  if (!question) {
+    return res.status(400).json({ error: 'Question text is required' });
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (isRfxOwner(rfx, req.user)) {
+      return res.status(400).json({ error: 'RFX owners cannot submit clarification questions' });
+    }
+
+    if (rfx.status !== 'published') {
+      return res.status(409).json({ error: 'Questions can only be submitted while the RFX is published' });
+    }
+
+    if (isPastCutoff(rfx)) {
+      return res.status(409).json({ error: 'The Q&A period for this RFX has closed' });
+    }
+
+    const { data, error } = await supabase
+      .from('rfx_questions')
+      .insert([
+        {
+          rfx_id: rfxId,
+          asked_by: req.user.id,
+          question,
+          status: 'open',
+          visibility: 'private',
+          created_at: new Date().toISOString(),
+        },
+      ])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to submit question', details: error.message });
+    }
+
+    return res.status(201).json({ message: 'Question submitted', question: data });
+  } catch (error) {
+    console.error('Ask RFX question error:', error);
+    return res.status(500).json({ error: 'Unable to submit question' });
+  }
+};
+
+export const answerRfxQuestionHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId, questionId } = req.params;
+  const answer = req.body.answer?.trim();
+  const publish = req.body.publish === true;
+
+  if (!answer) {
+    return res.status(400).json({ error: 'Answer text is required' });
+  }
+
+  try {
+    const { rfx, error: rfxError } = await loadVisibleRfx(supabase, rfxId, req.user);
+    if (rfxError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can answer questions' });
+    }
+
+    const now = new Date().toISOString();
+    const updates = {
+      answer,
+      answered_by: req.user.id,
+      answered_at: now,
+      status: 'answered',
+      ...(publish ? { visibility: 'public', published_at: now } : {}),
+    };
+
+    const { data, error } = await supabase
+      .from('rfx_questions')
+      .update(updates)
+      .eq('id', questionId)
+      .eq('rfx_id', rfxId)
+      .select('*')
+      .single();
+
+    if (error || !data) {
+      return res.status(404).json({ error: 'Question not found' });
+    }
+
+    if (publish) {
+      const { error: alertError } = await dispatchRfxAlerts(supabase, rfx, { question: data });
+      if (alertError) {
+        console.error('RFX alert error:', alertError);
+      }
+    }
+
+    return res.status(200).json({ message: publish ? 'Answer published' : 'Answer saved', question: data });
+  } catch (error) {
+    console.error('Answer RFX question error:', error);
+    return res.status(500).json({ error: 'Unable to answer question' });
+  }
+};
+
+export default listRfxQuestionsHandler;
@@ -0,0 +1,220 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { isAdminUser } from '../middleware/authGuard.js';
+import { canManageTemplate, canViewTemplate, normalizeTemplate, snapshotTemplate } from '../utils/rfxTemplates.js';
+
+const loadTemplate = async (supabase, templateId) => {
+  const { data } = await supabase.from('rfx_templates').select('*').eq('id', templateId).maybeSingle();
+  return data && !data.archived_at ? data : null;
+};
+
+const recordTemplateVersion = (supabase, template, user) =>
+  supabase.from('rfx_template_versions').insert([
+    {
+      template_id: template.id,
+      version: template.version,
+      snapshot: snapshotTemplate(template),
+      created_by: user.id,
+      created_at: new Date().toISOString(),
+    },
+  ]);
+
+export const listTemplatesHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { scope } = req.query;
+
+  try {
+    let query = supabase
+      .from('rfx_templates')
+      .select('*')
+      .is('archived_at', null)
+      .or(`scope.eq.organization,owner_id.eq.${req.user.id}`)
+      .order('name', { ascending: true });
+
+    if (scope) {
+      query = query.eq('scope', scope);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load templates', details: error.message });
+    }
+
+    return res.status(200).json({ templates: data || [] });
+  } catch (error) {
+    console.error('List templates error:', error);
+    return res.status(500).json({ error: 'Unable to fetch templates' });
+  }
+};
+
+/**
+ * A template with its version history. Each version lists the RFx drafted from it; admins see every such
+ * RFx, other users only their own.
+ */
+export const getTemplateHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { templateId } = req.params;
+
+  try {
+    const template = await loadTemplate(supabase, templateId);
+    if (!canViewTemplate(template, req.user)) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { data: versions, error } = await supabase
+      .from('rfx_template_versions')
+      .select('*')
+      .eq('template_id', templateId)
+      .order('version', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ error: 'Unable to load template versions', details: error.message });
+    }
+
+    let usageQuery = supabase
+      .from('rfx_opportunities')
+      .select('id, title, status, template_version, created_by, created_at')
+      .eq('template_id', templateId);
+    if (!isAdminUser(req.user)) {
+      usageQuery = usageQuery.eq('created_by', req.user.id);
+    }
+    const { data: usage } = await usageQuery;
+
+    return res.status(200).json({
+      template,
+      versions: (versions || []).map((version) => ({
+        ...version,
+        rfx: (usage || []).filter((rfx) => rfx.template_version === version.version),
+      })),
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    return res.status(500).json({ error: 'Unable to fetch template' });
+  }
+};
+
+export const createTemplateHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { template, error: templateError } = normalizeTemplate(req.body);
+
+  if (templateError) {
+    return res.status(400).json({ error: templateError });
+  }
+
+  if (template.scope === 'organization' && !isAdminUser(req.user)) {
+    return res.status(403).json({ error: 'Only administrators can create organization-wide templates' });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('rfx_templates')
+      .insert([{ ...template, owner_id: req.user.id, version: 1, created_at: now, updated_at: now }])
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to create template', details: error.message });
+    }
+
+    await recordTemplateVersion(supabase, data, req.user);
+
+    return res.status(201).json({ message: 'Template created', template: data });
+  } catch (error) {
+    console.error('Create template error:', error);
+    return res.status(500).json({ error: 'Unable to create template' });
+  }
+};
+
+/**
+ * Any change to the name or content bumps the template version, so RFx drafted earlier keep pointing at the
+ * version they were built from.
+ */
+export const updateTemplateHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { templateId } = req.params;
+  const { template: updates, error: templateError } = normalizeTemplate(req.body, { partial: true });
+
+  if (templateError) {
+    return res.status(400).json({ error: templateError });
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No valid fields provided' });
+  }
+
+  try {
+    const template = await loadTemplate(supabase, templateId);
+    if (!canViewTemplate(template, req.user)) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!canManageTemplate(template, req.user)) {
+      return res.status(403).json({ error: 'You cannot edit this template' });
+    }
+
+    if (updates.scope === 'organization' && !isAdminUser(req.user)) {
+      return res.status(403).json({ error: 'Only administrators can share templates organization-wide' });
+    }
+
+    const contentChanged =
+      JSON.stringify(snapshotTemplate(template)) !== JSON.stringify(snapshotTemplate({ ...template, ...updates }));
+    const version = contentChanged ? template.version + 1 : template.version;
+
+    const { data, error } = await supabase
+      .from('rfx_templates')
+      .update({ ...updates, version, updated_at: new Date().toISOString() })
+      .eq('id', templateId)
+      .select('*')
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to update template', details: error.message });
+    }
+
+    if (contentChanged) {
+      await recordTemplateVersion(supabase, data, req.user);
+    }
+
+    return res
+      .status(200)
+      .json({ message: contentChanged ? 'Template updated' : 'Template unchanged', template: data });
+  } catch (error) {
+    console.error('Update template error:', error);
+    return res.status(500).json({ error: 'Unable to update template' });
+  }
+};
+
+/**
+ * Archives rather than deletes, since RFx drafted from the template still reference its versions.
+ */
+export const archiveTemplateHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { templateId } = req.params;
+
+  try {
+    const template = await loadTemplate(supabase, templateId);
+    if (!canViewTemplate(template, req.user)) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!canManageTemplate(template, req.user)) {
+      return res.status(403).json({ error: 'You cannot archive this template' });
+    }
+
+    const { error } = await supabase
+      .from('rfx_templates')
+      .update({ archived_at: new Date().toISOString() })
+      .eq('id', templateId);
+
+    if (error) {
+      return res.status(400).json({ error: 'Failed to archive template', details: error.message });
+    }
+
+    return res.status(200).json({ message: 'Template archived' });
+  } catch (error) {
+    console.error('Archive template error:', error);
+    return res.status(500).json({ error: 'Unable to archive template' });
+  }
+};
+
+export default listTemplatesHandler;
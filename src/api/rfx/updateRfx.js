@@ -0,0 +1,284 @@
+import { getSupabaseClient } from '../utils/supabaseClient.js';
+import { loadRfx, isRfxOwner } from '../utils/rfxAccess.js';
+import { describeTransitionError, TERMINAL_RFX_STATUSES } from '../utils/rfxLifecycle.js';
+import { describeDeadlineError, isValidTimezone } from '../utils/rfxDeadlines.js';
+import { isSealedAndUnopened } from '../utils/sealedBids.js';
+import { normalizeLots } from '../utils/rfxLots.js';
+import { normalizeCriteria } from '../utils/rfxEvaluation.js';
+import { isReverseAuction, RFX_TYPES, validateAuctionRfx } from '../utils/reverseAuction.js';
+import { RFX_VISIBILITIES } from '../utils/rfxInvitations.js';
+import { normalizeRequiredDocuments, normalizeRfxAttachments } from '../utils/requiredDocuments.js';
+import { normalizeSetAside } from '../utils/setAsides.js';
+import { diffUpdates, getCurrentVersion, pickAmendableFields } from '../utils/rfxAmendments.js';
+import { dispatchRfxAlerts } from '../utils/rfxAlerts.js';
+import { hasBudgetFields, normalizeBudget } from '../utils/currency.js';
+
+const ALLOWED_FIELDS = new Set([
+  'title',
+  'description',
+  'solicitation_number',
+  'submission_deadline',
+  'qa_cutoff_date',
+  'timezone',
+  'grace_period_minutes',
+  'budget_range',
+  'budget_min',
+  'budget_max',
+  'budget_currency',
+  'requirements',
+  'category',
+  'location',
+  'naics_codes',
+  'set_aside',
+  'size_standard',
+  'lots',
+  'evaluation_criteria',
+  'required_documents',
+  'attachments',
+  'sealed',
+  'blind_evaluation',
+  'rfx_type',
+  'auction',
+  'visibility',
+  'status',
+]);
+
+export const updateRfxHandler = async (req, res) => {
+  const supabase = getSupabaseClient();
+  const { rfxId } = req.params;
+  const { amendment_reason: amendmentReason } = req.body || {};
+
+  const updates = Object.entries(req.body || {}).reduce((acc, [key, value]) => {
+    if (ALLOWED_FIELDS.has(key)) {
+      acc[key] = value;
+    }
+    return acc;
+  }, {});
+
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({ error: 'No valid fields provided' });
+  }
+
+  if (updates.visibility !== undefined && !RFX_VISIBILITIES.includes(updates.visibility)) {
+    return res.status(400).json({ error: `visibility must be one of: ${RFX_VISIBILITIES.join(', ')}` });
+  }
+
+  if (updates.rfx_type !== undefined && !RFX_TYPES.includes(updates.rfx_type)) {
+    return res.status(400).json({ error: `rfx_type must be one of: ${RFX_TYPES.join(', ')}` });
+  }
+
+  if (updates.timezone !== undefined && !isValidTimezone(updates.timezone)) {
+    return res.status(400).json({ error: `Unknown timezone "${updates.timezone}"` });
+  }
+
+  if (updates.lots !== undefined) {
+    const { lots, error: lotsError } = normalizeLots(updates.lots);
+    if (lotsError) {
+      return res.status(400).json({ error: lotsError });
+    }
+    updates.lots = lots;
+  }
+
+  if (updates.evaluation_criteria !== undefined) {
+    const { criteria, error: criteriaError } = normalizeCriteria(updates.evaluation_criteria);
+    if (criteriaError) {
+      return res.status(400).json({ error: criteriaError });
+    }
+    updates.evaluation_criteria = criteria;
+  }
+
+  if (updates.required_documents !== undefined) {
+    const { documents, error: documentsError } = normalizeRequiredDocuments(updates.required_documents);
+    if (documentsError) {
+      return res.status(400).json({ error: documentsError });
+    }
+    updates.required_documents = documents;
+  }
+
+  if (updates.attachments !== undefined) {
+    const { attachments, error: attachmentsError } = normalizeRfxAttachments(updates.attachments);
+    if (attachmentsError) {
+      return res.status(400).json({ error: attachmentsError });
+    }
+    updates.attachments = attachments;
+  }
+
+  if (updates.set_aside !== undefined || updates.size_standard !== undefined) {
+    const { value: setAside, error: setAsideError } = normalizeSetAside(updates);
+    if (setAsideError) {
+      return res.status(400).json({ error: setAsideError });
+    }
+    ['set_aside', 'size_standard'].forEach((field) => {
+      if (updates[field] !== undefined) {
+        updates[field] = setAside[field];
+      }
+    });
+  }
+
+  try {
+    const { rfx, error: loadError } = await loadRfx(supabase, rfxId);
+    if (loadError || !rfx) {
+      return res.status(404).json({ error: 'RFX not found' });
+    }
+
+    if (!isRfxOwner(rfx, req.user)) {
+      return res.status(403).json({ error: 'Only the RFX owner can update it' });
+    }
+
+    if (updates.status === rfx.status) {
+      delete updates.status;
+    }
+
+    if (hasBudgetFields(updates)) {
+      const { value: budget, error: budgetError } = normalizeBudget(updates, { current: rfx });
+      if (budgetError) {
+        return res.status(400).json({ error: budgetError });
+      }
+      Object.assign(updates, budget);
+    }
+
+    // Vendors bid on the understanding that their offer stays sealed, so the mode is fixed once published.
+    if (updates.sealed !== undefined && Boolean(updates.sealed) !== Boolean(rfx.sealed) && rfx.status !== 'draft') {
+      return res.status(409).json({ error: 'Sealed bidding can only be changed while the RFX is a draft' });
+    }
+
+    // Evaluators who have seen vendor names cannot be made blind again, and unmasking early defeats the purpose.
+    if (
+      updates.blind_evaluation !== undefined &&
+      Boolean(updates.blind_evaluation) !== Boolean(rfx.blind_evaluation) &&
+      ['evaluating', 'awarded'].includes(rfx.status)
+    ) {
+      return res.status(409).json({ error: 'Blind evaluation cannot change once evaluation has started' });
+    }
+
+    // Scores already entered were given against the old rubric, so it is frozen once evaluation starts.
+    if (
+      updates.evaluation_criteria !== undefined &&
+      ['evaluating', 'awarded'].includes(rfx.status) &&
+      diffUpdates(rfx, { evaluation_criteria: updates.evaluation_criteria }).evaluation_criteria
+    ) {
+      return res.status(409).json({ error: 'Evaluation criteria cannot change once evaluation has started' });
+    }
+
+    if (updates.rfx_type !== undefined && updates.rfx_type !== (rfx.rfx_type || 'standard') && rfx.status !== 'draft') {
+      return res.status(409).json({ error: 'The RFX type can only be changed while the RFX is a draft' });
+    }
+
+    const merged = { ...rfx, ...updates };
+    if (['submission_deadline', 'qa_cutoff_date', 'timezone'].some((field) => updates[field] !== undefined)) {
+      const deadlineError = describeDeadlineError(merged);
+      if (deadlineError) {
+        return res.status(400).json({ error: deadlineError });
+      }
+    }
+
+    if (isReverseAuction(merged)) {
+      if (updates.auction !== undefined && rfx.status !== 'draft' && new Date() >= new Date(rfx.auction?.starts_at)) {
+        return res.status(409).json({ error: 'Auction settings cannot change once bidding has started' });
+      }
+      const { auction, error: auctionError } = validateAuctionRfx(merged);
+      if (auctionError) {
+        return res.status(400).json({ error: auctionError });
+      }
+      if (updates.auction !== undefined) {
+        updates.auction = auction;
+      }
+      updates.grace_period_minutes = 0;
+    }
+
+    if (updates.status === 'awarded') {
+      return res.status(409).json({ error: `Award the RFX with POST /rfx/${rfxId}/award` });
+    }
+
+    if (updates.status === 'evaluating' && isSealedAndUnopened(rfx)) {
+      return res.status(409).json({ error: 'Sealed bids must be opened before evaluation starts' });
+    }
+
+    if (updates.status) {
+      const transitionError = describeTransitionError(rfx.status, updates.status);
+      if (transitionError) {
+        return res.status(409).json({ error: transitionError });
+      }
+    }
+
+    const changes = diffUpdates(rfx, updates);
+    const isAmendment = rfx.status !== 'draft' && Object.keys(changes).length > 0;
+    let amendment = null;
+
+    if (isAmendment) {
+      if (TERMINAL_RFX_STATUSES.includes(rfx.status)) {
+        return res.status(409).json({ error: `RFX is ${rfx.status} and can no longer be amended` });
+      }
+      if (!amendmentReason || !amendmentReason.trim()) {
+        return res.status(400).json({ error: 'amendment_reason is required when editing a published RFX' });
+      }
+
+      const version = getCurrentVersion(rfx) + 1;
+      const { data: amendmentRow, error: amendmentError } = await supabase
+        .from('rfx_amendments')
+        .insert([
+          {
+            rfx_id: rfxId,
+            version,
+            changes,
+            reason: amendmentReason.trim(),
+            snapshot: pickAmendableFields({ ...rfx, ...updates }),
+            created_by: req.user.id,
+            created_at: new Date().toISOString(),
+          },
+        ])
+        .select('*')
+        .single();
+
+      // Amendment versions are unique per RFx, so a concurrent amendment may already have taken this one.
+      if (amendmentError?.code === '23505') {
+        return res.status(409).json({ error: 'This RFX was amended in the meantime; reload it and try again' });
+      }
+
+      if (amendmentError) {
+        return res.status(400).json({ error: 'Failed to record amendment', details: amendmentError.message });
+      }
+
+      amendment = amendmentRow;
+      updates.current_version = version;
+    }
+
+    // The changes were worked out against the version loaded above; a concurrent amendment must not be
+    // overwritten, so the update only applies while that version is still current.
+    let update = supabase
+      .from('rfx_opportunities')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', rfxId);
+    update =
+      rfx.current_version === null || rfx.current_version === undefined
+        ? update.is('current_version', null)
+        : update.eq('current_version', rfx.current_version);
+    const { data: updatedRows, error } = await update.select('*');
+    const data = updatedRows?.[0] || null;
+
+    if (error || !data) {
+      // The amendment was recorded first so its version is taken; without the update it never happened.
+      if (amendment) {
+        const { error: cleanupError } = await supabase.from('rfx_amendments').delete().eq('id', amendment.id);
+        if (cleanupError) {
+          console.error(`Unable to remove amendment ${amendment.id} after the update failed:`, cleanupError.message);
+        }
+      }
+      return error
+        ? res.status(400).json({ error: 'Failed to update RFX', details: error.message })
+        : res.status(409).json({ error: 'This RFX was amended in the meantime; reload it and try again' });
+    }
+
+    const { error: alertError } = await dispatchRfxAlerts(supabase, data, { amendment });
+    if (alertError) {
+      console.error('RFX alert error:', alertError);
+    }
+
+    return res.status(200).json({ message: amendment ? 'RFX amended' : 'RFX updated', rfx: data, amendment });
+  } catch (error) {
+    console.error('Update RFX error:', error);
+    return res.status(500).json({ error: 'Unable to update RFX' });
+  }
+};
+
+export default updateRfxHandler;
@@ -1,9 +1,10 @@
 import { Router } from 'express';
-import { requireAuth } from '../middleware/authGuard.js';
+import { requireAdmin, requireAuth } from '../middleware/authGuard.js';
 import { validateRequest } from '../middleware/validateRequest.js';
 import generateProposalHandler from '../ai/generateProposal.js';
 import generateResponseHandler from '../ai/generateResponse.js';
 import suggestMatchesHandler from '../ai/suggestMatches.js';
+import { indexVendorEmbeddingsHandler } from '../jobs/indexVendorEmbeddings.js';
 import mapInsightsHandler, { mapInsightMetricsHandler } from '../ai/mapInsights.js';
 import { rateLimit } from '../middleware/rateLimit.js';
 
@@ -50,6 +51,8 @@ router.post(
   suggestMatchesHandler,
 );
 
+router.post('/matches/reindex', requireAuth, requireAdmin, indexVendorEmbeddingsHandler);
+
 router.get('/map-insights', requireAuth, aiLimiter, mapInsightsHandler);
 router.get('/map-insights/metrics', requireAuth, aiLimiter, mapInsightMetricsHandler);
 
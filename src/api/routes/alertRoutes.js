@@ -0,0 +1,85 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/authGuard.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import listSavedSearchesHandler, {
+  createSavedSearchHandler,
+  updateSavedSearchHandler,
+  deleteSavedSearchHandler,
+} from '../alerts/savedSearches.js';
+import getWatchlistHandler, { watchRfxHandler, unwatchRfxHandler } from '../alerts/watchlist.js';
+import listNotificationsHandler, { markNotificationsReadHandler } from '../alerts/notifications.js';
+
+const router = Router();
+
+router.get('/saved-searches', requireAuth, listSavedSearchesHandler);
+
+router.post(
+  '/saved-searches',
+  requireAuth,
+  validateRequest({
+    body: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      filters: { type: 'object', required: true },
+      alerts_enabled: { type: 'boolean' },
+    },
+  }),
+  createSavedSearchHandler,
+);
+
+router.put(
+  '/saved-searches/:searchId',
+  requireAuth,
+  validateRequest({
+    params: { searchId: { type: 'string', required: true } },
+    body: {
+      name: { type: 'string', maxLength: 200 },
+      filters: { type: 'object' },
+      alerts_enabled: { type: 'boolean' },
+    },
+  }),
+  updateSavedSearchHandler,
+);
+
+router.delete(
+  '/saved-searches/:searchId',
+  requireAuth,
+  validateRequest({ params: { searchId: { type: 'string', required: true } } }),
+  deleteSavedSearchHandler,
+);
+
+router.get('/watchlist', requireAuth, getWatchlistHandler);
+
+router.put(
+  '/watchlist/:rfxId',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  watchRfxHandler,
+);
+
+router.delete(
+  '/watchlist/:rfxId',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  unwatchRfxHandler,
+);
+
+router.get(
+  '/notifications',
+  requireAuth,
+  validateRequest({
+    query: {
+      unread: { type: 'string', enum: ['true', 'false'] },
+      limit: { type: 'string', pattern: /^\d+$/ },
+    },
+  }),
+  listNotificationsHandler,
+);
+
+router.post(
+  '/notifications/read',
+  requireAuth,
+  validateRequest({ body: { ids: { type: 'array', items: { type: 'string' } } } }),
+  markNotificationsReadHandler,
+);
+
+export default router;
@@ -0,0 +1,124 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware/authGuard.js';
+import { validateRequest } from '../middleware/validateRequest.js';
+import { CONTRACT_STATUSES } from '../utils/contracts.js';
+import listContractsHandler, {
+  createContractsHandler,
+  getContractHandler,
+  updateContractHandler,
+  getBurnDownHandler,
+} from '../contracts/contracts.js';
+import submitDeliverableHandler, {
+  reviewDeliverableHandler,
+  acceptMilestoneHandler,
+} from '../contracts/deliverables.js';
+import listInvoicesHandler, { submitInvoiceHandler, reviewInvoiceHandler } from '../contracts/invoices.js';
+
+const router = Router();
+
+const contractParams = { contractId: { type: 'string', required: true } };
+
+router.get(
+  '/',
+  requireAuth,
+  validateRequest({
+    query: {
+      rfx_id: { type: 'string' },
+      status: { type: 'string', enum: CONTRACT_STATUSES },
+    },
+  }),
+  listContractsHandler,
+);
+
+router.post(
+  '/',
+  requireAuth,
+  validateRequest({ body: { rfx_id: { type: 'string', required: true } } }),
+  createContractsHandler,
+);
+
+router.get('/:contractId', requireAuth, validateRequest({ params: contractParams }), getContractHandler);
+
+router.put(
+  '/:contractId',
+  requireAuth,
+  validateRequest({
+    params: contractParams,
+    body: {
+      title: { type: 'string', maxLength: 200 },
+      start_date: { type: 'string' },
+      end_date: { type: 'string' },
+      status: { type: 'string', enum: CONTRACT_STATUSES },
+      milestones: { type: 'array' },
+      deliverables: { type: 'array' },
+    },
+  }),
+  updateContractHandler,
+);
+
+router.get('/:contractId/burn-down', requireAuth, validateRequest({ params: contractParams }), getBurnDownHandler);
+
+router.post(
+  '/:contractId/deliverables/:deliverableId/submit',
+  requireAuth,
+  validateRequest({
+    params: { ...contractParams, deliverableId: { type: 'string', required: true } },
+    body: {
+      notes: { type: 'string', maxLength: 5000 },
+      attachments: { type: 'array' },
+    },
+  }),
+  submitDeliverableHandler,
+);
+
+router.post(
+  '/:contractId/deliverables/:deliverableId/review',
+  requireAuth,
+  validateRequest({
+    params: { ...contractParams, deliverableId: { type: 'string', required: true } },
+    body: {
+      decision: { type: 'string', required: true, enum: ['accepted', 'rejected'] },
+      comments: { type: 'string', maxLength: 5000 },
+    },
+  }),
+  reviewDeliverableHandler,
+);
+
+router.post(
+  '/:contractId/milestones/:milestoneId/accept',
+  requireAuth,
+  validateRequest({ params: { ...contractParams, milestoneId: { type: 'string', required: true } } }),
+  acceptMilestoneHandler,
+);
+
+router.get('/:contractId/invoices', requireAuth, validateRequest({ params: contractParams }), listInvoicesHandler);
+
+router.post(
+  '/:contractId/invoices',
+  requireAuth,
+  validateRequest({
+    params: contractParams,
+    body: {
+      milestone_id: { type: 'string', required: true },
+      amount: { type: 'number', required: true },
+      invoice_number: { type: 'string', maxLength: 100 },
+      notes: { type: 'string', maxLength: 5000 },
+    },
+  }),
+  submitInvoiceHandler,
+);
+
+router.post(
+  '/:contractId/invoices/:invoiceId/review',
+  requireAuth,
+  validateRequest({
+    params: { ...contractParams, invoiceId: { type: 'string', required: true } },
+    body: {
+      decision: { type: 'string', required: true, enum: ['approved', 'rejected', 'paid'] },
+      comments: { type: 'string', maxLength: 5000 },
+    },
+  }),
+  reviewInvoiceHandler,
+);
+
+export default router;
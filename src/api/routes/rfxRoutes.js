@@ -1,16 +1,101 @@
 import { Router } from 'express';
-import { requireAuth } from '../middleware/authGuard.js';
+import { requireAuth, requireAdmin } from '../middleware/authGuard.js';
 import { validateRequest } from '../middleware/validateRequest.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 import createRfxHandler from '../rfx/createRfx.js';
+import createRfxDraftHandler from '../rfx/createRfxDraft.js';
+import listPipelinesHandler, {
+  advanceStageHandler,
+  createPipelineHandler,
+  getPipelineHandler,
+} from '../rfx/pipelines.js';
+import importRfxHandler from '../rfx/importRfx.js';
+import listTemplatesHandler, {
+  archiveTemplateHandler,
+  createTemplateHandler,
+  getTemplateHandler,
+  updateTemplateHandler,
+} from '../rfx/templates.js';
+import updateRfxHandler from '../rfx/updateRfx.js';
+import deleteRfxHandler from '../rfx/deleteRfx.js';
+import getRfxAmendmentsHandler, { getRfxAmendmentDiffHandler } from '../rfx/getRfxAmendments.js';
+import listDeadlineExceptionsHandler, {
+  requestDeadlineExceptionHandler,
+  decideDeadlineExceptionHandler,
+} from '../rfx/deadlineExceptions.js';
+import { closeExpiredRfxHandler } from '../jobs/closeExpiredRfx.js';
+import { backfillBudgetsHandler } from '../jobs/backfillBudgets.js';
+import openBidsHandler from '../rfx/openBids.js';
+import getRfxResponsesHandler from '../rfx/getRfxResponses.js';
+import reviseResponseHandler, {
+  withdrawResponseHandler,
+  getResponseRevisionsHandler,
+} from '../rfx/responseRevisions.js';
+import getResponsesCompletenessHandler, { checkResponseCompletenessHandler } from '../rfx/responseCompleteness.js';
+import listRfxQuestionsHandler, { askRfxQuestionHandler, answerRfxQuestionHandler } from '../rfx/rfxQuestions.js';
 import getRfxListHandler from '../rfx/getRfxList.js';
 import getRfxByIdHandler from '../rfx/getRfxById.js';
 import respondToRfxHandler from '../rfx/respondToRfx.js';
-import evaluateResponsesHandler from '../rfx/evaluateResponses.js';
+import evaluateResponsesHandler, { getEvaluationSummaryHandler } from '../rfx/evaluateResponses.js';
+import listEvaluatorsHandler, { assignEvaluatorHandler, removeEvaluatorHandler } from '../rfx/evaluators.js';
+import getCoiDeclarationsHandler, { declareCoiHandler } from '../rfx/conflictOfInterest.js';
+import submitScoreSheetHandler, { listScoreSheetsHandler } from '../rfx/evaluationScores.js';
 import matchRespondersHandler from '../rfx/matchResponders.js';
+import getComplianceMatrixHandler, {
+  generateComplianceMatrixHandler,
+  updateComplianceMatrixHandler,
+} from '../rfx/complianceMatrix.js';
+import compareResponsesHandler from '../rfx/compareResponses.js';
+import exportSolicitationHandler, { exportPackageHandler, exportResponsesHandler } from '../rfx/exportRfx.js';
+import listInvitationsHandler, {
+  inviteVendorsHandler,
+  revokeInvitationHandler,
+  declineInvitationHandler,
+  previewInvitationHandler,
+  claimInvitationHandler,
+} from '../rfx/invitations.js';
+import awardRfxHandler, { getRfxAwardHandler } from '../rfx/awardRfx.js';
+import getAuctionStateHandler, { placeAuctionBidHandler, streamAuctionHandler } from '../rfx/reverseAuction.js';
+import listDebriefsHandler, { requestDebriefHandler, respondToDebriefHandler } from '../rfx/debriefs.js';
+import { INITIAL_RFX_STATUSES, RFX_STATUSES } from '../utils/rfxLifecycle.js';
+import { RFX_TYPES } from '../utils/reverseAuction.js';
+import { RFX_VISIBILITIES } from '../utils/rfxInvitations.js';
+import { TEMPLATE_SCOPES } from '../utils/rfxTemplates.js';
+import { IMPORT_FORMATS } from '../utils/rfxImport.js';
+import { SOLICITATION_FORMATS } from '../utils/rfxExport.js';
+import { PIPELINE_STAGE_TYPES } from '../utils/rfxPipelines.js';
 
 const router = Router();
+const invitationLinkLimiter = rateLimit({ keyPrefix: 'rfx-invitation', windowMs: 60 * 1000, max: 20 });
+const CURRENCY_CODE = /^[A-Za-z]{3}$/;
 
-router.get('/', requireAuth, getRfxListHandler);
+const numericQuery = (key) => ({
+  type: 'string',
+  custom: (value) => (value && Number.isNaN(Number(value)) ? `query.${key} must be numeric when provided` : undefined),
+});
+
+router.get(
+  '/',
+  requireAuth,
+  validateRequest({
+    query: {
+      q: { type: 'string', maxLength: 200 },
+      sort: {
+        type: 'string',
+        enum: ['deadline', '-deadline', 'budget', '-budget', 'relevance', 'created_at', '-created_at'],
+      },
+      limit: numericQuery('limit'),
+      offset: numericQuery('offset'),
+      budget_min: numericQuery('budget_min'),
+      budget_max: numericQuery('budget_max'),
+      currency: { type: 'string', pattern: CURRENCY_CODE },
+      deadline_from: { type: 'string' },
+      deadline_to: { type: 'string' },
+      cursor: { type: 'string' },
+    },
+  }),
+  getRfxListHandler,
+);
 router.post(
   '/',
   requireAuth,
@@ -18,18 +103,162 @@ router.post(
     body: {
       title: { type: 'string', required: true },
       description: { type: 'string', required: true },
+      solicitation_number: { type: 'string', maxLength: 100 },
       submission_deadline: { type: 'string', required: true },
+      qa_cutoff_date: { type: 'string' },
+      timezone: { type: 'string' },
+      grace_period_minutes: { type: 'number', min: 0, max: 1440 },
+      sealed: { type: 'boolean' },
+      blind_evaluation: { type: 'boolean' },
+      rfx_type: { type: 'string', enum: RFX_TYPES },
+      visibility: { type: 'string', enum: RFX_VISIBILITIES },
+      auction: { type: 'object' },
       budget_range: { type: 'string' },
+      budget_min: { type: 'number', min: 0 },
+      budget_max: { type: 'number', min: 0 },
+      budget_currency: { type: 'string', pattern: CURRENCY_CODE },
       requirements: { type: 'string', required: true },
       category: { type: 'string' },
       location: { type: 'string' },
       naics_codes: { type: 'array', items: { type: 'string' } },
-      status: { type: 'string' },
+      set_aside: { type: 'string' },
+      size_standard: { type: 'object' },
+      lots: { type: 'array', items: { type: 'object' } },
+      evaluation_criteria: { type: 'array', items: { type: 'object' } },
+      required_documents: { type: 'array', items: { type: 'object' } },
+      attachments: { type: 'array', items: { type: 'object' } },
+      status: { type: 'string', enum: INITIAL_RFX_STATUSES },
     },
   }),
   createRfxHandler,
 );
 
+router.post('/close-expired', requireAuth, requireAdmin, closeExpiredRfxHandler);
+
+router.post('/backfill-budgets', requireAuth, requireAdmin, backfillBudgetsHandler);
+
+router.post(
+  '/import',
+  requireAuth,
+  validateRequest({
+    body: {
+      format: { type: 'string', required: true, enum: IMPORT_FORMATS },
+      data: { required: true },
+      mapping: { type: 'object' },
+      defaults: { type: 'object' },
+      dry_run: { type: 'boolean' },
+    },
+  }),
+  importRfxHandler,
+);
+
+// Tokenized invitation links are opened before the vendor has an account, so the preview is unauthenticated.
+router.get(
+  '/invitations/:token',
+  invitationLinkLimiter,
+  validateRequest({ params: { token: { type: 'string', required: true, maxLength: 64 } } }),
+  previewInvitationHandler,
+);
+
+router.post(
+  '/invitations/:token/claim',
+  invitationLinkLimiter,
+  requireAuth,
+  validateRequest({ params: { token: { type: 'string', required: true, maxLength: 64 } } }),
+  claimInvitationHandler,
+);
+
+const templateBody = {
+  name: { type: 'string', maxLength: 200 },
+  scope: { type: 'string', enum: TEMPLATE_SCOPES },
+  description: { type: 'string' },
+  requirements: { type: 'string' },
+  category: { type: 'string' },
+  naics_codes: { type: 'array', items: { type: 'string' } },
+  evaluation_criteria: { type: 'array', items: { type: 'object' } },
+  required_documents: { type: 'array', items: { type: 'object' } },
+};
+
+router.get(
+  '/templates',
+  requireAuth,
+  validateRequest({ query: { scope: { type: 'string', enum: TEMPLATE_SCOPES } } }),
+  listTemplatesHandler,
+);
+
+router.post(
+  '/templates',
+  requireAuth,
+  validateRequest({ body: { ...templateBody, name: { ...templateBody.name, required: true } } }),
+  createTemplateHandler,
+);
+
+router.get(
+  '/templates/:templateId',
+  requireAuth,
+  validateRequest({ params: { templateId: { type: 'string', required: true } } }),
+  getTemplateHandler,
+);
+
+router.put(
+  '/templates/:templateId',
+  requireAuth,
+  validateRequest({ params: { templateId: { type: 'string', required: true } }, body: templateBody }),
+  updateTemplateHandler,
+);
+
+router.delete(
+  '/templates/:templateId',
+  requireAuth,
+  validateRequest({ params: { templateId: { type: 'string', required: true } } }),
+  archiveTemplateHandler,
+);
+
+router.get('/pipelines', requireAuth, listPipelinesHandler);
+
+router.post(
+  '/pipelines',
+  requireAuth,
+  validateRequest({
+    body: {
+      name: { type: 'string', maxLength: 200 },
+      rfx_id: { type: 'string', required: true },
+      stage_type: { type: 'string', required: true, enum: PIPELINE_STAGE_TYPES },
+    },
+  }),
+  createPipelineHandler,
+);
+
+router.get(
+  '/pipelines/:pipelineId',
+  requireAuth,
+  validateRequest({ params: { pipelineId: { type: 'string', required: true } } }),
+  getPipelineHandler,
+);
+
+router.post(
+  '/drafts',
+  requireAuth,
+  validateRequest({
+    body: {
+      template_id: { type: 'string' },
+      source_rfx_id: { type: 'string' },
+      title: { type: 'string' },
+      submission_deadline: { type: 'string', required: true },
+      qa_cutoff_date: { type: 'string' },
+      timezone: { type: 'string' },
+      budget_range: { type: 'string' },
+      budget_min: { type: 'number', min: 0 },
+      budget_max: { type: 'number', min: 0 },
+      budget_currency: { type: 'string', pattern: CURRENCY_CODE },
+      location: { type: 'string' },
+      visibility: { type: 'string', enum: RFX_VISIBILITIES },
+      auction: { type: 'object' },
+    },
+  }),
+  createRfxDraftHandler,
+);
+
 router.get(
   '/:rfxId',
   requireAuth,
@@ -37,6 +266,246 @@ router.get(
   getRfxByIdHandler,
 );
 
+router.put(
+  '/:rfxId',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      solicitation_number: { type: 'string', maxLength: 100 },
+      submission_deadline: { type: 'string' },
+      qa_cutoff_date: { type: 'string' },
+      timezone: { type: 'string' },
+      grace_period_minutes: { type: 'number', min: 0, max: 1440 },
+      sealed: { type: 'boolean' },
+      blind_evaluation: { type: 'boolean' },
+      rfx_type: { type: 'string', enum: RFX_TYPES },
+      visibility: { type: 'string', enum: RFX_VISIBILITIES },
+      auction: { type: 'object' },
+      budget_range: { type: 'string' },
+      budget_min: { type: 'number', min: 0 },
+      budget_max: { type: 'number', min: 0 },
+      budget_currency: { type: 'string', pattern: CURRENCY_CODE },
+      requirements: { type: 'string' },
+      category: { type: 'string' },
+      location: { type: 'string' },
+      naics_codes: { type: 'array', items: { type: 'string' } },
+      set_aside: { type: 'string' },
+      size_standard: { type: 'object' },
+      lots: { type: 'array', items: { type: 'object' } },
+      evaluation_criteria: { type: 'array', items: { type: 'object' } },
+      required_documents: { type: 'array', items: { type: 'object' } },
+      attachments: { type: 'array', items: { type: 'object' } },
+      status: { type: 'string', enum: RFX_STATUSES },
+      amendment_reason: { type: 'string', maxLength: 2000 },
+    },
+  }),
+  updateRfxHandler,
+);
+
+router.delete(
+  '/:rfxId',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  deleteRfxHandler,
+);
+
+router.get(
+  '/:rfxId/amendments',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  getRfxAmendmentsHandler,
+);
+
+router.get(
+  '/:rfxId/amendments/diff',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    query: {
+      from: { type: 'string', pattern: /^\d+$/ },
+      to: { type: 'string', pattern: /^\d+$/ },
+    },
+  }),
+  getRfxAmendmentDiffHandler,
+);
+
+router.get(
+  '/:rfxId/questions',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  listRfxQuestionsHandler,
+);
+
+router.post(
+  '/:rfxId/questions',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { question: { type: 'string', required: true, maxLength: 4000 } },
+  }),
+  askRfxQuestionHandler,
+);
+
+router.post(
+  '/:rfxId/questions/:questionId/answer',
+  requireAuth,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      questionId: { type: 'string', required: true },
+    },
+    body: {
+      answer: { type: 'string', required: true, maxLength: 8000 },
+      publish: { type: 'boolean' },
+    },
+  }),
+  answerRfxQuestionHandler,
+);
+
+router.get(
+  '/:rfxId/deadline-exceptions',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  listDeadlineExceptionsHandler,
+);
+
+router.post(
+  '/:rfxId/deadline-exceptions',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { reason: { type: 'string', required: true, maxLength: 2000 } },
+  }),
+  requestDeadlineExceptionHandler,
+);
+
+router.post(
+  '/:rfxId/deadline-exceptions/:exceptionId/decision',
+  requireAuth,
+  requireAdmin,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      exceptionId: { type: 'string', required: true },
+    },
+    body: {
+      decision: { type: 'string', required: true, enum: ['approved', 'denied'] },
+      extended_until: { type: 'string' },
+      note: { type: 'string', maxLength: 2000 },
+    },
+  }),
+  decideDeadlineExceptionHandler,
+);
+
+router.get(
+  '/:rfxId/responses',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  getRfxResponsesHandler,
+);
+
+router.get(
+  '/:rfxId/responses/completeness',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  getResponsesCompletenessHandler,
+);
+
+router.post(
+  '/:rfxId/responses/check',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: {
+      content: { type: 'string' },
+      attachments: { type: 'array', items: { type: 'object' } },
+    },
+  }),
+  checkResponseCompletenessHandler,
+);
+
+router.put(
+  '/:rfxId/responses/:responseId',
+  requireAuth,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      responseId: { type: 'string', required: true },
+    },
+    body: {
+      content: { type: 'string' },
+      attachments: { type: 'array', items: { type: 'object' } },
+      bid_amount: { type: 'number' },
+      bid_currency: { type: 'string', pattern: CURRENCY_CODE },
+      availability: { type: 'string' },
+      line_item_prices: { type: 'array', items: { type: 'object' } },
+    },
+  }),
+  reviseResponseHandler,
+);
+
+router.post(
+  '/:rfxId/responses/:responseId/withdraw',
+  requireAuth,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      responseId: { type: 'string', required: true },
+    },
+    body: { reason: { type: 'string', maxLength: 2000 } },
+  }),
+  withdrawResponseHandler,
+);
+
+router.get(
+  '/:rfxId/responses/:responseId/revisions',
+  requireAuth,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      responseId: { type: 'string', required: true },
+    },
+  }),
+  getResponseRevisionsHandler,
+);
+
+router.post(
+  '/:rfxId/advance',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: {
+      stage_type: { type: 'string', required: true, enum: PIPELINE_STAGE_TYPES },
+      vendor_ids: { type: 'array', required: true, items: { type: 'string' } },
+      submission_deadline: { type: 'string', required: true },
+      qa_cutoff_date: { type: 'string' },
+      title: { type: 'string' },
+      description: { type: 'string' },
+      requirements: { type: 'string' },
+      budget_range: { type: 'string' },
+      budget_min: { type: 'number', min: 0 },
+      budget_max: { type: 'number', min: 0 },
+      budget_currency: { type: 'string', pattern: CURRENCY_CODE },
+      lots: { type: 'array', items: { type: 'object' } },
+      evaluation_criteria: { type: 'array', items: { type: 'object' } },
+      required_documents: { type: 'array', items: { type: 'object' } },
+      rfx_type: { type: 'string', enum: RFX_TYPES },
+      auction: { type: 'object' },
+    },
+  }),
+  advanceStageHandler,
+);
+
+router.post(
+  '/:rfxId/bid-opening',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  openBidsHandler,
+);
+
 router.post(
   '/:rfxId/respond',
   requireAuth,
@@ -46,12 +515,191 @@ router.post(
       content: { type: 'string', required: true },
       attachments: { type: 'array', items: { type: 'object' } },
       bid_amount: { type: 'number' },
+      bid_currency: { type: 'string', pattern: CURRENCY_CODE },
       availability: { type: 'string' },
+      line_item_prices: { type: 'array', items: { type: 'object' } },
     },
   }),
   respondToRfxHandler,
 );
 
+router.get(
+  '/:rfxId/invitations',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  listInvitationsHandler,
+);
+
+router.post(
+  '/:rfxId/invitations',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { invitees: { type: 'array', required: true, items: { type: 'object' } } },
+  }),
+  inviteVendorsHandler,
+);
+
+router.delete(
+  '/:rfxId/invitations/:invitationId',
+  requireAuth,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      invitationId: { type: 'string', required: true },
+    },
+  }),
+  revokeInvitationHandler,
+);
+
+router.post(
+  '/:rfxId/invitations/decline',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { reason: { type: 'string', maxLength: 2000 } },
+  }),
+  declineInvitationHandler,
+);
+
+router.get(
+  '/:rfxId/evaluators',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  listEvaluatorsHandler,
+);
+
+router.post(
+  '/:rfxId/evaluators',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { evaluator_id: { type: 'string', required: true } },
+  }),
+  assignEvaluatorHandler,
+);
+
+router.delete(
+  '/:rfxId/evaluators/:evaluatorId',
+  requireAuth,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      evaluatorId: { type: 'string', required: true },
+    },
+  }),
+  removeEvaluatorHandler,
+);
+
+router.get(
+  '/:rfxId/coi',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  getCoiDeclarationsHandler,
+);
+
+router.put(
+  '/:rfxId/coi',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: {
+      attest: { type: 'boolean', required: true },
+      signature: { type: 'string', required: true, maxLength: 200 },
+      conflicts: { type: 'array', items: { type: 'object' } },
+    },
+  }),
+  declareCoiHandler,
+);
+
+router.get(
+  '/:rfxId/scores',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  listScoreSheetsHandler,
+);
+
+router.put(
+  '/:rfxId/responses/:responseId/scores',
+  requireAuth,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      responseId: { type: 'string', required: true },
+    },
+    body: { scores: { type: 'array', required: true, items: { type: 'object' } } },
+  }),
+  submitScoreSheetHandler,
+);
+
+router.get(
+  '/:rfxId/compliance-matrix',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  getComplianceMatrixHandler,
+);
+
+router.post(
+  '/:rfxId/compliance-matrix',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { refine: { type: 'boolean' } },
+  }),
+  generateComplianceMatrixHandler,
+);
+
+router.put(
+  '/:rfxId/compliance-matrix',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { requirements: { type: 'array', required: true, items: { type: 'object' } } },
+  }),
+  updateComplianceMatrixHandler,
+);
+
+router.get(
+  '/:rfxId/export/solicitation',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    query: { format: { type: 'string', enum: SOLICITATION_FORMATS } },
+  }),
+  exportSolicitationHandler,
+);
+
+router.get(
+  '/:rfxId/export/package',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  exportPackageHandler,
+);
+
+router.get(
+  '/:rfxId/export/responses',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  exportResponsesHandler,
+);
+
+router.get(
+  '/:rfxId/compare',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    query: { response_ids: { type: 'string', maxLength: 2000 } },
+  }),
+  compareResponsesHandler,
+);
+
+router.get(
+  '/:rfxId/evaluation',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  getEvaluationSummaryHandler,
+);
+
 router.post(
   '/:rfxId/evaluate',
   requireAuth,
@@ -59,17 +707,91 @@ router.post(
   evaluateResponsesHandler,
 );
 
+router.get(
+  '/:rfxId/auction',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  getAuctionStateHandler,
+);
+
+router.get(
+  '/:rfxId/auction/stream',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  streamAuctionHandler,
+);
+
+router.post(
+  '/:rfxId/auction/bids',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { amount: { type: 'number', required: true, min: 0 } },
+  }),
+  placeAuctionBidHandler,
+);
+
+router.post(
+  '/:rfxId/award',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: {
+      awards: { type: 'array', required: true, items: { type: 'object' } },
+      justification: { type: 'string', required: true, maxLength: 5000 },
+      notice_templates: { type: 'object' },
+    },
+  }),
+  awardRfxHandler,
+);
+
+router.get(
+  '/:rfxId/award',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  getRfxAwardHandler,
+);
+
+router.get(
+  '/:rfxId/debriefs',
+  requireAuth,
+  validateRequest({ params: { rfxId: { type: 'string', required: true } } }),
+  listDebriefsHandler,
+);
+
+router.post(
+  '/:rfxId/debriefs',
+  requireAuth,
+  validateRequest({
+    params: { rfxId: { type: 'string', required: true } },
+    body: { questions: { type: 'string', maxLength: 5000 } },
+  }),
+  requestDebriefHandler,
+);
+
+router.post(
+  '/:rfxId/debriefs/:debriefId/response',
+  requireAuth,
+  validateRequest({
+    params: {
+      rfxId: { type: 'string', required: true },
+      debriefId: { type: 'string', required: true },
+    },
+    body: {
+      summary: { type: 'string', maxLength: 10000 },
+      scheduled_at: { type: 'string' },
+    },
+  }),
+  respondToDebriefHandler,
+);
+
 router.post(
   '/:rfxId/match',
   requireAuth,
   validateRequest({
     params: { rfxId: { type: 'string', required: true } },
     query: {
-      limit: {
-        type: 'string',
-        custom: (value) =>
-          value && Number.isNaN(Number(value)) ? 'query.limit must be numeric when provided' : undefined,
-      },
+      limit: numericQuery('limit'),
     },
   }),
   matchRespondersHandler,
@@ -0,0 +1,21 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-process fan-out of auction updates to the server-sent event streams of one API instance. Running
+ * several instances needs a shared channel (for example Supabase Realtime) feeding `publishAuctionUpdate`.
+ */
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+const channel = (rfxId) => `auction:${rfxId}`;
+
+export const publishAuctionUpdate = (rfxId, update) => {
+  hub.emit(channel(rfxId), update);
+};
+
+export const subscribeToAuction = (rfxId, listener) => {
+  hub.on(channel(rfxId), listener);
+  return () => hub.off(channel(rfxId), listener);
+};
+
+export const getAuctionSubscriberCount = (rfxId) => hub.listenerCount(channel(rfxId));
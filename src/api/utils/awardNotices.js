@@ -0,0 +1,120 @@
+export const NOTICE_TYPES = ['award', 'unsuccessful'];
+
+export const DEFAULT_NOTICE_TEMPLATES = {
+  award: {
+    subject: 'Notice of award: {{rfx_title}}',
+    body: [
+      'Dear {{vendor_name}},',
+      '',
+      'We are pleased to inform you that your response to "{{rfx_title}}" has been selected for award on {{award_date}}.',
+      '',
+      'Awarded: {{awarded_items}}',
+      'Total award amount: {{award_amount}}',
+      '',
+      'Basis for award: {{justification}}',
+      '',
+      'The buyer will contact you about next steps.',
+    ].join('\n'),
+  },
+  unsuccessful: {
+    subject: 'Notice to unsuccessful offeror: {{rfx_title}}',
+    body: [
+      'Dear {{vendor_name}},',
+      '',
+      'Thank you for responding to "{{rfx_title}}". After evaluation, your response was not selected for award.',
+      '',
+      'Awarded to: {{winning_vendors}}',
+      'Total award amount: {{award_amount}}',
+      'Award date: {{award_date}}',
+      '',
+      'You may request a debrief through the platform until {{debrief_deadline}}.',
+    ].join('\n'),
+  },
+};
+
+const formatAmount = (value) =>
+  typeof value === 'number'
+    ? value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+    : '';
+
+/**
+ * Replaces `{{placeholder}}` tokens with values from `context`. Unknown placeholders render as an empty string.
+ */
+export const renderTemplate = (template = '', context = {}) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_match, key) => {
+    const value = context[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+/**
+ * Builds one notice per responding vendor: an award notice for each winner and an unsuccessful-offeror
+ * notice for everyone else. `templates` may override the subject or body of either notice type.
+ */
+export const buildAwardNotices = ({
+  rfx,
+  award,
+  responses = [],
+  vendorNames = {},
+  templates = {},
+  debriefDeadline,
+}) => {
+  const winnersByVendor = award.winners.reduce((acc, winner) => {
+    acc[winner.responder_id] = [...(acc[winner.responder_id] || []), winner];
+    return acc;
+  }, {});
+
+  const lotName = (lotId) => (rfx.lots || []).find((lot) => lot.id === lotId)?.name || lotId;
+  const winningVendors = Object.keys(winnersByVendor)
+    .map((vendorId) => vendorNames[vendorId] || vendorId)
+    .join(', ');
+
+  const baseContext = {
+    rfx_title: rfx.title,
+    award_date: award.awarded_at.slice(0, 10),
+    justification: award.justification,
+    winning_vendors: winningVendors,
+    award_amount: formatAmount(award.total_amount),
+    debrief_deadline: debriefDeadline ? debriefDeadline.slice(0, 10) : '',
+  };
+
+  const seen = new Set();
+  return responses
+    .filter((response) => {
+      if (seen.has(response.responder_id)) {
+        return false;
+      }
+      seen.add(response.responder_id);
+      return true;
+    })
+    .map((response) => {
+      const won = winnersByVendor[response.responder_id];
+      const type = won ? 'award' : 'unsuccessful';
+      const template = { ...DEFAULT_NOTICE_TEMPLATES[type], ...(templates[type] || {}) };
+      const context = {
+        ...baseContext,
+        vendor_name: vendorNames[response.responder_id] || 'Offeror',
+        awarded_items: won
+          ? won
+              .map((winner) =>
+                winner.lot_id
+                  ? `${lotName(winner.lot_id)} (${formatAmount(winner.amount)})`
+                  : formatAmount(winner.amount),
+              )
+              .join('; ')
+          : '',
+        award_amount: won
+          ? formatAmount(won.reduce((sum, winner) => sum + winner.amount, 0))
+          : baseContext.award_amount,
+      };
+
+      return {
+        rfx_id: rfx.id,
+        award_id: award.id,
+        response_id: response.id,
+        vendor_id: response.responder_id,
+        type,
+        subject: renderTemplate(template.subject, context),
+        body: renderTemplate(template.body, context),
+      };
+    });
+};
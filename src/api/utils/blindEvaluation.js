@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import { isAdminUser } from '../middleware/authGuard.js';
+import { isRfxOwner } from './rfxAccess.js';
+
+// Profile columns that name or locate a vendor, hidden from evaluators during a blind evaluation.
+export const IDENTIFYING_PROFILE_FIELDS = [
+  'company_name',
+  'contact_name',
+  'email',
+  'phone_number',
+  'address',
+  'city',
+  'state',
+  'zip_code',
+  'website',
+  'logo_url',
+  'avatar_url',
+  'duns_number',
+  'uei_number',
+];
+
+/**
+ * Evaluators of a blind RFx see offerors under an alias until the owner finalizes scoring. The owner and
+ * admins always see who is who.
+ */
+export const isBlindFor = (rfx, viewer) =>
+  Boolean(rfx?.blind_evaluation) && !rfx.evaluation_finalized_at && !isRfxOwner(rfx, viewer) && !isAdminUser(viewer);
+
+/**
+ * A stable alias derived from the response id, so every endpoint labels an offeror the same way without
+ * storing a mapping.
+ */
+export const offerorLabel = (responseId) =>
+  `Offeror ${crypto.createHash('sha256').update(String(responseId)).digest('hex').slice(0, 6).toUpperCase()}`;
+
+export const blindProfile = (profile) =>
+  profile &&
+  Object.fromEntries(Object.entries(profile).filter(([field]) => !IDENTIFYING_PROFILE_FIELDS.includes(field)));
+
+export const blindResponse = (response) => ({
+  ...response,
+  responder_id: null,
+  offeror_label: offerorLabel(response.id),
+  ...(response.evaluation ? { evaluation: { ...response.evaluation, responder_id: null } } : {}),
+});
+
+/**
+ * Blinds an evaluation summary: its responses and the per-lot bid rankings.
+ */
+export const blindEvaluationSummary = (summary) => ({
+  ...summary,
+  responses: summary.responses.map(blindResponse),
+  lots: summary.lots?.map((lot) => ({
+    ...lot,
+    bids: lot.bids.map((bid) => ({ ...bid, responder_id: null, offeror_label: offerorLabel(bid.response_id) })),
+  })),
+});
@@ -0,0 +1,176 @@
+import crypto from 'crypto';
+
+// Words that make a sentence a binding requirement.
+export const REQUIREMENT_KEYWORDS = ['shall', 'must', 'will'];
+
+export const COMPLIANCE_STATUSES = ['addressed', 'partial', 'not_addressed'];
+
+const KEYWORD_PATTERN = new RegExp(`\\b(${REQUIREMENT_KEYWORDS.join('|')})\\b`, 'i');
+
+// "3.1.2", "4.a", "(b)", "1)", "-", "*" or "•" at the start of a line.
+const LIST_MARKER_PATTERN = /^\s*(?:(\d+(?:\.\d+)*\.?|[a-z]\.|\(?[a-z0-9]{1,3}\))\s+|[-*•]\s+)/i;
+
+const SENTENCE_BREAK_PATTERN = /(?<=[.!?;])\s+(?=["'(]?[A-Z0-9])/;
+
+const ADDRESSED_THRESHOLD = 0.6;
+const PARTIAL_THRESHOLD = 0.3;
+
+const STOPWORDS = new Set(
+  [
+    'a all an and any are as at be been being by each for from has have in including into is it its may must no',
+    'not of on or other our per shall should such than that the their them then there these this those to under',
+    'upon we when which will with within without you your contractor vendor offeror bidder provider supplier',
+  ]
+    .join(' ')
+    .split(' '),
+);
+
+export const hashRequirementsText = (text) =>
+  crypto
+    .createHash('sha256')
+    .update(text || '')
+    .digest('hex');
+
+const formatRequirementId = (number) => `REQ-${String(number).padStart(3, '0')}`;
+
+/**
+ * Groups the text into blocks: a list item or a paragraph, with hard-wrapped lines joined back together.
+ */
+const splitBlocks = (text) => {
+  const blocks = [];
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (!line.trim()) {
+      current = null;
+      return;
+    }
+    const marker = line.match(LIST_MARKER_PATTERN);
+    if (marker || !current) {
+      const numbered = marker?.[1]?.replace(/\.$/, '') || null;
+      current = { reference: numbered && /\d/.test(numbered) ? numbered : null, text: '' };
+      blocks.push(current);
+    }
+    const content = marker ? line.slice(marker[0].length) : line;
+    current.text = `${current.text} ${content.trim()}`.trim();
+  });
+
+  return blocks;
+};
+
+/**
+ * Deterministically breaks free-text requirements into numbered requirement statements: every sentence that
+ * contains "shall", "must" or "will". Source numbering such as "3.1.2" is kept as `reference`.
+ */
+export const extractRequirements = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return [];
+  }
+
+  const seen = new Set();
+  const statements = [];
+
+  splitBlocks(text).forEach((block) => {
+    block.text.split(SENTENCE_BREAK_PATTERN).forEach((sentence) => {
+      const statement = sentence.trim();
+      const keyword = statement.match(KEYWORD_PATTERN)?.[1]?.toLowerCase();
+      const key = statement.toLowerCase();
+      if (!keyword || seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      statements.push({ reference: block.reference, text: statement, keyword });
+    });
+  });
+
+  return numberRequirements(statements);
+};
+
+/**
+ * Assigns sequential ids (`REQ-001`, ...) to a list of `{ text, reference?, keyword? }` statements, such as
+ * a refined or hand-edited matrix. Returns null when any statement has no text.
+ */
+export const numberRequirements = (statements) => {
+  if (!Array.isArray(statements) || statements.some((statement) => !statement?.text?.trim?.())) {
+    return null;
+  }
+
+  return statements.map((statement, index) => ({
+    id: formatRequirementId(index + 1),
+    number: index + 1,
+    reference: statement.reference || null,
+    text: statement.text.trim(),
+    keyword: statement.keyword || statement.text.match(KEYWORD_PATTERN)?.[1]?.toLowerCase() || null,
+  }));
+};
+
+export const buildComplianceMatrix = (requirementsText, requirements, provider = 'deterministic') => ({
+  requirements,
+  source_hash: hashRequirementsText(requirementsText),
+  provider,
+  generated_at: new Date().toISOString(),
+});
+
+/**
+ * Whether the RFx requirements changed after its matrix was generated.
+ */
+export const isMatrixStale = (rfx) =>
+  Boolean(rfx?.compliance_matrix && rfx.compliance_matrix.source_hash !== hashRequirementsText(rfx.requirements));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "3.1" is cited by "see 3.1" but not by "3.12" or "13.1".
+const citesReference = (text, reference) =>
+  Boolean(reference && new RegExp(`(^|[^\\d.])${escapeRegExp(reference)}(?![\\d]|\\.\\d)`).test(text));
+
+const stem = (word) => word.replace(/(?:ing|ed|es|s)$/, '');
+
+const tokenize = (text) =>
+  (typeof text === 'string' ? text.toLowerCase().match(/[a-z0-9]+/g) || [] : [])
+    .filter((word) => word.length > 2 && !STOPWORDS.has(word))
+    .map(stem);
+
+/**
+ * Maps one response onto the matrix. A requirement counts as addressed when the response cites it (by id or
+ * source reference) or covers most of its significant terms.
+ */
+export const mapResponseToMatrix = (requirements, content) => {
+  const text = typeof content === 'string' ? content : '';
+  const responseTerms = new Set(tokenize(text));
+
+  const rows = (requirements || []).map((requirement) => {
+    const cited = text.includes(requirement.id) || citesReference(text, requirement.reference);
+    const terms = [...new Set(tokenize(requirement.text))];
+    const matched = terms.filter((term) => responseTerms.has(term));
+    const coverage = cited ? 1 : terms.length ? matched.length / terms.length : 0;
+
+    let status = 'not_addressed';
+    if (coverage >= ADDRESSED_THRESHOLD) {
+      status = 'addressed';
+    } else if (coverage >= PARTIAL_THRESHOLD) {
+      status = 'partial';
+    }
+
+    return {
+      requirement_id: requirement.id,
+      status,
+      coverage: Number(coverage.toFixed(2)),
+      cited,
+      missing_terms: cited ? [] : terms.filter((term) => !responseTerms.has(term)),
+    };
+  });
+
+  const counts = COMPLIANCE_STATUSES.reduce((acc, status) => {
+    acc[status] = rows.filter((row) => row.status === status).length;
+    return acc;
+  }, {});
+
+  return {
+    requirements: rows,
+    summary: {
+      ...counts,
+      total: rows.length,
+      coverage: rows.length ? Number(((counts.addressed + counts.partial * 0.5) / rows.length).toFixed(2)) : null,
+    },
+  };
+};
@@ -0,0 +1,120 @@
+/**
+ * Conflict-of-interest declarations. Each evaluator signs one per RFx, naming any responding vendor they have a
+ * conflict with; it is stored on their `rfx_evaluators` row. A declaration only covers the vendors that had
+ * responded when it was signed, so a late response requires a new one.
+ */
+
+export const normalizeCoiDeclaration = (body = {}, vendorIds = []) => {
+  if (body.attest !== true) {
+    return { declaration: null, error: 'attest must be true to sign the declaration' };
+  }
+
+  const signature = typeof body.signature === 'string' ? body.signature.trim() : '';
+  if (!signature) {
+    return { declaration: null, error: 'signature is required' };
+  }
+
+  const conflicts = body.conflicts ?? [];
+  if (!Array.isArray(conflicts)) {
+    return { declaration: null, error: 'conflicts must be an array' };
+  }
+
+  const known = new Set(vendorIds);
+  const normalized = [];
+  for (const [index, conflict] of conflicts.entries()) {
+    const label = `conflicts[${index}]`;
+    if (!conflict || !known.has(conflict.vendor_id)) {
+      return { declaration: null, error: `${label}.vendor_id must be one of the responding vendors` };
+    }
+    if (typeof conflict.description !== 'string' || !conflict.description.trim()) {
+      return { declaration: null, error: `${label}.description is required` };
+    }
+    if (normalized.some((entry) => entry.vendor_id === conflict.vendor_id)) {
+      return { declaration: null, error: `${label} repeats vendor ${conflict.vendor_id}` };
+    }
+    normalized.push({ vendor_id: conflict.vendor_id, description: conflict.description.trim() });
+  }
+
+  return {
+    declaration: {
+      coi_signature: signature,
+      coi_conflicts: normalized,
+      coi_vendor_ids: [...known],
+      coi_declared_at: new Date().toISOString(),
+    },
+    error: null,
+  };
+};
+
+/**
+ * Where an evaluator stands against the vendors currently responding: `declared` once every one of them is
+ * covered by their signed declaration, and the vendors they are recused from.
+ */
+export const describeCoiStatus = (evaluator, vendorIds = []) => {
+  const covered = new Set(evaluator?.coi_declared_at ? evaluator.coi_vendor_ids || [] : []);
+  const missing = vendorIds.filter((vendorId) => !covered.has(vendorId));
+  return {
+    declared: Boolean(evaluator?.coi_declared_at) && missing.length === 0,
+    declared_at: evaluator?.coi_declared_at || null,
+    missing_vendor_ids: missing,
+    conflicted_vendor_ids: (evaluator?.coi_conflicts || []).map((conflict) => conflict.vendor_id),
+  };
+};
+
+export const loadRespondingVendorIds = async (supabase, rfxId) => {
+  const { data, error } = await supabase
+    .from('rfx_responses')
+    .select('responder_id')
+    .eq('rfx_id', rfxId)
+    .neq('status', 'withdrawn');
+  return { vendorIds: [...new Set((data || []).map((row) => row.responder_id))], error };
+};
+
+/**
+ * Gate for every evaluator-facing scoring endpoint. Returns `{ status, error }` when the user is not an
+ * evaluator or has not declared against every responding vendor, otherwise the vendors they are recused from.
+ */
+export const checkScoringAccess = async (supabase, rfx, user) => {
+  const { data: evaluator } = await supabase
+    .from('rfx_evaluators')
+    .select('*')
+    .eq('rfx_id', rfx.id)
+    .eq('evaluator_id', user?.id)
+    .maybeSingle();
+
+  if (!evaluator) {
+    return { status: 403, error: 'Only assigned evaluators can score responses' };
+  }
+
+  const { vendorIds, error } = await loadRespondingVendorIds(supabase, rfx.id);
+  if (error) {
+    return { status: 400, error: 'Unable to load responding vendors' };
+  }
+
+  const coi = describeCoiStatus(evaluator, vendorIds);
+  if (!coi.declared) {
+    return {
+      status: 403,
+      error: `Sign the conflict-of-interest declaration with PUT /rfx/${rfx.id}/coi before scoring`,
+    };
+  }
+
+  return { error: null, evaluator, conflictedVendorIds: new Set(coi.conflicted_vendor_ids) };
+};
+
+/**
+ * Drops the responses of vendors an evaluator is recused from out of an evaluation summary.
+ */
+export const excludeRecusedResponses = (summary, conflictedVendorIds = new Set()) => {
+  if (conflictedVendorIds.size === 0) {
+    return summary;
+  }
+  return {
+    ...summary,
+    responses: summary.responses.filter((response) => !conflictedVendorIds.has(response.responder_id)),
+    lots: summary.lots?.map((lot) => {
+      const bids = lot.bids.filter((bid) => !conflictedVendorIds.has(bid.responder_id));
+      return { ...lot, bid_count: bids.length, bids };
+    }),
+  };
+};
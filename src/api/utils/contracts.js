@@ -0,0 +1,323 @@
+import crypto from 'crypto';
+import { isAdminUser } from '../middleware/authGuard.js';
+import { BASE_CURRENCY } from './currency.js';
+
+export const CONTRACT_STATUSES = ['active', 'completed', 'terminated'];
+
+// Deliverables move pending → submitted → accepted | rejected; a rejected deliverable can be resubmitted.
+export const DELIVERABLE_STATUSES = ['pending', 'submitted', 'accepted', 'rejected'];
+
+export const MILESTONE_STATUSES = ['pending', 'accepted'];
+
+// Invoices move submitted → approved → paid, or submitted → rejected.
+export const INVOICE_STATUSES = ['submitted', 'approved', 'rejected', 'paid'];
+
+const INVOICE_TRANSITIONS = { submitted: ['approved', 'rejected'], approved: ['paid'] };
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Loads a contract for one of its parties. Returns `{ status, error }` for anyone else, otherwise the
+ * contract and the caller's role on it: `buyer`, `vendor` or, for admins, `admin` (read-only).
+ */
+export const loadContract = async (supabase, contractId, user) => {
+  const { data: contract } = await supabase.from('contracts').select('*').eq('id', contractId).maybeSingle();
+  if (!contract) {
+    return { status: 404, error: 'Contract not found' };
+  }
+  if (contract.buyer_id === user?.id) {
+    return { contract, role: 'buyer', error: null };
+  }
+  if (contract.vendor_id === user?.id) {
+    return { contract, role: 'vendor', error: null };
+  }
+  if (isAdminUser(user)) {
+    return { contract, role: 'admin', error: null };
+  }
+  return { status: 403, error: 'Only the buyer and the vendor can access this contract' };
+};
+
+export const CONTRACT_CHANGED_ERROR = 'This contract was changed in the meantime; reload it and try again';
+
+/**
+ * Writes `updates` to a contract loaded earlier, but only if nobody has saved it since: milestones and
+ * deliverables are whole JSON arrays, so a blind write would drop a concurrent change. Returns `conflict`
+ * when the contract's `updated_at` no longer matches.
+ */
+export const saveContract = async (supabase, contract, updates) => {
+  let query = supabase
+    .from('contracts')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', contract.id);
+  query = contract.updated_at ? query.eq('updated_at', contract.updated_at) : query.is('updated_at', null);
+
+  const { data, error } = await query.select('*');
+  return { data: data?.[0] || null, conflict: !error && !data?.length, error };
+};
+
+export const loadContractInvoices = (supabase, contractId) =>
+  supabase.from('contract_invoices').select('*').eq('contract_id', contractId).order('created_at', { ascending: true });
+
+/**
+ * One contract per winning vendor of an award, covering every lot they won. The award amount is the sum of
+ * their winning amounts, in the RFx currency.
+ */
+export const buildContractsFromAward = (rfx, award) => {
+  const byVendor = new Map();
+  (award.winners || []).forEach((winner) => {
+    byVendor.set(winner.responder_id, [...(byVendor.get(winner.responder_id) || []), winner]);
+  });
+
+  return [...byVendor.entries()].map(([vendorId, won]) => ({
+    rfx_id: rfx.id,
+    award_id: award.id,
+    response_id: won[0].response_id,
+    vendor_id: vendorId,
+    buyer_id: rfx.created_by,
+    title: rfx.title,
+    lot_ids: won.map((winner) => winner.lot_id).filter(Boolean),
+    award_amount: roundCurrency(won.reduce((sum, winner) => sum + winner.amount, 0)),
+    currency: rfx.budget_currency || BASE_CURRENCY,
+    status: 'active',
+    milestones: [],
+    deliverables: [],
+  }));
+};
+
+/**
+ * Creates the contracts for an award that do not exist yet, so it is safe to call again for the same award.
+ */
+export const createAwardContracts = async (supabase, rfx, award) => {
+  const { data: existing, error: existingError } = await supabase
+    .from('contracts')
+    .select('vendor_id')
+    .eq('award_id', award.id);
+  if (existingError) {
+    return { contracts: [], error: existingError };
+  }
+
+  const contracted = new Set((existing || []).map((contract) => contract.vendor_id));
+  const now = new Date().toISOString();
+  const rows = buildContractsFromAward(rfx, award)
+    .filter((contract) => !contracted.has(contract.vendor_id))
+    .map((contract) => ({ ...contract, created_at: now, updated_at: now }));
+  if (!rows.length) {
+    return { contracts: [], error: null };
+  }
+
+  const { data, error } = await supabase.from('contracts').insert(rows).select('*');
+  return { contracts: data || [], error };
+};
+
+/**
+ * Validates the buyer's milestone plan. Statuses are kept from `existing` by id and never taken from the
+ * request; an accepted milestone cannot be removed or repriced, and the plan cannot exceed the award amount.
+ */
+export const normalizeMilestones = (milestones, { existing = [], awardAmount }) => {
+  if (!Array.isArray(milestones)) {
+    return { milestones: null, error: 'milestones must be an array' };
+  }
+
+  const previous = new Map(existing.map((milestone) => [milestone.id, milestone]));
+  const normalized = [];
+  for (const [index, milestone] of milestones.entries()) {
+    const label = `milestones[${index}]`;
+    if (!milestone || typeof milestone.name !== 'string' || !milestone.name.trim()) {
+      return { milestones: null, error: `${label}.name is required` };
+    }
+    if (!isDate(milestone.due_date)) {
+      return { milestones: null, error: `${label}.due_date must be a valid date` };
+    }
+    if (typeof milestone.amount !== 'number' || !Number.isFinite(milestone.amount) || milestone.amount < 0) {
+      return { milestones: null, error: `${label}.amount must be a non-negative number` };
+    }
+
+    const before = previous.get(milestone.id);
+    if (before?.status === 'accepted' && before.amount !== milestone.amount) {
+      return { milestones: null, error: `${label} has been accepted; its amount can no longer change` };
+    }
+    normalized.push({
+      id: before ? before.id : crypto.randomUUID(),
+      name: milestone.name.trim(),
+      description: milestone.description || null,
+      due_date: milestone.due_date,
+      amount: roundCurrency(milestone.amount),
+      status: before?.status || 'pending',
+      accepted_at: before?.accepted_at || null,
+    });
+  }
+
+  const kept = new Set(normalized.map((milestone) => milestone.id));
+  const dropped = existing.find((milestone) => milestone.status === 'accepted' && !kept.has(milestone.id));
+  if (dropped) {
+    return { milestones: null, error: `Milestone "${dropped.name}" has been accepted and cannot be removed` };
+  }
+
+  const planned = roundCurrency(normalized.reduce((sum, milestone) => sum + milestone.amount, 0));
+  if (planned > awardAmount) {
+    return { milestones: null, error: `Milestones total ${planned}, more than the award amount of ${awardAmount}` };
+  }
+
+  return { milestones: normalized, error: null };
+};
+
+/**
+ * Validates the deliverables, each optionally tied to a milestone. As with milestones, review status is kept
+ * from `existing` by id.
+ */
+export const normalizeDeliverables = (deliverables, { existing = [], milestones = [] }) => {
+  if (!Array.isArray(deliverables)) {
+    return { deliverables: null, error: 'deliverables must be an array' };
+  }
+
+  const previous = new Map(existing.map((deliverable) => [deliverable.id, deliverable]));
+  const milestoneIds = new Set(milestones.map((milestone) => milestone.id));
+  const normalized = [];
+  for (const [index, deliverable] of deliverables.entries()) {
+    const label = `deliverables[${index}]`;
+    if (!deliverable || typeof deliverable.name !== 'string' || !deliverable.name.trim()) {
+      return { deliverables: null, error: `${label}.name is required` };
+    }
+    if (!isDate(deliverable.due_date)) {
+      return { deliverables: null, error: `${label}.due_date must be a valid date` };
+    }
+    if (deliverable.milestone_id && !milestoneIds.has(deliverable.milestone_id)) {
+      return { deliverables: null, error: `${label}.milestone_id does not match a milestone` };
+    }
+
+    const before = previous.get(deliverable.id);
+    normalized.push({
+      id: before ? before.id : crypto.randomUUID(),
+      name: deliverable.name.trim(),
+      description: deliverable.description || null,
+      milestone_id: deliverable.milestone_id || null,
+      due_date: deliverable.due_date,
+      status: before?.status || 'pending',
+      submission: before?.submission || null,
+      review: before?.review || null,
+    });
+  }
+
+  const kept = new Set(normalized.map((deliverable) => deliverable.id));
+  const dropped = existing.find((deliverable) => deliverable.status === 'accepted' && !kept.has(deliverable.id));
+  if (dropped) {
+    return { deliverables: null, error: `Deliverable "${dropped.name}" has been accepted and cannot be removed` };
+  }
+
+  return { deliverables: normalized, error: null };
+};
+
+/**
+ * A milestone can be accepted once every deliverable tied to it has been accepted. Returns `{ status, error }`
+ * when it cannot be accepted yet.
+ */
+export const checkMilestoneAcceptance = (contract, milestoneId) => {
+  const milestone = (contract.milestones || []).find((entry) => entry.id === milestoneId);
+  if (!milestone) {
+    return { status: 404, error: 'Milestone not found' };
+  }
+  if (milestone.status === 'accepted') {
+    return { status: 409, error: 'This milestone has already been accepted' };
+  }
+  const open = (contract.deliverables || []).filter(
+    (deliverable) => deliverable.milestone_id === milestoneId && deliverable.status !== 'accepted',
+  );
+  if (open.length) {
+    return {
+      status: 409,
+      error: `Accept its deliverables first: ${open.map((deliverable) => deliverable.name).join(', ')}`,
+    };
+  }
+  return { error: null };
+};
+
+const sumAmounts = (invoices) => roundCurrency(invoices.reduce((sum, invoice) => sum + invoice.amount, 0));
+
+const activeInvoices = (invoices) => invoices.filter((invoice) => invoice.status !== 'rejected');
+
+/**
+ * Checks a new invoice: it bills an accepted milestone, for no more than what is left on that milestone and
+ * on the contract. Returns `{ status, error }` when it must be refused.
+ */
+export const checkInvoice = (contract, invoices, { milestone_id: milestoneId, amount }) => {
+  if (contract.status !== 'active') {
+    return { status: 409, error: `This contract is ${contract.status}` };
+  }
+  const milestone = (contract.milestones || []).find((entry) => entry.id === milestoneId);
+  if (!milestone) {
+    return { status: 400, error: 'milestone_id does not match a milestone on this contract' };
+  }
+  if (milestone.status !== 'accepted') {
+    return { status: 409, error: `Milestone "${milestone.name}" must be accepted before it is invoiced` };
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    return { status: 400, error: 'amount must be a positive number' };
+  }
+
+  const billed = activeInvoices(invoices);
+  const milestoneLeft = roundCurrency(
+    milestone.amount - sumAmounts(billed.filter((invoice) => invoice.milestone_id === milestoneId)),
+  );
+  if (amount > milestoneLeft) {
+    return { status: 400, error: `Only ${milestoneLeft} is left to invoice on milestone "${milestone.name}"` };
+  }
+  const contractLeft = roundCurrency(contract.award_amount - sumAmounts(billed));
+  if (amount > contractLeft) {
+    return { status: 400, error: `Only ${contractLeft} is left to invoice on this contract` };
+  }
+  return { error: null };
+};
+
+export const describeInvoiceTransition = (invoice, decision) =>
+  (INVOICE_TRANSITIONS[invoice.status] || []).includes(decision)
+    ? null
+    : `A ${invoice.status} invoice cannot be marked ${decision}`;
+
+/**
+ * Spend against the award amount. `approved` counts approved and paid invoices; `remaining` is what the award
+ * has left after them. `series` is the actual burn-down, one point per approval date; `planned` is the
+ * burn-down the milestone schedule implies.
+ */
+export const buildBurnDown = (contract, invoices = []) => {
+  const awardAmount = contract.award_amount;
+  const approvedInvoices = invoices.filter((invoice) => ['approved', 'paid'].includes(invoice.status));
+  const approved = sumAmounts(approvedInvoices);
+
+  const series = [];
+  let spent = 0;
+  [...approvedInvoices]
+    .sort((a, b) => String(a.approved_at).localeCompare(String(b.approved_at)))
+    .forEach((invoice) => {
+      spent = roundCurrency(spent + invoice.amount);
+      const date = String(invoice.approved_at || invoice.created_at).slice(0, 10);
+      const point = { date, spent, remaining: roundCurrency(awardAmount - spent) };
+      if (series.length && series[series.length - 1].date === date) {
+        series[series.length - 1] = point;
+      } else {
+        series.push(point);
+      }
+    });
+
+  let planned = 0;
+  const plannedSeries = [...(contract.milestones || [])]
+    .sort((a, b) => String(a.due_date).localeCompare(String(b.due_date)))
+    .map((milestone) => {
+      planned = roundCurrency(planned + milestone.amount);
+      return { date: milestone.due_date, milestone_id: milestone.id, remaining: roundCurrency(awardAmount - planned) };
+    });
+
+  return {
+    award_amount: awardAmount,
+    currency: contract.currency || BASE_CURRENCY,
+    invoiced: sumAmounts(activeInvoices(invoices)),
+    approved,
+    paid: sumAmounts(invoices.filter((invoice) => invoice.status === 'paid')),
+    remaining: roundCurrency(awardAmount - approved),
+    available_to_invoice: roundCurrency(awardAmount - sumAmounts(activeInvoices(invoices))),
+    percent_spent: awardAmount ? roundCurrency((approved / awardAmount) * 100) : null,
+    series,
+    planned: plannedSeries,
+  };
+};
@@ -0,0 +1,214 @@
+export const BASE_CURRENCY = 'USD';
+
+// Indicative value of one unit of each currency in the base currency. Set `EXCHANGE_RATES` to a JSON object of
+// the same shape (e.g. `{"EUR": 1.09}`) to add currencies or keep the rates current.
+export const DEFAULT_EXCHANGE_RATES = {
+  USD: 1,
+  EUR: 1.08,
+  GBP: 1.27,
+  CAD: 0.73,
+  AUD: 0.66,
+  NZD: 0.61,
+  CHF: 1.12,
+  JPY: 0.0067,
+  INR: 0.012,
+  MXN: 0.058,
+};
+
+// Checked in order, so the prefixed dollar signs are matched before a bare `$`.
+const CURRENCY_SYMBOLS = [
+  ['CA$', 'CAD'],
+  ['C$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['A$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['MX$', 'MXN'],
+  ['US$', 'USD'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+];
+
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mm: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+const AMOUNT_PATTERN = /(\d[\d,]*(?:\.\d+)?)\s*(thousand|million|billion|mm|bn|[kmb])?\b/gi;
+
+// "Up to $50k" caps the budget; "from $50k" or "$50k+" sets its floor.
+const MAX_ONLY = /\b(?:up to|under|below|less than|max(?:imum)?|not to exceed|nte|no more than)\b|</i;
+const MIN_ONLY = /\b(?:from|over|above|at least|min(?:imum)?|more than|starting at)\b|>|\d\s*[kmb]?\s*\+/i;
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const getExchangeRates = () => {
+  if (!process.env.EXCHANGE_RATES) {
+    return DEFAULT_EXCHANGE_RATES;
+  }
+  try {
+    const configured = JSON.parse(process.env.EXCHANGE_RATES);
+    const valid = Object.entries(configured || {}).filter(
+      ([code, rate]) => /^[A-Z]{3}$/.test(code) && typeof rate === 'number' && rate > 0,
+    );
+    return { ...DEFAULT_EXCHANGE_RATES, ...Object.fromEntries(valid), [BASE_CURRENCY]: 1 };
+  } catch (error) {
+    return DEFAULT_EXCHANGE_RATES;
+  }
+};
+
+export const isSupportedCurrency = (code, rates = getExchangeRates()) =>
+  typeof code === 'string' && Object.hasOwn(rates, code);
+
+/**
+ * The rate that turns an amount in `from` into `to`, or null when either currency has no rate.
+ */
+export const getExchangeRate = (from, to, rates = getExchangeRates()) => {
+  if (from === to) return 1;
+  if (!isSupportedCurrency(from, rates) || !isSupportedCurrency(to, rates)) return null;
+  return rates[from] / rates[to];
+};
+
+export const convertAmount = (amount, from, to, rates = getExchangeRates()) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+  const rate = getExchangeRate(from, to, rates);
+  return rate === null ? null : roundCurrency(amount * rate);
+};
+
+const detectCurrency = (text, rates) => {
+  const code = text
+    .toUpperCase()
+    .match(/\b[A-Z]{3}\b/g)
+    ?.find((candidate) => isSupportedCurrency(candidate, rates));
+  if (code) return code;
+  const symbol = CURRENCY_SYMBOLS.find(([sign]) => new RegExp(escapeRegExp(sign), 'i').test(text));
+  return symbol ? symbol[1] : null;
+};
+
+/**
+ * Reads a free-text budget such as "$50k-$100k", "EUR 1.2M", "Up to £250,000" or "TBD" into structured
+ * bounds. A single amount is both bounds unless the text marks it as a cap or a floor. Returns null bounds
+ * when the text holds no amount; the currency falls back to `currency` when the text names none.
+ */
+export const parseBudgetRange = (text, { currency = BASE_CURRENCY, rates = getExchangeRates() } = {}) => {
+  const value = String(text ?? '');
+  const amounts = [...value.matchAll(AMOUNT_PATTERN)]
+    .map(([, raw, suffix]) => Number(raw.replace(/,/g, '')) * (MULTIPLIERS[String(suffix || '').toLowerCase()] || 1))
+    .filter((amount) => Number.isFinite(amount));
+  const budgetCurrency = detectCurrency(value, rates) || currency;
+
+  if (!amounts.length) {
+    return { budget_min: null, budget_max: null, budget_currency: budgetCurrency };
+  }
+
+  const min = Math.min(...amounts);
+  const max = Math.max(...amounts);
+  if (amounts.length === 1 && MAX_ONLY.test(value)) {
+    return { budget_min: null, budget_max: max, budget_currency: budgetCurrency };
+  }
+  if (amounts.length === 1 && MIN_ONLY.test(value)) {
+    return { budget_min: min, budget_max: null, budget_currency: budgetCurrency };
+  }
+  return { budget_min: min, budget_max: max, budget_currency: budgetCurrency };
+};
+
+const formatAmount = (amount) => amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+/**
+ * A readable label for structured bounds, stored as `budget_range` when a budget is entered as numbers.
+ */
+export const formatBudgetRange = ({ budget_min: min, budget_max: max, budget_currency: currency }) => {
+  if (min === null && max === null) return null;
+  if (min === null) return `Up to ${currency} ${formatAmount(max)}`;
+  if (max === null) return `From ${currency} ${formatAmount(min)}`;
+  if (min === max) return `${currency} ${formatAmount(min)}`;
+  return `${currency} ${formatAmount(min)} – ${formatAmount(max)}`;
+};
+
+const BUDGET_FIELDS = ['budget_range', 'budget_min', 'budget_max', 'budget_currency'];
+
+export const hasBudgetFields = (input = {}) => BUDGET_FIELDS.some((field) => input[field] !== undefined);
+
+/**
+ * Validates an RFx budget. Numeric `budget_min`/`budget_max` win over the free text; a `budget_range` sent
+ * without them is parsed into them. With `current`, as for an update, the fields not sent keep their values,
+ * except that new free text replaces the bounds parsed from the old text and new bounds replace the old label.
+ */
+export const normalizeBudget = (input = {}, { current = null, rates = getExchangeRates() } = {}) => {
+  const sentBounds = input.budget_min !== undefined || input.budget_max !== undefined;
+  const merged = { ...current };
+  BUDGET_FIELDS.forEach((field) => {
+    if (input[field] !== undefined) merged[field] = input[field];
+  });
+  if (current && input.budget_range !== undefined && !sentBounds) {
+    merged.budget_min = undefined;
+    merged.budget_max = undefined;
+    merged.budget_currency = input.budget_currency;
+  }
+  if (current && sentBounds && input.budget_range === undefined) {
+    merged.budget_range = undefined;
+  }
+
+  const fallbackCurrency = current?.budget_currency || BASE_CURRENCY;
+  const range = typeof merged.budget_range === 'string' ? merged.budget_range.trim() || null : null;
+  let currency = merged.budget_currency ?? null;
+  if (currency !== null) {
+    currency = String(currency).toUpperCase();
+    if (!isSupportedCurrency(currency, rates)) {
+      return { value: null, error: `budget_currency must be one of: ${Object.keys(rates).join(', ')}` };
+    }
+  }
+
+  let bounds;
+  if (merged.budget_min != null || merged.budget_max != null) {
+    bounds = { budget_min: merged.budget_min ?? null, budget_max: merged.budget_max ?? null };
+    for (const [field, amount] of Object.entries(bounds)) {
+      if (amount !== null && (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0)) {
+        return { value: null, error: `${field} must be a non-negative number` };
+      }
+    }
+    if (bounds.budget_min !== null && bounds.budget_max !== null && bounds.budget_min > bounds.budget_max) {
+      return { value: null, error: 'budget_min cannot exceed budget_max' };
+    }
+    currency = currency || parseBudgetRange(range, { currency: fallbackCurrency, rates }).budget_currency;
+  } else {
+    const parsed = parseBudgetRange(range, { currency: currency || fallbackCurrency, rates });
+    bounds = { budget_min: parsed.budget_min, budget_max: parsed.budget_max };
+    currency = currency || parsed.budget_currency;
+  }
+
+  const value = { ...bounds, budget_currency: currency };
+  return { value: { ...value, budget_range: range || formatBudgetRange(value) }, error: null };
+};
+
+/**
+ * Prices a response in its RFx's currency. The vendor may quote in any supported `bid_currency`; `bid_amount` is
+ * stored converted so that comparison, evaluation and award always work in one currency, while
+ * `quoted_amount` and `exchange_rate` keep what was actually offered. Lot prices are always in the RFx currency.
+ */
+export const applyBidCurrency = (rfx, fields, rates = getExchangeRates()) => {
+  const rfxCurrency = rfx.budget_currency || BASE_CURRENCY;
+  const bidCurrency = fields.bid_currency ? String(fields.bid_currency).toUpperCase() : rfxCurrency;
+  const { bid_currency: _bidCurrency, ...rest } = fields;
+
+  if (!isSupportedCurrency(bidCurrency, rates)) {
+    return { error: `bid_currency must be one of: ${Object.keys(rates).join(', ')}` };
+  }
+  if (bidCurrency !== rfxCurrency && fields.line_item_prices) {
+    return { error: `Line items must be priced in the RFX currency (${rfxCurrency})` };
+  }
+
+  const rate = getExchangeRate(bidCurrency, rfxCurrency, rates);
+  const quoted = typeof fields.bid_amount === 'number' ? fields.bid_amount : null;
+  return {
+    error: null,
+    fields: {
+      ...rest,
+      bid_currency: bidCurrency,
+      quoted_amount: quoted,
+      exchange_rate: rate,
+      bid_amount: quoted === null ? null : convertAmount(quoted, bidCurrency, rfxCurrency, rates),
+    },
+  };
+};
@@ -0,0 +1,141 @@
+// The models declared as EMBEDDING_V3_SMALL and EMBEDDING_V3_LARGE in src/config/ai.config.js.
+export const EMBEDDING_MODELS = ['text-embedding-3-small', 'text-embedding-3-large'];
+export const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Matches AI_RATE_LIMITS.EMBEDDING_BATCH_SIZE.
+export const EMBEDDING_BATCH_SIZE = 50;
+
+export const LOCAL_EMBEDDING_DIMENSIONS = 1024;
+
+const STOP_WORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'is',
+  'it',
+  'of',
+  'on',
+  'or',
+  'our',
+  'that',
+  'the',
+  'this',
+  'to',
+  'we',
+  'will',
+  'with',
+]);
+
+export const tokenizeText = (text) =>
+  String(text ?? '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1 && !STOP_WORDS.has(token));
+
+// 32-bit FNV-1a, so a token lands in the same bucket in every process.
+const hashFeature = (feature) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i += 1) {
+    hash ^= feature.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Words and adjacent word pairs, so "facility maintenance" says more than "facility" and "maintenance" apart.
+const extractFeatures = (text) => {
+  const tokens = tokenizeText(text);
+  return [...tokens, ...tokens.slice(1).map((token, i) => `${tokens[i]} ${token}`)];
+};
+
+const normalizeVector = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map((value) => value / norm) : vector;
+};
+
+/**
+ * An embedder that needs no network: TF-IDF weights over features hashed into a fixed number of buckets,
+ * with a hashed sign so that colliding features tend to cancel out rather than add up. `fit` learns the
+ * document frequencies from the indexed corpus; vectors are only comparable with others from the same fit,
+ * which is why they are never persisted.
+ */
+export const createHashedTfidfEmbedder = ({ dimensions = LOCAL_EMBEDDING_DIMENSIONS } = {}) => {
+  let documentFrequencies = new Array(dimensions).fill(0);
+  let documentCount = 0;
+
+  const bucketCounts = (text) =>
+    extractFeatures(text).reduce((counts, feature) => {
+      const hash = hashFeature(feature);
+      const bucket = hash % dimensions;
+      counts.set(bucket, (counts.get(bucket) || 0) + (hash & 0x80000000 ? -1 : 1));
+      return counts;
+    }, new Map());
+
+  return {
+    name: `hashed-tfidf-${dimensions}`,
+    persistent: false,
+    fit(texts) {
+      documentFrequencies = new Array(dimensions).fill(0);
+      documentCount = texts.length;
+      texts.forEach((text) => {
+        bucketCounts(text).forEach((_entry, bucket) => {
+          documentFrequencies[bucket] += 1;
+        });
+      });
+    },
+    async embed(texts) {
+      return texts.map((text) => {
+        const vector = new Array(dimensions).fill(0);
+        bucketCounts(text).forEach((count, bucket) => {
+          if (!count) return;
+          const idf = Math.log((1 + documentCount) / (1 + documentFrequencies[bucket])) + 1;
+          vector[bucket] = Math.sign(count) * (1 + Math.log(Math.abs(count))) * idf;
+        });
+        return normalizeVector(vector);
+      });
+    },
+  };
+};
+
+/**
+ * An embedder backed by the OpenAI embeddings API, batched to stay inside its rate limits. Its vectors do not
+ * depend on the rest of the corpus, so they are stored and only recomputed when a profile changes.
+ */
+export const createOpenAiEmbedder = ({
+  client,
+  model = DEFAULT_EMBEDDING_MODEL,
+  batchSize = EMBEDDING_BATCH_SIZE,
+}) => ({
+  name: model,
+  persistent: true,
+  async embed(texts) {
+    const vectors = [];
+    for (let start = 0; start < texts.length; start += batchSize) {
+      const response = await client.embeddings.create({ model, input: texts.slice(start, start + batchSize) });
+      [...response.data].sort((a, b) => a.index - b.index).forEach((entry) => vectors.push(entry.embedding));
+    }
+    return vectors;
+  },
+});
+
+/**
+ * The configured embedder. `EMBEDDING_PROVIDER=local` forces the hashed TF-IDF embedder, which is also used
+ * whenever no OpenAI client is available; `OPENAI_EMBEDDING_MODEL` picks between the supported models.
+ */
+export const getEmbedder = (client, { provider = process.env.EMBEDDING_PROVIDER } = {}) => {
+  if (!client || provider === 'local') {
+    return createHashedTfidfEmbedder();
+  }
+  const model = EMBEDDING_MODELS.includes(process.env.OPENAI_EMBEDDING_MODEL)
+    ? process.env.OPENAI_EMBEDDING_MODEL
+    : DEFAULT_EMBEDDING_MODEL;
+  return createOpenAiEmbedder({ client, model });
+};
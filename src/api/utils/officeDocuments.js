@@ -0,0 +1,228 @@
+import { createZip } from './zipArchive.js';
+
+/**
+ * Minimal Office Open XML writers: DOCX from the block list shared with the PDF writer, and XLSX from
+ * `[{ name, columns: [{ header, width? }], rows: [[value, ...]] }]`. Only the parts Word and Excel require
+ * are emitted.
+ */
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const RELATIONSHIPS_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const OFFICE_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+export const escapeXml = (value) =>
+  String(value ?? '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const REL_TYPES = {
+  officeDocument: `${OFFICE_REL}/officeDocument`,
+  worksheet: `${OFFICE_REL}/worksheet`,
+  styles: `${OFFICE_REL}/styles`,
+  coreProperties: `${RELATIONSHIPS_NS}/metadata/core-properties`,
+};
+
+const relationships = (entries) =>
+  `${XML_HEADER}<Relationships xmlns="${RELATIONSHIPS_NS}">${entries
+    .map(({ id, type, target }) => `<Relationship Id="${id}" Type="${REL_TYPES[type]}" Target="${target}"/>`)
+    .join('')}</Relationships>`;
+
+const packageRelationships = (mainPart) =>
+  relationships([
+    { id: 'rId1', type: 'officeDocument', target: mainPart },
+    { id: 'rId2', type: 'coreProperties', target: 'docProps/core.xml' },
+  ]);
+
+const contentTypes = (overrides) =>
+  `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  overrides.map(([part, type]) => `<Override PartName="${part}" ContentType="${type}"/>`).join('') +
+  '</Types>';
+
+const coreProperties = (title) =>
+  `${XML_HEADER}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ` +
+  'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+  'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+  `<dc:title>${escapeXml(title)}</dc:title><dc:creator>AccelProcure</dc:creator>` +
+  `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString()}</dcterms:created>` +
+  '</cp:coreProperties>';
+
+const CORE_PROPERTIES_TYPE = 'application/vnd.openxmlformats-package.core-properties+xml';
+
+// Font sizes in half-points and spacing in twentieths of a point.
+const DOCX_STYLES = {
+  title: { size: 36, bold: true, before: 0, after: 200 },
+  heading: { size: 26, bold: true, before: 280, after: 80 },
+  paragraph: { size: 21, bold: false, before: 0, after: 120 },
+  bullet: { size: 21, bold: false, before: 0, after: 40 },
+  field: { size: 21, bold: false, before: 0, after: 40 },
+};
+
+const docxRun = (text, { size, bold }) =>
+  `<w:r><w:rPr>${bold ? '<w:b/>' : ''}<w:sz w:val="${size}"/></w:rPr>${String(text ?? '')
+    .split(/\r?\n/)
+    .map((line) => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+    .join('<w:br/>')}</w:r>`;
+
+const docxParagraph = (block) => {
+  const style = DOCX_STYLES[block.type] || DOCX_STYLES.paragraph;
+  const indent = block.type === 'bullet' ? '<w:ind w:left="360" w:hanging="360"/>' : '';
+  let runs;
+  if (block.type === 'bullet') {
+    runs = docxRun(`•\t${block.text ?? ''}`, style);
+  } else if (block.type === 'field') {
+    runs = docxRun(`${block.label}: `, { ...style, bold: true }) + docxRun(block.text ?? '-', style);
+  } else {
+    runs = docxRun(block.text, style);
+  }
+  return `<w:p><w:pPr><w:spacing w:before="${style.before}" w:after="${style.after}"/>${indent}</w:pPr>${runs}</w:p>`;
+};
+
+export const renderDocx = (blocks, { title = 'Document' } = {}) => {
+  const body = blocks.map(docxParagraph).join('');
+  const document =
+    `${XML_HEADER}<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>` +
+    `${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>` +
+    '<w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="720" w:footer="720" w:gutter="0"/>' +
+    '</w:sectPr></w:body></w:document>';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: contentTypes([
+        ['/word/document.xml', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml'],
+        ['/docProps/core.xml', CORE_PROPERTIES_TYPE],
+      ]),
+    },
+    { name: '_rels/.rels', data: packageRelationships('word/document.xml') },
+    { name: 'docProps/core.xml', data: coreProperties(title) },
+    { name: 'word/document.xml', data: document },
+  ]);
+};
+
+export const columnName = (index) => {
+  let name = '';
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const remainder = (remaining - 1) % 26;
+    name = String.fromCharCode(65 + remainder) + name;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return name;
+};
+
+const sheetName = (name, index) =>
+  (
+    String(name || '')
+      .replace(/[[\]:*?/\\]/g, ' ')
+      .trim() || `Sheet${index + 1}`
+  ).slice(0, 31);
+
+// Excel refuses to open cells longer than this.
+const MAX_CELL_LENGTH = 32767;
+
+const xlsxCell = (value, ref, style = 0) => {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"${styleAttr}><v>${value ? 1 : 0}</v></c>`;
+  }
+  const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${text}</t></is></c>`;
+};
+
+const worksheet = ({ columns = [], rows = [] }) => {
+  const cols = columns.length
+    ? `<cols>${columns
+        .map(
+          (column, index) =>
+            `<col min="${index + 1}" max="${index + 1}" width="${column.width || 18}" customWidth="1"/>`,
+        )
+        .join('')}</cols>`
+    : '';
+  const header = `<row r="1">${columns
+    .map((column, index) => xlsxCell(column.header, `${columnName(index)}1`, 1))
+    .join('')}</row>`;
+  const body = rows
+    .map(
+      (row, rowIndex) =>
+        `<row r="${rowIndex + 2}">${row
+          .map((value, index) => xlsxCell(value, `${columnName(index)}${rowIndex + 2}`))
+          .join('')}</row>`,
+    )
+    .join('');
+
+  return (
+    `${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+    `</sheetView></sheetViews>${cols}<sheetData>${header}${body}</sheetData></worksheet>`
+  );
+};
+
+// Style 0 is the default; style 1 is the bold header row.
+const XLSX_STYLES =
+  `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  '</styleSheet>';
+
+export const renderXlsx = (sheets, { title = 'Workbook' } = {}) => {
+  const sheetEntries = sheets.map((sheet, index) => ({
+    name: `xl/worksheets/sheet${index + 1}.xml`,
+    data: worksheet(sheet),
+  }));
+
+  const workbook =
+    `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${OFFICE_REL}">` +
+    `<sheets>${sheets
+      .map(
+        (sheet, index) =>
+          `<sheet name="${escapeXml(sheetName(sheet.name, index))}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`,
+      )
+      .join('')}</sheets></workbook>`;
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: contentTypes([
+        ['/xl/workbook.xml', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml'],
+        ['/xl/styles.xml', 'application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml'],
+        ['/docProps/core.xml', CORE_PROPERTIES_TYPE],
+        ...sheetEntries.map(({ name }) => [
+          `/${name}`,
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml',
+        ]),
+      ]),
+    },
+    { name: '_rels/.rels', data: packageRelationships('xl/workbook.xml') },
+    { name: 'docProps/core.xml', data: coreProperties(title) },
+    { name: 'xl/workbook.xml', data: workbook },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: relationships([
+        ...sheets.map((_, index) => ({
+          id: `rId${index + 1}`,
+          type: 'worksheet',
+          target: `worksheets/sheet${index + 1}.xml`,
+        })),
+        { id: `rId${sheets.length + 1}`, type: 'styles', target: 'styles.xml' },
+      ]),
+    },
+    { name: 'xl/styles.xml', data: XLSX_STYLES },
+    ...sheetEntries,
+  ]);
+};
@@ -0,0 +1,187 @@
+/**
+ * Minimal PDF writer for generated documents: text only, in the standard Helvetica fonts, on US Letter
+ * pages with automatic wrapping, page breaks and page numbers. Input is the block list shared with the DOCX
+ * writer: `{ type: 'title' | 'heading' | 'paragraph' | 'bullet' | 'field', text, label? }`.
+ */
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const BULLET_INDENT = 14;
+
+const STYLES = {
+  title: { font: 'F2', size: 18, spaceBefore: 0, spaceAfter: 10 },
+  heading: { font: 'F2', size: 13, spaceBefore: 14, spaceAfter: 4 },
+  paragraph: { font: 'F1', size: 10.5, spaceBefore: 0, spaceAfter: 6 },
+  bullet: { font: 'F1', size: 10.5, spaceBefore: 0, spaceAfter: 2 },
+  field: { font: 'F1', size: 10.5, spaceBefore: 0, spaceAfter: 2 },
+};
+
+// Helvetica advance widths (per 1000 em) for ASCII 32-126, from the standard AFM metrics.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+  556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+  722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+  556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+  260, 334, 584,
+];
+// Helvetica-Bold runs about 6% wider than the regular face.
+const BOLD_FACTOR = 1.06;
+
+const WIN_ANSI_EXTRAS = {
+  '‘': 0x91,
+  '’': 0x92,
+  '“': 0x93,
+  '”': 0x94,
+  '•': 0x95,
+  '–': 0x96,
+  '—': 0x97,
+};
+
+const charWidth = (code) => {
+  if (code >= 32 && code <= 126) {
+    return HELVETICA_WIDTHS[code - 32];
+  }
+  return code === 0x95 ? 350 : 556;
+};
+
+/**
+ * Maps text onto the WinAnsi code points the standard fonts use; anything outside Latin-1 becomes "?".
+ */
+const toWinAnsi = (text) =>
+  Array.from(String(text ?? ''), (char) => {
+    if (WIN_ANSI_EXTRAS[char]) {
+      return WIN_ANSI_EXTRAS[char];
+    }
+    const code = char.codePointAt(0);
+    if (code === 9) {
+      return 32;
+    }
+    return code >= 32 && code <= 255 && !(code >= 127 && code < 160) ? code : 63;
+  });
+
+const measure = (codes, style) =>
+  (codes.reduce((sum, code) => sum + charWidth(code), 0) / 1000) * style.size * (style.font === 'F2' ? BOLD_FACTOR : 1);
+
+const wrap = (text, style, width) => {
+  const lines = [];
+  String(text ?? '')
+    .split(/\r?\n/)
+    .forEach((paragraph) => {
+      let line = [];
+      paragraph.split(/\s+/).forEach((word) => {
+        if (!word) {
+          return;
+        }
+        const codes = toWinAnsi(word);
+        const candidate = line.length ? [...line, 32, ...codes] : codes;
+        if (measure(candidate, style) <= width || line.length === 0) {
+          line = candidate;
+        } else {
+          lines.push(line);
+          line = codes;
+        }
+      });
+      lines.push(line);
+    });
+  return lines;
+};
+
+const escapeString = (codes) =>
+  codes
+    .map((code) => {
+      if (code === 40 || code === 41 || code === 92) {
+        return `\\${String.fromCharCode(code)}`;
+      }
+      return code < 128 ? String.fromCharCode(code) : `\\${code.toString(8).padStart(3, '0')}`;
+    })
+    .join('');
+
+const layoutPages = (blocks) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const place = (codes, style, x) => {
+    const lineHeight = style.size * 1.35;
+    if (y - lineHeight < MARGIN + 20) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= lineHeight;
+    pages[pages.length - 1].push(
+      `BT /${style.font} ${style.size} Tf ${x} ${y.toFixed(2)} Td (${escapeString(codes)}) Tj ET`,
+    );
+  };
+
+  blocks.forEach((block) => {
+    const style = STYLES[block.type] || STYLES.paragraph;
+    y -= style.spaceBefore;
+
+    if (block.type === 'bullet') {
+      wrap(block.text, style, CONTENT_WIDTH - BULLET_INDENT).forEach((codes, index) => {
+        if (index === 0) {
+          place([0x95], style, MARGIN);
+          y += style.size * 1.35;
+        }
+        place(codes, style, MARGIN + BULLET_INDENT);
+      });
+    } else {
+      const text = block.type === 'field' ? `${block.label}: ${block.text ?? '-'}` : block.text;
+      wrap(text, style, CONTENT_WIDTH).forEach((codes) => place(codes, style, MARGIN));
+    }
+
+    y -= style.spaceAfter;
+  });
+
+  return pages;
+};
+
+export const renderPdf = (blocks, { title = 'Document' } = {}) => {
+  const pages = layoutPages(blocks);
+  const footerStyle = { font: 'F1', size: 8 };
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const regularId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((commands, index) => {
+    const footer = toWinAnsi(`Page ${index + 1} of ${pages.length}`);
+    const footerX = (PAGE_WIDTH - measure(footer, footerStyle)) / 2;
+    const stream = [
+      ...commands,
+      `BT /F1 ${footerStyle.size} Tf ${footerX.toFixed(2)} ${MARGIN / 2} Td (${escapeString(footer)}) Tj ET`,
+    ].join('\n');
+    const contentId = addObject(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = addObject(`<< /Title (${escapeString(toWinAnsi(title))}) /Producer (AccelProcure) >>`);
+
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, 'latin1');
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+};
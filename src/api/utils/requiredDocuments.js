@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+
+export const REQUIRED_DOCUMENT_TYPES = ['file', 'section'];
+
+const normalizeExtension = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^\./, '');
+
+const extensionOf = (fileName) => {
+  const match = String(fileName || '').match(/\.([a-z0-9]+)$/i);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Validates the documents an RFx (or template) asks vendors to supply. A `file` is an attachment such as a W-9,
+ * an insurance certificate or a bid bond, optionally limited to `allowed_file_types` (extensions). A `section`
+ * is a titled part of the response text, e.g. "Technical approach".
+ */
+export const normalizeRequiredDocuments = (documents) => {
+  if (documents === undefined || documents === null) {
+    return { documents: [], error: null };
+  }
+  if (!Array.isArray(documents)) {
+    return { documents: null, error: 'required_documents must be an array' };
+  }
+
+  const normalized = [];
+  for (const [index, document] of documents.entries()) {
+    const label = `required_documents[${index}]`;
+    if (!document || typeof document !== 'object' || typeof document.name !== 'string' || !document.name.trim()) {
+      return { documents: null, error: `${label}.name is required` };
+    }
+    const type = document.type || 'file';
+    if (!REQUIRED_DOCUMENT_TYPES.includes(type)) {
+      return { documents: null, error: `${label}.type must be one of: ${REQUIRED_DOCUMENT_TYPES.join(', ')}` };
+    }
+    const allowedFileTypes = document.allowed_file_types ?? [];
+    if (!Array.isArray(allowedFileTypes) || allowedFileTypes.some((entry) => !normalizeExtension(entry))) {
+      return { documents: null, error: `${label}.allowed_file_types must be an array of file extensions` };
+    }
+    normalized.push({
+      id: document.id || crypto.randomUUID(),
+      name: document.name.trim(),
+      description: document.description || null,
+      type,
+      mandatory: document.mandatory !== false,
+      allowed_file_types: type === 'file' ? [...new Set(allowedFileTypes.map(normalizeExtension))] : [],
+    });
+  }
+
+  if (new Set(normalized.map((document) => document.id)).size !== normalized.length) {
+    return { documents: null, error: 'required_documents ids must be unique' };
+  }
+
+  return { documents: normalized, error: null };
+};
+
+/**
+ * Validates the files attached to an RFx itself (statement of work, drawings, wage determinations). Each
+ * attachment is either a `path` in the attachments storage bucket, which is bundled into the solicitation
+ * package, or an external `url`, which is only linked.
+ */
+export const normalizeRfxAttachments = (attachments) => {
+  if (attachments === undefined || attachments === null) {
+    return { attachments: [], error: null };
+  }
+  if (!Array.isArray(attachments)) {
+    return { attachments: null, error: 'attachments must be an array' };
+  }
+
+  const normalized = [];
+  for (const [index, attachment] of attachments.entries()) {
+    const label = `attachments[${index}]`;
+    if (!attachment || typeof attachment !== 'object') {
+      return { attachments: null, error: `${label} must be an object` };
+    }
+
+    const path = typeof attachment.path === 'string' ? attachment.path.trim().replace(/^\/+/, '') : '';
+    const url = typeof attachment.url === 'string' ? attachment.url.trim() : '';
+    if (!path && !url) {
+      return { attachments: null, error: `${label} needs a path or a url` };
+    }
+    if (path && path.split('/').includes('..')) {
+      return { attachments: null, error: `${label}.path must not contain ".."` };
+    }
+    if (url && !/^https?:\/\//i.test(url)) {
+      return { attachments: null, error: `${label}.url must be an http(s) URL` };
+    }
+
+    normalized.push({
+      name: (typeof attachment.name === 'string' && attachment.name.trim()) || (path || url).split('/').pop(),
+      path: path || null,
+      url: path ? null : url,
+      content_type: attachment.content_type || null,
+    });
+  }
+
+  return { attachments: normalized, error: null };
+};
+
+/**
+ * Validates the `attachments` of a response. Each needs a `name` and a storage `path` or `url`; one that
+ * fulfils a required document names it in `document_id` and must have one of its allowed file types.
+ */
+export const normalizeResponseAttachments = (attachments, requiredDocuments = []) => {
+  if (attachments === undefined || attachments === null) {
+    return { attachments: [], error: null };
+  }
+  if (!Array.isArray(attachments)) {
+    return { attachments: null, error: 'attachments must be an array' };
+  }
+
+  const documents = new Map((requiredDocuments || []).map((document) => [document.id, document]));
+  const normalized = [];
+  for (const [index, attachment] of attachments.entries()) {
+    const label = `attachments[${index}]`;
+    if (
+      !attachment ||
+      typeof attachment !== 'object' ||
+      typeof attachment.name !== 'string' ||
+      !attachment.name.trim()
+    ) {
+      return { attachments: null, error: `${label}.name is required` };
+    }
+    if (!attachment.path && !attachment.url) {
+      return { attachments: null, error: `${label} needs a path or a url` };
+    }
+
+    const documentId = attachment.document_id || null;
+    if (documentId) {
+      const document = documents.get(documentId);
+      if (!document || document.type === 'section') {
+        return { attachments: null, error: `${label}.document_id does not match a required document` };
+      }
+      const allowed = document.allowed_file_types || [];
+      if (allowed.length && !allowed.includes(extensionOf(attachment.name))) {
+        return { attachments: null, error: `${label} must be a ${allowed.join(', ')} file for "${document.name}"` };
+      }
+    }
+
+    normalized.push({
+      name: attachment.name.trim(),
+      path: attachment.path || null,
+      url: attachment.url || null,
+      content_type: attachment.content_type || null,
+      size: typeof attachment.size === 'number' ? attachment.size : null,
+      document_id: documentId,
+    });
+  }
+
+  return { attachments: normalized, error: null };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * The text under a section heading: a line holding the section name, optionally numbered or marked up as a
+ * Markdown heading, up to the next heading of the same form.
+ */
+const findSectionText = (content, sectionName) => {
+  const heading = new RegExp(
+    `^[ \\t]*(?:#{1,6}[ \\t]*)?(?:\\d+(?:\\.\\d+)*\\.?[ \\t]+)?${escapeRegExp(sectionName)}[ \\t]*:?[ \\t]*$`,
+    'im',
+  );
+  const match = heading.exec(content || '');
+  if (!match) {
+    return null;
+  }
+  const rest = content.slice(match.index + match[0].length);
+  const next = rest.search(/^[ \t]*(?:#{1,6}[ \t]+\S|\d+(?:\.\d+)*\.?[ \t]+[A-Z])/m);
+  return (next === -1 ? rest : rest.slice(0, next)).trim();
+};
+
+/**
+ * Checks a response against the RFx's required documents. Each item is `provided` or `missing`; the response
+ * is `complete` once nothing mandatory is missing. Shown to the vendor before submitting and to the buyer.
+ */
+export const buildCompletenessReport = (requiredDocuments, { content, attachments } = {}) => {
+  const items = (requiredDocuments || []).map((document) => {
+    if (document.type === 'section') {
+      const text = findSectionText(content, document.name);
+      return {
+        document_id: document.id,
+        name: document.name,
+        type: 'section',
+        mandatory: document.mandatory,
+        status: text ? 'provided' : 'missing',
+        detail: text === null ? `Add a "${document.name}" heading to the response` : text ? null : 'Section is empty',
+      };
+    }
+
+    const files = (attachments || []).filter((attachment) => attachment?.document_id === document.id);
+    const allowed = document.allowed_file_types || [];
+    return {
+      document_id: document.id,
+      name: document.name,
+      type: 'file',
+      mandatory: document.mandatory,
+      status: files.length ? 'provided' : 'missing',
+      detail: files.length ? null : `Attach ${allowed.length ? `a ${allowed.join('/')} file` : 'a file'} for it`,
+      files: files.map((file) => file.name),
+    };
+  });
+
+  const missingMandatory = items.filter((item) => item.mandatory && item.status === 'missing');
+  return {
+    complete: missingMandatory.length === 0,
+    missing_mandatory: missingMandatory.map((item) => item.name),
+    provided: items.filter((item) => item.status === 'provided').length,
+    total: items.length,
+    items,
+  };
+};
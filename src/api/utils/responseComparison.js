@@ -0,0 +1,144 @@
+import { mapResponseToMatrix } from './complianceMatrix.js';
+import { BASE_CURRENCY } from './currency.js';
+
+// Profile columns shown at the head of each vendor column.
+export const PROFILE_SUMMARY_FIELDS = [
+  'company_name',
+  'business_type',
+  'city',
+  'state',
+  'naics_codes',
+  'capabilities',
+  'employee_count',
+  'annual_revenue',
+  'uei_number',
+];
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+export const median = (values) => {
+  const sorted = values.filter((value) => typeof value === 'number' && Number.isFinite(value)).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * A price cell with its difference from the row median, so a vendor 20% over the field reads `delta_percent: 20`.
+ */
+const priceCell = (value, rowMedian) => {
+  if (typeof value !== 'number') {
+    return { value: null, missing: true, delta: null, delta_percent: null };
+  }
+  return {
+    value,
+    missing: false,
+    delta: rowMedian === null ? null : round(value - rowMedian),
+    delta_percent: rowMedian ? round(((value - rowMedian) / rowMedian) * 100, 1) : null,
+  };
+};
+
+const priceRow = (row, values) => {
+  const rowMedian = median(values);
+  return { ...row, median: rowMedian, cells: values.map((value) => priceCell(value, rowMedian)) };
+};
+
+export const summarizeProfile = (profile) =>
+  profile
+    ? PROFILE_SUMMARY_FIELDS.reduce((acc, field) => {
+        acc[field] = profile[field] ?? null;
+        return acc;
+      }, {})
+    : null;
+
+/**
+ * Builds the side-by-side comparison for one RFx. Columns are the responses, in the order given; every row
+ * has one cell per column. Rows come in three groups:
+ *
+ * - `requirements`: the compliance matrix, with each response's mapping status.
+ * - `pricing`: the bid amount, then each lot total and line item for an RFx with lots, with deltas against
+ *   the row median. Every price is in `currency`, the RFx currency; bids quoted in another currency are
+ *   compared converted.
+ * - `criteria`: the evaluators' mean score and spread per criterion.
+ *
+ * A cell is `missing` when the response has no value for the row: an unpriced line item, a requirement it
+ * does not address or a criterion nobody has scored yet.
+ */
+export const buildComparison = ({ rfx, responses = [], evaluations = [], profiles = new Map() }) => {
+  const evaluationByResponse = new Map(evaluations.map((evaluation) => [evaluation.response_id, evaluation]));
+
+  const vendors = responses.map((response) => ({
+    response_id: response.id,
+    responder_id: response.responder_id,
+    status: response.status,
+    is_late: Boolean(response.is_late),
+    submitted_at: response.updated_at || response.created_at || null,
+    evaluation_score: evaluationByResponse.get(response.id)?.consensus_score ?? null,
+    profile: summarizeProfile(profiles.get(response.responder_id)),
+  }));
+
+  const matrix = rfx.compliance_matrix?.requirements || [];
+  const mappings = responses.map((response) => mapResponseToMatrix(matrix, response.content));
+  const requirements = matrix.map((requirement, index) => ({
+    id: requirement.id,
+    reference: requirement.reference || null,
+    text: requirement.text,
+    cells: mappings.map((mapping) => {
+      const row = mapping.requirements[index];
+      return { status: row.status, coverage: row.coverage, missing: row.status === 'not_addressed' };
+    }),
+  }));
+
+  const pricing = [
+    priceRow(
+      { id: 'bid_amount', type: 'total', label: 'Bid amount' },
+      responses.map((response) => response.bid_amount),
+    ),
+  ];
+  (rfx.lots || []).forEach((lot) => {
+    pricing.push(
+      priceRow(
+        { id: lot.id, type: 'lot', label: lot.name },
+        responses.map((response) => response.lot_totals?.find((entry) => entry.lot_id === lot.id)?.total),
+      ),
+    );
+    lot.line_items.forEach((item) => {
+      pricing.push(
+        priceRow(
+          {
+            id: item.id,
+            type: 'line_item',
+            lot_id: lot.id,
+            label: item.clin ? `${item.clin} ${item.description}` : item.description,
+          },
+          responses.map(
+            (response) => response.line_item_prices?.find((entry) => entry.line_item_id === item.id)?.unit_price,
+          ),
+        ),
+      );
+    });
+  });
+
+  const criteria = (rfx.evaluation_criteria || []).map((criterion) => ({
+    id: criterion.id,
+    name: criterion.name,
+    weight: criterion.weight,
+    max_score: criterion.max_score,
+    cells: responses.map((response) => {
+      const entry = evaluationByResponse.get(response.id)?.criteria.find((item) => item.criterion_id === criterion.id);
+      const score = entry?.mean_score ?? null;
+      return { mean_score: score, spread: entry?.spread ?? null, missing: score === null };
+    }),
+  }));
+
+  const missing = vendors.map((vendor, column) => ({
+    response_id: vendor.response_id,
+    requirements: requirements.filter((row) => row.cells[column].missing).map((row) => row.id),
+    price_lines: pricing.filter((row) => row.cells[column].missing).map((row) => row.id),
+    criteria: criteria.filter((row) => row.cells[column].missing).map((row) => row.id),
+  }));
+
+  return { vendors, requirements, pricing, currency: rfx.budget_currency || BASE_CURRENCY, criteria, missing };
+};
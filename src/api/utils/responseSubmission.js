@@ -0,0 +1,137 @@
+import { getSubmissionBlocker, isPastSubmissionWindow } from './rfxDeadlines.js';
+import { isSealedAndUnopened, isSealedBiddingConfigured } from './sealedBids.js';
+import { hasLots, priceLineItems } from './rfxLots.js';
+import { isReverseAuction } from './reverseAuction.js';
+import { checkSetAsideEligibility } from './setAsides.js';
+import { buildCompletenessReport, normalizeResponseAttachments } from './requiredDocuments.js';
+import { applyBidCurrency } from './currency.js';
+
+// Columns copied into rfx_response_revisions for every submitted version of a response.
+export const REVISION_FIELDS = [
+  'content',
+  'bid_amount',
+  'bid_currency',
+  'quoted_amount',
+  'exchange_rate',
+  'attachments',
+  'availability',
+  'line_item_prices',
+  'lot_totals',
+  'sealed_payload',
+  'rfx_version',
+];
+
+export const loadApprovedException = async (supabase, rfxId, vendorId) => {
+  const { data } = await supabase
+    .from('rfx_deadline_exceptions')
+    .select('*')
+    .eq('rfx_id', rfxId)
+    .eq('vendor_id', vendorId)
+    .eq('status', 'approved')
+    .order('decided_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  return data || null;
+};
+
+/**
+ * Checks whether `vendorId` may submit or change a response right now. Returns `{ status, error }` when the
+ * request must be refused, otherwise whether the change is late and which exception allowed it.
+ */
+export const checkSubmissionWindow = async (supabase, rfx, vendorId, now = new Date()) => {
+  if (isReverseAuction(rfx)) {
+    return { status: 409, error: `This RFX is a reverse auction; place bids with POST /rfx/${rfx.id}/auction/bids` };
+  }
+
+  const exception = await loadApprovedException(supabase, rfx.id, vendorId);
+  const blocker = getSubmissionBlocker(rfx, { now, exception });
+  if (blocker) {
+    return { status: 409, error: blocker };
+  }
+
+  if (isSealedAndUnopened(rfx) && !isSealedBiddingConfigured()) {
+    return { status: 503, error: 'Sealed bidding is not configured on this server' };
+  }
+
+  const isLate = rfx.status !== 'published' || isPastSubmissionWindow(rfx, now);
+  return { error: null, isLate, exceptionId: isLate ? exception.id : null };
+};
+
+/**
+ * Refuses vendors outside the RFx set-aside, judged on their current profile. Returns `{ status, error, reasons }`
+ * when the submission must be refused.
+ */
+export const checkVendorEligibility = async (supabase, rfx, vendorId) => {
+  if (!rfx.set_aside) {
+    return { error: null };
+  }
+
+  const { data: profile } = await supabase.from('profiles').select('*').eq('id', vendorId).maybeSingle();
+  const { eligible, reasons } = checkSetAsideEligibility(rfx, profile);
+  if (eligible) {
+    return { error: null };
+  }
+  return { status: 403, error: `Not eligible for this set-aside: ${reasons.join('; ')}`, reasons };
+};
+
+/**
+ * Validates a response's attachments against the RFx's required documents and refuses a submission missing a
+ * mandatory one. Returns `{ status, error, completeness }` when the submission must be refused.
+ */
+export const checkRequiredDocuments = (rfx, { content, attachments }) => {
+  const normalized = normalizeResponseAttachments(attachments, rfx.required_documents);
+  if (normalized.error) {
+    return { status: 400, error: normalized.error };
+  }
+
+  const completeness = buildCompletenessReport(rfx.required_documents, {
+    content,
+    attachments: normalized.attachments,
+  });
+  if (!completeness.complete) {
+    return {
+      status: 400,
+      error: `Missing required documents: ${completeness.missing_mandatory.join(', ')}`,
+      completeness,
+    };
+  }
+  return { error: null, attachments: normalized.attachments, completeness };
+};
+
+/**
+ * For an RFx with lots the bid amount is never taken from the vendor: it is the sum of the priced lots. Either
+ * way the bid is then stored in the RFx currency by `applyBidCurrency`.
+ */
+export const applyLotPricing = (rfx, fields) => {
+  if (!hasLots(rfx)) {
+    return applyBidCurrency(rfx, fields);
+  }
+
+  const pricing = priceLineItems(rfx.lots, fields.line_item_prices);
+  if (pricing.error) {
+    return { error: pricing.error };
+  }
+
+  return applyBidCurrency(rfx, {
+    ...fields,
+    line_item_prices: pricing.line_item_prices,
+    lot_totals: pricing.lot_totals,
+    bid_amount: pricing.bid_amount,
+  });
+};
+
+export const recordRevision = (supabase, response, action) =>
+  supabase.from('rfx_response_revisions').insert([
+    {
+      ...REVISION_FIELDS.reduce((acc, field) => {
+        acc[field] = response[field] ?? null;
+        return acc;
+      }, {}),
+      response_id: response.id,
+      rfx_id: response.rfx_id,
+      responder_id: response.responder_id,
+      revision: response.revision_count || 1,
+      action,
+      created_at: new Date().toISOString(),
+    },
+  ]);
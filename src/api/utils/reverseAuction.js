@@ -0,0 +1,187 @@
+import { getSubmissionWindow, resolveDeadline } from './rfxDeadlines.js';
+
+export const RFX_TYPES = ['standard', 'reverse_auction'];
+
+const DEFAULT_EXTENSION_WINDOW_MINUTES = 2;
+const DEFAULT_EXTENSION_MINUTES = 2;
+const MINUTE_MS = 60 * 1000;
+
+export const isReverseAuction = (rfx) => rfx?.rfx_type === 'reverse_auction';
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validates the `auction` settings of a reverse-auction RFx. The auction closes at `submission_deadline`,
+ * which anti-sniping extensions push back; `starts_at` opens bidding.
+ */
+export const normalizeAuctionConfig = (auction) => {
+  if (!auction || typeof auction !== 'object' || Array.isArray(auction)) {
+    return { auction: null, error: 'auction settings are required for a reverse auction' };
+  }
+
+  const startsAt = new Date(auction.starts_at);
+  if (!auction.starts_at || Number.isNaN(startsAt.getTime())) {
+    return { auction: null, error: 'auction.starts_at must be a valid date' };
+  }
+
+  const normalized = {
+    starts_at: startsAt.toISOString(),
+    extension_window_minutes: auction.extension_window_minutes ?? DEFAULT_EXTENSION_WINDOW_MINUTES,
+    extension_minutes: auction.extension_minutes ?? DEFAULT_EXTENSION_MINUTES,
+    min_decrement: auction.min_decrement ?? 0,
+    starting_price: auction.starting_price ?? null,
+    invited_vendor_ids: auction.invited_vendor_ids || [],
+  };
+
+  for (const field of ['extension_window_minutes', 'extension_minutes', 'min_decrement']) {
+    if (!isNonNegativeNumber(normalized[field])) {
+      return { auction: null, error: `auction.${field} must be a non-negative number` };
+    }
+  }
+  if (
+    normalized.starting_price !== null &&
+    !(isNonNegativeNumber(normalized.starting_price) && normalized.starting_price > 0)
+  ) {
+    return { auction: null, error: 'auction.starting_price must be a positive number' };
+  }
+  if (
+    !Array.isArray(normalized.invited_vendor_ids) ||
+    normalized.invited_vendor_ids.length === 0 ||
+    normalized.invited_vendor_ids.some((id) => typeof id !== 'string' || !id)
+  ) {
+    return { auction: null, error: 'auction.invited_vendor_ids must list at least one vendor' };
+  }
+
+  return { auction: normalized, error: null };
+};
+
+/**
+ * Checks a whole RFx that is (or is becoming) a reverse auction and returns its normalized `auction` settings.
+ * Auctions compete on a single visible price, so they cannot be sealed or split into lots.
+ */
+export const validateAuctionRfx = (rfx) => {
+  const { auction, error } = normalizeAuctionConfig(rfx.auction);
+  if (error) {
+    return { auction: null, error };
+  }
+  if (rfx.sealed) {
+    return { auction: null, error: 'A reverse auction cannot use sealed bidding' };
+  }
+  if (Array.isArray(rfx.lots) && rfx.lots.length > 0) {
+    return { auction: null, error: 'A reverse auction cannot be split into lots' };
+  }
+  const closesAt = resolveDeadline(rfx.submission_deadline, rfx.timezone);
+  if (closesAt && new Date(auction.starts_at) >= closesAt) {
+    return { auction: null, error: 'auction.starts_at must be before submission_deadline, when the auction closes' };
+  }
+  return { auction, error: null };
+};
+
+export const isInvitedToAuction = (rfx, user) =>
+  Boolean(user?.id && rfx?.auction?.invited_vendor_ids?.includes(user.id));
+
+/**
+ * `upcoming` before `starts_at`, `open` until the (possibly extended) close, then `closed`.
+ */
+export const getAuctionPhase = (rfx, now = new Date()) => {
+  if (rfx.status !== 'published') {
+    return rfx.status === 'draft' ? 'upcoming' : 'closed';
+  }
+  if (now < new Date(rfx.auction.starts_at)) {
+    return 'upcoming';
+  }
+  const { closesAt } = getSubmissionWindow(rfx);
+  return closesAt && now >= closesAt ? 'closed' : 'open';
+};
+
+/**
+ * Checks a bid against the ceiling and the vendor's own previous bid. Bids must strictly decrease by at
+ * least `min_decrement`.
+ */
+export const validateAuctionBid = (rfx, previousAmount, amount) => {
+  const { starting_price: ceiling, min_decrement: decrement } = rfx.auction;
+
+  if (!isNonNegativeNumber(amount) || amount === 0) {
+    return 'Bid amount must be a positive number';
+  }
+  if (ceiling !== null && amount > ceiling) {
+    return `Bids may not exceed the starting price of ${ceiling}`;
+  }
+  if (typeof previousAmount === 'number') {
+    const maximum = previousAmount - decrement;
+    if (amount >= previousAmount || amount > maximum) {
+      return decrement > 0
+        ? `Your new bid must be at most ${maximum} (your last bid less the ${decrement} minimum decrement)`
+        : `Your new bid must be lower than your last bid of ${previousAmount}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Anti-sniping: a bid inside the final `extension_window_minutes` moves the close to `extension_minutes`
+ * after the bid. Returns the new close, or null when the close does not move.
+ */
+export const getExtendedClose = (rfx, now = new Date()) => {
+  const { closesAt } = getSubmissionWindow(rfx);
+  const { extension_window_minutes: windowMinutes, extension_minutes: extensionMinutes } = rfx.auction;
+  if (!closesAt || extensionMinutes <= 0 || closesAt.getTime() - now.getTime() > windowMinutes * MINUTE_MS) {
+    return null;
+  }
+  const extended = new Date(now.getTime() + extensionMinutes * MINUTE_MS);
+  return extended > closesAt ? extended : null;
+};
+
+/**
+ * Ranks vendors by their current (lowest) bid; on a tie the vendor who reached that price first ranks higher.
+ * Aliases follow the order in which vendors entered the auction so they stay stable as ranks change.
+ */
+export const rankAuctionBids = (responses = []) => {
+  const aliases = new Map(
+    [...responses]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map((response, index) => [response.responder_id, `Bidder ${index + 1}`]),
+  );
+
+  return responses
+    .filter((response) => typeof response.bid_amount === 'number')
+    .sort((a, b) => a.bid_amount - b.bid_amount || new Date(a.last_bid_at) - new Date(b.last_bid_at))
+    .map((response, index) => ({
+      rank: index + 1,
+      alias: aliases.get(response.responder_id),
+      responder_id: response.responder_id,
+      response_id: response.id,
+      amount: response.bid_amount,
+      bid_count: response.auction_bid_count || 1,
+      last_bid_at: response.last_bid_at,
+    }));
+};
+
+/**
+ * What one viewer sees of the auction. The owner sees who holds each rank; vendors see prices and ranks
+ * against anonymous aliases, with their own row marked.
+ */
+export const buildAuctionView = (rfx, responses, viewer, { isOwner = false, now = new Date() } = {}) => {
+  const standings = rankAuctionBids(responses);
+  const { closesAt } = getSubmissionWindow(rfx);
+  const own = standings.find((entry) => entry.responder_id === viewer?.id);
+
+  return {
+    rfx_id: rfx.id,
+    phase: getAuctionPhase(rfx, now),
+    starts_at: rfx.auction.starts_at,
+    closes_at: closesAt ? closesAt.toISOString() : null,
+    extensions: rfx.auction_extensions || 0,
+    starting_price: rfx.auction.starting_price,
+    min_decrement: rfx.auction.min_decrement,
+    best_amount: standings[0]?.amount ?? null,
+    bidder_count: standings.length,
+    your_rank: own?.rank ?? null,
+    your_amount: own?.amount ?? null,
+    standings: standings.map(({ responder_id: responderId, response_id: responseId, ...entry }) =>
+      isOwner
+        ? { ...entry, responder_id: responderId, response_id: responseId }
+        : { ...entry, is_you: responderId === viewer?.id },
+    ),
+  };
+};
@@ -0,0 +1,21 @@
+export const loadRfx = async (supabase, rfxId, columns = '*') => {
+  const { data, error } = await supabase.from('rfx_opportunities').select(columns).eq('id', rfxId).single();
+  return { rfx: data || null, error };
+};
+
+export const isRfxOwner = (rfx, user) => Boolean(rfx && user?.id && rfx.created_by === user.id);
+
+export const isRfxEvaluator = async (supabase, rfxId, user) => {
+  if (!user?.id) {
+    return false;
+  }
+  const { data } = await supabase
+    .from('rfx_evaluators')
+    .select('id')
+    .eq('rfx_id', rfxId)
+    .eq('evaluator_id', user.id)
+    .maybeSingle();
+  return Boolean(data);
+};
+
+export default loadRfx;
@@ -0,0 +1,233 @@
+import { isPrivateRfx } from './rfxInvitations.js';
+import { matchesFilters, parseSearchParams } from './rfxSearch.js';
+import { isSupportedCurrency } from './currency.js';
+
+export const NOTIFICATION_TYPES = ['saved_search_match', 'rfx_amended', 'deadline_changed', 'question_answered'];
+
+// The RFx list filters a saved search can hold; they are matched with the same rules as GET /rfx.
+export const SAVED_SEARCH_FILTERS = ['q', 'category', 'naics', 'location', 'budget_min', 'budget_max', 'currency'];
+
+export const MAX_SAVED_SEARCHES = 25;
+
+// Amended fields that move a date vendors plan around; these alert as `deadline_changed`.
+const DEADLINE_FIELDS = ['submission_deadline', 'qa_cutoff_date'];
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? '').split(',')).map((entry) => String(entry).trim()).filter(Boolean);
+
+const normalizeFilters = (filters) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return { filters: null, error: 'filters must be an object' };
+  }
+
+  const unknown = Object.keys(filters).filter((key) => !SAVED_SEARCH_FILTERS.includes(key));
+  if (unknown.length) {
+    return { filters: null, error: `Unknown filters: ${unknown.join(', ')}` };
+  }
+
+  const normalized = {};
+  ['q', 'location'].forEach((key) => {
+    const value = String(filters[key] ?? '').trim();
+    if (value) {
+      normalized[key] = value;
+    }
+  });
+  ['category', 'naics'].forEach((key) => {
+    const values = toList(filters[key]);
+    if (values.length) {
+      normalized[key] = values;
+    }
+  });
+  for (const key of ['budget_min', 'budget_max']) {
+    if (filters[key] === undefined || filters[key] === null || filters[key] === '') {
+      continue;
+    }
+    const value = Number(filters[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { filters: null, error: `filters.${key} must be a non-negative number` };
+    }
+    normalized[key] = value;
+  }
+
+  if (filters.currency !== undefined && filters.currency !== null && filters.currency !== '') {
+    const currency = String(filters.currency).toUpperCase();
+    if (!isSupportedCurrency(currency)) {
+      return { filters: null, error: `filters.currency "${filters.currency}" has no exchange rate` };
+    }
+    if (normalized.budget_min === undefined && normalized.budget_max === undefined) {
+      return { filters: null, error: 'filters.currency only applies with budget_min or budget_max' };
+    }
+    normalized.currency = currency;
+  }
+
+  if (Object.keys(normalized).length === 0) {
+    return { filters: null, error: 'A saved search needs at least one filter' };
+  }
+  if (normalized.budget_min > normalized.budget_max) {
+    return { filters: null, error: 'filters.budget_min cannot exceed filters.budget_max' };
+  }
+  return { filters: normalized, error: null };
+};
+
+/**
+ * Validates a saved search: a `name`, the `filters` to match and whether `alerts_enabled`. With
+ * `partial: true` only the fields present are checked, for updates.
+ */
+export const normalizeSavedSearch = (body = {}, { partial = false } = {}) => {
+  const search = {};
+
+  if (body.name !== undefined || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { search: null, error: 'name is required' };
+    }
+    search.name = body.name.trim();
+  }
+
+  if (body.filters !== undefined || !partial) {
+    const { filters, error } = normalizeFilters(body.filters);
+    if (error) {
+      return { search: null, error };
+    }
+    search.filters = filters;
+  }
+
+  if (body.alerts_enabled !== undefined || !partial) {
+    search.alerts_enabled = body.alerts_enabled !== false;
+  }
+
+  return { search, error: null };
+};
+
+export const matchesSavedSearch = (rfx, search) => matchesFilters(rfx, parseSearchParams(search.filters || {}));
+
+/**
+ * One `saved_search_match` notification per user with a saved search matching `rfx`, naming every search that
+ * matched. The RFx owner is never alerted about their own RFx.
+ */
+export const buildSearchMatchNotifications = (rfx, searches = []) => {
+  const byUser = new Map();
+  searches
+    .filter((search) => search.alerts_enabled !== false && search.user_id !== rfx.created_by)
+    .filter((search) => matchesSavedSearch(rfx, search))
+    .forEach((search) => byUser.set(search.user_id, [...(byUser.get(search.user_id) || []), search]));
+
+  return [...byUser.entries()].map(([userId, matched]) => ({
+    user_id: userId,
+    rfx_id: rfx.id,
+    type: 'saved_search_match',
+    title: `New RFX matches ${matched.map((search) => `"${search.name}"`).join(', ')}`,
+    body: rfx.title,
+    data: { saved_search_ids: matched.map((search) => search.id) },
+  }));
+};
+
+/**
+ * What an amendment means to a watcher: a `deadline_changed` alert when it moves the submission deadline or
+ * the Q&A cutoff, otherwise `rfx_amended` with the fields that changed.
+ */
+export const describeAmendment = (rfx, amendment) => {
+  const changedFields = Object.keys(amendment.changes || {});
+  const deadlineChanges = DEADLINE_FIELDS.filter((field) => changedFields.includes(field));
+  const data = { amendment_id: amendment.id, version: amendment.version, changed_fields: changedFields };
+
+  if (deadlineChanges.length) {
+    return {
+      type: 'deadline_changed',
+      title: `Deadline changed on "${rfx.title}"`,
+      body: deadlineChanges
+        .map((field) => `${field.replace(/_/g, ' ')}: ${amendment.changes[field].to ?? 'none'}`)
+        .join('; '),
+      data,
+    };
+  }
+  return {
+    type: 'rfx_amended',
+    title: `Amendment ${amendment.version} to "${rfx.title}"`,
+    body: amendment.reason || `Changed: ${changedFields.join(', ')}`,
+    data,
+  };
+};
+
+export const describeAnswer = (rfx, question) => ({
+  type: 'question_answered',
+  title: `New answer on "${rfx.title}"`,
+  body: question.question,
+  data: { question_id: question.id },
+});
+
+const createNotifications = async (supabase, notifications) => {
+  if (!notifications.length) {
+    return { notifications: [], error: null };
+  }
+  const createdAt = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('notifications')
+    .insert(notifications.map((notification) => ({ ...notification, read_at: null, created_at: createdAt })))
+    .select('*');
+  return { notifications: data || [], error };
+};
+
+/**
+ * Runs the saved-search matcher for a published RFx. Each user hears about an RFx once, however often it is
+ * amended into or out of their searches. Private RFx are left out; invited vendors get their invitation.
+ */
+export const alertSavedSearches = async (supabase, rfx) => {
+  if (rfx.status !== 'published' || isPrivateRfx(rfx)) {
+    return { notifications: [], error: null };
+  }
+
+  const { data: searches, error } = await supabase.from('saved_searches').select('*').eq('alerts_enabled', true);
+  if (error) {
+    return { notifications: [], error };
+  }
+
+  const matches = buildSearchMatchNotifications(rfx, searches || []);
+  if (!matches.length) {
+    return { notifications: [], error: null };
+  }
+
+  const { data: previous } = await supabase
+    .from('notifications')
+    .select('user_id')
+    .eq('rfx_id', rfx.id)
+    .eq('type', 'saved_search_match');
+  const alerted = new Set((previous || []).map((notification) => notification.user_id));
+
+  return createNotifications(
+    supabase,
+    matches.filter((notification) => !alerted.has(notification.user_id)),
+  );
+};
+
+export const alertWatchers = async (supabase, rfx, event) => {
+  const { data: watchers, error } = await supabase.from('rfx_watchlist').select('user_id').eq('rfx_id', rfx.id);
+  if (error) {
+    return { notifications: [], error };
+  }
+
+  return createNotifications(
+    supabase,
+    (watchers || [])
+      .filter((watcher) => watcher.user_id !== rfx.created_by)
+      .map((watcher) => ({ ...event, user_id: watcher.user_id, rfx_id: rfx.id })),
+  );
+};
+
+/**
+ * Sends the alerts for a change to an RFx: the saved-search matcher when it is saved as published, and the
+ * watchers' alert for an `amendment` or a published `question` answer. Returns the first error, if any;
+ * alerts never fail the change that triggered them.
+ */
+export const dispatchRfxAlerts = async (supabase, rfx, { amendment = null, question = null } = {}) => {
+  const results = [];
+  if (!question) {
+    results.push(await alertSavedSearches(supabase, rfx));
+  }
+  if (amendment) {
+    results.push(await alertWatchers(supabase, rfx, describeAmendment(rfx, amendment)));
+  }
+  if (question) {
+    results.push(await alertWatchers(supabase, rfx, describeAnswer(rfx, question)));
+  }
+  return { error: results.find((result) => result.error)?.error || null };
+};
@@ -0,0 +1,90 @@
+// Fields whose post-publication edits are recorded as numbered amendments.
+export const AMENDABLE_FIELDS = [
+  'title',
+  'description',
+  'submission_deadline',
+  'qa_cutoff_date',
+  'timezone',
+  'grace_period_minutes',
+  'budget_range',
+  'budget_min',
+  'budget_max',
+  'budget_currency',
+  'requirements',
+  'category',
+  'location',
+  'naics_codes',
+  'set_aside',
+  'size_standard',
+  'lots',
+  'evaluation_criteria',
+  'required_documents',
+  'attachments',
+  'auction',
+];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+export const pickAmendableFields = (source = {}) =>
+  AMENDABLE_FIELDS.reduce((acc, field) => {
+    acc[field] = source[field] ?? null;
+    return acc;
+  }, {});
+
+/**
+ * Field-level diff between two RFx snapshots: `{ field: { from, to } }` for every amendable field that differs.
+ */
+export const diffFields = (before = {}, after = {}) =>
+  AMENDABLE_FIELDS.reduce((acc, field) => {
+    if (!isEqual(before[field], after[field])) {
+      acc[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+    return acc;
+  }, {});
+
+/**
+ * Changes requested by an update payload, ignoring fields that were not sent or did not change.
+ */
+export const diffUpdates = (rfx = {}, updates = {}) =>
+  AMENDABLE_FIELDS.reduce((acc, field) => {
+    if (Object.prototype.hasOwnProperty.call(updates, field) && !isEqual(rfx[field], updates[field])) {
+      acc[field] = { from: rfx[field] ?? null, to: updates[field] ?? null };
+    }
+    return acc;
+  }, {});
+
+export const getCurrentVersion = (rfx) => Number(rfx?.current_version) || 0;
+
+/**
+ * Rebuilds the amendable fields of an RFx as they stood at `version`.
+ * Version 0 is the originally published text; each amendment stores the snapshot after it was applied.
+ */
+export const resolveVersionSnapshot = (rfx, amendments = [], version) => {
+  const ordered = [...amendments].sort((a, b) => a.version - b.version);
+  if (version === 0) {
+    const first = ordered[0];
+    if (!first) {
+      return pickAmendableFields(rfx);
+    }
+    const original = { ...pickAmendableFields(first.snapshot) };
+    Object.entries(first.changes || {}).forEach(([field, change]) => {
+      original[field] = change.from;
+    });
+    return original;
+  }
+
+  const amendment = ordered.find((entry) => entry.version === version);
+  return amendment ? pickAmendableFields(amendment.snapshot) : null;
+};
+
+export const flagOutdatedResponses = (responses = [], rfx) => {
+  const currentVersion = getCurrentVersion(rfx);
+  return responses.map((response) => {
+    const respondedVersion = Number(response.rfx_version) || 0;
+    return {
+      ...response,
+      rfx_version: respondedVersion,
+      is_outdated: respondedVersion < currentVersion,
+    };
+  });
+};
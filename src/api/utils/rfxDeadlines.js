@@ -0,0 +1,139 @@
+const DEFAULT_TIMEZONE = 'UTC';
+const HAS_OFFSET_REGEX = /(Z|[+-]\d{2}:?\d{2})$/i;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const LOCAL_DATETIME_REGEX = /^(\d{4})-(\d{2})-(\d{2})[T\s](\d{2}):(\d{2})(?::(\d{2}))?/;
+
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Offset (ms) between the wall-clock time in `timeZone` and UTC at the given instant.
+const getTimezoneOffsetMs = (instantMs, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  })
+    .formatToParts(new Date(instantMs))
+    .reduce((acc, part) => {
+      acc[part.type] = Number(part.value);
+      return acc;
+    }, {});
+
+  const wallClockMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClockMs - Math.floor(instantMs / 1000) * 1000;
+};
+
+/**
+ * Resolves a deadline string to a Date. Values with an explicit offset are taken as-is; local values
+ * ("2025-03-01T17:00" or a bare date, meaning end of day) are read as wall-clock time in the buyer's timezone.
+ */
+export const resolveDeadline = (value, timeZone = DEFAULT_TIMEZONE) => {
+  if (!value) return null;
+  const raw = String(value).trim();
+
+  if (HAS_OFFSET_REGEX.test(raw)) {
+    const date = new Date(raw);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const zone = isValidTimezone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+  const local = DATE_ONLY_REGEX.test(raw) ? `${raw}T23:59:59` : raw;
+  const match = local.match(LOCAL_DATETIME_REGEX);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second = 0] = match.map((part) => part && Number(part));
+  const wallClockMs = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instantMs = wallClockMs - getTimezoneOffsetMs(wallClockMs, zone);
+  // Re-check once so times near a DST switch pick up the offset in force at the deadline itself.
+  instantMs = wallClockMs - getTimezoneOffsetMs(instantMs, zone);
+
+  return new Date(instantMs);
+};
+
+/**
+ * Why an RFx's timezone, submission deadline or Q&A cutoff cannot be stored, or null. A deadline that does not
+ * resolve would never close the RFx, and questions must stop no later than submissions.
+ */
+export const describeDeadlineError = (rfx = {}) => {
+  if (!isValidTimezone(rfx.timezone || DEFAULT_TIMEZONE)) {
+    return `Unknown timezone "${rfx.timezone}"`;
+  }
+
+  const deadline = resolveDeadline(rfx.submission_deadline, rfx.timezone || DEFAULT_TIMEZONE);
+  if (!deadline) {
+    return 'submission_deadline must be a valid date';
+  }
+
+  if (!rfx.qa_cutoff_date) {
+    return null;
+  }
+  const qaCutoff = resolveDeadline(rfx.qa_cutoff_date, rfx.timezone || DEFAULT_TIMEZONE);
+  if (!qaCutoff) {
+    return 'qa_cutoff_date must be a valid date';
+  }
+  return qaCutoff > deadline ? 'qa_cutoff_date must be on or before submission_deadline' : null;
+};
+
+export const getGracePeriodMs = (rfx = {}) => {
+  const minutes = rfx.grace_period_minutes ?? process.env.RFX_SUBMISSION_GRACE_MINUTES ?? 0;
+  const parsed = Number(minutes);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed * 60 * 1000 : 0;
+};
+
+/**
+ * Deadline as resolved in the RFx timezone, and the moment submissions actually stop once the grace window is added.
+ */
+export const getSubmissionWindow = (rfx = {}) => {
+  const deadline = resolveDeadline(rfx.submission_deadline, rfx.timezone);
+  return {
+    deadline,
+    closesAt: deadline ? new Date(deadline.getTime() + getGracePeriodMs(rfx)) : null,
+  };
+};
+
+export const isPastSubmissionWindow = (rfx, now = new Date()) => {
+  const { closesAt } = getSubmissionWindow(rfx);
+  return Boolean(closesAt) && now.getTime() > closesAt.getTime();
+};
+
+/**
+ * An approved late-submission exception applies until its `extended_until`, or indefinitely when it has none.
+ */
+export const isActiveException = (exception, now = new Date()) =>
+  exception?.status === 'approved' &&
+  (!exception.extended_until || now.getTime() <= new Date(exception.extended_until).getTime());
+
+/**
+ * Returns a reason the submission must be rejected, or null when it can be accepted.
+ * An approved late-submission exception re-opens the window for that vendor after the RFx has closed.
+ */
+export const getSubmissionBlocker = (rfx, { now = new Date(), exception = null } = {}) => {
+  const hasException = isActiveException(exception, now);
+
+  if (rfx.status === 'closed' && hasException) {
+    return null;
+  }
+
+  if (rfx.status !== 'published') {
+    return `This RFX is ${rfx.status} and is not accepting submissions`;
+  }
+
+  if (isPastSubmissionWindow(rfx, now) && !hasException) {
+    const { deadline } = getSubmissionWindow(rfx);
+    return `The submission deadline (${deadline.toISOString()}) has passed`;
+  }
+
+  return null;
+};
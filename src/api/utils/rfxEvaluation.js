@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+
+export const DEFAULT_MAX_SCORE = 10;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+const spreadOf = (values) => (values.length ? Math.max(...values) - Math.min(...values) : null);
+
+/**
+ * Validates a rubric. Weights are percentages and must add up to 100 so weighted totals read as a score out of 100.
+ */
+export const normalizeCriteria = (criteria) => {
+  if (criteria === undefined || criteria === null) {
+    return { criteria: [], error: null };
+  }
+  if (!Array.isArray(criteria)) {
+    return { criteria: null, error: 'evaluation_criteria must be an array' };
+  }
+  if (criteria.length === 0) {
+    return { criteria: [], error: null };
+  }
+
+  const normalized = [];
+  for (const [index, criterion] of criteria.entries()) {
+    const label = `evaluation_criteria[${index}]`;
+    if (!criterion || typeof criterion !== 'object' || !criterion.name) {
+      return { criteria: null, error: `${label}.name is required` };
+    }
+    if (typeof criterion.weight !== 'number' || !Number.isFinite(criterion.weight) || criterion.weight <= 0) {
+      return { criteria: null, error: `${label}.weight must be a positive number` };
+    }
+    const maxScore = criterion.max_score ?? DEFAULT_MAX_SCORE;
+    if (typeof maxScore !== 'number' || !Number.isFinite(maxScore) || maxScore <= 0) {
+      return { criteria: null, error: `${label}.max_score must be a positive number` };
+    }
+    normalized.push({
+      id: criterion.id || crypto.randomUUID(),
+      name: criterion.name,
+      description: criterion.description || null,
+      weight: criterion.weight,
+      max_score: maxScore,
+    });
+  }
+
+  if (new Set(normalized.map((criterion) => criterion.id)).size !== normalized.length) {
+    return { criteria: null, error: 'evaluation_criteria ids must be unique' };
+  }
+
+  const totalWeight = normalized.reduce((sum, criterion) => sum + criterion.weight, 0);
+  if (Math.abs(totalWeight - 100) > 0.001) {
+    return { criteria: null, error: `evaluation_criteria weights must add up to 100 (got ${round(totalWeight)})` };
+  }
+
+  return { criteria: normalized, error: null };
+};
+
+/**
+ * Checks one evaluator's score sheet against the rubric. Every criterion needs a score and a written rationale.
+ */
+export const validateScoreSheet = (criteria = [], scores = []) => {
+  if (!Array.isArray(scores)) {
+    return { scores: null, error: 'scores must be an array' };
+  }
+
+  const byCriterion = new Map(scores.map((entry) => [entry?.criterion_id, entry]));
+  const unknown = [...byCriterion.keys()].filter((id) => !criteria.some((criterion) => criterion.id === id));
+  if (unknown.length > 0) {
+    return { scores: null, error: `Unknown criteria: ${unknown.join(', ')}` };
+  }
+
+  const normalized = [];
+  for (const criterion of criteria) {
+    const entry = byCriterion.get(criterion.id);
+    if (!entry) {
+      return { scores: null, error: `A score for "${criterion.name}" is required` };
+    }
+    if (typeof entry.score !== 'number' || entry.score < 0 || entry.score > criterion.max_score) {
+      return { scores: null, error: `Score for "${criterion.name}" must be between 0 and ${criterion.max_score}` };
+    }
+    if (typeof entry.rationale !== 'string' || !entry.rationale.trim()) {
+      return { scores: null, error: `A rationale for "${criterion.name}" is required` };
+    }
+    normalized.push({ criterion_id: criterion.id, score: entry.score, rationale: entry.rationale.trim() });
+  }
+
+  return { scores: normalized, error: null };
+};
+
+export const computeWeightedTotal = (criteria = [], scores = []) =>
+  round(
+    criteria.reduce((total, criterion) => {
+      const entry = scores.find((score) => score.criterion_id === criterion.id);
+      return entry ? total + (entry.score / criterion.max_score) * criterion.weight : total;
+    }, 0),
+  );
+
+/**
+ * Consolidates evaluator score sheets per response: the consensus score is the mean weighted total across
+ * evaluators and the spread is the gap between the highest and lowest evaluator, overall and per criterion.
+ */
+export const summarizeEvaluations = (criteria = [], responses = [], sheets = []) =>
+  responses.map((response) => {
+    const responseSheets = sheets.filter((sheet) => sheet.response_id === response.id);
+    const totals = responseSheets.map((sheet) => computeWeightedTotal(criteria, sheet.scores));
+    const consensus = mean(totals);
+
+    return {
+      response_id: response.id,
+      responder_id: response.responder_id,
+      evaluator_count: responseSheets.length,
+      consensus_score: consensus === null ? null : round(consensus),
+      spread: totals.length ? round(spreadOf(totals)) : null,
+      evaluators: responseSheets.map((sheet, index) => ({
+        evaluator_id: sheet.evaluator_id,
+        weighted_total: totals[index],
+        submitted_at: sheet.submitted_at,
+      })),
+      criteria: criteria.map((criterion) => {
+        const values = responseSheets
+          .map((sheet) => sheet.scores.find((score) => score.criterion_id === criterion.id)?.score)
+          .filter((value) => typeof value === 'number');
+        return {
+          criterion_id: criterion.id,
+          name: criterion.name,
+          weight: criterion.weight,
+          mean_score: values.length ? round(mean(values)) : null,
+          spread: values.length ? round(spreadOf(values)) : null,
+        };
+      }),
+    };
+  });
@@ -0,0 +1,244 @@
+import { resolveDeadline } from './rfxDeadlines.js';
+import { getCurrentVersion } from './rfxAmendments.js';
+import { BASE_CURRENCY } from './currency.js';
+
+export const SOLICITATION_FORMATS = ['pdf', 'docx'];
+
+export const EXPORT_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  zip: 'application/zip',
+};
+
+// Responses can only be exported once bidding is over.
+export const RESPONSE_EXPORT_STATUSES = ['closed', 'evaluating', 'awarded'];
+
+export const formatExportDate = (value, timeZone = 'UTC') => {
+  const date = resolveDeadline(value, timeZone);
+  if (!date) {
+    return null;
+  }
+  return `${new Intl.DateTimeFormat('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone }).format(date)} (${timeZone})`;
+};
+
+/**
+ * File-system and header safe name, e.g. `W912-24-R-0001_janitorial-services`.
+ */
+export const buildExportFileName = (rfx, suffix, extension) => {
+  const slug = [rfx.solicitation_number, rfx.title]
+    .filter(Boolean)
+    .join('_')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+  return `${slug || `rfx-${rfx.id}`}${suffix ? `_${suffix}` : ''}.${extension}`;
+};
+
+const section = (heading, blocks) => (blocks.length ? [{ type: 'heading', text: heading }, ...blocks] : []);
+
+/**
+ * The solicitation as a list of document blocks, rendered to PDF or DOCX. Only published Q&A is included,
+ * since the package is what vendors receive.
+ */
+export const buildSolicitationBlocks = ({ rfx, amendments = [], questions = [] }) => {
+  const timeZone = rfx.timezone || 'UTC';
+  const fields = [
+    ['Solicitation number', rfx.solicitation_number],
+    ['Status', rfx.status],
+    ['Version', getCurrentVersion(rfx)],
+    ['Category', rfx.category],
+    ['Location', rfx.location],
+    ['NAICS codes', (rfx.naics_codes || []).join(', ')],
+    ['Budget', rfx.budget_range],
+    ['Submission deadline', formatExportDate(rfx.submission_deadline, timeZone)],
+    ['Questions due', formatExportDate(rfx.qa_cutoff_date, timeZone)],
+    ['Bidding', rfx.rfx_type === 'reverse_auction' ? 'Reverse auction' : rfx.sealed ? 'Sealed bids' : 'Open bids'],
+  ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+  const lots = (rfx.lots || []).flatMap((lot) => [
+    { type: 'paragraph', text: lot.description ? `${lot.name}: ${lot.description}` : lot.name },
+    ...lot.line_items.map((item) => ({
+      type: 'bullet',
+      text: `${item.clin ? `${item.clin} ` : ''}${item.description} (${item.quantity} ${item.unit})`,
+    })),
+  ]);
+
+  const publishedQuestions = questions.filter((question) => question.visibility === 'public' && question.answer);
+
+  return [
+    { type: 'title', text: rfx.title },
+    ...fields.map(([label, value]) => ({ type: 'field', label, text: String(value) })),
+    ...section('Description', [{ type: 'paragraph', text: rfx.description }]),
+    ...section('Requirements', rfx.requirements ? [{ type: 'paragraph', text: rfx.requirements }] : []),
+    ...section(
+      'Compliance matrix',
+      (rfx.compliance_matrix?.requirements || []).map((requirement) => ({
+        type: 'bullet',
+        text: `${requirement.id}${requirement.reference ? ` (${requirement.reference})` : ''}: ${requirement.text}`,
+      })),
+    ),
+    ...section('Lots and line items', lots),
+    ...section(
+      'Evaluation criteria',
+      (rfx.evaluation_criteria || []).map((criterion) => ({
+        type: 'bullet',
+        text: `${criterion.name} (${criterion.weight}%)${criterion.description ? `: ${criterion.description}` : ''}`,
+      })),
+    ),
+    ...section(
+      'Required documents',
+      (rfx.required_documents || []).map((document) => ({
+        type: 'bullet',
+        text: `${document.name}${document.mandatory ? '' : ' (optional)'}${document.description ? `: ${document.description}` : ''}`,
+      })),
+    ),
+    ...section(
+      'Amendments',
+      amendments.flatMap((amendment) => [
+        {
+          type: 'field',
+          label: `Amendment ${amendment.version}`,
+          text: `${formatExportDate(amendment.created_at, timeZone)}: ${amendment.reason}`,
+        },
+        { type: 'bullet', text: `Changed: ${Object.keys(amendment.changes || {}).join(', ') || 'none'}` },
+      ]),
+    ),
+    ...section(
+      'Questions and answers',
+      publishedQuestions.flatMap((question, index) => [
+        { type: 'field', label: `Q${index + 1}`, text: question.question },
+        { type: 'paragraph', text: `Answer: ${question.answer}` },
+      ]),
+    ),
+    ...section(
+      'Attachments',
+      (rfx.attachments || []).map((attachment) => ({ type: 'bullet', text: attachment.name || attachment.path })),
+    ),
+  ];
+};
+
+const vendorLabel = (vendors, responderId) => vendors.get(responderId)?.company_name || responderId;
+
+/**
+ * Sheets for the response workbook: one row per response, one row per evaluator score and, for RFx with
+ * lots, one row per priced line item. `responses` come from the evaluation summary so they carry the
+ * consensus score; `sheets` are the raw evaluator score sheets. `vendors` and `evaluators` map user ids to
+ * their profiles.
+ */
+export const buildResponseSheets = ({
+  rfx,
+  responses = [],
+  sheets = [],
+  vendors = new Map(),
+  evaluators = new Map(),
+}) => {
+  const lots = rfx.lots || [];
+  const criteria = rfx.evaluation_criteria || [];
+  const byResponse = new Map(responses.map((response) => [response.id, response]));
+
+  const responseSheet = {
+    name: 'Responses',
+    columns: [
+      { header: 'Vendor', width: 30 },
+      { header: 'Responder ID', width: 38 },
+      { header: 'Status', width: 14 },
+      { header: 'Submitted at', width: 22 },
+      { header: 'Late', width: 8 },
+      { header: 'Revision', width: 10 },
+      { header: `Bid amount (${rfx.budget_currency || BASE_CURRENCY})`, width: 18 },
+      ...lots.map((lot) => ({ header: `Lot: ${lot.name}`, width: 16 })),
+      { header: 'Consensus score', width: 16 },
+      { header: 'Score spread', width: 14 },
+      { header: 'Evaluators', width: 12 },
+      { header: 'Response', width: 80 },
+    ],
+    rows: responses.map((response) => [
+      vendorLabel(vendors, response.responder_id),
+      response.responder_id,
+      response.status,
+      response.updated_at || response.created_at,
+      Boolean(response.is_late),
+      response.revision_count || 1,
+      response.bid_amount ?? null,
+      ...lots.map((lot) => response.lot_totals?.find((entry) => entry.lot_id === lot.id)?.total ?? null),
+      response.evaluation_score ?? null,
+      response.evaluation?.spread ?? null,
+      response.evaluation?.evaluator_count ?? 0,
+      response.content,
+    ]),
+  };
+
+  const criterionById = new Map(criteria.map((criterion) => [criterion.id, criterion]));
+  const scoreSheet = {
+    name: 'Evaluator scores',
+    columns: [
+      { header: 'Vendor', width: 30 },
+      { header: 'Evaluator', width: 26 },
+      { header: 'Criterion', width: 26 },
+      { header: 'Weight', width: 10 },
+      { header: 'Score', width: 10 },
+      { header: 'Max score', width: 10 },
+      { header: 'Comments', width: 70 },
+      { header: 'Weighted total', width: 15 },
+    ],
+    rows: sheets
+      .filter((sheet) => byResponse.has(sheet.response_id))
+      .flatMap((sheet) =>
+        (sheet.scores || []).map((entry) => {
+          const criterion = criterionById.get(entry.criterion_id);
+          return [
+            vendorLabel(vendors, byResponse.get(sheet.response_id).responder_id),
+            evaluators.get(sheet.evaluator_id)?.email || sheet.evaluator_id,
+            criterion?.name || entry.criterion_id,
+            criterion?.weight ?? null,
+            entry.score,
+            criterion?.max_score ?? null,
+            entry.rationale,
+            sheet.weighted_total ?? null,
+          ];
+        }),
+      ),
+  };
+
+  if (lots.length === 0) {
+    return [responseSheet, scoreSheet];
+  }
+
+  const items = new Map(
+    lots.flatMap((lot) =>
+      lot.line_items.map((item) => [item.id, { lot: lot.name, clin: item.clin, description: item.description }]),
+    ),
+  );
+  const lineItemSheet = {
+    name: 'Line items',
+    columns: [
+      { header: 'Vendor', width: 30 },
+      { header: 'Lot', width: 24 },
+      { header: 'CLIN', width: 10 },
+      { header: 'Line item', width: 40 },
+      { header: 'Quantity', width: 10 },
+      { header: 'Unit', width: 10 },
+      { header: 'Unit price', width: 14 },
+      { header: 'Extended price', width: 16 },
+    ],
+    rows: responses.flatMap((response) =>
+      (response.line_item_prices || []).map((price) => {
+        const item = items.get(price.line_item_id) || {};
+        return [
+          vendorLabel(vendors, response.responder_id),
+          item.lot || price.lot_id,
+          item.clin || null,
+          item.description || price.line_item_id,
+          price.quantity,
+          price.unit,
+          price.unit_price,
+          price.extended_price,
+        ];
+      }),
+    ),
+  };
+
+  return [responseSheet, scoreSheet, lineItemSheet];
+};
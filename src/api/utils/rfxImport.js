@@ -0,0 +1,252 @@
+import { resolveSetAsideType } from './setAsides.js';
+
+export const IMPORT_FORMATS = ['csv', 'json', 'sam_gov'];
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Common legacy column names for RFx fields. Explicit `mapping` entries take precedence.
+const FIELD_ALIASES = {
+  title: ['name', 'subject', 'opportunity_title'],
+  description: ['summary', 'overview', 'scope'],
+  submission_deadline: ['deadline', 'due_date', 'close_date', 'closing_date', 'response_deadline'],
+  qa_cutoff_date: ['questions_due', 'question_deadline', 'qa_deadline'],
+  budget_range: ['budget', 'estimated_value'],
+  budget_min: ['min_budget', 'budget_low'],
+  budget_max: ['max_budget', 'budget_high'],
+  budget_currency: ['currency'],
+  naics_codes: ['naics', 'naics_code'],
+  location: ['place_of_performance'],
+  set_aside: ['set_aside_type', 'type_of_set_aside'],
+  solicitation_number: ['solicitation', 'solicitation_no', 'solicitation_id', 'rfx_number', 'reference_number'],
+};
+
+const ARRAY_FIELDS = new Set(['naics_codes']);
+const NUMBER_FIELDS = new Set(['grace_period_minutes', 'budget_min', 'budget_max']);
+const BOOLEAN_FIELDS = new Set(['sealed', 'blind_evaluation']);
+// Structured fields that a CSV cell cannot express; they are only read from JSON imports.
+const STRUCTURED_FIELDS = new Set(['lots', 'evaluation_criteria', 'required_documents', 'size_standard']);
+
+const normalizeHeader = (header) =>
+  String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+export const normalizeSolicitationNumber = (value) =>
+  typeof value === 'string' || typeof value === 'number' ? String(value).trim().toUpperCase().replace(/\s+/g, '') : '';
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, newlines and doubled quotes. The first record is the header.
+ */
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { rows: null, error: 'CSV has an unterminated quoted field' };
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header, ...body] = records.filter((row) => row.some((cell) => cell.trim() !== ''));
+  if (!header) {
+    return { rows: [], error: null };
+  }
+
+  return {
+    rows: body.map((cells) =>
+      header.reduce((acc, column, index) => {
+        acc[column.trim()] = cells[index]?.trim() ?? '';
+        return acc;
+      }, {}),
+    ),
+    error: null,
+  };
+};
+
+const formatPlace = (place) => {
+  if (!place) {
+    return null;
+  }
+  const parts = [place.city?.name, place.state?.code || place.state?.name, place.country?.code].filter(Boolean);
+  return parts.length ? parts.join(', ') : null;
+};
+
+/**
+ * Maps one record of a SAM.gov opportunities export (the `opportunitiesData` entries of the Opportunities
+ * API) onto RFx fields. SAM.gov usually publishes the description as a link, which is kept as a pointer.
+ */
+export const mapSamOpportunity = (opportunity = {}) => {
+  const hasInlineDescription = opportunity.description && !/^https?:\/\//i.test(opportunity.description);
+  const naicsCodes =
+    Array.isArray(opportunity.naicsCodes) && opportunity.naicsCodes.length
+      ? opportunity.naicsCodes
+      : [opportunity.naicsCode].filter(Boolean);
+  // Set-aside codes the platform does not enforce (e.g. local area) stay in import_source only.
+  const setAside = resolveSetAsideType(opportunity.typeOfSetAside);
+
+  return {
+    title: opportunity.title,
+    solicitation_number: opportunity.solicitationNumber || opportunity.noticeId,
+    description: hasInlineDescription
+      ? opportunity.description
+      : `Imported from SAM.gov notice ${opportunity.noticeId || opportunity.solicitationNumber}` +
+        (opportunity.uiLink ? `: ${opportunity.uiLink}` : ''),
+    submission_deadline: opportunity.responseDeadLine,
+    naics_codes: naicsCodes.map(String),
+    location: formatPlace(opportunity.placeOfPerformance),
+    ...(setAside ? { set_aside: setAside } : {}),
+  };
+};
+
+export const describeSamSource = (opportunity = {}) => ({
+  system: 'sam_gov',
+  notice_id: opportunity.noticeId || null,
+  notice_type: opportunity.type || null,
+  set_aside: opportunity.typeOfSetAside || null,
+  ui_link: opportunity.uiLink || null,
+});
+
+const safeParseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (_error) {
+    return null;
+  }
+};
+
+/**
+ * Turns the uploaded data into a list of records. CSV arrives as text, JSON as an array of objects, and a
+ * SAM.gov export as the API response (or just its `opportunitiesData` array).
+ */
+export const parseImportData = (format, data) => {
+  if (format === 'csv') {
+    if (typeof data !== 'string') {
+      return { records: null, error: 'CSV imports must send the file contents as a string' };
+    }
+    const { rows, error } = parseCsv(data);
+    return { records: rows, error };
+  }
+
+  const parsed = typeof data === 'string' ? safeParseJson(data) : data;
+  const records = format === 'sam_gov' && parsed && !Array.isArray(parsed) ? parsed.opportunitiesData : parsed;
+  if (!Array.isArray(records) || records.some((record) => !record || typeof record !== 'object')) {
+    return {
+      records: null,
+      error:
+        format === 'sam_gov'
+          ? 'SAM.gov imports must contain an opportunitiesData array'
+          : 'JSON imports must be an array of objects',
+    };
+  }
+  return { records, error: null };
+};
+
+const coerceValue = (field, value, errors) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (ARRAY_FIELDS.has(field)) {
+    return Array.isArray(value)
+      ? value.map(String)
+      : String(value)
+          .split(/[;,|\s]+/)
+          .filter(Boolean);
+  }
+  if (NUMBER_FIELDS.has(field)) {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      errors.push(`${field} must be a number`);
+      return undefined;
+    }
+    return number;
+  }
+  if (BOOLEAN_FIELDS.has(field)) {
+    return typeof value === 'boolean' ? value : ['true', 'yes', 'y', '1'].includes(String(value).toLowerCase());
+  }
+  if (STRUCTURED_FIELDS.has(field)) {
+    return value;
+  }
+  return String(value);
+};
+
+/**
+ * Maps a CSV or JSON record onto `fields`. A column matches a field by `mapping` (`{ field: column }`), by the
+ * field name itself, or by a common alias; header case and punctuation are ignored.
+ */
+export const mapImportRecord = (record, fields, mapping = {}) => {
+  const columns = new Map(Object.keys(record).map((column) => [normalizeHeader(column), column]));
+  const values = {};
+  const errors = [];
+
+  fields.forEach((field) => {
+    const candidates = [mapping[field], field, ...(FIELD_ALIASES[field] || [])].filter(Boolean);
+    const column = candidates.map(normalizeHeader).find((candidate) => columns.has(candidate));
+    if (!column) {
+      return;
+    }
+    const value = coerceValue(field, record[columns.get(column)], errors);
+    if (value !== undefined) {
+      values[field] = value;
+    }
+  });
+
+  return { values, errors };
+};
+
+/**
+ * Flags rows whose solicitation number repeats an earlier row of the same import or an existing RFx.
+ * `existing` maps normalized solicitation numbers to RFx ids.
+ */
+export const findDuplicates = (rows, existing = new Map()) => {
+  const seen = new Map();
+  return rows.map((row, index) => {
+    const number = normalizeSolicitationNumber(row.solicitation_number);
+    if (!number) {
+      return null;
+    }
+    const label = String(row.solicitation_number).trim();
+    if (existing.has(number)) {
+      return { reason: `Solicitation ${label} already exists`, rfx_id: existing.get(number) };
+    }
+    if (seen.has(number)) {
+      return { reason: `Solicitation ${label} repeats row ${seen.get(number) + 1}`, rfx_id: null };
+    }
+    seen.set(number, index);
+    return null;
+  });
+};
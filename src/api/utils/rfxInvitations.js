@@ -0,0 +1,103 @@
+import crypto from 'crypto';
+import { loadRfx, isRfxOwner, isRfxEvaluator } from './rfxAccess.js';
+import { isAdminUser } from '../middleware/authGuard.js';
+
+export const RFX_VISIBILITIES = ['public', 'private'];
+
+export const INVITATION_STATUSES = ['sent', 'viewed', 'declined', 'responded'];
+
+// Statuses only move forward, so a late page view never overwrites a decline or a response.
+const STATUS_RANK = { sent: 0, viewed: 1, declined: 2, responded: 3 };
+
+export const isPrivateRfx = (rfx) => rfx?.visibility === 'private';
+
+export const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+export const hashInvitationToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Only the hash is stored; the raw token exists in the invitation link alone.
+ */
+export const createInvitationToken = () => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, tokenHash: hashInvitationToken(token) };
+};
+
+export const buildInvitationUrl = (token) =>
+  `${(process.env.APP_URL || 'https://accelprocure.com').replace(/\/$/, '')}/invitations/${token}`;
+
+/**
+ * Invitations addressed to a user, either directly by profile id or by the email they signed up with.
+ */
+export const findUserInvitations = async (supabase, user, rfxId) => {
+  if (!user?.id) {
+    return [];
+  }
+
+  const queries = [['vendor_id', user.id]];
+  if (user.email) {
+    queries.push(['email', normalizeEmail(user.email)]);
+  }
+
+  const results = await Promise.all(
+    queries.map(([column, value]) => {
+      let query = supabase.from('rfx_invitations').select('*').eq(column, value);
+      if (rfxId) {
+        query = query.eq('rfx_id', rfxId);
+      }
+      return query;
+    }),
+  );
+
+  const byId = new Map();
+  results.forEach(({ data }) => (data || []).forEach((invitation) => byId.set(invitation.id, invitation)));
+  return [...byId.values()];
+};
+
+/**
+ * Whether `user` may see `rfx`. Public RFx are open to everyone signed in; private RFx only to the owner,
+ * admins, assigned evaluators and invited vendors. Returns the matching invitation for invited vendors.
+ */
+export const checkRfxVisibility = async (supabase, rfx, user) => {
+  if (!isPrivateRfx(rfx) || isRfxOwner(rfx, user) || isAdminUser(user)) {
+    return { allowed: true, invitation: null };
+  }
+
+  const [invitation] = await findUserInvitations(supabase, user, rfx.id);
+  if (invitation) {
+    return { allowed: true, invitation };
+  }
+
+  return { allowed: await isRfxEvaluator(supabase, rfx.id, user), invitation: null };
+};
+
+/**
+ * `loadRfx` for vendor-facing endpoints: a private RFx the user may not see is reported as missing, so its
+ * existence is not disclosed.
+ */
+export const loadVisibleRfx = async (supabase, rfxId, user, columns = '*') => {
+  const { rfx, error } = await loadRfx(supabase, rfxId, columns);
+  if (error || !rfx) {
+    return { rfx: null, invitation: null, error: error || new Error('RFX not found') };
+  }
+
+  const { allowed, invitation } = await checkRfxVisibility(supabase, rfx, user);
+  if (!allowed) {
+    return { rfx: null, invitation: null, error: new Error('RFX not found') };
+  }
+  return { rfx, invitation, error: null };
+};
+
+export const advanceInvitation = async (supabase, invitation, status, extra = {}) => {
+  if (!invitation || STATUS_RANK[status] <= STATUS_RANK[invitation.status]) {
+    return invitation;
+  }
+
+  const { data } = await supabase
+    .from('rfx_invitations')
+    .update({ ...extra, status, [`${status}_at`]: new Date().toISOString() })
+    .eq('id', invitation.id)
+    .select('*')
+    .single();
+  return data || invitation;
+};
@@ -0,0 +1,44 @@
+export const RFX_STATUSES = ['draft', 'published', 'closed', 'evaluating', 'awarded', 'cancelled'];
+
+export const INITIAL_RFX_STATUSES = ['draft', 'published'];
+
+export const TERMINAL_RFX_STATUSES = ['awarded', 'cancelled'];
+
+export const RFX_STATUS_TRANSITIONS = {
+  draft: ['published', 'cancelled'],
+  published: ['closed', 'cancelled'],
+  closed: ['evaluating', 'cancelled'],
+  evaluating: ['awarded', 'cancelled'],
+  awarded: [],
+  cancelled: [],
+};
+
+export const isValidRfxStatus = (status) => RFX_STATUSES.includes(status);
+
+export const getAllowedTransitions = (status) => RFX_STATUS_TRANSITIONS[status] || [];
+
+export const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Returns an error message when moving from `from` to `to` is not permitted,
+ * or null when the transition is allowed.
+ */
+export const describeTransitionError = (from, to) => {
+  if (!isValidRfxStatus(to)) {
+    return `Unknown RFX status "${to}". Expected one of: ${RFX_STATUSES.join(', ')}`;
+  }
+  if (canTransition(from, to)) {
+    return null;
+  }
+  const allowed = getAllowedTransitions(from);
+  return allowed.length
+    ? `Cannot move RFX from ${from} to ${to}. Allowed next states: ${allowed.join(', ')}`
+    : `RFX is ${from} and can no longer change status`;
+};
+
+export default {
+  statuses: RFX_STATUSES,
+  transitions: RFX_STATUS_TRANSITIONS,
+  canTransition,
+  describeTransitionError,
+};
@@ -0,0 +1,156 @@
+import crypto from 'crypto';
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+export const hasLots = (rfx) => Array.isArray(rfx?.lots) && rfx.lots.length > 0;
+
+/**
+ * Validates a lots payload and assigns ids to new lots and line items. Existing ids are kept so that
+ * line-item prices already submitted against them stay attached after an amendment.
+ */
+export const normalizeLots = (lots) => {
+  if (lots === undefined || lots === null) {
+    return { lots: [], error: null };
+  }
+  if (!Array.isArray(lots)) {
+    return { lots: null, error: 'lots must be an array' };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+
+  for (const [lotIndex, lot] of lots.entries()) {
+    const label = `lots[${lotIndex}]`;
+    if (!lot || typeof lot !== 'object' || !lot.name) {
+      return { lots: null, error: `${label}.name is required` };
+    }
+    if (!Array.isArray(lot.line_items) || lot.line_items.length === 0) {
+      return { lots: null, error: `${label} must have at least one line item` };
+    }
+
+    const lineItems = [];
+    for (const [itemIndex, item] of lot.line_items.entries()) {
+      const itemLabel = `${label}.line_items[${itemIndex}]`;
+      if (!item || typeof item !== 'object' || !item.description) {
+        return { lots: null, error: `${itemLabel}.description is required` };
+      }
+      if (typeof item.quantity !== 'number' || !Number.isFinite(item.quantity) || item.quantity <= 0) {
+        return { lots: null, error: `${itemLabel}.quantity must be a positive number` };
+      }
+      if (!item.unit) {
+        return { lots: null, error: `${itemLabel}.unit is required` };
+      }
+      lineItems.push({
+        id: item.id || crypto.randomUUID(),
+        clin: item.clin || null,
+        description: item.description,
+        quantity: item.quantity,
+        unit: item.unit,
+      });
+    }
+
+    const lotId = lot.id || crypto.randomUUID();
+    for (const id of [lotId, ...lineItems.map((item) => item.id)]) {
+      if (seen.has(id)) {
+        return { lots: null, error: `Duplicate lot or line item id "${id}"` };
+      }
+      seen.add(id);
+    }
+
+    normalized.push({ id: lotId, name: lot.name, description: lot.description || null, line_items: lineItems });
+  }
+
+  return { lots: normalized, error: null };
+};
+
+/**
+ * Prices a response against the RFx lots. Vendors may bid on any subset of lots, but a lot they bid on
+ * must be priced in full. Returns the stored `line_item_prices`, per-lot totals and the overall `bid_amount`.
+ */
+export const priceLineItems = (lots = [], lineItemPrices = []) => {
+  if (!Array.isArray(lineItemPrices) || lineItemPrices.length === 0) {
+    return { error: 'line_item_prices are required for an RFX with lots' };
+  }
+
+  const prices = new Map();
+  for (const entry of lineItemPrices) {
+    const unitPrice = entry?.unit_price;
+    if (!entry?.line_item_id) {
+      return { error: 'Each line item price needs a line_item_id' };
+    }
+    if (typeof unitPrice !== 'number' || !Number.isFinite(unitPrice) || unitPrice < 0) {
+      return { error: `unit_price for line item "${entry.line_item_id}" must be a non-negative number` };
+    }
+    if (prices.has(entry.line_item_id)) {
+      return { error: `Line item "${entry.line_item_id}" is priced more than once` };
+    }
+    prices.set(entry.line_item_id, unitPrice);
+  }
+
+  const priced = [];
+  const lotTotals = [];
+
+  for (const lot of lots) {
+    const pricedItems = lot.line_items.filter((item) => prices.has(item.id));
+    if (pricedItems.length === 0) {
+      continue;
+    }
+    if (pricedItems.length !== lot.line_items.length) {
+      return { error: `Every line item in lot "${lot.name}" must be priced to bid on it` };
+    }
+
+    let total = 0;
+    for (const item of lot.line_items) {
+      const unitPrice = prices.get(item.id);
+      const extendedPrice = roundCurrency(unitPrice * item.quantity);
+      total += extendedPrice;
+      prices.delete(item.id);
+      priced.push({
+        lot_id: lot.id,
+        line_item_id: item.id,
+        quantity: item.quantity,
+        unit: item.unit,
+        unit_price: unitPrice,
+        extended_price: extendedPrice,
+      });
+    }
+    lotTotals.push({ lot_id: lot.id, total: roundCurrency(total) });
+  }
+
+  if (prices.size > 0) {
+    return { error: `Unknown line item ids: ${[...prices.keys()].join(', ')}` };
+  }
+
+  return {
+    error: null,
+    line_item_prices: priced,
+    lot_totals: lotTotals,
+    bid_amount: roundCurrency(lotTotals.reduce((sum, lot) => sum + lot.total, 0)),
+  };
+};
+
+/**
+ * Groups responses by the lots they bid on, cheapest total first. `scoreFor(response, lotTotal)` supplies
+ * the evaluation score for each bid.
+ */
+export const rankResponsesByLot = (lots = [], responses = [], scoreFor = () => null) =>
+  lots.map((lot) => {
+    const bids = responses
+      .map((response) => {
+        const lotTotal = (response.lot_totals || []).find((entry) => entry.lot_id === lot.id);
+        if (!lotTotal) {
+          return null;
+        }
+        return {
+          response_id: response.id,
+          responder_id: response.responder_id,
+          total: lotTotal.total,
+          evaluation_score: scoreFor(response, lotTotal.total),
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.total - b.total)
+      .map((bid, index) => ({ ...bid, price_rank: index + 1 }));
+
+    return { lot_id: lot.id, name: lot.name, bid_count: bids.length, bids };
+  });
@@ -0,0 +1,133 @@
+import { buildDraftFromRfx } from './rfxTemplates.js';
+
+export const PIPELINE_STAGE_TYPES = ['rfi', 'rfp', 'rfq', 'bafo'];
+
+export const STAGE_LABELS = { rfi: 'RFI', rfp: 'RFP', rfq: 'RFQ', bafo: 'BAFO' };
+
+// A stage can only be advanced once its submissions are in.
+export const ADVANCEABLE_STATUSES = ['closed', 'evaluating', 'awarded'];
+
+const STAGE_SUFFIX = new RegExp(`\\s+[–-]\\s+(?:${Object.values(STAGE_LABELS).join('|')})$`);
+
+export const stageTitle = (title, stageType) =>
+  `${String(title || '').replace(STAGE_SUFFIX, '')} – ${STAGE_LABELS[stageType]}`;
+
+/**
+ * Checks a request to advance `source` to a new stage. `respondentIds` are the vendors with an active response
+ * on the source stage; only they can be carried over. Returns `{ status, error }` when the request must be
+ * refused.
+ */
+export const checkAdvance = (source, { stageType, vendorIds, respondentIds = [] }) => {
+  if (!source.pipeline_id) {
+    return { status: 409, error: 'Add this RFX to a pipeline with POST /rfx/pipelines before advancing it' };
+  }
+  if (!ADVANCEABLE_STATUSES.includes(source.status)) {
+    return { status: 409, error: `Close this stage before advancing; it is ${source.status}` };
+  }
+  if (!PIPELINE_STAGE_TYPES.includes(stageType)) {
+    return { status: 400, error: `stage_type must be one of: ${PIPELINE_STAGE_TYPES.join(', ')}` };
+  }
+  if (stageType === 'rfi') {
+    return { status: 400, error: 'An RFI can only be the first stage of a pipeline' };
+  }
+  if (!Array.isArray(vendorIds) || vendorIds.length === 0) {
+    return { status: 400, error: 'Select at least one vendor to carry over in vendor_ids' };
+  }
+  const respondents = new Set(respondentIds);
+  const unknown = vendorIds.filter((vendorId) => !respondents.has(vendorId));
+  if (unknown.length) {
+    return {
+      status: 400,
+      error: `Only vendors who responded to this stage can be carried over: ${unknown.join(', ')}`,
+    };
+  }
+  return { error: null };
+};
+
+/**
+ * The request body for the next stage: the source's requirements, lots, rubric and documents, retitled for the
+ * new stage and private to the carried-over vendors. `overrides` replace any copied field.
+ */
+export const buildNextStageBody = (source, stageType, overrides = {}) =>
+  buildDraftFromRfx(source, {
+    title: stageTitle(source.title, stageType),
+    ...overrides,
+    visibility: 'private',
+  });
+
+/**
+ * The whole pipeline, stage by stage. Each stage lists its vendors with how far they got: invited, responded,
+ * their consensus score, whether they were carried into the next stage and whether they won the award. Its
+ * `history` holds the amendments and published Q&A answers, which a later stage does not repeat.
+ */
+export const buildPipelineView = ({
+  pipeline,
+  stages = [],
+  invitations = [],
+  responses = [],
+  awards = [],
+  amendments = [],
+  questions = [],
+}) => {
+  const ordered = [...stages].sort((a, b) => a.pipeline_stage - b.pipeline_stage);
+  const awardById = new Map(awards.map((award) => [award.id, award]));
+
+  const stageViews = ordered.map((stage, index) => {
+    const next = ordered[index + 1];
+    const carriedForward = new Set(next?.carried_vendor_ids || []);
+    const award = stage.award_id ? awardById.get(stage.award_id) || null : null;
+    const winners = new Set((award?.winners || []).map((winner) => winner.responder_id));
+
+    const stageInvitations = invitations.filter((invitation) => invitation.rfx_id === stage.id);
+    const stageResponses = responses.filter((response) => response.rfx_id === stage.id);
+    const vendorIds = [
+      ...new Set([
+        ...stageInvitations.map((invitation) => invitation.vendor_id).filter(Boolean),
+        ...stageResponses.map((response) => response.responder_id),
+      ]),
+    ];
+
+    const vendors = vendorIds.map((vendorId) => {
+      const invitation = stageInvitations.find((entry) => entry.vendor_id === vendorId);
+      const response = stageResponses.find((entry) => entry.responder_id === vendorId);
+      return {
+        vendor_id: vendorId,
+        invitation_status: invitation?.status || null,
+        response_status: response?.status || null,
+        evaluation_score: response?.evaluation_score ?? null,
+        advanced: carriedForward.has(vendorId),
+        awarded: winners.has(vendorId),
+      };
+    });
+
+    return {
+      stage: stage.pipeline_stage,
+      stage_type: stage.stage_type,
+      rfx_id: stage.id,
+      title: stage.title,
+      status: stage.status,
+      submission_deadline: stage.submission_deadline,
+      previous_stage_id: stage.previous_stage_id || null,
+      invited: stageInvitations.length,
+      responded: stageResponses.filter((response) => response.status !== 'withdrawn').length,
+      vendors,
+      award: award && { id: award.id, total_amount: award.total_amount, awarded_at: award.awarded_at },
+      history: {
+        amendments: amendments
+          .filter((amendment) => amendment.rfx_id === stage.id)
+          .map(({ version, reason, created_at: createdAt }) => ({ version, reason, created_at: createdAt })),
+        questions: questions
+          .filter((question) => question.rfx_id === stage.id)
+          .map(({ question, answer, published_at: publishedAt }) => ({ question, answer, published_at: publishedAt })),
+      },
+    };
+  });
+
+  const current = stageViews[stageViews.length - 1] || null;
+  return {
+    ...pipeline,
+    stage_count: stageViews.length,
+    current_stage: current && { stage: current.stage, stage_type: current.stage_type, rfx_id: current.rfx_id },
+    stages: stageViews,
+  };
+};
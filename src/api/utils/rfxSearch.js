@@ -0,0 +1,287 @@
+import { resolveDeadline } from './rfxDeadlines.js';
+import { BASE_CURRENCY, convertAmount, getExchangeRates, isSupportedCurrency, parseBudgetRange } from './currency.js';
+
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+const TEXT_FIELD_WEIGHTS = { title: 3, requirements: 1.5, description: 1 };
+const SORT_FIELDS = ['deadline', 'budget', 'relevance', 'created_at'];
+
+// Deadlines are resolved in each RFx's own timezone, so the database pre-filter is a day wider either way.
+const DEADLINE_PADDING_MS = 24 * 60 * 60 * 1000;
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value ?? '').split(',')).map((entry) => String(entry).trim()).filter(Boolean);
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((token) => token.length > 1);
+
+/**
+ * Numeric budget bounds for an RFx in `currency`. Uses `budget_min`/`budget_max` when present and otherwise
+ * reads amounts such as "$50k-$100k" out of the free-text `budget_range` (RFx created before budgets were
+ * structured). Budgets in a currency without an exchange rate have no bounds.
+ */
+export const extractBudgetBounds = (rfx = {}, { currency = BASE_CURRENCY, rates = getExchangeRates() } = {}) => {
+  let min = toNumber(rfx.budget_min);
+  let max = toNumber(rfx.budget_max);
+  let source = rfx.budget_currency || BASE_CURRENCY;
+  if (min === null && max === null) {
+    const parsed = parseBudgetRange(rfx.budget_range, { currency: source, rates });
+    ({ budget_min: min, budget_max: max, budget_currency: source } = parsed);
+  }
+  if (min === null && max === null) {
+    return { min: null, max: null };
+  }
+
+  const bounds = {
+    min: convertAmount(min ?? max, source, currency, rates),
+    max: convertAmount(max ?? min, source, currency, rates),
+  };
+  return bounds.min === null ? { min: null, max: null } : bounds;
+};
+
+export const parseSearchParams = (query = {}, user = {}) => {
+  const requestedSort = String(query.sort || '').trim();
+  const descending = requestedSort.startsWith('-');
+  const sortField = requestedSort.replace(/^-/, '');
+  const q = String(query.q || '').trim();
+
+  return {
+    q,
+    terms: tokenize(q),
+    statuses: toList(query.status),
+    categories: toList(query.category),
+    naics: toList(query.naics),
+    location: String(query.location || '')
+      .trim()
+      .toLowerCase(),
+    budgetMin: toNumber(query.budget_min),
+    budgetMax: toNumber(query.budget_max),
+    // Budget filters and the budget sort compare every RFx converted into this currency.
+    currency: isSupportedCurrency(String(query.currency || '').toUpperCase())
+      ? String(query.currency).toUpperCase()
+      : BASE_CURRENCY,
+    deadlineFrom: toDate(query.deadline_from),
+    deadlineTo: toDate(query.deadline_to),
+    createdBy: query.created_by === 'me' ? user.id : query.created_by || null,
+    sort: SORT_FIELDS.includes(sortField) ? sortField : q ? 'relevance' : 'created_at',
+    // `-field` sorts descending; relevance and the default newest-first order are always descending.
+    descending: SORT_FIELDS.includes(sortField) && sortField !== 'relevance' ? descending : true,
+    limit: Math.min(Math.max(toNumber(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    offset: Math.max(toNumber(query.offset) || 0, 0),
+    cursor: query.cursor || null,
+  };
+};
+
+export const scoreRelevance = (rfx, terms = [], phrase = '') => {
+  if (!terms.length) return 0;
+  let score = 0;
+  Object.entries(TEXT_FIELD_WEIGHTS).forEach(([field, weight]) => {
+    const tokens = tokenize(rfx[field]);
+    terms.forEach((term) => {
+      const hits = tokens.filter((token) => token === term).length;
+      const partial = tokens.filter((token) => token !== term && token.startsWith(term)).length;
+      score += (hits + partial * 0.5) * weight;
+    });
+    if (
+      phrase &&
+      String(rfx[field] || '')
+        .toLowerCase()
+        .includes(phrase.toLowerCase())
+    ) {
+      score += weight * 2;
+    }
+  });
+  return Number(score.toFixed(3));
+};
+
+const matchesText = (rfx, terms) => {
+  if (!terms.length) return true;
+  const haystack = new Set(Object.keys(TEXT_FIELD_WEIGHTS).flatMap((field) => tokenize(rfx[field])));
+  return terms.every((term) => [...haystack].some((token) => token.startsWith(term)));
+};
+
+export const matchesFilters = (rfx, params) => {
+  if (params.statuses.length && !params.statuses.includes(rfx.status)) return false;
+  if (params.categories.length && !params.categories.includes(rfx.category)) return false;
+  if (params.createdBy && rfx.created_by !== params.createdBy) return false;
+
+  if (params.naics.length) {
+    const codes = (rfx.naics_codes || []).map(String);
+    if (!params.naics.some((prefix) => codes.some((code) => code.startsWith(prefix)))) return false;
+  }
+
+  if (
+    params.location &&
+    !String(rfx.location || '')
+      .toLowerCase()
+      .includes(params.location)
+  )
+    return false;
+
+  if (params.budgetMin !== null || params.budgetMax !== null) {
+    const { min, max } = extractBudgetBounds(rfx, { currency: params.currency });
+    if (min === null) return false;
+    if (params.budgetMin !== null && max < params.budgetMin) return false;
+    if (params.budgetMax !== null && min > params.budgetMax) return false;
+  }
+
+  if (params.deadlineFrom || params.deadlineTo) {
+    const deadline = resolveDeadline(rfx.submission_deadline, rfx.timezone);
+    if (!deadline) return false;
+    if (params.deadlineFrom && deadline < params.deadlineFrom) return false;
+    if (params.deadlineTo && deadline > params.deadlineTo) return false;
+  }
+
+  return matchesText(rfx, params.terms);
+};
+
+const escapeLike = (value) => value.replace(/[%_\\]/g, '\\$&');
+
+/**
+ * Narrows a Supabase query on `rfx_opportunities` with every filter the database can apply, so the candidate
+ * window holds matching rows instead of just the newest ones. The text, location and deadline conditions are
+ * looser than `matchesFilters`, which still runs on the rows returned. NAICS is pushed down only when every
+ * code is a full six-digit code; budgets need parsing and currency conversion, so they are filtered in memory.
+ */
+export const applyDatabaseFilters = (query, params) => {
+  let narrowed = query;
+  if (params.statuses.length) {
+    narrowed = narrowed.in('status', params.statuses);
+  }
+  if (params.categories.length) {
+    narrowed = narrowed.in('category', params.categories);
+  }
+  if (params.createdBy) {
+    narrowed = narrowed.eq('created_by', params.createdBy);
+  }
+  // Terms are tokenized to letters and digits, so they are safe inside a PostgREST `or` filter.
+  params.terms.forEach((term) => {
+    narrowed = narrowed.or(
+      Object.keys(TEXT_FIELD_WEIGHTS)
+        .map((field) => `${field}.ilike.%${term}%`)
+        .join(','),
+    );
+  });
+  if (params.location) {
+    narrowed = narrowed.ilike('location', `%${escapeLike(params.location)}%`);
+  }
+  if (params.naics.length && params.naics.every((code) => /^\d{6}$/.test(code))) {
+    narrowed = narrowed.overlaps('naics_codes', params.naics);
+  }
+  if (params.deadlineFrom) {
+    narrowed = narrowed.gte(
+      'submission_deadline',
+      new Date(params.deadlineFrom.getTime() - DEADLINE_PADDING_MS).toISOString(),
+    );
+  }
+  if (params.deadlineTo) {
+    narrowed = narrowed.lte(
+      'submission_deadline',
+      new Date(params.deadlineTo.getTime() + DEADLINE_PADDING_MS).toISOString(),
+    );
+  }
+  return narrowed;
+};
+
+const countBy = (items, pickValues) =>
+  items.reduce((acc, item) => {
+    pickValues(item).forEach((value) => {
+      if (value === undefined || value === null || value === '') return;
+      acc[value] = (acc[value] || 0) + 1;
+    });
+    return acc;
+  }, {});
+
+export const buildFacets = (items = []) => ({
+  status: countBy(items, (rfx) => [rfx.status]),
+  category: countBy(items, (rfx) => [rfx.category]),
+  location: countBy(items, (rfx) => [rfx.location]),
+  // Two-digit NAICS sectors keep the facet list short; the `naics` filter accepts any prefix.
+  naics_sector: countBy(items, (rfx) => [...new Set((rfx.naics_codes || []).map((code) => String(code).slice(0, 2)))]),
+});
+
+const sortValue = (rfx, { sort, currency }) => {
+  switch (sort) {
+    case 'deadline':
+      return resolveDeadline(rfx.submission_deadline, rfx.timezone)?.getTime() ?? null;
+    case 'budget':
+      return extractBudgetBounds(rfx, { currency }).max;
+    case 'relevance':
+      return rfx.relevance ?? 0;
+    default:
+      return rfx.created_at ? new Date(rfx.created_at).getTime() : null;
+  }
+};
+
+const compareEntries = (a, b, descending) => {
+  // Missing values always sort last, whatever the direction.
+  if (a.key === null && b.key !== null) return 1;
+  if (b.key === null && a.key !== null) return -1;
+  if (a.key !== b.key) {
+    return descending ? b.key - a.key : a.key - b.key;
+  }
+  return String(a.rfx.id).localeCompare(String(b.rfx.id));
+};
+
+export const encodeCursor = (entry) =>
+  Buffer.from(JSON.stringify({ k: entry.key, id: entry.rfx.id })).toString('base64url');
+
+export const decodeCursor = (cursor) => {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return parsed && parsed.id !== undefined ? { key: parsed.k ?? null, id: parsed.id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Filters, scores, sorts and pages a candidate list. Paging is keyset-based when a cursor is supplied,
+ * so rows inserted between requests do not shift later pages; `offset` is still honoured without one.
+ */
+export const searchRfx = (candidates = [], params) => {
+  const matched = candidates
+    .filter((rfx) => matchesFilters(rfx, params))
+    .map((rfx) => (params.terms.length ? { ...rfx, relevance: scoreRelevance(rfx, params.terms, params.q) } : rfx));
+
+  const entries = matched
+    .map((rfx) => ({ rfx, key: sortValue(rfx, params) }))
+    .sort((a, b) => compareEntries(a, b, params.descending));
+
+  let start = params.offset;
+  if (params.cursor) {
+    const anchor = decodeCursor(params.cursor);
+    start = anchor
+      ? entries.findIndex(
+          (entry) => compareEntries(entry, { rfx: { id: anchor.id }, key: anchor.key }, params.descending) > 0,
+        )
+      : 0;
+    if (start === -1) start = entries.length;
+  }
+
+  const page = entries.slice(start, start + params.limit);
+  const hasMore = start + page.length < entries.length;
+
+  return {
+    items: page.map((entry) => entry.rfx),
+    total: entries.length,
+    facets: buildFacets(matched),
+    next_cursor: hasMore && page.length ? encodeCursor(page[page.length - 1]) : null,
+  };
+};
@@ -0,0 +1,160 @@
+import { isAdminUser } from '../middleware/authGuard.js';
+import { normalizeCriteria } from './rfxEvaluation.js';
+import { normalizeRequiredDocuments } from './requiredDocuments.js';
+
+/**
+ * `personal` templates belong to their owner. `organization` templates are shared with every user of the
+ * platform and are maintained by admins.
+ */
+export const TEMPLATE_SCOPES = ['personal', 'organization'];
+
+// The reusable parts of an RFx. Dates, budget and status belong to one solicitation and are never templated.
+export const TEMPLATE_CONTENT_FIELDS = [
+  'description',
+  'requirements',
+  'category',
+  'naics_codes',
+  'evaluation_criteria',
+  'required_documents',
+];
+
+// What a clone copies from its source RFx. Deadlines, invitations, responses and the award stay behind.
+export const CLONEABLE_RFX_FIELDS = [
+  'title',
+  'description',
+  'requirements',
+  'category',
+  'location',
+  'budget_range',
+  'budget_min',
+  'budget_max',
+  'budget_currency',
+  'naics_codes',
+  'set_aside',
+  'size_standard',
+  'timezone',
+  'grace_period_minutes',
+  'lots',
+  'evaluation_criteria',
+  'required_documents',
+  'attachments',
+  'sealed',
+  'blind_evaluation',
+  'rfx_type',
+  'visibility',
+];
+
+const pick = (source, fields) =>
+  fields.reduce((acc, field) => {
+    if (source?.[field] !== undefined) {
+      acc[field] = source[field];
+    }
+    return acc;
+  }, {});
+
+/**
+ * Validates a template payload. With `partial`, only the fields present are checked, as for an update.
+ */
+export const normalizeTemplate = (input = {}, { partial = false } = {}) => {
+  const template = pick(input, ['name', 'scope', ...TEMPLATE_CONTENT_FIELDS]);
+
+  if (!partial || template.name !== undefined) {
+    if (typeof template.name !== 'string' || !template.name.trim()) {
+      return { template: null, error: 'name is required' };
+    }
+    template.name = template.name.trim();
+  }
+
+  if (!partial && template.scope === undefined) {
+    template.scope = 'personal';
+  }
+  if (template.scope !== undefined && !TEMPLATE_SCOPES.includes(template.scope)) {
+    return { template: null, error: `scope must be one of: ${TEMPLATE_SCOPES.join(', ')}` };
+  }
+
+  if (template.naics_codes !== undefined || !partial) {
+    template.naics_codes = template.naics_codes || [];
+    if (!Array.isArray(template.naics_codes) || template.naics_codes.some((code) => typeof code !== 'string')) {
+      return { template: null, error: 'naics_codes must be an array of strings' };
+    }
+  }
+
+  if (template.evaluation_criteria !== undefined || !partial) {
+    const { criteria, error } = normalizeCriteria(template.evaluation_criteria);
+    if (error) {
+      return { template: null, error };
+    }
+    template.evaluation_criteria = criteria;
+  }
+
+  if (template.required_documents !== undefined || !partial) {
+    const { documents, error } = normalizeRequiredDocuments(template.required_documents);
+    if (error) {
+      return { template: null, error };
+    }
+    template.required_documents = documents;
+  }
+
+  return { template, error: null };
+};
+
+/**
+ * The versioned part of a template; stored in `rfx_template_versions` each time it changes.
+ */
+export const snapshotTemplate = (template) => ({
+  name: template.name,
+  ...TEMPLATE_CONTENT_FIELDS.reduce((acc, field) => {
+    acc[field] = template[field] ?? null;
+    return acc;
+  }, {}),
+});
+
+export const canViewTemplate = (template, user) =>
+  Boolean(template && (template.scope === 'organization' || template.owner_id === user?.id || isAdminUser(user)));
+
+export const canManageTemplate = (template, user) =>
+  Boolean(template && (template.scope === 'organization' ? isAdminUser(user) : template.owner_id === user?.id));
+
+/**
+ * Request body for a new draft built from a template. Fields in `overrides` (at least a title, unless the
+ * template name should be used, and a submission_deadline) win over the template's.
+ */
+export const buildDraftFromTemplate = (template, overrides = {}) => ({
+  title: template.name,
+  ...pick(template, TEMPLATE_CONTENT_FIELDS),
+  ...overrides,
+  status: 'draft',
+});
+
+/**
+ * Request body for a new draft cloned from `rfx`. Auction settings are carried over except `starts_at`,
+ * which belongs to the original schedule and has to be supplied again.
+ */
+export const buildDraftFromRfx = (rfx, overrides = {}) => {
+  const draft = {
+    ...pick(rfx, CLONEABLE_RFX_FIELDS),
+    title: `${rfx.title} (copy)`,
+    ...overrides,
+    status: 'draft',
+  };
+
+  // A new budget typed as text replaces the copied one rather than losing to its structured bounds.
+  if (
+    overrides.budget_range !== undefined &&
+    overrides.budget_min === undefined &&
+    overrides.budget_max === undefined
+  ) {
+    delete draft.budget_min;
+    delete draft.budget_max;
+    if (overrides.budget_currency === undefined) {
+      delete draft.budget_currency;
+    }
+  }
+
+  if (rfx.auction && draft.rfx_type === 'reverse_auction') {
+    const { starts_at: _startsAt, ...auction } = rfx.auction;
+    draft.auction = { ...auction, ...(overrides.auction || {}) };
+  }
+
+  return draft;
+};
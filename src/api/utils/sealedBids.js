@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+
+// Response fields that stay encrypted until the bid opening.
+export const SEALED_FIELDS = [
+  'content',
+  'bid_amount',
+  'quoted_amount',
+  'attachments',
+  'line_item_prices',
+  'lot_totals',
+];
+
+const getKey = () => {
+  const secret = process.env.SEALED_BID_KEY;
+  if (!secret) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+export const isSealedBiddingConfigured = () => Boolean(getKey());
+
+export const isSealedAndUnopened = (rfx) => Boolean(rfx?.sealed && !rfx.bid_opened_at);
+
+export const sealPayload = (payload) => {
+  const key = getKey();
+  if (!key) {
+    throw new Error('SEALED_BID_KEY is not configured');
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+
+  return {
+    alg: ALGORITHM,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  };
+};
+
+export const unsealPayload = (sealed) => {
+  const key = getKey();
+  if (!key) {
+    throw new Error('SEALED_BID_KEY is not configured');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(sealed.ciphertext, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+/**
+ * Splits a response payload into the columns stored in the clear and an encrypted `sealed_payload`.
+ */
+export const sealResponseFields = (responsePayload) => {
+  const hidden = SEALED_FIELDS.reduce((acc, field) => {
+    acc[field] = responsePayload[field] ?? null;
+    return acc;
+  }, {});
+
+  return {
+    ...responsePayload,
+    content: null,
+    bid_amount: null,
+    quoted_amount: null,
+    attachments: [],
+    line_item_prices: null,
+    lot_totals: null,
+    sealed_payload: sealPayload(hidden),
+  };
+};
+
+export const unsealResponse = (response) => {
+  if (!response?.sealed_payload) {
+    return response;
+  }
+  const { sealed_payload: sealedPayload, ...rest } = response;
+  return { ...rest, ...unsealPayload(sealedPayload) };
+};
+
+/**
+ * What a viewer may see of a response. Until the bid opening the buyer only sees that a sealed bid exists;
+ * the vendor who submitted it can still read their own bid.
+ */
+export const presentResponse = (response, rfx, viewer) => {
+  if (!response?.sealed_payload) {
+    return response;
+  }
+  if (viewer?.id && response.responder_id === viewer.id) {
+    return unsealResponse(response);
+  }
+  const { sealed_payload: _sealedPayload, ...rest } = response;
+  return {
+    ...rest,
+    content: null,
+    bid_amount: null,
+    quoted_amount: null,
+    attachments: [],
+    line_item_prices: null,
+    lot_totals: null,
+    sealed: isSealedAndUnopened(rfx),
+  };
+};
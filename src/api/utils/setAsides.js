@@ -0,0 +1,207 @@
+export const SET_ASIDE_TYPES = ['small_business', '8a', 'hubzone', 'sdvosb', 'wosb', 'edwosb'];
+
+export const SET_ASIDE_LABELS = {
+  small_business: 'small businesses',
+  '8a': '8(a) program participants',
+  hubzone: 'HUBZone small businesses',
+  sdvosb: 'service-disabled veteran-owned small businesses',
+  wosb: 'women-owned small businesses',
+  edwosb: 'economically disadvantaged women-owned small businesses',
+};
+
+// Profile certifications that satisfy each set-aside; an EDWOSB also qualifies as a WOSB.
+const REQUIRED_CERTIFICATIONS = {
+  small_business: [],
+  '8a': ['8a'],
+  hubzone: ['hubzone'],
+  sdvosb: ['sdvosb'],
+  wosb: ['wosb', 'edwosb'],
+  edwosb: ['edwosb'],
+};
+
+// Accepted spellings, including the SAM.gov `typeOfSetAside` codes, after lowercasing and stripping
+// punctuation.
+const SET_ASIDE_ALIASES = {
+  sba: 'small_business',
+  sbp: 'small_business',
+  sb: 'small_business',
+  smallbusiness: 'small_business',
+  totalsmallbusiness: 'small_business',
+  '8a': '8a',
+  '8an': '8a',
+  hz: 'hubzone',
+  hzc: 'hubzone',
+  hzs: 'hubzone',
+  hubzone: 'hubzone',
+  sdvosb: 'sdvosb',
+  sdvosbc: 'sdvosb',
+  sdvosbs: 'sdvosb',
+  wosb: 'wosb',
+  wosbss: 'wosb',
+  edwosb: 'edwosb',
+  edwosbss: 'edwosb',
+};
+
+/**
+ * SBA size standards for NAICS codes common on the platform: annual receipts in dollars or an employee count.
+ * Other codes need an explicit `size_standard` on the RFx; without one, only the vendor's declared
+ * `business_type` is checked.
+ */
+export const SIZE_STANDARDS = {
+  236220: { metric: 'annual_revenue', limit: 45000000 },
+  237310: { metric: 'annual_revenue', limit: 45000000 },
+  238210: { metric: 'annual_revenue', limit: 19000000 },
+  332710: { metric: 'employees', limit: 500 },
+  336411: { metric: 'employees', limit: 1500 },
+  423430: { metric: 'employees', limit: 250 },
+  518210: { metric: 'annual_revenue', limit: 40000000 },
+  541330: { metric: 'annual_revenue', limit: 25500000 },
+  541511: { metric: 'annual_revenue', limit: 34000000 },
+  541512: { metric: 'annual_revenue', limit: 34000000 },
+  541513: { metric: 'annual_revenue', limit: 37000000 },
+  541611: { metric: 'annual_revenue', limit: 24500000 },
+  541690: { metric: 'annual_revenue', limit: 19500000 },
+  541715: { metric: 'employees', limit: 1000 },
+  561210: { metric: 'annual_revenue', limit: 47000000 },
+  561720: { metric: 'annual_revenue', limit: 22000000 },
+  561730: { metric: 'annual_revenue', limit: 9500000 },
+  562111: { metric: 'annual_revenue', limit: 47000000 },
+};
+
+const SIZE_METRICS = ['annual_revenue', 'employees'];
+
+const compact = (value) =>
+  String(value ?? '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+export const resolveSetAsideType = (value) => {
+  if (SET_ASIDE_TYPES.includes(value)) {
+    return value;
+  }
+  return SET_ASIDE_ALIASES[compact(value)] || null;
+};
+
+/**
+ * Validates the `set_aside` and optional `size_standard` RFx fields. Returns the normalized values;
+ * `set_aside: null` means the RFx is open to all vendors.
+ */
+export const normalizeSetAside = ({ set_aside: setAside, size_standard: sizeStandard } = {}) => {
+  let type = null;
+  if (setAside !== undefined && setAside !== null && setAside !== '' && setAside !== 'none') {
+    type = resolveSetAsideType(setAside);
+    if (!type) {
+      return { value: null, error: `set_aside must be one of: ${SET_ASIDE_TYPES.join(', ')}` };
+    }
+  }
+
+  if (sizeStandard === undefined || sizeStandard === null) {
+    return { value: { set_aside: type, size_standard: null }, error: null };
+  }
+  if (
+    typeof sizeStandard !== 'object' ||
+    !SIZE_METRICS.includes(sizeStandard.metric) ||
+    typeof sizeStandard.limit !== 'number' ||
+    !(sizeStandard.limit > 0)
+  ) {
+    return {
+      value: null,
+      error: `size_standard must be { metric: ${SIZE_METRICS.join(' | ')}, limit: positive number }`,
+    };
+  }
+
+  return {
+    value: { set_aside: type, size_standard: { metric: sizeStandard.metric, limit: sizeStandard.limit } },
+    error: null,
+  };
+};
+
+/**
+ * The size standard an RFx is judged against: its own, or the built-in one for its primary NAICS code.
+ */
+export const resolveSizeStandard = (rfx) => {
+  if (rfx?.size_standard) {
+    return { ...rfx.size_standard, source: 'rfx' };
+  }
+  const naicsCode = rfx?.naics_codes?.[0];
+  const standard = naicsCode ? SIZE_STANDARDS[naicsCode] : null;
+  return standard ? { ...standard, naics_code: naicsCode, source: 'sba' } : null;
+};
+
+/**
+ * Reads numbers entered as `12500000`, `"$12.5M"` or `"850k"`.
+ */
+export const parseAmount = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const match = String(value ?? '')
+    .replace(/[$,\s]/g, '')
+    .match(/^(\d+(?:\.\d+)?)([kmb])?$/i);
+  if (!match) {
+    return null;
+  }
+  const multiplier = { k: 1e3, m: 1e6, b: 1e9 }[match[2]?.toLowerCase()] || 1;
+  return Number(match[1]) * multiplier;
+};
+
+const describeLimit = ({ metric, limit }) =>
+  metric === 'employees' ? `${limit.toLocaleString('en-US')} employees` : `$${limit.toLocaleString('en-US')}`;
+
+const sizeStatusOf = (businessType) => {
+  const text = String(businessType || '').toLowerCase();
+  if (/large|other than small/.test(text)) {
+    return 'large';
+  }
+  return /small/.test(text) ? 'small' : null;
+};
+
+/**
+ * Checks a vendor profile against an RFx set-aside. Every set-aside requires a small business; the
+ * socio-economic ones also require the matching entry in the profile's `certifications`. Returns
+ * `{ eligible, reasons }`, with one reason per unmet requirement.
+ */
+export const checkSetAsideEligibility = (rfx, profile) => {
+  const type = rfx?.set_aside ? resolveSetAsideType(rfx.set_aside) : null;
+  if (!type) {
+    return { eligible: true, reasons: [] };
+  }
+  if (!profile) {
+    return { eligible: false, reasons: ['Complete your vendor profile to respond to a set-aside RFX'] };
+  }
+
+  const label = SET_ASIDE_LABELS[type];
+  const reasons = [];
+  const sizeStatus = sizeStatusOf(profile.business_type);
+  const standard = resolveSizeStandard(rfx);
+
+  if (sizeStatus === 'large') {
+    reasons.push(`This RFX is set aside for ${label}; your profile business_type is "${profile.business_type}"`);
+  } else if (standard) {
+    const field = standard.metric === 'employees' ? 'employee_count' : 'annual_revenue';
+    const value = parseAmount(profile[field]);
+    const context = standard.naics_code ? ` for NAICS ${standard.naics_code}` : '';
+    if (value === null) {
+      reasons.push(
+        `Add ${field} to your profile to show you meet the ${describeLimit(standard)} size standard${context}`,
+      );
+    } else if (value > standard.limit) {
+      reasons.push(
+        `Your ${field} of ${describeLimit({ ...standard, limit: value })} exceeds the ${describeLimit(standard)} ` +
+          `size standard${context}`,
+      );
+    }
+  } else if (sizeStatus !== 'small') {
+    reasons.push(`This RFX is set aside for ${label}; set your profile business_type to a small business`);
+  }
+
+  const required = REQUIRED_CERTIFICATIONS[type];
+  if (required.length) {
+    const held = new Set((Array.isArray(profile.certifications) ? profile.certifications : []).map(compact));
+    if (!required.some((certification) => held.has(certification))) {
+      reasons.push(`This RFX is set aside for ${label}; add ${required[0]} to your profile certifications`);
+    }
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+};
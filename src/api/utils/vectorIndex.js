@@ -0,0 +1,50 @@
+const vectorNorm = (vector) => Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+const dotProduct = (a, b) => {
+  let dot = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+    dot += a[i] * b[i];
+  }
+  return dot;
+};
+
+export const cosineSimilarity = (a, b) => {
+  const norms = vectorNorm(a) * vectorNorm(b);
+  return norms ? dotProduct(a, b) / norms : 0;
+};
+
+/**
+ * An in-memory vector index. `search` scores every entry by cosine similarity, which stays fast for a vendor
+ * base of tens of thousands of profiles; `filter` sees each entry's metadata so that results are limited
+ * only after ineligible entries are dropped.
+ */
+export const createVectorIndex = () => {
+  const entries = new Map();
+
+  return {
+    get size() {
+      return entries.size;
+    },
+    has: (id) => entries.has(id),
+    get: (id) => entries.get(id) || null,
+    upsert(id, vector, metadata = {}) {
+      entries.set(id, { id, vector, norm: vectorNorm(vector), metadata });
+    },
+    remove: (id) => entries.delete(id),
+    values: () => [...entries.values()],
+    search(vector, { limit = 10, minScore = 0, filter } = {}) {
+      const queryNorm = vectorNorm(vector);
+      if (!queryNorm) return [];
+
+      const results = [];
+      entries.forEach((entry) => {
+        if (!entry.norm || (filter && !filter(entry.metadata, entry.id))) return;
+        const score = dotProduct(vector, entry.vector) / (queryNorm * entry.norm);
+        if (score > minScore) {
+          results.push({ id: entry.id, score, metadata: entry.metadata });
+        }
+      });
+      return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+  };
+};
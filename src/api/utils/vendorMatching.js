@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import { getEmbedder, tokenizeText } from './embeddings.js';
+import { createVectorIndex } from './vectorIndex.js';
+
+export const VENDOR_INDEX_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+// One index per embedder, reused until it expires or a profile changes.
+const cachedIndexes = new Map();
+
+// Capabilities and past performance are lists of strings or of records such as `{ title, agency, description }`.
+const listText = (value) => {
+  if (!value) return '';
+  if (!Array.isArray(value)) return String(value);
+  return value
+    .map((entry) =>
+      entry && typeof entry === 'object'
+        ? Object.values(entry)
+            .filter((field) => typeof field === 'string' || typeof field === 'number')
+            .join(' ')
+        : entry,
+    )
+    .filter(Boolean)
+    .join('; ');
+};
+
+const labelled = (label, value) => (value ? `${label}: ${value}` : null);
+
+/**
+ * The text embedded for a vendor: what they can do and have done, plus their NAICS codes. Profiles with none
+ * of these are left out of the index.
+ */
+export const buildVendorDocument = (profile = {}) =>
+  [
+    labelled('Capabilities', listText(profile.capabilities)),
+    labelled('Past performance', listText(profile.past_performance)),
+    labelled('NAICS', listText(profile.naics_codes).replace(/;/g, '')),
+    labelled('Certifications', listText(profile.certifications)),
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+export const buildRfxQuery = (rfx = {}) =>
+  [
+    rfx.title,
+    rfx.category,
+    rfx.description,
+    rfx.requirements,
+    labelled('NAICS', listText(rfx.naics_codes).replace(/;/g, '')),
+  ]
+    .filter(Boolean)
+    .join('\n');
+
+const contentHash = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+/**
+ * Embeds every vendor profile into a new index. With a persistent embedder, the vectors stored in
+ * `vendor_embeddings` for the same model and profile text are reused, and only new or changed profiles are
+ * embedded and saved. `saveError` reports a failed save; the index is complete either way.
+ */
+export const buildVendorIndex = async (supabase, embedder) => {
+  const { data: profiles, error } = await supabase.from('profiles').select('*');
+  if (error) {
+    return { error };
+  }
+
+  let stored = new Map();
+  if (embedder.persistent) {
+    const { data: rows, error: storedError } = await supabase
+      .from('vendor_embeddings')
+      .select('vendor_id, content_hash, embedding')
+      .eq('model', embedder.name);
+    if (storedError) {
+      return { error: storedError };
+    }
+    stored = new Map((rows || []).map((row) => [row.vendor_id, row]));
+  }
+
+  const documents = (profiles || [])
+    .map((profile) => ({ profile, text: buildVendorDocument(profile) }))
+    .filter((document) => document.text)
+    .map((document) => {
+      const hash = contentHash(document.text);
+      const saved = stored.get(document.profile.id);
+      return { ...document, hash, vector: saved?.content_hash === hash ? saved.embedding : null };
+    });
+
+  embedder.fit?.(documents.map((document) => document.text));
+  const pending = documents.filter((document) => !document.vector);
+  const vectors = pending.length ? await embedder.embed(pending.map((document) => document.text)) : [];
+  pending.forEach((document, i) => {
+    document.vector = vectors[i];
+  });
+
+  let saveError = null;
+  if (embedder.persistent && pending.length) {
+    const updatedAt = new Date().toISOString();
+    ({ error: saveError } = await supabase.from('vendor_embeddings').upsert(
+      pending.map((document) => ({
+        vendor_id: document.profile.id,
+        model: embedder.name,
+        content_hash: document.hash,
+        embedding: document.vector,
+        updated_at: updatedAt,
+      })),
+      { onConflict: 'vendor_id,model' },
+    ));
+  }
+
+  const index = createVectorIndex();
+  documents.forEach((document) => index.upsert(document.profile.id, document.vector, document.profile));
+
+  return {
+    error: null,
+    index,
+    profiles: profiles || [],
+    embedded: pending.length,
+    reused: documents.length - pending.length,
+    saveError,
+  };
+};
+
+/**
+ * The cached vendor index for `embedder`, rebuilt once it is older than `maxAgeMs` or when `refresh` is set.
+ * Queries must be embedded with the returned `embedder`: a local embedder's vectors depend on the corpus it
+ * was fitted to.
+ */
+export const getVendorIndex = async (supabase, embedder, { refresh = false, maxAgeMs = VENDOR_INDEX_TTL_MS } = {}) => {
+  const cached = cachedIndexes.get(embedder.name);
+  if (!refresh && cached && Date.now() - cached.builtAt < maxAgeMs) {
+    return { ...cached, error: null, embedded: 0, reused: cached.index.size, saveError: null };
+  }
+
+  const result = await buildVendorIndex(supabase, embedder);
+  if (result.error) {
+    return result;
+  }
+  const entry = { index: result.index, profiles: result.profiles, embedder, builtAt: Date.now() };
+  cachedIndexes.set(embedder.name, entry);
+  return { ...result, ...entry };
+};
+
+export const invalidateVendorIndex = () => {
+  cachedIndexes.clear();
+};
+
+const naicsOverlap = (vendor, rfx) =>
+  Array.isArray(vendor.naics_codes) && Array.isArray(rfx.naics_codes)
+    ? vendor.naics_codes.filter((code) => rfx.naics_codes.includes(code))
+    : [];
+
+// Capability words that also appear in the RFx, to show why a vendor ranked where it did.
+const matchedTerms = (vendor, rfxTokens) => [
+  ...new Set(tokenizeText(listText(vendor.capabilities)).filter((token) => rfxTokens.has(token))),
+];
+
+/**
+ * Ranks the indexed vendors by the cosine similarity of their profile to the RFx. `filter` receives each
+ * vendor profile and drops it from the results, e.g. when the vendor is outside the set-aside.
+ */
+export const rankVendors = async ({ index, embedder, rfx, limit = 5, filter }) => {
+  const query = buildRfxQuery(rfx);
+  if (!query) {
+    return [];
+  }
+
+  const [vector] = await embedder.embed([query]);
+  const rfxTokens = new Set(tokenizeText(query));
+  return index.search(vector, { limit, filter }).map(({ score, metadata: vendor }) => ({
+    vendor_id: vendor.id,
+    vendor_name: vendor.company_name,
+    score: Number((score * 100).toFixed(2)),
+    similarity: Number(score.toFixed(4)),
+    naics_overlap: naicsOverlap(vendor, rfx),
+    matched_terms: matchedTerms(vendor, rfxTokens).slice(0, 10),
+  }));
+};
+
+/**
+ * Matches vendors to an RFx across the whole vendor base with the configured embedder. When the embeddings
+ * API cannot be reached, the local embedder takes over and `embeddingError` says why. `saveError` reports
+ * embeddings that could not be stored.
+ */
+export const matchVendors = async (supabase, rfx, { client, limit, filter } = {}) => {
+  const run = async (candidate) => {
+    const { index, profiles, embedder, saveError, error } = await getVendorIndex(supabase, candidate);
+    if (error) {
+      return { error };
+    }
+    const matches = await rankVendors({ index, embedder, rfx, limit, filter });
+    return { error: null, matches, profiles, model: embedder.name, embeddingError: null, saveError };
+  };
+
+  const embedder = getEmbedder(client);
+  try {
+    return await run(embedder);
+  } catch (embeddingError) {
+    if (!embedder.persistent) {
+      throw embeddingError;
+    }
+    return { ...(await run(getEmbedder(null))), embeddingError };
+  }
+};
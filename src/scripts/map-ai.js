@@ -379,7 +379,7 @@ export class MapAIOverlay {
     const html = `
       <strong>${properties?.title || properties?.name || 'Opportunity'}</strong><br />
       ${properties?.status ? `<span>Status: ${properties.status}</span><br />` : ''}
-      ${properties?.budget ? `<span>Budget: ${formatCurrency(properties.budget)}</span><br />` : ''}
+      ${properties?.budget ? `<span>Budget: ${formatCurrency(properties.budget, properties.budget_currency)}</span><br />` : ''}
       ${properties?.due_date ? `<span>Due: ${formatRelativeTime(properties.due_date, { forceAbsolute: true })}</span>` : ''}
     `;
     this.showTooltip(info.x, info.y, html);
@@ -1,4 +1,5 @@
 import { authService } from '../services/authService.js';
+import { alertService } from '../services/alertService.js';
 import { showError } from './shared.js';
 
 class Navigation {
@@ -107,19 +108,19 @@ class Navigation {
   }
 
   async loadNotifications() {
+    if (!authService.isAuthenticated()) return;
+
     try {
-      // This would typically be an API call to your backend
-      // const notifications = await notificationService.getUnreadNotifications();
-      // this.renderNotifications(notifications);
-      
-      // Mock data for now
-      const mockNotifications = [
-        { id: 1, message: 'New RFX match found', read: false, timestamp: new Date(), type: 'match' },
-        { id: 2, message: 'Your response was submitted successfully', read: false, timestamp: new Date(), type: 'success' },
-        { id: 3, message: 'Credit balance is running low', read: true, timestamp: new Date(), type: 'warning' }
-      ];
-      
-      this.renderNotifications(mockNotifications);
+      const { notifications = [] } = await alertService.getNotifications({ limit: 20 });
+
+      this.renderNotifications(notifications.map(notification => ({
+        id: notification.id,
+        message: notification.title,
+        read: Boolean(notification.read_at),
+        timestamp: notification.created_at,
+        type: notification.type === 'saved_search_match' ? 'match' : notification.type === 'deadline_changed' ? 'warning' : 'info',
+        rfxId: notification.rfx_id
+      })));
     } catch (error) {
       console.error('Error loading notifications:', error);
       showError('Failed to load notifications');
@@ -153,10 +154,12 @@ class Navigation {
           ${this.getNotificationIcon(notification.type)}
         </div>
         <div class="notification-content">
-          <div class="notification-message">${notification.message}</div>
+          <div class="notification-message"></div>
           <div class="notification-time">${this.formatTimeAgo(notification.timestamp)}</div>
         </div>
       `;
+      // Messages quote RFx titles written by other users, so they are never parsed as HTML.
+      notificationElement.querySelector('.notification-message').textContent = notification.message;
       
       // Add click handler for notification actions
       notificationElement.addEventListener('click', () => this.handleNotificationClick(notification));
@@ -200,9 +203,9 @@ class Navigation {
 
   async markNotificationsAsRead() {
     try {
-      // This would typically be an API call to your backend
-      // await notificationService.markAllAsRead();
-      
+      if (!document.querySelector('.notification-item.unread')) return;
+      await alertService.markNotificationsRead();
+
       // Update UI
       document.querySelectorAll('.notification-item.unread').forEach(item => {
         item.classList.remove('unread');
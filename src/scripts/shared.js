@@ -142,7 +142,7 @@ export function debounce(func, wait) {
 /**
  * Format currency with proper symbols and decimals
  * @param {number} amount - Amount to format
- * @param {string} currency - Currency code (default: 'USD')
+ * @param {string} currency - ISO 4217 currency code of the amount, e.g. an RFx's `budget_currency` (default: 'USD')
  * @returns {string}
  */
 export function formatCurrency(amount, currency = 'USD') {
@@ -150,15 +150,13 @@ export function formatCurrency(amount, currency = 'USD') {
   const num = Number(amount);
   if (isNaN(num)) return '';
   
-  // Format with 2 decimal places
-  const formatter = new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency,
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 2,
-  });
-  
-  return formatter.format(num);
+  // Each currency keeps its own minor units (two for USD and EUR, none for JPY)
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(num);
+  } catch (error) {
+    // Malformed currency codes are shown as plain numbers rather than failing the render
+    return `${num.toFixed(2)} ${currency}`;
+  }
 }
 
 /**
@@ -23,6 +23,8 @@ export const suggestMatches = (rfxId, filters = {}) => {
   return httpClient.post(`${AI_BASE}/matches`, { rfxId, ...filters });
 };
 
+export const rebuildVendorIndex = () => httpClient.post(`${AI_BASE}/matches/reindex`);
+
 export const getRfxAnalysis = (rfxId) => {
   if (!rfxId) {
     throw new Error('RFX ID is required');
@@ -41,6 +43,7 @@ export const aiService = {
   generateProposal,
   generateResponse,
   suggestMatches,
+  rebuildVendorIndex,
   getRfxAnalysis,
   getMarketInsights
 };
@@ -0,0 +1,67 @@
+import httpClient from './httpClient';
+
+const ALERTS_BASE = '/alerts';
+
+export const getSavedSearches = () => httpClient.get(`${ALERTS_BASE}/saved-searches`);
+
+export const createSavedSearch = ({ name, filters, alerts_enabled } = {}) => {
+  if (!name || !filters) {
+    throw new Error('Search name and filters are required');
+  }
+  return httpClient.post(`${ALERTS_BASE}/saved-searches`, { name, filters, alerts_enabled });
+};
+
+export const updateSavedSearch = (searchId, updates = {}) => {
+  if (!searchId) {
+    throw new Error('Saved search ID is required');
+  }
+  if (!updates || Object.keys(updates).length === 0) {
+    throw new Error('Updates are required');
+  }
+  return httpClient.put(`${ALERTS_BASE}/saved-searches/${searchId}`, updates);
+};
+
+export const deleteSavedSearch = (searchId) => {
+  if (!searchId) {
+    throw new Error('Saved search ID is required');
+  }
+  return httpClient.delete(`${ALERTS_BASE}/saved-searches/${searchId}`);
+};
+
+export const getWatchlist = () => httpClient.get(`${ALERTS_BASE}/watchlist`);
+
+export const watchRfx = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.put(`${ALERTS_BASE}/watchlist/${rfxId}`, {});
+};
+
+export const unwatchRfx = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.delete(`${ALERTS_BASE}/watchlist/${rfxId}`);
+};
+
+export const getNotifications = ({ unread, limit } = {}) =>
+  httpClient.get(`${ALERTS_BASE}/notifications`, {
+    params: { unread: unread === undefined ? undefined : String(unread), limit }
+  });
+
+export const markNotificationsRead = (ids) =>
+  httpClient.post(`${ALERTS_BASE}/notifications/read`, ids ? { ids } : {});
+
+export const alertService = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getWatchlist,
+  watchRfx,
+  unwatchRfx,
+  getNotifications,
+  markNotificationsRead
+};
+
+export default alertService;
@@ -94,6 +94,41 @@ export const getAIModelAnalytics = async () => {
   }
 };
 
+/**
+ * Fetches award totals for the analytics dashboard
+ * @param {Object} [filters] - Optional `from` / `to` ISO dates bounding `awarded_at`
+ * @returns {Promise<Object>} Award count, total awarded value and awards grouped by month
+ */
+export const getAwardAnalytics = async (filters = {}) => {
+  try {
+    let query = supabase.from('rfx_awards').select('id, rfx_id, total_amount, currency, winners, awarded_at');
+    if (filters.from) {
+      query = query.gte('awarded_at', filters.from);
+    }
+    if (filters.to) {
+      query = query.lte('awarded_at', filters.to);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const awards = data || [];
+    return {
+      awardCount: awards.length,
+      totalsByCurrency: groupAwardTotalsByCurrency(awards),
+      awardsByMonth: awards.reduce((acc, award) => {
+        const month = award.awarded_at.slice(0, 7);
+        acc[month] = (acc[month] || 0) + 1;
+        return acc;
+      }, {}),
+      awards
+    };
+  } catch (error) {
+    console.error('Error in getAwardAnalytics:', error);
+    throw error;
+  }
+};
+
 export const getMapInsightSummary = async (filters = {}) =>
   httpClient.get(MAP_INSIGHTS_ENDPOINT, { params: filters });
 
@@ -107,6 +142,26 @@ const calculateAverageScore = (data, field) => {
   return parseFloat((sum / data.length).toFixed(2));
 };
 
+// Award amounts are in their RFx's currency, so values are only summed within one currency.
+// Awards recorded before the currency was stored were all in USD.
+const groupAwardTotalsByCurrency = (awards) => {
+  const byCurrency = awards.reduce((acc, award) => {
+    const currency = award.currency || 'USD';
+    acc[currency] = [...(acc[currency] || []), award];
+    return acc;
+  }, {});
+  return Object.fromEntries(
+    Object.entries(byCurrency).map(([currency, group]) => [
+      currency,
+      {
+        awardCount: group.length,
+        totalAwarded: group.reduce((sum, award) => sum + (award.total_amount || 0), 0),
+        averageAward: calculateAverageScore(group, 'total_amount')
+      }
+    ])
+  );
+};
+
 const groupResponsesByDay = (responses) => {
   return responses.reduce((acc, response) => {
     const date = new Date(response.created_at).toISOString().split('T')[0];
@@ -226,6 +281,7 @@ export default {
   getAdminAnalytics,
   getRfxResponseAnalytics,
   getAIModelAnalytics,
+  getAwardAnalytics,
   getMapInsightSummary,
   getLiveMapInsightMetrics,
   getCachedAnalytics,
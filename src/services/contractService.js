@@ -0,0 +1,98 @@
+import httpClient from './httpClient';
+
+const CONTRACTS_BASE = '/contracts';
+
+const requireContractId = (contractId) => {
+  if (!contractId) {
+    throw new Error('Contract ID is required');
+  }
+};
+
+export const getContracts = ({ rfxId, status } = {}) =>
+  httpClient.get(CONTRACTS_BASE, { params: { rfx_id: rfxId, status } });
+
+export const createContracts = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.post(CONTRACTS_BASE, { rfx_id: rfxId });
+};
+
+export const getContract = (contractId) => {
+  requireContractId(contractId);
+  return httpClient.get(`${CONTRACTS_BASE}/${contractId}`);
+};
+
+export const updateContract = (contractId, updates = {}) => {
+  requireContractId(contractId);
+  if (!updates || Object.keys(updates).length === 0) {
+    throw new Error('Updates are required');
+  }
+  return httpClient.put(`${CONTRACTS_BASE}/${contractId}`, updates);
+};
+
+export const getContractBurnDown = (contractId) => {
+  requireContractId(contractId);
+  return httpClient.get(`${CONTRACTS_BASE}/${contractId}/burn-down`);
+};
+
+export const submitDeliverable = (contractId, deliverableId, { notes, attachments } = {}) => {
+  requireContractId(contractId);
+  if (!deliverableId) {
+    throw new Error('Deliverable ID is required');
+  }
+  return httpClient.post(`${CONTRACTS_BASE}/${contractId}/deliverables/${deliverableId}/submit`, { notes, attachments });
+};
+
+export const reviewDeliverable = (contractId, deliverableId, { decision, comments } = {}) => {
+  requireContractId(contractId);
+  if (!deliverableId || !decision) {
+    throw new Error('Deliverable ID and decision are required');
+  }
+  return httpClient.post(`${CONTRACTS_BASE}/${contractId}/deliverables/${deliverableId}/review`, { decision, comments });
+};
+
+export const acceptMilestone = (contractId, milestoneId) => {
+  requireContractId(contractId);
+  if (!milestoneId) {
+    throw new Error('Milestone ID is required');
+  }
+  return httpClient.post(`${CONTRACTS_BASE}/${contractId}/milestones/${milestoneId}/accept`, {});
+};
+
+export const getInvoices = (contractId) => {
+  requireContractId(contractId);
+  return httpClient.get(`${CONTRACTS_BASE}/${contractId}/invoices`);
+};
+
+export const submitInvoice = (contractId, invoice = {}) => {
+  requireContractId(contractId);
+  if (!invoice.milestone_id || invoice.amount === undefined) {
+    throw new Error('Milestone ID and amount are required');
+  }
+  return httpClient.post(`${CONTRACTS_BASE}/${contractId}/invoices`, invoice);
+};
+
+export const reviewInvoice = (contractId, invoiceId, { decision, comments } = {}) => {
+  requireContractId(contractId);
+  if (!invoiceId || !decision) {
+    throw new Error('Invoice ID and decision are required');
+  }
+  return httpClient.post(`${CONTRACTS_BASE}/${contractId}/invoices/${invoiceId}/review`, { decision, comments });
+};
+
+export const contractService = {
+  getContracts,
+  createContracts,
+  getContract,
+  updateContract,
+  getContractBurnDown,
+  submitDeliverable,
+  reviewDeliverable,
+  acceptMilestone,
+  getInvoices,
+  submitInvoice,
+  reviewInvoice
+};
+
+export default contractService;
@@ -85,7 +85,7 @@ export const clearAuthToken = () => {
   }
 };
 
-const parseResponse = async (response) => {
+const parseResponse = async (response, responseType) => {
   if (response.status === 204) {
     return null;
   }
@@ -95,6 +95,11 @@ const parseResponse = async (response) => {
     return response.json();
   }
 
+  // File downloads keep their bytes; errors still arrive as JSON above.
+  if (responseType === 'blob') {
+    return response.blob();
+  }
+
   return response.text();
 };
 
@@ -117,7 +122,7 @@ const handleUnauthorized = () => {
 };
 
 const request = async (method, path, options = {}) => {
-  const { data, params, headers = {}, auth = true, signal } = options;
+  const { data, params, headers = {}, auth = true, signal, responseType } = options;
   const url = buildUrl(path, params);
   const requestHeaders = new Headers(headers);
 
@@ -144,7 +149,7 @@ const request = async (method, path, options = {}) => {
     credentials: 'include'
   });
 
-  const payload = await parseResponse(response);
+  const payload = await parseResponse(response, responseType);
 
   if (!response.ok) {
     if (response.status === 401) {
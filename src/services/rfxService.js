@@ -1,14 +1,14 @@
-import httpClient from './httpClient';
+import httpClient, { getAuthToken } from './httpClient';
+import { APP_CONFIG } from '../config/app.config';
 
 const RFX_BASE = '/rfx';
 
 const buildQuery = (filters = {}) =>
   Object.fromEntries(
-    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== ''),
   );
 
-export const getRfxList = (filters = {}) =>
-  httpClient.get(RFX_BASE, { params: buildQuery(filters) });
+export const getRfxList = (filters = {}) => httpClient.get(RFX_BASE, { params: buildQuery(filters) });
 
 export const getRfxById = (rfxId) => {
   if (!rfxId) {
@@ -41,6 +41,436 @@ export const deleteRfx = (rfxId) => {
   return httpClient.delete(`${RFX_BASE}/${rfxId}`);
 };
 
+export const getRfxAmendments = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/amendments`);
+};
+
+export const getRfxAmendmentDiff = (rfxId, { from, to } = {}) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/amendments/diff`, { params: buildQuery({ from, to }) });
+};
+
+export const getRfxQuestions = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/questions`);
+};
+
+export const askRfxQuestion = (rfxId, question) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  if (!question) {
+    throw new Error('Question is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/questions`, { question });
+};
+
+export const answerRfxQuestion = (rfxId, questionId, answer, { publish = false } = {}) => {
+  if (!rfxId || !questionId) {
+    throw new Error('RFX ID and question ID are required');
+  }
+  if (!answer) {
+    throw new Error('Answer is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/questions/${questionId}/answer`, { answer, publish });
+};
+
+export const requestDeadlineException = (rfxId, reason) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  if (!reason) {
+    throw new Error('Reason is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/deadline-exceptions`, { reason });
+};
+
+export const getRfxResponses = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/responses`);
+};
+
+export const reviseResponse = (rfxId, responseId, updates) => {
+  if (!rfxId || !responseId) {
+    throw new Error('RFX ID and response ID are required');
+  }
+  if (!updates || Object.keys(updates).length === 0) {
+    throw new Error('Updates are required');
+  }
+  return httpClient.put(`${RFX_BASE}/${rfxId}/responses/${responseId}`, updates);
+};
+
+export const withdrawResponse = (rfxId, responseId, reason) => {
+  if (!rfxId || !responseId) {
+    throw new Error('RFX ID and response ID are required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/responses/${responseId}/withdraw`, { reason });
+};
+
+export const getResponseRevisions = (rfxId, responseId) => {
+  if (!rfxId || !responseId) {
+    throw new Error('RFX ID and response ID are required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/responses/${responseId}/revisions`);
+};
+
+export const checkResponseCompleteness = (rfxId, { content, attachments } = {}) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/responses/check`, { content, attachments });
+};
+
+export const getResponsesCompleteness = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/responses/completeness`);
+};
+
+export const getRfxEvaluators = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/evaluators`);
+};
+
+export const assignEvaluator = (rfxId, evaluatorId) => {
+  if (!rfxId || !evaluatorId) {
+    throw new Error('RFX ID and evaluator ID are required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/evaluators`, { evaluator_id: evaluatorId });
+};
+
+export const removeEvaluator = (rfxId, evaluatorId) => {
+  if (!rfxId || !evaluatorId) {
+    throw new Error('RFX ID and evaluator ID are required');
+  }
+  return httpClient.delete(`${RFX_BASE}/${rfxId}/evaluators/${evaluatorId}`);
+};
+
+export const getCoiDeclarations = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/coi`);
+};
+
+export const declareConflictOfInterest = (rfxId, { signature, conflicts = [] } = {}) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  if (!signature) {
+    throw new Error('Signature is required');
+  }
+  return httpClient.put(`${RFX_BASE}/${rfxId}/coi`, { attest: true, signature, conflicts });
+};
+
+export const getScoreSheets = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/scores`);
+};
+
+export const submitScoreSheet = (rfxId, responseId, scores) => {
+  if (!rfxId || !responseId) {
+    throw new Error('RFX ID and response ID are required');
+  }
+  if (!Array.isArray(scores) || scores.length === 0) {
+    throw new Error('Scores are required');
+  }
+  return httpClient.put(`${RFX_BASE}/${rfxId}/responses/${responseId}/scores`, { scores });
+};
+
+export const getEvaluationSummary = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/evaluation`);
+};
+
+export const consolidateEvaluation = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/evaluate`);
+};
+
+export const awardRfx = (rfxId, awardData) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  if (!awardData?.awards?.length || !awardData.justification) {
+    throw new Error('Winning responses and a justification are required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/award`, awardData);
+};
+
+export const getRfxAward = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/award`);
+};
+
+export const getDebriefs = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/debriefs`);
+};
+
+export const requestDebrief = (rfxId, questions) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/debriefs`, { questions });
+};
+
+export const respondToDebrief = (rfxId, debriefId, debriefData) => {
+  if (!rfxId || !debriefId) {
+    throw new Error('RFX ID and debrief ID are required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/debriefs/${debriefId}/response`, debriefData);
+};
+
+export const getAuctionState = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/auction`);
+};
+
+export const placeAuctionBid = (rfxId, amount) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  if (typeof amount !== 'number') {
+    throw new Error('Bid amount is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/auction/bids`, { amount });
+};
+
+/**
+ * Opens the server-sent event stream of a reverse auction.
+ * @param {string} rfxId - The auction RFx
+ * @param {Function} onUpdate - Called with `(eventType, auctionView)` for `state`, `bid`, `extended` and `closed`
+ * @returns {Function} Closes the stream
+ */
+export const subscribeToAuction = (rfxId, onUpdate) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  const url = new URL(`${APP_CONFIG.API_BASE_URL.replace(/\/$/, '')}${RFX_BASE}/${rfxId}/auction/stream`);
+  const token = getAuthToken();
+  if (token) {
+    url.searchParams.set('access_token', token);
+  }
+
+  const source = new EventSource(url.toString(), { withCredentials: true });
+  ['state', 'bid', 'extended', 'closed'].forEach((eventType) => {
+    source.addEventListener(eventType, (event) => onUpdate(eventType, JSON.parse(event.data)));
+  });
+  return () => source.close();
+};
+
+export const getRfxInvitations = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/invitations`);
+};
+
+export const inviteVendors = (rfxId, invitees) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  if (!Array.isArray(invitees) || invitees.length === 0) {
+    throw new Error('At least one invitee is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/invitations`, { invitees });
+};
+
+export const revokeInvitation = (rfxId, invitationId) => {
+  if (!rfxId || !invitationId) {
+    throw new Error('RFX ID and invitation ID are required');
+  }
+  return httpClient.delete(`${RFX_BASE}/${rfxId}/invitations/${invitationId}`);
+};
+
+export const declineInvitation = (rfxId, reason) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/invitations/decline`, { reason });
+};
+
+export const previewInvitation = (token) => {
+  if (!token) {
+    throw new Error('Invitation token is required');
+  }
+  return httpClient.get(`${RFX_BASE}/invitations/${token}`);
+};
+
+export const claimInvitation = (token) => {
+  if (!token) {
+    throw new Error('Invitation token is required');
+  }
+  return httpClient.post(`${RFX_BASE}/invitations/${token}/claim`);
+};
+
+export const importRfx = ({ format, data, mapping, defaults, dryRun = false } = {}) => {
+  if (!format || !data) {
+    throw new Error('Import format and data are required');
+  }
+  return httpClient.post(`${RFX_BASE}/import`, { format, data, mapping, defaults, dry_run: dryRun });
+};
+
+export const getRfxTemplates = (scope) => httpClient.get(`${RFX_BASE}/templates`, { params: buildQuery({ scope }) });
+
+export const getRfxTemplate = (templateId) => {
+  if (!templateId) {
+    throw new Error('Template ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/templates/${templateId}`);
+};
+
+export const createRfxTemplate = (payload) => {
+  if (!payload) {
+    throw new Error('Template payload is required');
+  }
+  return httpClient.post(`${RFX_BASE}/templates`, payload);
+};
+
+export const updateRfxTemplate = (templateId, updates) => {
+  if (!templateId) {
+    throw new Error('Template ID is required');
+  }
+  return httpClient.put(`${RFX_BASE}/templates/${templateId}`, updates);
+};
+
+export const archiveRfxTemplate = (templateId) => {
+  if (!templateId) {
+    throw new Error('Template ID is required');
+  }
+  return httpClient.delete(`${RFX_BASE}/templates/${templateId}`);
+};
+
+export const createRfxFromTemplate = (templateId, overrides = {}) => {
+  if (!templateId) {
+    throw new Error('Template ID is required');
+  }
+  return httpClient.post(`${RFX_BASE}/drafts`, { ...overrides, template_id: templateId });
+};
+
+export const cloneRfx = (rfxId, overrides = {}) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.post(`${RFX_BASE}/drafts`, { ...overrides, source_rfx_id: rfxId });
+};
+
+export const getPipelines = () => httpClient.get(`${RFX_BASE}/pipelines`);
+
+export const getPipeline = (pipelineId) => {
+  if (!pipelineId) {
+    throw new Error('Pipeline ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/pipelines/${pipelineId}`);
+};
+
+export const createPipeline = ({ rfxId, stageType, name } = {}) => {
+  if (!rfxId || !stageType) {
+    throw new Error('RFX ID and stage type are required');
+  }
+  return httpClient.post(`${RFX_BASE}/pipelines`, { rfx_id: rfxId, stage_type: stageType, name });
+};
+
+export const advancePipelineStage = (rfxId, { stageType, vendorIds, ...overrides } = {}) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  if (!stageType || !vendorIds?.length) {
+    throw new Error('Stage type and vendors to carry over are required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/advance`, {
+    ...overrides,
+    stage_type: stageType,
+    vendor_ids: vendorIds,
+  });
+};
+
+export const getComplianceMatrix = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/compliance-matrix`);
+};
+
+export const generateComplianceMatrix = (rfxId, { refine = false } = {}) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/compliance-matrix`, { refine });
+};
+
+export const updateComplianceMatrix = (rfxId, requirements) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  if (!Array.isArray(requirements)) {
+    throw new Error('Requirements are required');
+  }
+  return httpClient.put(`${RFX_BASE}/${rfxId}/compliance-matrix`, { requirements });
+};
+
+export const compareResponses = (rfxId, { responseIds } = {}) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/compare`, {
+    params: buildQuery({ response_ids: responseIds?.length ? responseIds.join(',') : undefined }),
+  });
+};
+
+export const exportSolicitation = (rfxId, { format = 'pdf' } = {}) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/export/solicitation`, { params: { format }, responseType: 'blob' });
+};
+
+export const exportSolicitationPackage = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/export/package`, { responseType: 'blob' });
+};
+
+export const exportResponses = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.get(`${RFX_BASE}/${rfxId}/export/responses`, { responseType: 'blob' });
+};
+
+export const openSealedBids = (rfxId) => {
+  if (!rfxId) {
+    throw new Error('RFX ID is required');
+  }
+  return httpClient.post(`${RFX_BASE}/${rfxId}/bid-opening`);
+};
+
 export const respondToRfx = (rfxId, responseData) => {
   if (!rfxId) {
     throw new Error('RFX ID is required');
@@ -57,7 +487,62 @@ export const rfxService = {
   createRfx,
   updateRfx,
   deleteRfx,
-  respondToRfx
+  importRfx,
+  getRfxAmendments,
+  getRfxAmendmentDiff,
+  getRfxQuestions,
+  askRfxQuestion,
+  answerRfxQuestion,
+  requestDeadlineException,
+  getRfxResponses,
+  reviseResponse,
+  withdrawResponse,
+  getResponseRevisions,
+  checkResponseCompleteness,
+  getResponsesCompleteness,
+  getRfxEvaluators,
+  assignEvaluator,
+  removeEvaluator,
+  getCoiDeclarations,
+  declareConflictOfInterest,
+  getScoreSheets,
+  submitScoreSheet,
+  getEvaluationSummary,
+  consolidateEvaluation,
+  awardRfx,
+  getRfxAward,
+  getDebriefs,
+  requestDebrief,
+  respondToDebrief,
+  getAuctionState,
+  placeAuctionBid,
+  subscribeToAuction,
+  getRfxInvitations,
+  inviteVendors,
+  revokeInvitation,
+  declineInvitation,
+  previewInvitation,
+  claimInvitation,
+  getRfxTemplates,
+  getRfxTemplate,
+  createRfxTemplate,
+  updateRfxTemplate,
+  archiveRfxTemplate,
+  createRfxFromTemplate,
+  cloneRfx,
+  getPipelines,
+  getPipeline,
+  createPipeline,
+  advancePipelineStage,
+  getComplianceMatrix,
+  generateComplianceMatrix,
+  updateComplianceMatrix,
+  compareResponses,
+  exportSolicitation,
+  exportSolicitationPackage,
+  exportResponses,
+  openSealedBids,
+  respondToRfx,
 };
 
 export default rfxService;
@@ -0,0 +1,221 @@
+// An in-memory stand-in for the Supabase client, enough for handler tests. Tables are arrays of rows; the
+// query builder supports the filters the API uses and resolves like PostgREST, including `.single()` failing
+// when no row (or more than one) matches. `failNext(table, operation)` makes the next matching call return
+// an error, to exercise failure paths.
+
+const NO_SINGLE_ROW = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+
+const likeToRegExp = (pattern) =>
+  new RegExp(
+    `^${pattern
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/%/g, '.*')
+      .replace(/_/g, '.')}$`,
+    'i',
+  );
+
+// Splits a PostgREST `or` filter on the commas that are not inside an `in.(...)` list.
+const splitConditions = (expression) => expression.match(/[^,(]+(\([^)]*\))?/g) || [];
+
+const parseValue = (value) => (value === 'null' ? null : value === 'true' ? true : value === 'false' ? false : value);
+
+const conditionMatcher = (condition) => {
+  const [column, operator, ...rest] = condition.split('.');
+  const value = rest.join('.');
+  if (operator === 'in') {
+    const values = value.replace(/^\(|\)$/g, '').split(',');
+    return (row) => values.includes(String(row[column]));
+  }
+  if (operator === 'ilike') return (row) => likeToRegExp(value).test(String(row[column] ?? ''));
+  if (operator === 'is') return (row) => (row[column] ?? null) === parseValue(value);
+  if (operator === 'neq') return (row) => row[column] !== null && String(row[column]) !== value;
+  return (row) => String(row[column]) === value;
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+export const createSupabaseMock = (tables = {}) => {
+  const db = Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map((row) => ({ ...row }))]));
+  const failures = [];
+  const calls = [];
+  let sequence = 0;
+
+  const takeFailure = (table, operation) => {
+    const index = failures.findIndex((entry) => entry.table === table && entry.operation === operation);
+    return index === -1 ? null : failures.splice(index, 1)[0];
+  };
+
+  const createQuery = (table) => {
+    const state = {
+      operation: 'select',
+      payload: null,
+      options: {},
+      filters: [],
+      order: [],
+      limit: null,
+      returning: false,
+      single: null,
+      count: null,
+    };
+
+    const filter = (predicate) => {
+      state.filters.push(predicate);
+      return query;
+    };
+
+    const execute = () => {
+      calls.push({ table, operation: state.operation, payload: state.payload });
+      const failure = takeFailure(table, state.operation);
+      if (failure) {
+        return { data: null, error: { message: failure.message }, count: null };
+      }
+
+      db[table] = db[table] || [];
+      const rows = db[table];
+      const matches = (row) => state.filters.every((predicate) => predicate(row));
+      let result;
+
+      if (state.operation === 'select') {
+        result = rows.filter(matches);
+      } else if (state.operation === 'insert') {
+        result = [].concat(state.payload).map((row) => {
+          sequence += 1;
+          const saved = { id: `${table}-${sequence}`, ...row };
+          rows.push(saved);
+          return saved;
+        });
+      } else if (state.operation === 'update') {
+        result = rows.filter(matches).map((row) => Object.assign(row, state.payload));
+      } else if (state.operation === 'upsert') {
+        const keys = (state.options.onConflict || 'id').split(',');
+        result = [].concat(state.payload).map((row) => {
+          const existing = rows.find((candidate) => keys.every((key) => candidate[key] === row[key]));
+          if (existing) return Object.assign(existing, row);
+          sequence += 1;
+          const saved = { id: `${table}-${sequence}`, ...row };
+          rows.push(saved);
+          return saved;
+        });
+      } else {
+        result = rows.filter(matches);
+        db[table] = rows.filter((row) => !matches(row));
+      }
+
+      state.order.forEach(({ column, ascending }) => {
+        result = [...result].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+      });
+      const count = result.length;
+      if (state.limit !== null) {
+        result = result.slice(0, state.limit);
+      }
+      result = result.map((row) => ({ ...row }));
+
+      if (state.operation !== 'select' && !state.returning) {
+        return { data: null, error: null, count: state.count ? count : null };
+      }
+      if (state.single === 'single') {
+        return result.length === 1 ? { data: result[0], error: null } : { data: null, error: NO_SINGLE_ROW };
+      }
+      if (state.single === 'maybe') {
+        return result.length > 1 ? { data: null, error: NO_SINGLE_ROW } : { data: result[0] || null, error: null };
+      }
+      return { data: result, error: null, count: state.count ? count : null };
+    };
+
+    const query = {
+      select(_columns, options = {}) {
+        if (state.operation !== 'select') state.returning = true;
+        state.count = options.count || state.count;
+        return query;
+      },
+      insert(rows) {
+        Object.assign(state, { operation: 'insert', payload: rows });
+        return query;
+      },
+      update(values, options = {}) {
+        Object.assign(state, { operation: 'update', payload: values, count: options.count || null });
+        return query;
+      },
+      upsert(rows, options = {}) {
+        Object.assign(state, { operation: 'upsert', payload: rows, options });
+        return query;
+      },
+      delete() {
+        state.operation = 'delete';
+        return query;
+      },
+      eq: (column, value) => filter((row) => row[column] === value),
+      neq: (column, value) => filter((row) => row[column] !== value),
+      is: (column, value) => filter((row) => (row[column] ?? null) === value),
+      in: (column, values) => filter((row) => values.includes(row[column])),
+      gt: (column, value) => filter((row) => compare(row[column], value) > 0),
+      gte: (column, value) => filter((row) => compare(row[column], value) >= 0),
+      lt: (column, value) => filter((row) => compare(row[column], value) < 0),
+      lte: (column, value) => filter((row) => compare(row[column], value) <= 0),
+      ilike: (column, pattern) => filter((row) => likeToRegExp(pattern).test(String(row[column] ?? ''))),
+      overlaps: (column, values) => filter((row) => (row[column] || []).some((entry) => values.includes(entry))),
+      or: (expression) => {
+        const matchers = splitConditions(expression).map(conditionMatcher);
+        return filter((row) => matchers.some((matches) => matches(row)));
+      },
+      not: (column, operator, value) =>
+        filter((row) => (operator === 'is' ? (row[column] ?? null) !== value : row[column] !== value)),
+      order(column, { ascending = true } = {}) {
+        state.order.push({ column, ascending });
+        return query;
+      },
+      limit(count) {
+        state.limit = count;
+        return query;
+      },
+      single() {
+        state.single = 'single';
+        return query;
+      },
+      maybeSingle() {
+        state.single = 'maybe';
+        return query;
+      },
+      then: (resolve, reject) => Promise.resolve().then(execute).then(resolve, reject),
+    };
+    return query;
+  };
+
+  return {
+    tables: db,
+    calls,
+    from: (table) => createQuery(table),
+    failNext(table, operation, message = 'Simulated failure') {
+      failures.push({ table, operation, message });
+    },
+  };
+};
+
+// A minimal Express response that records what the handler sent.
+export const createMockResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(payload) {
+      res.body = payload;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+  };
+  return res;
+};
+
+export default createSupabaseMock;